@@ -0,0 +1,176 @@
+// /public/js/binaryProtocol.js
+// Browser side of the binary protocol laid out in server/binaryProtocol.js: encodes our movement
+// updates and decodes world snapshots, using the same public/data/protocol.json and
+// protocolCodec.js as the server.
+import { WEAPONS } from './weapons.js';
+import './protocolCodec.js';
+
+const response = await fetch(new URL('../data/protocol.json', import.meta.url));
+const protocol = await response.json();
+
+export const MESSAGE_TYPES = protocol.messageTypes;
+const WEAPON_IDS = Object.keys(WEAPONS);
+const NO_WEAPON = 255;
+
+const { createCodec } = window.ProtocolCodec;
+const { FIELD, FULL_STATE, dequantizePosition, dequantizeRotation, unpackFlags, encodeUpdate } = createCodec(protocol);
+export { encodeUpdate };
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Sequential reader over a DataView.
+ */
+class Reader {
+  constructor(buffer) {
+    this.view = new DataView(buffer);
+    this.offset = 0;
+  }
+
+  u8() { return this.view.getUint8(this.offset++); }
+  i8() { return this.view.getInt8(this.offset++); }
+  u16() { const value = this.view.getUint16(this.offset, true); this.offset += 2; return value; }
+  i16() { const value = this.view.getInt16(this.offset, true); this.offset += 2; return value; }
+  u32() { const value = this.view.getUint32(this.offset, true); this.offset += 4; return value; }
+  i32() { const value = this.view.getInt32(this.offset, true); this.offset += 4; return value; }
+  f64() { const value = this.view.getFloat64(this.offset, true); this.offset += 8; return value; }
+
+  string() {
+    const length = this.u8();
+    const bytes = new Uint8Array(this.view.buffer, this.offset, length);
+    this.offset += length;
+    return textDecoder.decode(bytes);
+  }
+}
+
+/**
+ * Decodes world snapshots, keeping what it has seen of each entity so deltas can be rebuilt.
+ */
+export class SnapshotDecoder {
+  constructor() {
+    this.lastTick = 0;         // Acknowledged back to the server with every update
+    this.entities = new Map(); // entity id -> [{ tick, state }], oldest first, same length as the server keeps
+  }
+
+  /**
+   * @param {number|string} id - Entity id
+   * @param {number} baseTick - Snapshot the server built the delta against
+   * @returns {Object|null} The entity's state as of baseTick
+   */
+  getBaseline(id, baseTick) {
+    const history = this.entities.get(id);
+    if (!history) return null;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].tick <= baseTick) return history[i].state;
+    }
+    return null;
+  }
+
+  /**
+   * @param {number|string} id - Entity id
+   * @param {number} tick - Snapshot the state came in
+   * @param {Object} state - Quantized state
+   */
+  record(id, tick, state) {
+    let history = this.entities.get(id);
+    if (!history) {
+      history = [];
+      this.entities.set(id, history);
+    }
+
+    history.push({ tick, state });
+    if (history.length > protocol.snapshotHistory) {
+      history.shift();
+    }
+  }
+
+  /**
+   * Drop an entity that left; the server sends it in full if it comes back.
+   * @param {number|string} id - Entity id
+   */
+  forget(id) {
+    this.entities.delete(id);
+  }
+
+  /**
+   * @param {ArrayBuffer} buffer - A binary message from the server
+   * @returns {Object|null} { serverTime, updates } shaped like a JSON worldSnapshot, null if it isn't one
+   */
+  decode(buffer) {
+    const reader = new Reader(buffer);
+    if (reader.u8() !== MESSAGE_TYPES.worldSnapshot) return null;
+
+    const tick = reader.u32();
+    const baseTick = reader.u32();
+    const serverTime = reader.f64();
+    const count = reader.u16();
+    const updates = [];
+
+    for (let i = 0; i < count; i++) {
+      const id = reader.u8() === 0 ? reader.u32() : reader.string();
+      const mask = reader.u8();
+      const base = this.getBaseline(id, baseTick);
+      const state = base ? { ...base } : {};
+
+      if (mask & FIELD.position) {
+        if (mask & FIELD.positionDelta) {
+          const dx = reader.i16();
+          const dy = reader.i16();
+          const dz = reader.i16();
+          if (base) {
+            state.x = base.x + dx;
+            state.y = base.y + dy;
+            state.z = base.z + dz;
+          }
+        } else {
+          state.x = reader.i32();
+          state.y = reader.i32();
+          state.z = reader.i32();
+        }
+      }
+      if (mask & FIELD.rotation) state.rotation = reader.u16();
+      if (mask & FIELD.flags) state.flags = reader.u8();
+      if (mask & FIELD.health) state.health = reader.u8();
+      if (mask & FIELD.username) state.username = reader.string();
+      if (mask & FIELD.quickDrawLobbyIndex) state.quickDrawLobbyIndex = reader.i8();
+      if (mask & FIELD.activeWeapon) state.activeWeapon = reader.u8();
+
+      if (!base && mask !== FULL_STATE) {
+        // Only happens if we and the server disagree about which snapshots we have
+        console.warn(`Snapshot ${tick} has a delta for ${id} but no baseline for tick ${baseTick}`);
+        continue;
+      }
+
+      this.record(id, tick, state);
+      updates.push(this.toUpdate(id, state));
+    }
+
+    this.lastTick = tick;
+    return { serverTime, updates };
+  }
+
+  /**
+   * @param {number|string} id - Entity id
+   * @param {Object} state - Quantized state
+   * @returns {Object} The entry as the JSON protocol would have sent it
+   */
+  toUpdate(id, state) {
+    const update = unpackFlags(state.flags, {
+      id,
+      position: {
+        x: dequantizePosition(state.x),
+        y: dequantizePosition(state.y),
+        z: dequantizePosition(state.z)
+      },
+      rotation: { y: dequantizeRotation(state.rotation) },
+      health: state.health,
+      username: state.username,
+      quickDrawLobbyIndex: state.quickDrawLobbyIndex
+    });
+    if (state.activeWeapon !== NO_WEAPON) {
+      update.activeWeapon = WEAPON_IDS[state.activeWeapon];
+    }
+    return update;
+  }
+}
@@ -1,9 +1,11 @@
 import { createImpactEffect } from './effects.js';
+import { DEFAULT_WEAPON, getWeapon, getHitDamage } from './weapons.js';
 
 // Reusable objects for collision detection to avoid creating new ones every frame
 const raycaster = new THREE.Raycaster();
 const tmpVec3 = new THREE.Vector3();
 const reusableBox = new THREE.Box3();
+const wallHitPoint = new THREE.Vector3();
 
 /**
  * A bullet class with client-side prediction and server validation.
@@ -14,9 +16,11 @@ export class Bullet {
    * @param {THREE.Vector3} position - Starting position
    * @param {THREE.Vector3} direction - Normalized direction vector
    * @param {string|number} bulletId - Optional server-assigned bullet ID (for remote bullets)
-   * @param {boolean} isShotgunPellet - Whether this bullet is a pellet from a shotgun
+   * @param {string} weaponId - Weapon that fired this bullet (see data/weapons.json)
    */
-  constructor(position, direction, bulletId = null, isShotgunPellet = false) {
+  constructor(position, direction, bulletId = null, weaponId = DEFAULT_WEAPON) {
+    const weapon = getWeapon(weaponId);
+    
     // Dynamic bullet trajectory adjustment based on viewport
     this.adjustTrajectoryForViewport(direction);
     
@@ -27,9 +31,9 @@ export class Bullet {
     this.mesh.position.copy(position);
 
     this.direction = direction.clone();
-    this.speed = 80; // speed units/second
+    this.speed = weapon.projectileSpeed; // speed units/second
     this.distanceTraveled = 0;
-    this.maxDistance = 100;
+    this.maxDistance = weapon.range;
     this.timeCreated = performance.now();
 
     // Remember previous position for continuous detection
@@ -48,8 +52,9 @@ export class Bullet {
     this.rayOrigin = position.clone();
     this.rayDirection = direction.clone();
     
-    // Flag to identify if this bullet is a shotgun pellet
-    this.isShotgunPellet = isShotgunPellet;
+    // Damage and pellet behaviour come from the weapon
+    this.weaponId = weaponId;
+    this.isShotgunPellet = weapon.pellets > 1;
     
     // Create a visual path for trajectory debugging
     if (window.debugMode) {
@@ -272,6 +277,18 @@ export class Bullet {
       }
     }
 
+    // Walls and buildings stop the bullet, the server sweeps against the same collider boxes
+    if (window.townColliders) {
+      const stepLength = this.lastPosition.distanceTo(endPos);
+      raycaster.set(this.lastPosition, this.direction);
+      for (const collider of window.townColliders) {
+        if (!raycaster.ray.intersectBox(collider.box, wallHitPoint)) continue;
+        if (wallHitPoint.distanceTo(this.lastPosition) <= stepLength) {
+          return { active: false, hit: { type: 'wall', position: wallHitPoint.clone() } };
+        }
+      }
+    }
+
     // Anti-cheat: For local bullets, collision detection is only client-side prediction
     // For remote bullets, we rely on client-side collision for visual effects
     
@@ -456,10 +473,7 @@ export class Bullet {
   checkPlayerHitZones(playerObj, bulletPos) {
     // If the player has a ThirdPersonModel, use its dedicated mesh-based hit detection
     if (playerObj.playerModel && playerObj.playerModel.checkBulletHit) {
-      const hitResult = playerObj.playerModel.checkBulletHit(bulletPos, this.isShotgunPellet);
-      
-      // If this is a shotgun pellet, adjust the damage (should be handled by the model now)
-      return hitResult;
+      return playerObj.playerModel.checkBulletHit(bulletPos, this.weaponId, this.distanceTraveled);
     }
     
     // Fallback to box-based hit detection for local player or models without mesh hit detection
@@ -544,8 +558,7 @@ export class Bullet {
     );
     
     if (reusableBox.containsPoint(bulletPos)) {
-      // Apply different damage based on whether this is a shotgun pellet
-      const damage = this.isShotgunPellet ? 10 : 100;
+      const damage = getHitDamage(this.weaponId, 'head', this.distanceTraveled);
       return { hit: true, zone: 'head', damage: damage };
     }
     
@@ -562,8 +575,7 @@ export class Bullet {
     );
     
     if (reusableBox.containsPoint(bulletPos)) {
-      // Apply different damage based on whether this is a shotgun pellet
-      const damage = this.isShotgunPellet ? 5 : 40;
+      const damage = getHitDamage(this.weaponId, 'body', this.distanceTraveled);
       return { hit: true, zone: 'body', damage: damage };
     }
     
@@ -581,8 +593,7 @@ export class Bullet {
     );
     
     if (reusableBox.containsPoint(bulletPos)) {
-      // Apply different damage based on whether this is a shotgun pellet
-      const damage = this.isShotgunPellet ? 5 : 20;
+      const damage = getHitDamage(this.weaponId, 'limbs', this.distanceTraveled);
       return { hit: true, zone: 'limbs', damage: damage };
     }
     
@@ -599,8 +610,7 @@ export class Bullet {
     );
     
     if (reusableBox.containsPoint(bulletPos)) {
-      // Apply different damage based on whether this is a shotgun pellet
-      const damage = this.isShotgunPellet ? 5 : 20;
+      const damage = getHitDamage(this.weaponId, 'limbs', this.distanceTraveled);
       return { hit: true, zone: 'limbs', damage: damage };
     }
     
@@ -618,8 +628,7 @@ export class Bullet {
     );
     
     if (reusableBox.containsPoint(bulletPos)) {
-      // Apply different damage based on whether this is a shotgun pellet
-      const damage = this.isShotgunPellet ? 5 : 20;
+      const damage = getHitDamage(this.weaponId, 'limbs', this.distanceTraveled);
       return { hit: true, zone: 'limbs', damage: damage };
     }
     
@@ -636,14 +645,13 @@ export class Bullet {
     );
     
     if (reusableBox.containsPoint(bulletPos)) {
-      // Apply different damage based on whether this is a shotgun pellet
-      const damage = this.isShotgunPellet ? 5 : 20;
+      const damage = getHitDamage(this.weaponId, 'limbs', this.distanceTraveled);
       return { hit: true, zone: 'limbs', damage: damage };
     }
     
     // If we reach here but hit the overall box, it's a grazing hit to the body
     // Instead of no damage, register it as a body hit with reduced damage
-    const damage = this.isShotgunPellet ? 5 : 30;
+    const damage = getHitDamage(this.weaponId, 'graze', this.distanceTraveled);
     return { hit: true, zone: 'body', damage: damage };
   }
   
@@ -846,7 +854,7 @@ export class Bullet {
    */
   handleServerImpact(hitType, targetId, position, scene) {
     // Skip creating ground impact effect
-    if (hitType === 'ground' || hitType === 'arena' || hitType === 'boundary') {
+    if (hitType === 'ground' || hitType === 'wall' || hitType === 'arena' || hitType === 'boundary') {
       return { active: false, hit: { type: hitType, targetId, position } };
     }
     
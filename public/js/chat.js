@@ -15,12 +15,71 @@ let chatContainer;
 let messageCount = 0;
 let lastSentMessage = null;
 let lastMessageTime = 0; // Track when the last message was sent
+let chatNetworkManager = null; // Holds the slash commands the server lets us use
+let commandHint; // Usage line shown under the input while typing a command
+let channelButton; // Shows the channel we're talking on, click or Tab to switch
+let activeChannel = 'global';
+let latestMessageTime = 0; // Server time of the newest line shown, so history isn't replayed twice
+
+// Chat channels in switcher order, keyed by the server's channel names
+const CHANNELS = {
+  global: { label: 'Global', tag: 'G', color: '#ddd' },
+  proximity: { label: 'Nearby', tag: 'N', color: '#8fd18f' },
+  duel: { label: 'Duel', tag: 'D', color: '#ff9966' }
+};
+
+// Players whose messages we hide, by lowercased username. Kept in localStorage so blocks outlast the session
+const BLOCK_STORAGE_KEY = 'wildWestChatBlocked';
+let blockedPlayers = loadBlockedPlayers();
+
+// Commands handled right here rather than by the server; blocking is nobody else's business
+const LOCAL_COMMANDS = [
+  {
+    name: 'block',
+    aliases: ['ignore'],
+    usage: '/block <player>',
+    description: "Hide a player's messages",
+    run: (args) => {
+      if (!args) return false;
+      blockedPlayers.add(args.toLowerCase());
+      saveBlockedPlayers();
+      addSystemMessage(`You won't see messages from ${args} any more`);
+    }
+  },
+  {
+    name: 'unblock',
+    aliases: ['unignore'],
+    usage: '/unblock <player>',
+    description: "Show a blocked player's messages again",
+    run: (args) => {
+      if (!args) return false;
+      if (!blockedPlayers.delete(args.toLowerCase())) {
+        addSystemMessage(`${args} isn't blocked`);
+        return;
+      }
+      saveBlockedPlayers();
+      addSystemMessage(`Unblocked ${args}`);
+    }
+  },
+  {
+    name: 'blocked',
+    aliases: [],
+    usage: '/blocked',
+    description: 'List the players you have blocked',
+    run: () => {
+      addSystemMessage(blockedPlayers.size > 0
+        ? `Blocked: ${Array.from(blockedPlayers).join(', ')}`
+        : "You haven't blocked anyone");
+    }
+  }
+];
 
 /**
  * Initialize the chat system
  * @param {NetworkManager} networkManager - The network manager for sending messages
  */
 export function initChat(networkManager) {
+  chatNetworkManager = networkManager;
   createChatUI();
   setupChatEventListeners(networkManager);
 }
@@ -49,14 +108,27 @@ function createChatUI() {
   chatInputContainer.id = 'chat-input-container';
   gameContainer.appendChild(chatInputContainer);
   
+  // Create the channel switcher
+  channelButton = document.createElement('button');
+  channelButton.id = 'chat-channel-button';
+  channelButton.type = 'button';
+  chatInputContainer.appendChild(channelButton);
+  updateChannelButton();
+  
   // Create input field
   chatInput = document.createElement('input');
   chatInput.id = 'chat-input';
   chatInput.type = 'text';
   chatInput.maxLength = 60; // Limit message length
-  chatInput.placeholder = 'Type your message...';
+  chatInput.placeholder = 'Type a message, or /help for commands';
   chatInputContainer.appendChild(chatInput);
   
+  // Create the command hint, filled in as the player types a slash command
+  commandHint = document.createElement('div');
+  commandHint.id = 'chat-command-hint';
+  commandHint.style.display = 'none';
+  chatInputContainer.appendChild(commandHint);
+  
   // Create send button for mobile
   const sendButton = document.createElement('button');
   sendButton.id = 'chat-send-button';
@@ -169,11 +241,31 @@ function setupChatEventListeners(networkManager) {
         event.preventDefault();
       }
       
+      // Tab completes slash commands and player names, and otherwise switches channel
+      if (event.code === 'Tab') {
+        event.preventDefault();
+        if (chatInput.value.startsWith('/')) {
+          autocompleteInput();
+        } else {
+          cycleChannel();
+        }
+      }
+      
       // Prevent game actions while typing
       event.stopPropagation();
     }
   }, true);
   
+  // Keep the command hint in step with what's typed
+  chatInput.addEventListener('input', updateCommandHint);
+  
+  // Switch channel without losing what's been typed
+  channelButton.addEventListener('click', (event) => {
+    event.stopPropagation();
+    cycleChannel();
+    chatInput.focus();
+  });
+  
   // Handle clicks to close chat when clicking outside chat elements
   document.addEventListener('click', (event) => {
     if (isChatActive) {
@@ -276,6 +368,7 @@ function closeChat() {
   isChatActive = false;
   chatInputContainer.style.display = 'none';
   chatInput.blur();
+  commandHint.style.display = 'none';
   
   // Remove active class from chat container
   chatContainer.classList.remove('active');
@@ -319,28 +412,45 @@ function enableGameControls() {
  * @param {NetworkManager} networkManager - The network manager for sending messages
  */
 function sendChatMessage(message, networkManager) {
-  // Client-side rate limiting to give immediate feedback
-  const now = Date.now();
-  if (now - lastMessageTime < 2000) {
-    addSystemMessage("Please wait 2 seconds between messages");
+  const isCommand = message.startsWith('/');
+  const command = isCommand ? findCommand(message.slice(1).split(' ')[0]) : null;
+  
+  // Block list commands never reach the server
+  if (command && command.run) {
+    const args = message.slice(message.indexOf(' ') === -1 ? message.length : message.indexOf(' ') + 1).trim();
+    if (command.run(args) === false) {
+      addSystemMessage(`Usage: ${command.usage}`);
+    }
     return;
   }
   
-  // Update last message timestamp
-  lastMessageTime = now;
+  // Client-side rate limiting to give immediate feedback (the server skips it for commands like /help)
+  const now = Date.now();
+  if (!command || command.rateLimited !== false) {
+    if (now - lastMessageTime < 2000) {
+      addSystemMessage("Please wait 2 seconds between messages");
+      return;
+    }
+    
+    // Update last message timestamp
+    lastMessageTime = now;
+  }
   
   // Get username from player identity or use default
   const username = window.playerIdentity?.username || 'Player';
   
-  // Add message to local chat first (local player message)
-  addChatMessage(username, message, true);
+  // Add message to local chat first (local player message). Commands are answered by the server instead
+  if (!isCommand) {
+    addChatMessage(username, message, true, activeChannel);
+  }
   
   // Send message to server if network is available
   if (networkManager && networkManager.socket && 
       networkManager.socket.readyState === WebSocket.OPEN) {
     networkManager.socket.send(JSON.stringify({
       type: 'chat',
-      message: message
+      message: message,
+      channel: activeChannel
     }));
   }
 }
@@ -350,8 +460,9 @@ function sendChatMessage(message, networkManager) {
  * @param {string} username - The username of the sender
  * @param {string} message - The message content
  * @param {boolean} isLocal - Whether this is the local player's message
+ * @param {string} channel - Channel it was said on, see CHANNELS
  */
-export function addChatMessage(username, message, isLocal = false) {
+export function addChatMessage(username, message, isLocal = false, channel = 'global') {
   // Avoid duplicate messages when receiving back your own message from server
   const localUsername = window.playerIdentity?.username || 'Player';
   if (!isLocal && username === localUsername && message === lastSentMessage) {
@@ -361,6 +472,7 @@ export function addChatMessage(username, message, isLocal = false) {
   
   const messageElement = document.createElement('div');
   messageElement.className = 'chat-message';
+  messageElement.appendChild(createChannelTag(channel));
   
   const usernameSpan = document.createElement('span');
   usernameSpan.className = 'username';
@@ -374,16 +486,60 @@ export function addChatMessage(username, message, isLocal = false) {
   messageElement.appendChild(usernameSpan);
   messageElement.appendChild(document.createTextNode(' ' + message));
   
-  chatMessages.appendChild(messageElement);
-  messageCount++;
+  // No fadeout or removal - messages persist indefinitely
+  appendMessageElement(messageElement);
+}
+
+/**
+ * Add a private message to the chat
+ * @param {Object} data - { senderId, username, targetUsername, message } from the server
+ */
+export function addWhisperMessage(data) {
+  const outgoing = window.localPlayer && data.senderId === window.localPlayer.id;
   
-  // Update chat container size if needed
-  updateChatPosition();
+  const messageElement = document.createElement('div');
+  messageElement.className = 'chat-message whisper-message';
+  messageElement.appendChild(createChannelTag('whisper'));
   
-  // Auto scroll to bottom
-  chatMessages.scrollTop = chatMessages.scrollHeight;
+  const usernameSpan = document.createElement('span');
+  usernameSpan.className = 'username';
+  usernameSpan.textContent = outgoing ? `To ${data.targetUsername}:` : `From ${data.username}:`;
   
-  // No fadeout or removal - messages persist indefinitely
+  messageElement.appendChild(usernameSpan);
+  messageElement.appendChild(document.createTextNode(' ' + data.message));
+  
+  appendMessageElement(messageElement);
+}
+
+/**
+ * Add an emote ("/me waves") to the chat
+ * @param {string} username - Who is emoting
+ * @param {string} message - The action
+ * @param {string} channel - Channel it was done on, see CHANNELS
+ */
+export function addEmoteMessage(username, message, channel = 'global') {
+  const messageElement = document.createElement('div');
+  messageElement.className = 'chat-message emote-message';
+  messageElement.appendChild(createChannelTag(channel));
+  
+  const action = document.createElement('span');
+  action.style.color = getUsernameColor(username);
+  action.textContent = `* ${username} ${message}`;
+  messageElement.appendChild(action);
+  
+  appendMessageElement(messageElement);
+}
+
+/**
+ * Add a server-wide announcement to the chat
+ * @param {string} message - The announcement
+ */
+export function addAnnouncementMessage(message) {
+  const messageElement = document.createElement('div');
+  messageElement.className = 'chat-message announcement-message';
+  messageElement.textContent = 'ANNOUNCEMENT: ' + message;
+  
+  appendMessageElement(messageElement);
 }
 
 /**
@@ -395,6 +551,50 @@ export function addSystemMessage(message) {
   messageElement.className = 'chat-message system-message';
   messageElement.textContent = 'SYSTEM: ' + message;
   
+  // System messages persist indefinitely like regular messages
+  appendMessageElement(messageElement);
+}
+
+/**
+ * Build the [G]/[N]/[D]/[W] tag shown at the start of a line
+ * @param {string} channel - A key of CHANNELS, or 'whisper'
+ * @returns {HTMLElement}
+ */
+function createChannelTag(channel) {
+  const info = CHANNELS[channel] || { tag: 'W', label: 'Whisper', color: '#e6a8ff' };
+  
+  const tag = document.createElement('span');
+  tag.className = 'chat-channel-tag';
+  tag.textContent = `[${info.tag}]`;
+  tag.title = info.label;
+  tag.style.color = info.color;
+  return tag;
+}
+
+/**
+ * Switch to the next channel for the messages we send
+ */
+function cycleChannel() {
+  const names = Object.keys(CHANNELS);
+  activeChannel = names[(names.indexOf(activeChannel) + 1) % names.length];
+  updateChannelButton();
+}
+
+/**
+ * Show the active channel on the switcher
+ */
+function updateChannelButton() {
+  const info = CHANNELS[activeChannel];
+  channelButton.textContent = info.label;
+  channelButton.style.color = info.color;
+  channelButton.title = 'Channel (Tab to switch)';
+}
+
+/**
+ * Append a finished message line and keep the newest one in view
+ * @param {HTMLElement} messageElement - The message line
+ */
+function appendMessageElement(messageElement) {
   chatMessages.appendChild(messageElement);
   messageCount++;
   
@@ -403,8 +603,6 @@ export function addSystemMessage(message) {
   
   // Auto scroll to bottom
   chatMessages.scrollTop = chatMessages.scrollHeight;
-  
-  // System messages persist indefinitely like regular messages
 }
 
 /**
@@ -428,11 +626,188 @@ function getUsernameColor(username) {
 }
 
 /**
- * Handle incoming chat messages from other players
- * @param {Object} data - The chat message data from the server
+ * Handle incoming chat messages from the server
+ * @param {Object} data - The chat message data from the server, kind is 'chat', 'whisper', 'emote', 'system' or 'announcement'
  */
 export function handleChatMessage(data) {
-  addChatMessage(data.username, data.message);
+  if (data.time) {
+    latestMessageTime = Math.max(latestMessageTime, data.time);
+  }
+  
+  // Hide anything a blocked player says, but keep our own whispers to them
+  const fromLocalPlayer = window.localPlayer && data.senderId === window.localPlayer.id;
+  if (data.username && !fromLocalPlayer && isPlayerBlocked(data.username)) {
+    return;
+  }
+  
+  switch (data.kind) {
+    case 'whisper':
+      addWhisperMessage(data);
+      break;
+    case 'emote':
+      addEmoteMessage(data.username, data.message, data.channel);
+      break;
+    case 'system':
+      addSystemMessage(data.message);
+      break;
+    case 'announcement':
+      addAnnouncementMessage(data.message);
+      break;
+    default:
+      addChatMessage(data.username, data.message, false, data.channel);
+  }
+}
+
+/**
+ * Show the recent global chat the server sends on joining. After a reconnect only the
+ * lines we missed are added.
+ * @param {Array<Object>} history - chatMessage payloads, oldest first
+ */
+export function replayChatHistory(history) {
+  const missed = (history || []).filter(line => line.time > latestMessageTime);
+  for (const line of missed) {
+    handleChatMessage({ kind: 'chat', ...line });
+  }
+}
+
+/**
+ * Look up a slash command the server told us about
+ * @param {string} name - Command name or alias, without the slash
+ * @returns {Object|null} { name, aliases, usage, description, rateLimited }
+ */
+function findCommand(name) {
+  const lowered = name.toLowerCase();
+  return getCommands().find(command => command.name === lowered || command.aliases.includes(lowered)) || null;
+}
+
+/**
+ * Every slash command we know: the server's and the local block list ones
+ * @returns {Array<Object>}
+ */
+function getCommands() {
+  const serverCommands = chatNetworkManager ? chatNetworkManager.chatCommands : [];
+  return serverCommands.concat(LOCAL_COMMANDS);
+}
+
+/**
+ * @param {string} username - A player's name
+ * @returns {boolean} True if we've blocked them
+ */
+export function isPlayerBlocked(username) {
+  return blockedPlayers.has(username.toLowerCase());
+}
+
+/**
+ * @returns {Set<string>} Blocked usernames from localStorage
+ */
+function loadBlockedPlayers() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(BLOCK_STORAGE_KEY) || '[]');
+    return new Set(Array.isArray(stored) ? stored : []);
+  } catch (e) {
+    console.error('Failed to load blocked players:', e);
+    return new Set();
+  }
+}
+
+/**
+ * Write the block list back to localStorage
+ */
+function saveBlockedPlayers() {
+  try {
+    localStorage.setItem(BLOCK_STORAGE_KEY, JSON.stringify(Array.from(blockedPlayers)));
+  } catch (e) {
+    console.error('Failed to save blocked players:', e);
+  }
+}
+
+/**
+ * Names of the other players in town, for completing "/w" and "/duel"
+ * @returns {Array<string>}
+ */
+function getOnlinePlayerNames() {
+  const manager = window.multiplayerManager;
+  if (!manager || !manager.playerLabels) return [];
+  
+  return Array.from(manager.playerLabels.values())
+    .filter(label => !label.div.classList.contains('ai-controlled'))
+    .map(label => label.div.textContent);
+}
+
+/**
+ * Longest prefix shared by all the candidates, ignoring case
+ * @param {Array<string>} candidates - At least one string
+ * @returns {string}
+ */
+function commonPrefix(candidates) {
+  let prefix = candidates[0];
+  for (const candidate of candidates) {
+    while (!candidate.toLowerCase().startsWith(prefix.toLowerCase())) {
+      prefix = prefix.slice(0, -1);
+    }
+  }
+  return prefix;
+}
+
+/**
+ * Complete the command name, or the player name for commands that take one
+ */
+function autocompleteInput() {
+  const value = chatInput.value;
+  if (!value.startsWith('/')) return;
+  
+  const spaceIndex = value.indexOf(' ');
+  
+  if (spaceIndex === -1) {
+    const partial = value.slice(1).toLowerCase();
+    const names = getCommands().map(command => command.name).filter(name => name.startsWith(partial));
+    if (names.length === 0) return;
+    
+    chatInput.value = names.length === 1 ? `/${names[0]} ` : `/${commonPrefix(names)}`;
+  } else {
+    const command = findCommand(value.slice(1, spaceIndex));
+    if (!command || !command.usage.includes('<player>')) return;
+    
+    const partial = value.slice(spaceIndex + 1);
+    const names = getOnlinePlayerNames().filter(name => name.toLowerCase().startsWith(partial.toLowerCase()));
+    if (names.length === 0) return;
+    
+    const completed = names.length === 1 ? `${names[0]} ` : commonPrefix(names);
+    chatInput.value = value.slice(0, spaceIndex + 1) + completed;
+  }
+  
+  updateCommandHint();
+}
+
+/**
+ * Show matching commands while the command name is typed, then that command's usage
+ */
+function updateCommandHint() {
+  const value = chatInput.value;
+  const commands = getCommands();
+  
+  if (!value.startsWith('/')) {
+    commandHint.style.display = 'none';
+    return;
+  }
+  
+  const spaceIndex = value.indexOf(' ');
+  let matches;
+  if (spaceIndex === -1) {
+    const partial = value.slice(1).toLowerCase();
+    matches = commands.filter(command => command.name.startsWith(partial)).slice(0, 5);
+  } else {
+    const command = findCommand(value.slice(1, spaceIndex));
+    matches = command ? [command] : [];
+  }
+  
+  if (matches.length === 0) {
+    commandHint.style.display = 'none';
+    return;
+  }
+  
+  commandHint.textContent = matches.map(command => `${command.usage} - ${command.description}`).join('\n');
+  commandHint.style.display = 'block';
 }
 
 /**
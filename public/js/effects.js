@@ -326,11 +326,11 @@ const BLOOD_POOL = {
  * @param {THREE.Vector3} position - Impact position.
  * @param {THREE.Vector3} direction - Impact (bullet) direction.
  * @param {THREE.Scene} scene - The scene to add the effect.
- * @param {string} hitType - Type of impact: 'player', 'npc', or 'ground'.
+ * @param {string} hitType - Type of impact: 'player', 'npc', 'ground' or 'wall'.
  */
 export function createImpactEffect(position, direction, scene, hitType) {
-  // Skip ground impact effects completely
-  if (hitType === 'ground') {
+  // Skip ground and wall impact effects completely
+  if (hitType === 'ground' || hitType === 'wall') {
     return;
   }
 
@@ -7,6 +7,7 @@
  */
 
 import { isChatInputActive } from './chat.js';
+import { getWeapon, getWeaponIdBySlot } from './weapons.js';
 
 export function initInput(renderer, player, soundManager) {
   // Track if device is mobile
@@ -75,14 +76,13 @@ export function initInput(renderer, player, soundManager) {
       }
     }
     
-    // Weapon switching with number keys
-    if (event.code === 'Digit1') {
-      player.switchWeapon('revolver');
-      return;
-    }
-    if (event.code === 'Digit2') {
-      player.switchWeapon('shotgun');
-      return;
+    // Weapon switching with number keys (slots come from the weapon registry)
+    if (event.code.startsWith('Digit')) {
+      const weaponId = getWeaponIdBySlot(Number(event.code.slice(5)));
+      if (weaponId) {
+        player.switchWeapon(weaponId);
+        return;
+      }
     }
     
     switch (event.code) {
@@ -118,7 +118,7 @@ export function initInput(renderer, player, soundManager) {
           }
 
           if (soundManager) {
-            soundManager.playSound(player.activeWeapon === 'shotgun' ? "shotgundraw" : "revolverdraw");
+            soundManager.playSound(getWeapon(player.activeWeapon).sounds.draw);
           }
         }
         break;
@@ -228,7 +228,7 @@ export function initInput(renderer, player, soundManager) {
         }
 
         if (soundManager) {
-          soundManager.playSound(player.activeWeapon === 'shotgun' ? "shotgundraw" : "revolverdraw");
+          soundManager.playSound(getWeapon(player.activeWeapon).sounds.draw);
         }
       } else if (player.isFAiming) {
         // RMB pressed while F-aiming - prepare for shoot on release
@@ -936,7 +936,7 @@ function createMobileControls(player, soundManager) {
           }
           
           if (soundManager) {
-            soundManager.playSound(player.activeWeapon === 'shotgun' ? "shotgundraw" : "revolverdraw");
+            soundManager.playSound(getWeapon(player.activeWeapon).sounds.draw);
           }
         }
       }
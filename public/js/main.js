@@ -5,6 +5,7 @@ import { Player } from './player.js';
 import { networkManager } from './network.js';
 import { MultiplayerManager } from './multiplayerManager.js';
 import { Bullet } from './bullet.js';
+import { DEFAULT_WEAPON, getWeapon } from './weapons.js';
 import { ThirdPersonModel } from './playerModel.js';
 import { PhysicsSystem } from './physics.js';
 import { createMuzzleFlash, createSmokeEffect, createImpactEffect, preloadMuzzleFlash, preloadSmokeEffect, SmokeRingEffect, DrunkennessEffect } from './effects.js';
@@ -14,7 +15,7 @@ import { Viewmodel } from './viewmodel.js';
 import { initPlayerIdentity, verifyIdentityWithServer } from './playerIdentity.js';
 import logger from './logger.js';
 import { FlyingEagle } from './flyingEagle.js';
-import { initChat, handleChatMessage, addSystemMessage } from './chat.js';
+import { initChat, handleChatMessage, addSystemMessage, replayChatHistory } from './chat.js';
 import { initNpcManager, npcManager } from './npcManager.js';
 console.log("NPC Manager module loaded");
 import './viewmodel-config.js';
@@ -167,7 +168,7 @@ async function init() {
       // Check if this was a first-time user to determine when to show instructions
       const isFirstTimeUser = playerIdentity.lastLogin === playerIdentity.createdAt;
       
-      // Verify identity with server (will be used in future server-side validation)
+      // Verify identity with server, the WebSocket handshake checks the same token
       return verifyIdentityWithServer(playerIdentity).then(verificationResult => {
         if (!verificationResult.verified) {
           console.warn('Identity verification failed, using local identity only');
@@ -344,10 +345,28 @@ async function init() {
       setTimeout(() => { networkStatus.style.opacity = '0'; }, 2000);
     });
     networkManager.socket.addEventListener('close', () => {
+      // A rejection already says what happened, see onConnectionRejected
+      if (networkManager.rejection) return;
       networkStatus.textContent = 'Disconnected';
       networkStatus.style.backgroundColor = 'rgba(255,0,0,0.5)';
       networkStatus.style.opacity = '1';
     });
+    
+    // Say why the server turned us away (ban, full town...) rather than just "Disconnected"
+    networkManager.onConnectionRejected = (rejection) => {
+      if (!rejection) {
+        networkStatus.textContent = 'Connected';
+        networkStatus.style.backgroundColor = 'rgba(0,128,0,0.5)';
+        setTimeout(() => { networkStatus.style.opacity = '0'; }, 2000);
+        return;
+      }
+      
+      networkStatus.textContent = rejection.retryAfter
+        ? `${rejection.message} Trying again in ${Math.ceil(rejection.retryAfter / 1000)}s...`
+        : rejection.message;
+      networkStatus.style.backgroundColor = 'rgba(255,0,0,0.5)';
+      networkStatus.style.opacity = '1';
+    };
 
     // Listen for remote players shooting
     networkManager.onPlayerShoot = (playerId, bulletData, bulletId) => {
@@ -360,15 +379,13 @@ async function init() {
     };
 
     // Anti-cheat: Listen for position corrections from server
-    networkManager.onPositionCorrection = (correctedPosition) => {
+    networkManager.onPositionCorrection = (correctedPosition, sequenceNumber) => {
       if (localPlayer) {
-        // Store the server position for reconciliation
-        localPlayer.serverPosition = new THREE.Vector3(
-          correctedPosition.x,
-          correctedPosition.y,
-          correctedPosition.z
+        // Replay our unacknowledged inputs on top of the server position
+        localPlayer.reconcile(
+          new THREE.Vector3(correctedPosition.x, correctedPosition.y, correctedPosition.z),
+          sequenceNumber || 0
         );
-        localPlayer.isReconciling = true;
       }
     };
     
@@ -412,6 +429,22 @@ async function init() {
       }
     };
 
+    // Admin console: Teleport and health changes
+    networkManager.onTeleport = (position) => {
+      if (localPlayer) {
+        localPlayer.group.position.copy(position);
+        localPlayer.previousPosition.copy(position);
+        localPlayer.velocity.y = 0;
+      }
+    };
+
+    networkManager.onSetHealth = (health) => {
+      if (localPlayer) {
+        localPlayer.health = health;
+        updateHealthUI(localPlayer);
+      }
+    };
+
     // Handle local player death
     networkManager.onDeath = (killerId) => {
       console.log(`You were killed by player ${killerId}`);
@@ -655,13 +688,17 @@ async function init() {
     initChat(networkManager);
     
     // Set up chat message handler
-    networkManager.onChatMessage = (senderId, username, message) => {
-      // Ignore messages from ourselves to prevent duplicates
-      if (senderId === localPlayer.id) return;
+    networkManager.onChatMessage = (senderId, username, message, data) => {
+      // Ignore our own plain messages to prevent duplicates; whispers, emotes and replies only come from the server
+      const kind = data && data.kind ? data.kind : 'chat';
+      if (kind === 'chat' && senderId === localPlayer.id) return;
       
-      // Only handle messages from other players
-      handleChatMessage({ username, message });
+      handleChatMessage({ ...data, kind, senderId, username, message });
     };
+    
+    // Show what was said before we arrived, including any history that came in before the chat was ready
+    networkManager.onChatHistory = replayChatHistory;
+    replayChatHistory(networkManager.chatHistory);
 
     // Listen for skin permission updates
     networkManager.handleMessage = (originalHandleMessage => {
@@ -920,8 +957,9 @@ function animate(time) {
  * Spawns a bullet locally and also notifies the server.
  * @param {THREE.Vector3} bulletStart 
  * @param {THREE.Vector3} shootDir 
+ * @param {number} pelletIndex - Pellet number within a shotgun blast, 0 for revolver shots
  */
-function handleLocalPlayerShoot(bulletStart, shootDir) {
+function handleLocalPlayerShoot(bulletStart, shootDir, pelletIndex = 0) {
   // Spawn bullet in our local game (client-side prediction)
   const bullet = spawnBullet(localPlayer.id, bulletStart, shootDir);
   
@@ -940,19 +978,21 @@ function handleLocalPlayerShoot(bulletStart, shootDir) {
     }
   }
 
-  // Send bullet data over network
-  networkManager.sendShoot({
-    position: {
-      x: bulletStart.x,
-      y: bulletStart.y,
-      z: bulletStart.z
-    },
-    direction: {
-      x: shootDir.x,
-      y: shootDir.y,
-      z: shootDir.z
-    }
-  });
+  // Send bullet data over network - once per trigger pull, the server generates the shotgun's other pellets
+  if (pelletIndex === 0) {
+    networkManager.sendShoot({
+      position: {
+        x: bulletStart.x,
+        y: bulletStart.y,
+        z: bulletStart.z
+      },
+      direction: {
+        x: shootDir.x,
+        y: shootDir.y,
+        z: shootDir.z
+      }
+    });
+  }
   
   // Add this section to check for Quick Draw hit
   if (quickDraw && quickDraw.inDuel && quickDraw.duelState === 'draw' && quickDraw.duelOpponentId) {
@@ -980,8 +1020,8 @@ function handleLocalPlayerShoot(bulletStart, shootDir) {
  * @param {string|number} bulletId - Server-assigned bullet ID
  */
 function handleRemotePlayerShoot(playerId, bulletData, bulletId) {
-  // Check if this is a shotgun pellet from the metadata
-  const isShotgunPellet = bulletData.isShotgunPellet || false;
+  // The server tags every bullet with the weapon that fired it
+  const weaponId = bulletData.weaponId || DEFAULT_WEAPON;
   
   // Skip effect creation if this is our own shot coming back from the server
   if (playerId === localPlayer.id) {
@@ -989,7 +1029,7 @@ function handleRemotePlayerShoot(playerId, bulletData, bulletId) {
     const startPos = new THREE.Vector3(bulletData.position.x, bulletData.position.y, bulletData.position.z);
     const dir = new THREE.Vector3(bulletData.direction.x, bulletData.direction.y, bulletData.direction.z);
     
-    const bullet = new Bullet(startPos, dir, bulletId, isShotgunPellet);
+    const bullet = new Bullet(startPos, dir, bulletId, weaponId);
     
     // Track this bullet ID so we can identify it when impact comes back
     if (!window.localPlayer.lastFiredBulletIds) {
@@ -1015,7 +1055,7 @@ function handleRemotePlayerShoot(playerId, bulletData, bulletId) {
   const startPos = new THREE.Vector3(bulletData.position.x, bulletData.position.y, bulletData.position.z);
   const dir = new THREE.Vector3(bulletData.direction.x, bulletData.direction.y, bulletData.direction.z);
   
-  spawnBullet(playerId, startPos, dir, bulletId, isShotgunPellet);
+  spawnBullet(playerId, startPos, dir, bulletId, weaponId);
 }
 
 /**
@@ -1089,17 +1129,18 @@ function handleBulletImpact(bulletId, hitType, targetId, position, hitZone) {
  * @param {THREE.Vector3} position 
  * @param {THREE.Vector3} direction 
  * @param {string|number} bulletId - Optional server-assigned ID (for remote bullets)
- * @param {boolean} isShotgunPellet - Whether this bullet is a shotgun pellet
+ * @param {string|null} weaponId - Weapon that fired it; defaults to the local player's weapon for local shots
  * @returns {Bullet} The created bullet object
  */
-function spawnBullet(sourcePlayerId, position, direction, bulletId = null, isShotgunPellet = false) {
-  // For local player, determine if this is a shotgun pellet based on their weapon
-  const isLocalShotgunPellet = sourcePlayerId === localPlayer.id && localPlayer.activeWeapon === 'shotgun';
+function spawnBullet(sourcePlayerId, position, direction, bulletId = null, weaponId = null) {
+  // Local shots come from the weapon in hand, remote ones carry the weapon the server reported
+  if (!weaponId) {
+    weaponId = sourcePlayerId === localPlayer.id ? localPlayer.activeWeapon : DEFAULT_WEAPON;
+  }
   
-  // Use the provided flag or infer from local player weapon
-  const isPellet = isShotgunPellet || isLocalShotgunPellet;
+  const isPellet = getWeapon(weaponId).pellets > 1;
   
-  const bullet = new Bullet(position, direction, bulletId, isPellet);
+  const bullet = new Bullet(position, direction, bulletId, weaponId);
   bullet.setSourcePlayer(sourcePlayerId);
   
   // Make shotgun pellets smaller
@@ -1163,23 +1204,8 @@ function spawnBullet(sourcePlayerId, position, direction, bulletId = null, isSho
     // Sound effects - only play for non-pellets or the first pellet
     if (!isPellet || (isPellet && bullets.length <= 1)) {
       if (localPlayer.soundManager) {
-        // Determine weapon type - try to get from source player or fallback to local player
-        let weaponType = 'revolver'; // Default fallback
-        
-        // If it's the local player, use their active weapon
-        if (sourcePlayerId === localPlayer.id) {
-          weaponType = localPlayer.activeWeapon;
-        } 
-        // If it's a remote player, try to get their weapon type from the remote players map
-        else if (remotePlayers && remotePlayers.has(sourcePlayerId)) {
-          const remotePlayer = remotePlayers.get(sourcePlayerId);
-          if (remotePlayer && remotePlayer.activeWeapon) {
-            weaponType = remotePlayer.activeWeapon;
-          }
-        }
-        
-        // Use appropriate sound based on weapon type
-        const soundName = weaponType === 'shotgun' ? "shotgunshot" : "shot";
+        // Use the firing weapon's gunshot sound
+        const soundName = getWeapon(weaponId).sounds.shot;
         
         if (sourcePlayerId === localPlayer.id) {
           // Special handling for mobile to prevent audio duplication/sync issues
@@ -1,6 +1,7 @@
 import { ThirdPersonModel } from './playerModel.js';
 import { networkManager } from './network.js';
 import { updateHealthUI, showDamageIndicator } from './ui.js';
+import { ServerClock } from './snapshotBuffer.js';
 
 /**
  * Manages all remote players (their models, animations, etc.) but NOT bullets.
@@ -32,6 +33,9 @@ export class MultiplayerManager {
 
     this.localPlayerId = null;
 
+    // Server clock estimate, remote players are drawn a fixed delay behind it
+    this.serverClock = new ServerClock();
+
     // Initialize network handlers
     this.initNetwork();
   }
@@ -188,6 +192,12 @@ export class MultiplayerManager {
           }
         }
         
+        // Movement updates are timestamped by the server and interpolated in update()
+        if (updatedData && updatedData.serverTime) {
+          this.serverClock.observe(updatedData.serverTime);
+          playerModel.addSnapshot(updatedData.serverTime, updatedData);
+        }
+        
         playerModel.update(updatedData);
       } else if (updatedData) {
         // If we don't have this model yet, create it
@@ -627,12 +637,14 @@ export class MultiplayerManager {
   }
 
   update(deltaTime) {
+    const renderTime = this.serverClock.renderTime();
+    
     // Update player models
     for (const [id, playerModel] of this.remotePlayers.entries()) {
       if (playerModel) {
         // Always call animateMovement which handles the snapshot-based animations too
         if (playerModel.animateMovement) {
-          playerModel.animateMovement(deltaTime);
+          playerModel.animateMovement(deltaTime, renderTime);
         }
         
         // Also call the general update method if it exists
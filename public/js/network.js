@@ -1,3 +1,5 @@
+import { encodeUpdate, SnapshotDecoder } from './binaryProtocol.js';
+
 /**
  * NetworkManager class for WebSocket communication.
  * It provides event callbacks for multiplayer events and methods to send data.
@@ -20,7 +22,9 @@ export class NetworkManager {
     this.onOpen = null;
     this.onClose = null;
     this.onError = null;
-    this.onChatMessage = null;       // When a chat message is received
+    this.onChatMessage = null;       // When a chat message is received (plain chat, whisper, emote, system reply...)
+    this.onChatHistory = null;       // When init brings the recent global chat
+    this.onConnectionRejected = null;// When the server turns us away (ban, full town...), null once a later try gets in
 
     // Train system callbacks
     this.onTrainInit = null;         // When initial train state is received
@@ -30,6 +34,19 @@ export class NetworkManager {
     this.onPositionCorrection = null;// When server corrects client position
     this.onBulletImpact = null;      // When a bullet hits something
     this.onRespawn = null;           // When player respawns
+    this.onWeaponState = null;       // When the server overrides our weapon/ammo (e.g. a refused switch)
+
+    // Admin console callbacks
+    this.onTeleport = null;          // When an admin moves us
+    this.onSetHealth = null;         // When an admin sets our health
+
+    // Slash commands the server lets us use, see the 'chatCommands' message
+    this.chatCommands = [];
+    // Recent global chat from the last init
+    this.chatHistory = [];
+
+    // Why the server last turned us away, see the 'connectionRejected' message
+    this.rejection = null;
 
     // Automatic reconnect attempts
     this.connectionAttempts = 0;
@@ -44,6 +61,12 @@ export class NetworkManager {
     
     // Anti-cheat: Map to track outgoing messages that need nonces
     this.pendingMessages = new Map();
+    
+    // Wire format for updates and snapshots. We ask for binary unless the page was opened with
+    // ?protocol=json (easier to read in the browser's network tab); the server confirms in 'init'
+    this.preferredProtocol = new URLSearchParams(window.location.search).get('protocol') === 'json' ? 'json' : 'binary';
+    this.protocol = 'json';
+    this.snapshotDecoder = null; // Binary snapshots are deltas, decoded against what we've already seen
   }
 
   /**
@@ -76,7 +99,8 @@ export class NetworkManager {
       sessionId: this.sessionId,
       clientId: playerIdentity.id || '',
       username: playerIdentity.username || '',
-      token: playerIdentity.token || '' // Add token for auth
+      token: playerIdentity.token || '', // Add token for auth
+      protocol: this.preferredProtocol
     });
 
     // Determine correct ws:// or wss:// based on current protocol
@@ -85,6 +109,7 @@ export class NetworkManager {
 
     console.log('Attempting to connect to:', wsUrl);
     this.socket = new WebSocket(wsUrl);
+    this.socket.binaryType = 'arraybuffer';
 
     this.socket.onopen = (event) => {
       console.log('WebSocket connected');
@@ -96,6 +121,15 @@ export class NetworkManager {
 
     this.socket.onmessage = (event) => {
       try {
+        // The only binary message is a world snapshot
+        if (event.data instanceof ArrayBuffer) {
+          const snapshot = this.snapshotDecoder ? this.snapshotDecoder.decode(event.data) : null;
+          if (snapshot) {
+            this.handleMessage({ type: 'worldSnapshot', serverTime: snapshot.serverTime, updates: snapshot.updates });
+          }
+          return;
+        }
+        
         const message = JSON.parse(event.data);
         
         // Handle auth failures specifically
@@ -165,6 +199,15 @@ export class NetworkManager {
    * Schedules a reconnect attempt if under max attempts.
    */
   _scheduleReconnect() {
+    // The server said why it turned us away: wait as long as it asked (a full town) or give up (a ban)
+    if (this.rejection) {
+      if (this.rejection.retryAfter) {
+        console.log(`Server full, trying again in ${(this.rejection.retryAfter / 1000).toFixed(1)}s...`);
+        this.reconnectTimer = setTimeout(() => this.connect(), this.rejection.retryAfter);
+      }
+      return;
+    }
+
     if (this.connectionAttempts < this.maxConnectionAttempts) {
       this.connectionAttempts++;
       const delay = Math.min(1000 * Math.pow(2, this.connectionAttempts), 30000);
@@ -190,10 +233,28 @@ export class NetworkManager {
         this.playerId = message.id;
         console.log(`Assigned player ID: ${this.playerId}`);
 
+        // Every connection starts a fresh delta chain
+        this.protocol = message.protocol === 'binary' ? 'binary' : 'json';
+        this.snapshotDecoder = this.protocol === 'binary' ? new SnapshotDecoder() : null;
+
+        // Let the UI drop a "town is full" notice from an earlier try
+        if (this.rejection) {
+          this.rejection = null;
+          if (this.onConnectionRejected) {
+            this.onConnectionRejected(null);
+          }
+        }
+  
         // If there's a callback
         if (typeof this.onInit === 'function') {
           this.onInit(message);
         }
+  
+        // Recent global chat, kept in case the chat box isn't up yet
+        this.chatHistory = message.chatHistory || [];
+        if (this.onChatHistory) {
+          this.onChatHistory(this.chatHistory);
+        }
 
         // Add known players - exclude any with our own ID
         message.players.forEach(player => {
@@ -210,9 +271,11 @@ export class NetworkManager {
         });
         break;
 
-      // Another player joined
+      // Another player joined, or a player or NPC came into range (the server only sends us
+      // what's near us)
       case 'playerJoined':
-        console.log(`Player ${message.id} joined${message.isNpc ? ' (NPC)' : (message.isBot ? ' (BOT)' : '')}`);
+      case 'entityEnter':
+        console.log(`Player ${message.id} ${message.type === 'entityEnter' ? 'came into range' : 'joined'}${message.isNpc ? ' (NPC)' : (message.isBot ? ' (BOT)' : '')}`);
         
         // Skip if this is our own ID
         if (message.id === this.playerId) {
@@ -229,22 +292,41 @@ export class NetworkManager {
           rotation: message.rotation,
           isAiming: false,
           isShooting: false,
-          isReloading: false,
+          isReloading: message.isReloading || false,
+          health: message.health !== undefined ? message.health : 100,
+          isDying: message.isDying || false,
           quickDrawLobbyIndex: message.quickDrawLobbyIndex || -1,
+          activeWeapon: message.activeWeapon || 'revolver',
           isBot: message.isBot || false, // Legacy bot flag
           isNpc: message.isNpc || false, // New NPC flag
           username: message.username || `Player_${message.id}`,
           skins: message.skins || { bananaSkin: false } // Include skin information
         });
+        
+        // Someone who came into range dead has to be shown lying down, not standing idle
+        if (message.isDying && this.onPlayerUpdate) {
+          this.onPlayerUpdate(message.id, this.otherPlayers.get(message.id));
+        }
         break;
 
-      // Player left
+      // Player left, or went out of range
       case 'playerLeft':
-        console.log(`Player ${message.id} left`);
+      case 'entityLeave':
+        console.log(`Player ${message.id} ${message.type === 'entityLeave' ? 'went out of range' : 'left'}`);
         if (this.onPlayerLeft) {
           this.onPlayerLeft(message.id);
         }
         this.otherPlayers.delete(message.id);
+        if (this.snapshotDecoder) {
+          this.snapshotDecoder.forget(message.id);
+        }
+        break;
+
+      // One server tick's worth of player and NPC updates
+      case 'worldSnapshot':
+        for (const update of message.updates) {
+          this.handleMessage({ type: 'playerUpdate', serverTime: message.serverTime, ...update });
+        }
         break;
 
       // General player update (pos/rot/aiming/etc.)
@@ -278,6 +360,9 @@ export class NetworkManager {
               message.isNpc !== undefined ? message.isNpc : existing.isNpc;
             existing.isWalking =
               message.isWalking !== undefined ? message.isWalking : existing.isWalking;
+            existing.activeWeapon = message.activeWeapon || existing.activeWeapon;
+            // Only set on updates that carry a position, for the snapshot interpolation
+            existing.serverTime = message.serverTime;
             
             // Always maintain skin state for syncing to new clients
             if (message.skins) {
@@ -299,6 +384,8 @@ export class NetworkManager {
                 isBot: message.isBot || false,
                 isNpc: message.isNpc || false,
                 isWalking: message.isWalking || false,
+                activeWeapon: message.activeWeapon || 'revolver',
+                serverTime: message.serverTime,
                 username: message.username || `Player_${message.id}`,
                 skins: message.skins || { bananaSkin: false } // Include skin information
               });
@@ -382,7 +469,7 @@ export class NetworkManager {
       case 'positionCorrection':
         console.log(`Received position correction:`, message.position);
         if (this.onPositionCorrection) {
-          this.onPositionCorrection(message.position);
+          this.onPositionCorrection(message.position, message.sequenceNumber);
         }
         break;
         
@@ -413,6 +500,27 @@ export class NetworkManager {
         }
         break;
 
+      // Admin console: Moved somewhere else in town
+      case 'teleport':
+        if (this.onTeleport) {
+          this.onTeleport(message.position);
+        }
+        break;
+
+      // Admin console: Health set outright
+      case 'setHealth':
+        if (this.onSetHealth) {
+          this.onSetHealth(message.health);
+        }
+        break;
+
+      // Anti-cheat: Server's view of our weapon and ammo after it refused a change
+      case 'weaponState':
+        if (this.onWeaponState) {
+          this.onWeaponState(message.activeWeapon, message.weaponAmmo);
+        }
+        break;
+
       // Player death notification - when this player is killed
       case 'death':
         console.log(`You were killed by player ${message.killerId}`);
@@ -437,6 +545,22 @@ export class NetworkManager {
         }
         break;
 
+      // Lag compensation: Echo latency probes so the server can measure our round trip
+      case 'ping':
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+          this.socket.send(JSON.stringify({ type: 'pong', serverTime: message.serverTime, probeId: message.probeId }));
+        }
+        break;
+
+      // Turned away at the handshake, the socket closes right after
+      case 'connectionRejected':
+        console.warn(`Connection rejected (${message.reason}): ${message.message}`);
+        this.rejection = message;
+        if (this.onConnectionRejected) {
+          this.onConnectionRejected(message);
+        }
+        break;
+
       // Generic error from server
       case 'error':
         console.error('Server error:', message.message);
@@ -449,10 +573,15 @@ export class NetworkManager {
       // Chat message received
       case 'chatMessage':
         if (this.onChatMessage) {
-          this.onChatMessage(message.senderId, message.username, message.message);
+          this.onChatMessage(message.senderId, message.username, message.message, message);
         }
         break;
 
+      // Slash commands available to us, read by the chat's autocomplete
+      case 'chatCommands':
+        this.chatCommands = message.commands || [];
+        break;
+
       // Player skin update
       case 'playerSkinUpdate':
         // Update the stored player data for skins
@@ -490,20 +619,27 @@ export class NetworkManager {
   /**
    * Sends local player position/rotation etc. to the server.
    * @param {Object} playerData - { position, rotation, isAiming, isReloading, isSprinting, isShooting, quickDrawLobbyIndex }
+   * @returns {number|null} The update's sequence number, null if it couldn't be sent
    */
   sendUpdate(playerData) {
     if (this.socket && this.socket.readyState === WebSocket.OPEN) {
       // Anti-cheat: Add sequence number for message ordering
       this.sequenceNumber++;
       
-      this.socket.send(
-        JSON.stringify({
-          type: 'update',
-          sequenceNumber: this.sequenceNumber,
-          ...playerData
-        })
-      );
+      if (this.protocol === 'binary') {
+        this.socket.send(encodeUpdate(this.sequenceNumber, this.snapshotDecoder.lastTick, playerData));
+      } else {
+        this.socket.send(
+          JSON.stringify({
+            type: 'update',
+            sequenceNumber: this.sequenceNumber,
+            ...playerData
+          })
+        );
+      }
+      return this.sequenceNumber;
     }
+    return null;
   }
 
   /**
@@ -569,6 +705,25 @@ export class NetworkManager {
     }
   }
   
+  /**
+   * Notifies server that we switched weapons.
+   * @param {string} weapon - 'revolver' or 'shotgun'
+   */
+  sendSwitchWeapon(weapon) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      // Anti-cheat: Add sequence number for message ordering
+      this.sequenceNumber++;
+      
+      this.socket.send(
+        JSON.stringify({
+          type: 'switchWeapon',
+          sequenceNumber: this.sequenceNumber,
+          weapon
+        })
+      );
+    }
+  }
+  
   /**
    * Sends a request to join a specific Quick Draw arena queue.
    * @param {number} arenaIndex - The arena index (0-4)
@@ -650,6 +805,76 @@ export class NetworkManager {
     }
   }
 
+  /**
+   * Asks the server for the list of running Quick Draw duels (answered with quickDrawDuelList).
+   */
+  sendQuickDrawListDuels() {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type: 'quickDrawListDuels' }));
+    }
+  }
+
+  /**
+   * Starts spectating a Quick Draw duel.
+   * @param {string|null} duelId - The duel to watch
+   * @param {number} [playerId] - Alternatively, watch the duel this player is in
+   */
+  sendQuickDrawSpectate(duelId, playerId) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({
+        type: 'quickDrawSpectate',
+        duelId: duelId,
+        playerId: playerId
+      }));
+    }
+  }
+
+  /**
+   * Stops spectating the current Quick Draw duel.
+   */
+  sendQuickDrawStopSpectating() {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type: 'quickDrawStopSpectating' }));
+    }
+  }
+
+  /**
+   * Opens sign-up for a Quick Draw tournament and signs this player up.
+   * @param {string} format - 'single' or 'double' elimination
+   */
+  sendTournamentCreate(format) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type: 'tournamentCreate', format }));
+    }
+  }
+
+  /**
+   * Signs up for the tournament that is taking entries.
+   */
+  sendTournamentJoin() {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type: 'tournamentJoin' }));
+    }
+  }
+
+  /**
+   * Leaves the tournament, forfeiting any remaining matches once it has started.
+   */
+  sendTournamentLeave() {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type: 'tournamentLeave' }));
+    }
+  }
+
+  /**
+   * Asks for the current tournament, answered with tournamentState.
+   */
+  sendTournamentGetState() {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type: 'tournamentGetState' }));
+    }
+  }
+
   /**
    * Closes the connection manually.
    */
@@ -658,14 +883,16 @@ export class NetworkManager {
   }
   
   /**
-   * Send a chat message to all players
+   * Send a chat message to a channel
    * @param {string} message - The chat message to send
+   * @param {string} channel - 'global', 'proximity' or 'duel'
    */
-  sendChatMessage(message) {
+  sendChatMessage(message, channel = 'global') {
     if (this.socket && this.socket.readyState === WebSocket.OPEN) {
       this.socket.send(JSON.stringify({
         type: 'chat',
-        message: message
+        message: message,
+        channel: channel
       }));
     }
   }
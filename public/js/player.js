@@ -2,6 +2,7 @@ import { Viewmodel } from './viewmodel.js';
 import { updateAmmoUI, updateHealthUI, showDamageIndicator } from './ui.js';
 import { applyRecoil } from './effects.js';
 import { networkManager } from './network.js';
+import { DEFAULT_WEAPON, isWeapon, getWeapon, createWeaponAmmo } from './weapons.js';
 
 /**
  * The local Player class (first-person).
@@ -90,37 +91,17 @@ export class Player {
     this.reloadTime = 4000; // Changed from 2000ms to 4000ms (4 seconds)
     this.reloadProgress = 0;
     
-    // Track bullets for each weapon type separately
-    this.weaponAmmo = {
-      revolver: 6,
-      shotgun: 2
-    };
+    // Track bullets for each weapon type separately (capacities come from the weapon registry)
+    this.weaponAmmo = createWeaponAmmo();
     
-    this.bullets = 6; // Current active weapon's bullets
-    this.maxBullets = 6;
-    this.canShoot = true;
-
     // Weapon types and switching
-    this.activeWeapon = 'revolver'; // 'revolver' or 'shotgun'
-    this.weaponStats = {
-      revolver: {
-        maxBullets: 6,
-        reloadTime: 4000,
-        bulletCount: 1, // Single bullet per shot
-        bulletSpread: 0.0005 // Default spread
-      },
-      shotgun: {
-        maxBullets: 2,
-        reloadTime: 6000, // Longer reload for shotgun
-        bulletCount: 10, // 10 pellets per shot
-        bulletSpread: 0.08, // Increased spread from 0.03 to 0.08
-        pelletDamage: {
-          head: 10,    // Headshot damage per pellet
-          body: 5,     // Body damage per pellet
-          limbs: 5     // Limb damage per pellet
-        }
-      }
-    };
+    this.activeWeapon = DEFAULT_WEAPON; // Any id from data/weapons.json
+    this.weaponDrawTime = 400; // ms after a switch before the new weapon can fire (holster + draw)
+    this.weaponReadyTime = 0;
+    
+    this.bullets = this.weaponAmmo[this.activeWeapon]; // Current active weapon's bullets
+    this.maxBullets = getWeapon(this.activeWeapon).capacity;
+    this.canShoot = true;
 
     // Health
     this.health = 100;
@@ -143,10 +124,10 @@ export class Player {
     // Quick Draw lobby information
     this.quickDrawLobbyIndex = -1; // -1 means not in a lobby
     
-    // Anti-cheat: Server reconciliation
-    this.serverPosition = new THREE.Vector3();
-    this.isReconciling = false;
-    this.reconciliationLerpFactor = 0.3; // How quickly to move to server position
+    // Client-side prediction: movement frames the server hasn't confirmed yet, replayed on top of
+    // a positionCorrection so the player keeps what they did while the correction was in flight
+    this.inputHistory = []; // { sequence, deltaTime, moveForward, moveBackward, moveLeft, moveRight, isSprinting, rotationY, velocity, recoilBoosted, recoilBoostTime }
+    this.maxInputHistory = 240; // ~4s of frames at 60fps
 
     // Footstep sound system
     this.lastFootstepTime = 0; // Time of last footstep sound
@@ -243,22 +224,19 @@ export class Player {
       this.health = health || 100;
       
       // Set active weapon if provided by server
-      if (activeWeapon && (activeWeapon === 'revolver' || activeWeapon === 'shotgun')) {
+      if (isWeapon(activeWeapon)) {
         // Only switch if different from current
         if (this.activeWeapon !== activeWeapon) {
-          this.switchWeapon(activeWeapon);
+          this.switchWeapon(activeWeapon, false);
         }
       }
       
       // Reset all weapon ammo to maximum
-      this.weaponAmmo = {
-        revolver: this.weaponStats.revolver.maxBullets,
-        shotgun: this.weaponStats.shotgun.maxBullets
-      };
+      this.weaponAmmo = createWeaponAmmo();
       
       // Set active weapon's bullets
       this.bullets = this.weaponAmmo[this.activeWeapon];
-      this.maxBullets = this.weaponStats[this.activeWeapon].maxBullets;
+      this.maxBullets = getWeapon(this.activeWeapon).capacity;
       
       // Cancel any ongoing reloading
       if (this.isReloading) {
@@ -286,6 +264,19 @@ export class Player {
       console.log(`Respawn complete - Current weapon: ${this.activeWeapon}, Ammo: ${this.bullets}/${this.maxBullets}`);
       console.log(`Weapon ammo: Revolver: ${this.weaponAmmo.revolver}, Shotgun: ${this.weaponAmmo.shotgun}`);
     };
+    
+    // Anti-cheat: The server refused a weapon change, go back to what it says we're holding
+    networkManager.onWeaponState = (activeWeapon, weaponAmmo) => {
+      if (isWeapon(activeWeapon) && this.activeWeapon !== activeWeapon) {
+        this.switchWeapon(activeWeapon, false);
+      }
+      
+      if (weaponAmmo) {
+        this.weaponAmmo = { ...this.weaponAmmo, ...weaponAmmo };
+        this.bullets = this.weaponAmmo[this.activeWeapon];
+        updateAmmoUI(this);
+      }
+    };
   }
 
   update(deltaTime) {
@@ -298,21 +289,6 @@ export class Player {
     // Platform stability check - prevent falling through platforms 
     this.stabilizePlatformPosition();
     
-    // Anti-cheat: Handle server reconciliation
-    if (this.isReconciling) {
-      // Calculate distance to server position
-      const distance = this.group.position.distanceTo(this.serverPosition);
-      
-      // Only apply reconciliation if significant deviation exists
-      if (distance > 0.1) {
-        // For large corrections, blend gradually
-        this.group.position.lerp(this.serverPosition, this.reconciliationLerpFactor);
-      } else {
-        // Close enough, stop reconciling
-        this.isReconciling = false;
-      }
-    }
-    
     // Smoothly interpolate the gun offset & FOV
     const targetOffset = this.isAiming && this.canAim ? this.aimOffset : this.holsterOffset;
     this.currentGunOffset.lerp(targetOffset, 0.1);
@@ -407,6 +383,41 @@ export class Player {
     if (!this.canMove) return; // Movement lock (e.g. during Quick Draw)
     if (this.chatActive) return; // Don't move when chat is active
 
+    this.recordInput(deltaTime);
+    this.simulateMovement(deltaTime);
+  }
+
+  /**
+   * Remember this frame's input until the server acknowledges the update that carries it.
+   * @param {number} deltaTime - Time elapsed since last frame
+   */
+  recordInput(deltaTime) {
+    this.inputHistory.push({
+      sequence: null, // Set once the update carrying this frame is sent
+      deltaTime,
+      moveForward: this.moveForward,
+      moveBackward: this.moveBackward,
+      moveLeft: this.moveLeft,
+      moveRight: this.moveRight,
+      isSprinting: this.isSprinting,
+      rotationY: this.group.rotation.y,
+      velocity: this.velocity.clone(),
+      recoilBoosted: this.recoilBoosted,
+      recoilBoostTime: this.recoilBoostTime
+    });
+    
+    if (this.inputHistory.length > this.maxInputHistory) {
+      this.inputHistory.shift();
+    }
+  }
+
+  /**
+   * Apply one frame of movement (gravity, jumping, stepping, collisions) from the current input state.
+   * Used live by move() and again by reconcile() when replaying inputs.
+   * @param {number} deltaTime - Time elapsed since last frame
+   * @param {boolean} replaying - True when replaying an input, skips sounds
+   */
+  simulateMovement(deltaTime, replaying = false) {
     // Update jump cooldown if it's active
     if (this.jumpCooldown > 0) {
       this.jumpCooldown = Math.max(0, this.jumpCooldown - deltaTime);
@@ -471,7 +482,7 @@ export class Player {
     // Handle vertical movement
     if (this.velocity.y <= 0 && (newVerticalPos.y <= 2.72 + terrainHeight || isOnObject)) {
       // Player landed on ground or object
-      if (this.velocity.y < -3 && !wasOnGround) {
+      if (this.velocity.y < -3 && !wasOnGround && !replaying) {
         // Play landing sound if falling fast enough
         if (this.soundManager) {
           this.soundManager.playSound("jumpland", 0, 1.2);
@@ -543,6 +554,57 @@ export class Player {
     // We no longer need to handle jump sound here since it's handled in the jump() method
   }
 
+  /**
+   * Server reconciliation: take the position the server has for the last update it accepted and
+   * replay every input since then on top of it, instead of snapping back and losing them.
+   * @param {THREE.Vector3} serverPosition - Where the server has the player
+   * @param {number} sequence - Sequence number of the last update the server accepted
+   */
+  reconcile(serverPosition, sequence) {
+    // Inputs the server already has are part of serverPosition
+    this.inputHistory = this.inputHistory.filter(input => input.sequence === null || input.sequence > sequence);
+    
+    // Replay changes the input state, so keep the live one to put back afterwards
+    const live = {
+      moveForward: this.moveForward,
+      moveBackward: this.moveBackward,
+      moveLeft: this.moveLeft,
+      moveRight: this.moveRight,
+      isSprinting: this.isSprinting,
+      rotationY: this.group.rotation.y,
+      recoilBoosted: this.recoilBoosted,
+      recoilBoostTime: this.recoilBoostTime,
+      jumpCooldown: this.jumpCooldown
+    };
+    
+    this.group.position.copy(serverPosition);
+    for (const input of this.inputHistory) {
+      this.moveForward = input.moveForward;
+      this.moveBackward = input.moveBackward;
+      this.moveLeft = input.moveLeft;
+      this.moveRight = input.moveRight;
+      this.isSprinting = input.isSprinting;
+      this.group.rotation.y = input.rotationY;
+      this.velocity.copy(input.velocity);
+      this.recoilBoosted = input.recoilBoosted;
+      this.recoilBoostTime = input.recoilBoostTime;
+      this.simulateMovement(input.deltaTime, true);
+    }
+    
+    this.moveForward = live.moveForward;
+    this.moveBackward = live.moveBackward;
+    this.moveLeft = live.moveLeft;
+    this.moveRight = live.moveRight;
+    this.isSprinting = live.isSprinting;
+    this.group.rotation.y = live.rotationY;
+    this.recoilBoosted = live.recoilBoosted;
+    this.recoilBoostTime = live.recoilBoostTime;
+    this.jumpCooldown = live.jumpCooldown;
+    this.previousPosition.copy(this.group.position);
+    
+    console.log(`Reconciled with server position, replayed ${this.inputHistory.length} inputs`);
+  }
+
   /**
    * Update footstep sounds based on movement
    * @param {number} deltaTime - Time elapsed since last frame
@@ -849,7 +911,7 @@ export class Player {
     const direction = new THREE.Vector3();
     this.camera.getWorldDirection(direction);
 
-    networkManager.sendUpdate({
+    const sequence = networkManager.sendUpdate({
       position: {
         x: this.group.position.x,
         y: this.group.position.y,
@@ -865,13 +927,20 @@ export class Player {
       health: this.health,
       quickDrawLobbyIndex: this.quickDrawLobbyIndex
     });
+    
+    // Frames moved since the last update are carried by this one
+    if (sequence !== null) {
+      for (let i = this.inputHistory.length - 1; i >= 0 && this.inputHistory[i].sequence === null; i--) {
+        this.inputHistory[i].sequence = sequence;
+      }
+    }
   }
 
   /**
    * Handle shooting logic
    */
   shoot() {
-    if (this.bullets <= 0 || !this.canShoot || this.isReloading) {
+    if (this.bullets <= 0 || !this.canShoot || this.isReloading || Date.now() < this.weaponReadyTime) {
       // No bullets or can't shoot
       if (this.bullets === 0) {
         const reloadMessage = document.getElementById('reload-message');
@@ -887,8 +956,9 @@ export class Player {
             // Play empty gun click sound if sound manager exists
             if (this.soundManager && !window.isMobile) {
               // Only play empty click on desktop - skip on mobile to avoid sound issues
-              if (this.activeWeapon === 'shotgun') {
-                this.soundManager.playSound("shotgunempty");
+              const emptySound = getWeapon(this.activeWeapon).sounds.empty;
+              if (emptySound) {
+                this.soundManager.playSound(emptySound);
               }
             }
           }
@@ -906,7 +976,7 @@ export class Player {
     updateAmmoUI(this);
 
     this.canShoot = false;
-    setTimeout(() => { this.canShoot = true; }, 250);
+    setTimeout(() => { this.canShoot = true; }, getWeapon(this.activeWeapon).cooldown);
 
     // Play the shooting animation on the viewmodel if aiming
     if (this.isAiming) {
@@ -917,38 +987,38 @@ export class Player {
     const bulletStart = this.viewmodel.getBarrelTipWorldPosition();
     
     // Get weapon stats for spread and bullet count
-    const weaponStats = this.weaponStats[this.activeWeapon];
+    const weaponStats = getWeapon(this.activeWeapon);
     
     // Play the appropriate gunshot sound
     if (this.soundManager) {
       // Set a specific sound name based on weapon type
-      const soundName = this.activeWeapon === 'shotgun' ? "shotgunshot" : "shot";
+      const soundName = weaponStats.sounds.shot;
       
       // Play the sound (let the sound manager handle cooldowns internally)
       this.soundManager.playSound(soundName, 100, 0.8);
     }
     
     // For shotgun, create multiple pellets with spread
-    for (let i = 0; i < weaponStats.bulletCount; i++) {
+    for (let i = 0; i < weaponStats.pellets; i++) {
       const shootDir = new THREE.Vector3();
       this.camera.getWorldDirection(shootDir);
       
       // Apply spread - more spread for shotgun, less for revolver
-      const spread = weaponStats.bulletSpread;
+      const spread = weaponStats.spread;
       shootDir.x += (Math.random() - 0.5) * spread;
       shootDir.y += (Math.random() - 0.5) * spread;
       shootDir.z += (Math.random() - 0.5) * spread;
       
       shootDir.normalize();
       
-      // Call the callback to spawn bullet in main.js
+      // Call the callback to spawn bullet in main.js (the server only needs to hear about the first pellet)
       if (typeof this.onShootCallback === 'function') {
-        this.onShootCallback(bulletStart, shootDir);
+        this.onShootCallback(bulletStart, shootDir, i);
       }
     }
 
     // Recoil effect - stronger for shotgun
-    const recoilMultiplier = this.activeWeapon === 'shotgun' ? 2.5 : 1.0;
+    const recoilMultiplier = weaponStats.recoil;
     applyRecoil(this, recoilMultiplier);
     
     // If out of bullets, show reload hint
@@ -1041,14 +1111,11 @@ export class Player {
     
     // Reset weapon state
     // Reset ammo for all weapons to their maximum values
-    this.weaponAmmo = {
-      revolver: this.weaponStats.revolver.maxBullets,
-      shotgun: this.weaponStats.shotgun.maxBullets
-    };
+    this.weaponAmmo = createWeaponAmmo();
     
     // Set active weapon's bullets
     this.bullets = this.weaponAmmo[this.activeWeapon];
-    this.maxBullets = this.weaponStats[this.activeWeapon].maxBullets;
+    this.maxBullets = getWeapon(this.activeWeapon).capacity;
     
     // Reset animation and interaction states
     this.isReloading = false;
@@ -1079,7 +1146,7 @@ export class Player {
     this.reloadProgress = 0;
     
     // Use the current weapon's reload time
-    const reloadTime = this.weaponStats[this.activeWeapon].reloadTime;
+    const reloadTime = getWeapon(this.activeWeapon).reloadTime;
     
     const reloadMessage = document.getElementById('reload-message');
     const reloadProgressContainer = document.getElementById('reload-progress-container');
@@ -1106,8 +1173,7 @@ export class Player {
     
     // Play reload sound based on weapon type
     if (this.soundManager) {
-      const soundName = this.activeWeapon === 'shotgun' ? "shotgunreloading" : "reloading";
-      this.soundManager.playSound(soundName);
+      this.soundManager.playSound(getWeapon(this.activeWeapon).sounds.reload);
     }
 
     // Anti-cheat: Notify server about reload start
@@ -1691,28 +1757,14 @@ export class Player {
    * @private
    */
   _syncWeaponAmmo() {
-    // Make sure weaponAmmo is initialized for all weapon types
-    if (!this.weaponAmmo) {
-      this.weaponAmmo = {
-        revolver: this.weaponStats.revolver.maxBullets,
-        shotgun: this.weaponStats.shotgun.maxBullets
-      };
-    }
-    
-    // Ensure both weapons have entries in the ammo object
-    if (this.weaponAmmo.revolver === undefined) {
-      this.weaponAmmo.revolver = this.weaponStats.revolver.maxBullets;
-    }
-    
-    if (this.weaponAmmo.shotgun === undefined) {
-      this.weaponAmmo.shotgun = this.weaponStats.shotgun.maxBullets;
-    }
+    // Make sure every weapon has an entry in the ammo object
+    this.weaponAmmo = { ...createWeaponAmmo(), ...this.weaponAmmo };
     
     // Ensure the current weapon's ammo in weaponAmmo matches bullets
     this.weaponAmmo[this.activeWeapon] = this.bullets;
     
     // Ensure max bullets is consistent with weapon stats
-    this.maxBullets = this.weaponStats[this.activeWeapon].maxBullets;
+    this.maxBullets = getWeapon(this.activeWeapon).capacity;
     
     // Log ammo state for debugging
     if (window.debugAmmo) {
@@ -1723,12 +1775,19 @@ export class Player {
   /**
    * Switch to a different weapon
    * @param {string} weaponType - The weapon type to switch to ('revolver' or 'shotgun')
+   * @param {boolean} notifyServer - False when the server told us to switch (respawn, refused switch)
    */
-  switchWeapon(weaponType) {
-    if (this.activeWeapon === weaponType || this.isReloading) {
+  switchWeapon(weaponType, notifyServer = true) {
+    if (this.activeWeapon === weaponType || (this.isReloading && notifyServer)) {
       return; // Already using this weapon or currently reloading
     }
     
+    // Anti-cheat: The server validates the switch and keeps its own ammo per weapon
+    if (notifyServer) {
+      networkManager.sendSwitchWeapon(weaponType);
+      this.weaponReadyTime = Date.now() + this.weaponDrawTime;
+    }
+    
     // Force sync current weapon ammo to ensure it's saved correctly
     this._syncWeaponAmmo();
     
@@ -1753,8 +1812,8 @@ export class Player {
     this.activeWeapon = weaponType;
     
     // Update bullet count and max bullets based on new weapon
-    this.maxBullets = this.weaponStats[weaponType].maxBullets;
-    this.reloadTime = this.weaponStats[weaponType].reloadTime;
+    this.maxBullets = getWeapon(weaponType).capacity;
+    this.reloadTime = getWeapon(weaponType).reloadTime;
     
     // Restore the new weapon's ammo state
     this.bullets = this.weaponAmmo[weaponType];
@@ -167,6 +167,53 @@ function savePlayerIdentity(playerData) {
   }
 }
 
+// Send a request to the server's identity API, never throws
+async function identityRequest(path, options = {}) {
+  try {
+    const response = await fetch(`/api/identity/${path}`, options);
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, data };
+  } catch (e) {
+    console.error(`Identity request to ${path} failed:`, e);
+    return { ok: false, status: 0, data: {} };
+  }
+}
+
+// POST a JSON body to the identity API
+function postIdentity(path, body) {
+  return identityRequest(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+// Ask the server whether a username is free for this client
+async function isUsernameAvailable(username, clientId) {
+  const query = new URLSearchParams({ username, clientId });
+  const { ok, status, data } = await identityRequest(`username-available?${query.toString()}`);
+  
+  // Server unreachable: let the connection handshake sort it out
+  if (status === 0) return true;
+  
+  return ok && data.available;
+}
+
+// Register (or re-confirm) this identity with the server
+async function registerIdentityWithServer(playerData) {
+  const { ok, status, data } = await postIdentity('register', {
+    clientId: playerData.id,
+    token: playerData.token,
+    username: playerData.username
+  });
+  
+  if (ok) {
+    return { verified: true };
+  }
+  
+  return { verified: false, reason: status === 0 ? 'unreachable' : data.error };
+}
+
 // Preload game content in background while user sets their name
 function preloadGameContent() {
   console.log("Starting background preload of game content...");
@@ -175,7 +222,8 @@ function preloadGameContent() {
 }
 
 // Show username prompt
-function promptForUsername(playerData) {
+// checkAvailability is an optional async (username) => boolean used to reject taken names
+function promptForUsername(playerData, checkAvailability = null) {
   // Get device info for responsive design
   const isMobile = window.innerWidth < 768;
   const isSmallMobile = window.innerWidth < 480;
@@ -319,6 +367,14 @@ function promptForUsername(playerData) {
       input.focus();
     });
     
+    // Shown when the chosen name can't be used
+    const errorText = document.createElement('div');
+    errorText.style.color = '#ff6b6b';
+    errorText.style.fontSize = isMobile ? '14px' : '18px';
+    errorText.style.minHeight = '1.2em';
+    errorText.style.marginBottom = UI_CONSTANTS.VERTICAL_SPACING;
+    errorText.style.textShadow = '1px 1px 2px #000';
+    
     // Enter game button image
     const enterGameImage = document.createElement('img');
     enterGameImage.src = '/models/entergame.png';
@@ -326,8 +382,11 @@ function promptForUsername(playerData) {
     enterGameImage.style.cursor = 'pointer';
     
     // Form handling
-    const handleSubmit = () => {
+    let submitting = false;
+    const handleSubmit = async () => {
+      if (submitting) return;
       let username = input.value.trim();
+      errorText.textContent = '';
       
       // Client-side validation to prevent XSS attacks
       if (username) {
@@ -354,6 +413,22 @@ function promptForUsername(playerData) {
           username = username.substring(0, 16);
         }
         
+        // Make sure nobody else has registered this name
+        if (checkAvailability) {
+          submitting = true;
+          const available = await checkAvailability(username);
+          submitting = false;
+          
+          if (!available) {
+            errorText.textContent = 'That name is already taken, partner';
+            input.style.border = '2px solid red';
+            setTimeout(() => {
+              input.style.border = 'none';
+            }, 2000);
+            return;
+          }
+        }
+        
         playerData.username = username;
         
         // Save immediately after username is set
@@ -402,6 +477,7 @@ function promptForUsername(playerData) {
     
     modalContent.appendChild(titleImage);
     modalContent.appendChild(nameSubmitContainer);
+    modalContent.appendChild(errorText);
     modalContent.appendChild(enterGameImage);
     modal.appendChild(modalContent);
     document.body.appendChild(modal);
@@ -490,7 +566,30 @@ function promptIdentityRecovery(storedIdentity, newIdentity) {
     noButton.onmouseout = () => { noButton.style.backgroundColor = '#8b0000'; };
     
     // Button handlers
-    yesButton.addEventListener('click', () => {
+    yesButton.addEventListener('click', async () => {
+      yesButton.disabled = true;
+      noButton.disabled = true;
+      yesButton.textContent = 'Recovering...';
+      
+      // Prove we hold the saved token; the server answers with a fresh one
+      const { ok, data } = await postIdentity('recover', {
+        clientId: storedIdentity.id,
+        token: storedIdentity.token
+      });
+      
+      if (!ok) {
+        message.textContent = `${storedIdentity.username} could not be recovered. Starting fresh.`;
+        setTimeout(() => {
+          document.body.removeChild(modal);
+          resolve(newIdentity);
+        }, 1500);
+        return;
+      }
+      
+      storedIdentity.token = data.token;
+      storedIdentity.username = data.username;
+      savePlayerIdentity(storedIdentity);
+      
       document.body.removeChild(modal);
       resolve(storedIdentity);
     });
@@ -526,8 +625,8 @@ async function checkForIdentityConflict(currentIdentity) {
       return currentIdentity;
     }
     
-    // Only check if our current identity is new (no username yet)
-    if (currentIdentity.username) {
+    // Only check if our current identity is new (never logged in before)
+    if (currentIdentity.createdAt !== currentIdentity.lastLogin) {
       return currentIdentity;
     }
     
@@ -543,6 +642,15 @@ async function checkForIdentityConflict(currentIdentity) {
         storedIdentity.username && 
         storedIdentity.id !== currentIdentity.id) {
       
+      // Only offer identities the server still recognises
+      const { ok } = await postIdentity('verify', {
+        clientId: storedIdentity.id,
+        token: storedIdentity.token
+      });
+      if (!ok) {
+        return currentIdentity;
+      }
+      
       // Ask user if they want to recover the stored identity
       return await promptIdentityRecovery(storedIdentity, currentIdentity);
     }
@@ -569,37 +677,113 @@ async function initPlayerIdentity() {
   const isFirstTime = playerData.createdAt === playerData.lastLogin || shouldBypassIdentity();
   
   if (isFirstTime) {
-    // Return a promise that will resolve when the user submits their name
-    return new Promise(resolve => {
-      // Show username prompt immediately, but don't wait for it
-      promptForUsername(playerData).then(updatedPlayerData => {
-        // Update last login time and save
-        updatedPlayerData.lastLogin = Date.now();
-        savePlayerIdentity(updatedPlayerData);
-        resolve(updatedPlayerData);
-      });
-    });
-  } else {
-    // For returning users, continue normally
+    return await registerWithChosenName(playerData);
+  }
+  
+  // Development identities are never checked by the server
+  if (playerData.devMode) {
     playerData.lastLogin = Date.now();
     savePlayerIdentity(playerData);
     return playerData;
   }
+  
+  // For returning users, make sure the server still knows us
+  const { ok, status } = await postIdentity('verify', {
+    clientId: playerData.id,
+    token: playerData.token
+  });
+  
+  if (status === 404) {
+    // Saved before the server tracked identities: register it now
+    const result = await registerIdentityWithServer(playerData);
+    if (result.reason === 'usernameTaken') {
+      return await registerWithChosenName(playerData);
+    }
+  } else if (status === 401) {
+    // Another tab may have recovered this identity and rotated the token
+    try {
+      const stored = JSON.parse(localStorage.getItem('wildWestPlayerIdentity') || 'null');
+      if (stored && stored.id === playerData.id && stored.token !== playerData.token) {
+        sessionStorage.setItem('wildWestPlayerSession', JSON.stringify(stored));
+        return await initPlayerIdentity();
+      }
+    } catch (e) {
+      console.error('Error reading stored identity:', e);
+    }
+    
+    // Token no longer valid (recovered elsewhere): start over with a new gunslinger
+    console.warn('Stored identity was rejected by the server, creating a new one');
+    try {
+      localStorage.removeItem('wildWestPlayerIdentity');
+      sessionStorage.removeItem('wildWestPlayerSession');
+    } catch (e) {
+      console.error('Error clearing stored identity:', e);
+    }
+    return await registerWithChosenName(createNewPlayerIdentity());
+  } else if (!ok) {
+    console.warn('Identity server unreachable, continuing with local identity');
+  }
+  
+  playerData.lastLogin = Date.now();
+  savePlayerIdentity(playerData);
+  return playerData;
+}
+
+// Prompt for a name until the server accepts it, then save the identity
+async function registerWithChosenName(playerData) {
+  while (true) {
+    const updatedPlayerData = await promptForUsername(
+      playerData,
+      username => isUsernameAvailable(username, playerData.id)
+    );
+    
+    // Dev identities and offline play skip registration
+    if (updatedPlayerData.devMode) break;
+    
+    const result = await registerIdentityWithServer(updatedPlayerData);
+    
+    // Someone grabbed the name between the availability check and registration
+    if (result.reason === 'usernameTaken') continue;
+    
+    if (!result.verified) {
+      console.warn(`Identity registration failed (${result.reason}), using local identity only`);
+    }
+    break;
+  }
+  
+  // Update last login time and save
+  playerData.lastLogin = Date.now();
+  savePlayerIdentity(playerData);
+  return playerData;
 }
 
 // Verify client identity with server
 async function verifyIdentityWithServer(playerData) {
-  // This would typically make a request to the server to verify the token
-  // For now, we'll just simulate this process
-  return new Promise(resolve => {
-    setTimeout(() => {
-      // Assume the verification was successful
-      resolve({
-        verified: true,
-        playerData: playerData
-      });
-    }, 300);
+  // Development identities are never checked by the server
+  if (playerData.devMode) {
+    return { verified: true, playerData };
+  }
+  
+  const { ok, status, data } = await postIdentity('verify', {
+    clientId: playerData.id,
+    token: playerData.token
   });
+  
+  if (!ok) {
+    return {
+      verified: false,
+      reason: status === 0 ? 'unreachable' : data.error,
+      playerData
+    };
+  }
+  
+  // The server's copy of the name wins
+  if (data.username && data.username !== playerData.username) {
+    playerData.username = data.username;
+    savePlayerIdentity(playerData);
+  }
+  
+  return { verified: true, playerData };
 }
 
 export { 
@@ -607,5 +791,6 @@ export {
   getPlayerIdentity, 
   savePlayerIdentity, 
   promptForUsername,
-  verifyIdentityWithServer
+  verifyIdentityWithServer,
+  isUsernameAvailable
 }; 
\ No newline at end of file
@@ -1,4 +1,6 @@
 // /public/js/playerModel.js
+import { DEFAULT_WEAPON, getHitDamage } from './weapons.js';
+import { SnapshotBuffer } from './snapshotBuffer.js';
 
 /**
  * The third-person model used to represent remote players
@@ -34,6 +36,9 @@ export class ThirdPersonModel {
     this.targetPosition = new THREE.Vector3(0, 0, 0);
     this.targetRotation = 0;
     
+    // Timestamped server positions, drawn slightly in the past (see snapshotBuffer.js)
+    this.snapshots = new SnapshotBuffer();
+    
     // Initialize the group position to match target position
     this.group.position.copy(this.targetPosition);
     this.group.rotation.y = this.targetRotation;
@@ -54,6 +59,8 @@ export class ThirdPersonModel {
     // Gun state tracking
     this.isAiming = false;
     this.isShooting = false;
+    this.activeWeapon = 'revolver'; // Which weapon the server says this player is holding
+    this.shotgunMesh = null;        // Stand-in shown instead of the revolver, built on first use
     
     // Animation timing - reduced for faster transitions
     this.walkBlendTime = 0.15;     // Blend between walking animations
@@ -158,6 +165,9 @@ export class ThirdPersonModel {
         
         // Initialize hit zone visualizers
         this.createHitZoneVisualizers();
+        
+        // Show the weapon this player had out before the model finished loading
+        this._applyActiveWeapon();
         return; // Exit early since we've handled the model
       } catch (e) {
         console.error('Error using preloaded player model:', e);
@@ -216,6 +226,9 @@ export class ThirdPersonModel {
           
           // Initialize hit zone visualizers
           this.createHitZoneVisualizers();
+          
+          // Show the weapon this player had out before the model finished loading
+          this._applyActiveWeapon();
         } catch (e) {
           console.error('Error setting up player model:', e);
         }
@@ -716,10 +729,11 @@ export class ThirdPersonModel {
   /**
    * Check if a bullet hit this player model and determine which zone was hit
    * @param {THREE.Vector3} bulletPos - Position of the bullet
-   * @param {boolean} isShotgunPellet - Whether this is a shotgun pellet hit
+   * @param {string} weaponId - Weapon that fired the bullet, picks the damage table
+   * @param {number} distance - How far the bullet travelled, for damage falloff
    * @return {object} - Hit result with zone and damage information
    */
-  checkBulletHit(bulletPos, isShotgunPellet = false) {
+  checkBulletHit(bulletPos, weaponId = DEFAULT_WEAPON, distance = 0) {
     // Add a small tolerance to prevent edge cases and near-miss detections
     const PRECISION_EPSILON = 0.01;
     
@@ -743,7 +757,7 @@ export class ThirdPersonModel {
     
     if (strictHeadBox.containsPoint(bulletPos)) {
       // Apply appropriate damage based on weapon type
-      const damage = isShotgunPellet ? 10 : 100;
+      const damage = getHitDamage(weaponId, 'head', distance);
       return { hit: true, zone: 'head', damage: damage };
     }
     
@@ -754,7 +768,7 @@ export class ThirdPersonModel {
     
     if (strictBodyBox.containsPoint(bulletPos)) {
       // Apply appropriate damage based on weapon type
-      const damage = isShotgunPellet ? 5 : 40;
+      const damage = getHitDamage(weaponId, 'body', distance);
       return { hit: true, zone: 'body', damage: damage };
     }
     
@@ -819,36 +833,37 @@ export class ThirdPersonModel {
     
     // Check each limb individually
     if (leftLegHitbox.containsPoint(bulletPos)) {
-      const damage = isShotgunPellet ? 5 : 20;
+      const damage = getHitDamage(weaponId, 'limbs', distance);
       return { hit: true, zone: 'limbs', damage: damage };
     }
     
     if (rightLegHitbox.containsPoint(bulletPos)) {
-      const damage = isShotgunPellet ? 5 : 20;
+      const damage = getHitDamage(weaponId, 'limbs', distance);
       return { hit: true, zone: 'limbs', damage: damage };
     }
     
     if (leftArmHitbox.containsPoint(bulletPos)) {
-      const damage = isShotgunPellet ? 5 : 20;
+      const damage = getHitDamage(weaponId, 'limbs', distance);
       return { hit: true, zone: 'limbs', damage: damage };
     }
     
     if (rightArmHitbox.containsPoint(bulletPos)) {
-      const damage = isShotgunPellet ? 5 : 20;
+      const damage = getHitDamage(weaponId, 'limbs', distance);
       return { hit: true, zone: 'limbs', damage: damage };
     }
     
     // If we're here, the bullet is inside the overall collision box but not in any specific zone
     // Instead of returning no hit, we'll count it as a partial body hit with reduced damage
-    const damage = isShotgunPellet ? 5 : 30;
+    const damage = getHitDamage(weaponId, 'graze', distance);
     return { hit: true, zone: 'body', damage: damage };
   }
 
   /**
    * Smoothly updates the model's position and rotation toward target values.
    * @param {number} deltaTime - Time elapsed since last frame.
+   * @param {number|null} renderTime - Server time to draw the model at, null to ease toward the target instead
    */
-  animateMovement(deltaTime) {
+  animateMovement(deltaTime, renderTime = null) {
     // Ensure the model is visible
     if (this.playerModel) {
       this.playerModel.visible = true;
@@ -876,11 +891,15 @@ export class ThirdPersonModel {
       }
     }
     
-    // Normal interpolation for network movement
-    this.group.position.lerp(this.targetPosition, 0.1);
-    
-    // Rotate the model
-    this.group.rotation.y = THREE.MathUtils.lerp(this.group.rotation.y, this.targetRotation, 0.1);
+    // Place the model between the server snapshots around renderTime
+    const sampledRotation = renderTime !== null ? this.snapshots.sample(renderTime, this.group.position) : null;
+    if (sampledRotation !== null) {
+      this.group.rotation.y = sampledRotation;
+    } else {
+      // No snapshots yet (or not driven by the multiplayer manager): ease toward the target
+      this.group.position.lerp(this.targetPosition, 0.1);
+      this.group.rotation.y = THREE.MathUtils.lerp(this.group.rotation.y, this.targetRotation, 0.1);
+    }
     
     // Update cooldown timer
     if (this.animationCooldown > 0) {
@@ -894,6 +913,27 @@ export class ThirdPersonModel {
     this.updateCollisionBox();
   }
 
+  /**
+   * Record a timestamped position from the server for animateMovement to interpolate.
+   * @param {number} serverTime - When the server sent it
+   * @param {Object} playerData - Update with position and rotation
+   */
+  addSnapshot(serverTime, playerData) {
+    if (!playerData.position) return;
+    
+    const rotation = typeof playerData.rotation === 'number' ?
+                     playerData.rotation :
+                     (playerData.rotation && playerData.rotation.y !== undefined ? playerData.rotation.y : this.targetRotation);
+    
+    // Same height adjustment update() applies to targetPosition
+    const position = new THREE.Vector3(
+      playerData.position.x,
+      playerData.position.y - 2.72,
+      playerData.position.z
+    );
+    this.snapshots.push(serverTime, position, rotation);
+  }
+
   /**
    * Updates the third-person model using data received from the server.
    * @param {Object} playerData
@@ -1032,6 +1072,11 @@ export class ThirdPersonModel {
       }
     }
     
+    // Show the weapon the player switched to
+    if (playerData.activeWeapon) {
+      this.setActiveWeapon(playerData.activeWeapon);
+    }
+    
     // Handle skin updates - only when skin data changes
     if (playerData.skins && (!this._lastSkinUpdate || JSON.stringify(playerData.skins) !== JSON.stringify(this._lastSkinUpdate))) {
       // Store current skin data to prevent redundant updates
@@ -1053,6 +1098,103 @@ export class ThirdPersonModel {
     }
   }
 
+  /**
+   * Shows which weapon this player is holding.
+   * @param {string} weapon - 'revolver' or 'shotgun'
+   */
+  setActiveWeapon(weapon) {
+    if (!weapon || weapon === this.activeWeapon) return;
+    this.activeWeapon = weapon;
+    this._applyActiveWeapon();
+  }
+
+  /**
+   * Toggles the revolver meshes and the shotgun stand-in to match activeWeapon.
+   * Does nothing until the model has loaded; the load callbacks call it again.
+   * @private
+   */
+  _applyActiveWeapon() {
+    if (!this.playerModel) return;
+    
+    // The revolver parts are rigid meshes parented to their own bone in playermodel.glb
+    const barrel = this.playerModel.getObjectByName('barrel001') || this.playerModel.getObjectByName('barrel.001');
+    const grip = this.playerModel.getObjectByName('grip001') || this.playerModel.getObjectByName('grip.001');
+    if (!barrel || !barrel.parent) return;
+    
+    const showShotgun = this.activeWeapon === 'shotgun';
+    barrel.parent.children.forEach(child => {
+      if (child.isMesh) child.visible = !showShotgun;
+    });
+    
+    if (showShotgun && !this.shotgunMesh) {
+      this.shotgunMesh = this._createShotgunStandIn(barrel, grip);
+      barrel.parent.add(this.shotgunMesh);
+    }
+    if (this.shotgunMesh) {
+      this.shotgunMesh.visible = showShotgun;
+    }
+  }
+
+  /**
+   * The player model only ships with a revolver, so the shotgun is a simple barrel and stock
+   * built in the revolver barrel's space: the barrel's longest side is the bore and the grip
+   * sits behind the muzzle.
+   * @param {THREE.Mesh} barrel - The revolver barrel mesh
+   * @param {THREE.Mesh|null} grip - The revolver grip mesh, used to tell front from back
+   * @returns {THREE.Group}
+   * @private
+   */
+  _createShotgunStandIn(barrel, grip) {
+    this.playerModel.updateMatrixWorld(true);
+    barrel.geometry.computeBoundingBox();
+    const size = barrel.geometry.boundingBox.getSize(new THREE.Vector3());
+    const center = barrel.geometry.boundingBox.getCenter(new THREE.Vector3());
+    
+    const axes = ['x', 'y', 'z'];
+    const bore = axes.reduce((longest, axis) => (size[axis] > size[longest] ? axis : longest), 'x');
+    const thickness = Math.min(...axes.filter(axis => axis !== bore).map(axis => size[axis]));
+    const length = size[bore];
+    
+    const back = new THREE.Vector3();
+    back[bore] = 1;
+    if (grip) {
+      const gripLocal = barrel.worldToLocal(grip.getWorldPosition(new THREE.Vector3()));
+      if (gripLocal[bore] < center[bore]) back[bore] = -1;
+    }
+    
+    const group = new THREE.Group();
+    group.name = 'shotgunStandIn';
+    group.position.copy(barrel.position);
+    group.quaternion.copy(barrel.quaternion);
+    group.scale.copy(barrel.scale);
+    
+    // Barrel: runs forward from the revolver's breech, well past its muzzle
+    const barrelLength = length * 2.5;
+    const tube = new THREE.Mesh(
+      new THREE.CylinderGeometry(thickness * 0.4, thickness * 0.4, barrelLength, 10),
+      new THREE.MeshStandardMaterial({ color: 0x2b2b2b, metalness: 0.6, roughness: 0.5 })
+    );
+    tube.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), back);
+    tube.position.copy(center).addScaledVector(back, length * 0.5 - barrelLength * 0.5);
+    group.add(tube);
+    
+    // Stock: behind the breech, where the revolver grip would be
+    const stockSize = new THREE.Vector3(thickness, thickness, thickness);
+    stockSize[bore] = length * 1.5;
+    const stock = new THREE.Mesh(
+      new THREE.BoxGeometry(stockSize.x, stockSize.y, stockSize.z),
+      new THREE.MeshStandardMaterial({ color: 0x5a3a1e, roughness: 0.8 })
+    );
+    stock.position.copy(center).addScaledVector(back, length * 0.5 + stockSize[bore] * 0.5);
+    group.add(stock);
+    
+    group.traverse(child => {
+      if (child.isMesh) child.castShadow = true;
+    });
+    
+    return group;
+  }
+
   /**
    * Removes the model from the scene (e.g. on player disconnect).
    * Fully disposes geometry and material.
@@ -0,0 +1,149 @@
+// /public/js/protocolCodec.js
+// The parts of the binary protocol both ends have to agree on bit for bit: quantization, the
+// snapshot field mask and the update message layout. It's a UMD script rather than an ES module so
+// server/binaryProtocol.js can require() it on any Node version; public/js/binaryProtocol.js
+// imports it for its side effect and reads window.ProtocolCodec. The constants are passed in from
+// public/data/protocol.json.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ProtocolCodec = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const UPDATE_SIZE = 26;
+
+  /**
+   * @param {Object} protocol - The contents of public/data/protocol.json
+   * @returns {Object} Codec functions and field mask bits for that protocol
+   */
+  function createCodec(protocol) {
+    // Field mask bits, in the order the fields are written
+    const FIELD = {};
+    protocol.snapshotFields.forEach((name, index) => {
+      FIELD[name] = 1 << index;
+    });
+    // What the server sends for an entity the client has no baseline for
+    const FULL_STATE = Object.values(FIELD).reduce((mask, bit) => mask | bit, 0) & ~FIELD.positionDelta;
+
+    /**
+     * @param {number} value - Position component in world units
+     * @returns {number} Whole multiples of 1/positionScale
+     */
+    function quantizePosition(value) {
+      return Math.round(value * protocol.positionScale);
+    }
+
+    /**
+     * @param {number} value - From quantizePosition
+     * @returns {number} World units
+     */
+    function dequantizePosition(value) {
+      return value / protocol.positionScale;
+    }
+
+    /**
+     * @param {number|Object} rotation - Y rotation in radians, or { y }
+     * @returns {number} 0 to rotationSteps - 1
+     */
+    function quantizeRotation(rotation) {
+      const y = typeof rotation === 'number' ? rotation : (rotation && Number.isFinite(rotation.y) ? rotation.y : 0);
+      const turn = ((y / (Math.PI * 2)) % 1 + 1) % 1;
+      return Math.round(turn * protocol.rotationSteps) % protocol.rotationSteps;
+    }
+
+    /**
+     * @param {number} steps - From quantizeRotation
+     * @returns {number} Radians in [-PI, PI)
+     */
+    function dequantizeRotation(steps) {
+      const turn = steps / protocol.rotationSteps;
+      return (turn >= 0.5 ? turn - 1 : turn) * Math.PI * 2;
+    }
+
+    /**
+     * @param {Object} source - Anything with the boolean fields listed in protocol.flags
+     * @returns {number} One bit per flag
+     */
+    function packFlags(source) {
+      return protocol.flags.reduce((bits, name, index) => (source[name] ? bits | (1 << index) : bits), 0);
+    }
+
+    /**
+     * @param {number} bits - From packFlags
+     * @param {Object} target - Gets one boolean per flag
+     * @returns {Object} target
+     */
+    function unpackFlags(bits, target) {
+      protocol.flags.forEach((name, index) => {
+        target[name] = (bits & (1 << index)) !== 0;
+      });
+      return target;
+    }
+
+    /**
+     * Encode a movement update, the binary form of NetworkManager.sendUpdate's JSON.
+     * @param {number} sequenceNumber - Anti-cheat sequence number
+     * @param {number} ackTick - Last world snapshot decoded, the server sends deltas against it
+     * @param {Object} playerData - { position, rotation, isAiming, isReloading, isSprinting, isShooting, health, quickDrawLobbyIndex }
+     * @returns {ArrayBuffer}
+     */
+    function encodeUpdate(sequenceNumber, ackTick, playerData) {
+      const buffer = new ArrayBuffer(UPDATE_SIZE);
+      const view = new DataView(buffer);
+      const position = playerData.position;
+
+      view.setUint8(0, protocol.messageTypes.update);
+      view.setUint32(1, sequenceNumber, true);
+      view.setUint32(5, ackTick, true);
+      view.setInt32(9, quantizePosition(position.x), true);
+      view.setInt32(13, quantizePosition(position.y), true);
+      view.setInt32(17, quantizePosition(position.z), true);
+      view.setUint16(21, quantizeRotation(playerData.rotation), true);
+      view.setUint8(23, packFlags(playerData));
+      view.setUint8(24, Math.max(0, Math.min(255, Math.round(playerData.health || 0))));
+      view.setInt8(25, Math.max(-128, Math.min(127, playerData.quickDrawLobbyIndex ?? -1)));
+      return buffer;
+    }
+
+    /**
+     * @param {DataView} view - A binary message from a client
+     * @returns {Object|null} The update as the JSON protocol would have sent it, with ackTick and
+     * every flag, null if it isn't a well-formed update
+     */
+    function decodeUpdate(view) {
+      if (view.byteLength !== UPDATE_SIZE || view.getUint8(0) !== protocol.messageTypes.update) {
+        return null;
+      }
+
+      return unpackFlags(view.getUint8(23), {
+        type: 'update',
+        sequenceNumber: view.getUint32(1, true),
+        ackTick: view.getUint32(5, true),
+        position: {
+          x: dequantizePosition(view.getInt32(9, true)),
+          y: dequantizePosition(view.getInt32(13, true)),
+          z: dequantizePosition(view.getInt32(17, true))
+        },
+        rotation: { y: dequantizeRotation(view.getUint16(21, true)) },
+        health: view.getUint8(24),
+        quickDrawLobbyIndex: view.getInt8(25)
+      });
+    }
+
+    return {
+      FIELD,
+      FULL_STATE,
+      quantizePosition,
+      dequantizePosition,
+      quantizeRotation,
+      dequantizeRotation,
+      packFlags,
+      unpackFlags,
+      encodeUpdate,
+      decodeUpdate
+    };
+  }
+
+  return { createCodec };
+});
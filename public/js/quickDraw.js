@@ -9,6 +9,11 @@ import { PhysicsSystem } from './physics.js';
 import { createOptimizedSmokeEffect } from './input.js';
 import { updateHealthUI } from './ui.js';
 import { FlyingEagle } from './flyingEagle.js';
+import { QuickDrawSpectator } from './quickDrawSpectator.js';
+import { QuickDrawLeaderboard } from './quickDrawLeaderboard.js';
+import { QuickDrawTournament } from './quickDrawTournament.js';
+import { isChatInputActive } from './chat.js';
+import { isWeapon, getWeapon, createWeaponAmmo } from './weapons.js';
 
 export class QuickDraw {
     constructor(scene, localPlayer, networkManager, soundManager) {
@@ -26,6 +31,18 @@ export class QuickDraw {
         this.pendingChallenge = null;
         this.duelActive = false;
         
+        // Best-of-N series tracking, filled in from quickDrawMatch and the round messages
+        this.seriesBestOf = 1;
+        this.seriesRound = 1;
+        this.seriesScore = null;
+        
+        // Elo rating, reported by the server when queueing and after each rated duel
+        this.rating = null;
+        this.lastRatingChange = null;
+        
+        // Reaction times (ms, per player ID) from the last finished duel, measured by the server
+        this.lastReactionTimes = null;
+        
         // Initialize nametag tracking
         this.originalLabelDisplays = new Map();
         
@@ -82,6 +99,10 @@ export class QuickDraw {
         this.originalCanAim = true;
         // Record the time (in ms) until which the gun remains locked
         this.penaltyEndTime = 0;
+        // The server owns false starts: we report an early draw once per round and it answers with
+        // quickDrawFalseStart, whose lockout (ms after the draw) is applied when DRAW arrives
+        this.falseStartReported = false;
+        this.falseStartLockout = 0;
         
         // Direct challenge system
         this.playerProximityRadius = 5; // 5 units radius for challenge detection
@@ -91,6 +112,12 @@ export class QuickDraw {
         // Initialize physics system for collision detection
         this.physics = new PhysicsSystem();
         
+        // Spectator mode for watching other players' duels
+        this.spectator = new QuickDrawSpectator(this);
+        
+        // Tournament sign-up and bracket view
+        this.tournament = new QuickDrawTournament(this);
+        
         // Initialize the network handlers and challenge UI
         this.initNetworkHandlers();
         this.createUI();
@@ -202,6 +229,25 @@ export class QuickDraw {
         this.healthBarContainer.appendChild(this.healthBar);
         this.healthBarContainer.appendChild(this.healthText);
         document.getElementById('game-container').appendChild(this.healthBarContainer);
+        
+        // Leaderboard panel, opened with L or this button (hidden while dueling)
+        this.leaderboard = new QuickDrawLeaderboard(this);
+        this.leaderboardButton = document.createElement('button');
+        this.leaderboardButton.id = 'quick-draw-leaderboard-button';
+        this.leaderboardButton.textContent = 'Leaderboard (L)';
+        this.leaderboardButton.style.position = 'absolute';
+        this.leaderboardButton.style.top = '160px';
+        this.leaderboardButton.style.left = '20px';
+        this.leaderboardButton.style.padding = '4px 10px';
+        this.leaderboardButton.style.backgroundColor = 'rgba(0,0,0,0.5)';
+        this.leaderboardButton.style.color = '#FFD700';
+        this.leaderboardButton.style.border = '1px solid #8B5A2B';
+        this.leaderboardButton.style.borderRadius = '5px';
+        this.leaderboardButton.style.fontFamily = 'Western, Arial, sans-serif';
+        this.leaderboardButton.style.cursor = 'pointer';
+        this.leaderboardButton.style.zIndex = '1000';
+        this.leaderboardButton.addEventListener('click', () => this.leaderboard.toggle());
+        document.getElementById('game-container').appendChild(this.leaderboardButton);
     }
     
     /**
@@ -288,6 +334,12 @@ export class QuickDraw {
      * @param {KeyboardEvent} event - The keyboard event
      */
     handleChallengeKeypress(event) {
+        // Q joins or leaves the ranked queue, including while already waiting in it
+        if (event.code === 'KeyQ' && this.localPlayer && !this.inDuel && !isChatInputActive()) {
+            this.toggleMatchmaking();
+            return;
+        }
+        
         // Skip if not in game or if player is in lobby/duel
         if (!this.localPlayer || this.inLobby || this.inDuel) return;
         
@@ -404,6 +456,16 @@ export class QuickDraw {
                     console.log(`[QuickDraw] Received message: ${message.type}`, message);
                 }
                 
+                // Duel list and forwarded events for duels we're watching, not our own
+                if (this.spectator.handleMessage(message)) {
+                    return;
+                }
+                
+                // Tournament sign-up and bracket updates
+                if (this.tournament.handleMessage(message)) {
+                    return;
+                }
+                
                 // Handle Quick Draw specific messages
                 switch (message.type) {
                     case 'quickDrawMatchFound':
@@ -443,6 +505,15 @@ export class QuickDraw {
                             this.localPlayer.canAim = true;
                         }
                         
+                        // A false start keeps the gun locked for a while after the draw
+                        if (this.falseStartLockout > 0) {
+                            this.penaltyEndTime = Date.now() + this.falseStartLockout;
+                            this.falseStartLockout = 0;
+                            if (this.localPlayer) {
+                                this.localPlayer.canAim = false;
+                            }
+                        }
+                        
                         // Switch to first person view (emergency direct camera switch)
                         if (this.localPlayer && this.localPlayer.camera) {
                             // Force camera to player's view
@@ -486,6 +557,25 @@ export class QuickDraw {
                         this.handleDeath(message);
                         break;
                         
+                    case 'joinedQuickDrawQueue':
+                        this.inLobby = true;
+                        this.rating = message.rating;
+                        this.updateStatusIndicator();
+                        break;
+                        
+                    case 'leftQuickDrawQueue':
+                        this.inLobby = false;
+                        this.updateStatusIndicator();
+                        break;
+                        
+                    case 'quickDrawRoundEnd':
+                        this.handleRoundEnd(message);
+                        break;
+                        
+                    case 'quickDrawRoundStart':
+                        this.handleRoundStart(message);
+                        break;
+                        
                     case 'quickDrawResult':
                     case 'quickDrawEnd':  // Handle both formats for compatibility
                         this.handleResult(message);
@@ -507,22 +597,19 @@ export class QuickDraw {
                             }
                             
                             // Set active weapon if provided by server
-                            if (message.activeWeapon && (message.activeWeapon === 'revolver' || message.activeWeapon === 'shotgun')) {
+                            if (isWeapon(message.activeWeapon)) {
                                 // Only switch if different from current
                                 if (this.localPlayer.activeWeapon !== message.activeWeapon) {
-                                    this.localPlayer.switchWeapon(message.activeWeapon);
+                                    this.localPlayer.switchWeapon(message.activeWeapon, false);
                                 }
                             }
                             
                             // Reset all weapon ammo to maximum
-                            this.localPlayer.weaponAmmo = {
-                                revolver: this.localPlayer.weaponStats.revolver.maxBullets,
-                                shotgun: this.localPlayer.weaponStats.shotgun.maxBullets
-                            };
+                            this.localPlayer.weaponAmmo = createWeaponAmmo();
                             
                             // Set the active weapon's bullet count
                             this.localPlayer.bullets = this.localPlayer.weaponAmmo[this.localPlayer.activeWeapon];
-                            this.localPlayer.maxBullets = this.localPlayer.weaponStats[this.localPlayer.activeWeapon].maxBullets;
+                            this.localPlayer.maxBullets = getWeapon(this.localPlayer.activeWeapon).capacity;
                             
                             // Cancel any ongoing reloading
                             if (this.localPlayer.isReloading) {
@@ -600,6 +687,10 @@ export class QuickDraw {
                         }
                         break;
                         
+                    case 'quickDrawFalseStart':
+                        this.handleFalseStart(message);
+                        break;
+                        
                     case 'quickDrawMiss':
                         // Handle explicit miss notifications
                         console.log(`[QuickDraw] Player ${message.playerId} missed shot at player ${message.targetId}`);
@@ -986,6 +1077,11 @@ export class QuickDraw {
         this.updateStatusIndicator();
         this.hideMessage();
         
+        // New round, clean slate for false starts
+        this.falseStartReported = false;
+        this.falseStartLockout = 0;
+        this.penaltyEndTime = 0;
+        
         // Explicitly disable aiming during countdown
         this.localPlayer.canAim = false;
         
@@ -1853,6 +1949,9 @@ export class QuickDraw {
         // Skip if player not initialized
         if (!this.localPlayer || !this.localPlayer.group) return;
         
+        // Spectator camera follows someone else's duel
+        this.spectator.update(deltaTime);
+        
         // CRITICAL: Emergency camera switch enforcement
         if (this.duelState === 'draw') {
             // If we're in draw phase, FORCE the local camera always
@@ -1943,7 +2042,7 @@ export class QuickDraw {
         }
         
         // Check for early draw (using mouse down) during countdown
-        if (this.duelState === 'countdown' && !this.penaltyEndTime) {
+        if (this.duelState === 'countdown' && !this.falseStartReported) {
             if ((window.mouseDown && (window.mouseDown.left || window.mouseDown.right)) || this.localPlayer.isAiming) {
                 this.penalizeEarlyDraw();
             }
@@ -1956,13 +2055,23 @@ export class QuickDraw {
     updateStatusIndicator() {
         if (!this.statusIndicator) return;
         
+        // The leaderboard waits until the duel is over
+        if (this.leaderboardButton) {
+            this.leaderboardButton.style.display = this.inDuel ? 'none' : 'block';
+            if (this.inDuel) {
+                this.leaderboard.hide();
+            }
+        }
+        
         // Show/hide based on duel state
         if (this.inDuel || this.inLobby) {
             this.statusIndicator.style.display = 'block';
             let statusText = '';
             
             if (this.inLobby) {
-                statusText = 'Quick Draw: Waiting for players...';
+                statusText = this.rating !== null
+                    ? `Quick Draw: Finding an opponent near ${this.rating}... (Q to leave)`
+                    : 'Quick Draw: Waiting for players...';
             } else if (this.inDuel) {
                 switch (this.duelState) {
                     case 'ready':
@@ -1974,9 +2083,20 @@ export class QuickDraw {
                     case 'draw':
                         statusText = 'Quick Draw: DRAW!';
                         break;
+                    case 'roundOver':
+                        statusText = 'Quick Draw: Round over';
+                        break;
                     default:
                         statusText = 'Quick Draw: Duel in progress';
                 }
+                
+                // Series standing, e.g. "Round 2 of 3 (1-0)"
+                if (this.seriesBestOf > 1) {
+                    statusText += ` | Round ${this.seriesRound} of ${this.seriesBestOf}`;
+                    if (this.seriesScore) {
+                        statusText += ` (${this.getSeriesScoreText()})`;
+                    }
+                }
             }
             
             this.statusIndicator.textContent = statusText;
@@ -2009,6 +2129,11 @@ export class QuickDraw {
         this.duelState = 'none';
         this.pendingChallenge = null;
         
+        // Series starts at round 1 with no score
+        this.seriesBestOf = message.bestOf || 1;
+        this.seriesRound = 1;
+        this.seriesScore = null;
+        
         console.log(`[QuickDraw] Starting duel with opponent ${this.duelOpponentId}`);
         
         // Play dramatic music for the duel start
@@ -2288,13 +2413,11 @@ export class QuickDraw {
     }
 
     /**
-     * Apply a penalty with dramatic red flashing warning.
-     * Once triggered, records a penalty end time so that gun drawing remains locked
-     * for a full 3 seconds even if the "DRAW!" signal comes.
+     * Report drawing before the signal. The server decides the penalty and replies with
+     * quickDrawFalseStart (see handleFalseStart); until then the gun just goes back in the holster.
      */
     penalizeEarlyDraw() {
-        // Lock gun for 3 seconds
-        this.penaltyEndTime = Date.now() + 3000;
+        this.falseStartReported = true;
         this.localPlayer.canAim = false;
         
         // Force holster any weapon that might be drawn
@@ -2314,8 +2437,35 @@ export class QuickDraw {
             }
         }
         
-        // Show the penalty message
-        this.showMessage('TOO EARLY! Penalty!', 2000);
+        if (this.networkManager && typeof this.networkManager.sendQuickDrawPenalty === 'function') {
+            this.networkManager.sendQuickDrawPenalty();
+        }
+    }
+
+    /**
+     * Handle the server ruling a false start, ours or the opponent's.
+     * @param {Object} message - { playerId, cause, penalty, lockoutTime, damage }
+     */
+    handleFalseStart(message) {
+        if (message.playerId !== this.localPlayer.id) {
+            this.showMessage('Opponent jumped the gun!', 2000, '#FFD700');
+            return;
+        }
+        
+        // The server can also catch an early shot we never reported
+        this.falseStartReported = true;
+        this.falseStartLockout = message.lockoutTime || 0;
+        this.localPlayer.canAim = false;
+        
+        let penaltyText = 'Penalty!';
+        if (message.penalty === 'lockout') {
+            penaltyText = `Gun locked ${(message.lockoutTime / 1000).toFixed(1)}s after the draw`;
+        } else if (message.penalty === 'forfeit') {
+            penaltyText = 'Round forfeited';
+        } else if (message.penalty === 'damage') {
+            penaltyText = `-${message.damage} HP`;
+        }
+        this.showMessage(`TOO EARLY! ${penaltyText}`, 2000, '#ff0000');
         
         // Create a flashing red overlay for penalty
         const penaltyOverlay = document.createElement('div');
@@ -2353,11 +2503,6 @@ export class QuickDraw {
                 penaltyOverlay.parentNode.removeChild(penaltyOverlay);
             }
         }, 1500);
-        
-        // Send penalty to server for validation
-        if (this.networkManager && typeof this.networkManager.sendQuickDrawPenalty === 'function') {
-            this.networkManager.sendQuickDrawPenalty();
-        }
     }
 
     /**
@@ -2526,13 +2671,46 @@ export class QuickDraw {
         
         // Create subtitle message
         const subtitleText = document.createElement('div');
-        subtitleText.textContent = playerWon ? 'You Won The Duel!' : 'You Lost The Duel!';
+        if (this.seriesBestOf > 1 && this.seriesScore) {
+            subtitleText.textContent = `${playerWon ? 'You Won The Series' : 'You Lost The Series'} ${this.getSeriesScoreText()}`;
+        } else {
+            subtitleText.textContent = playerWon ? 'You Won The Duel!' : 'You Lost The Duel!';
+        }
         subtitleText.style.fontSize = '24px';
         subtitleText.style.fontFamily = 'Western, "Rye", serif';
         subtitleText.style.color = '#FFF8DC';
         subtitleText.style.marginTop = '10px';
         subtitleText.style.textShadow = '2px 2px 4px rgba(0,0,0,0.8)';
         
+        // Rating change from this duel, e.g. "Rating 1216 (+16)"
+        let ratingText = null;
+        if (this.lastRatingChange !== null && this.rating !== null) {
+            ratingText = document.createElement('div');
+            ratingText.textContent = `Rating ${this.rating} (${this.lastRatingChange >= 0 ? '+' : ''}${this.lastRatingChange})`;
+            ratingText.style.fontSize = '22px';
+            ratingText.style.fontFamily = 'Western, "Rye", serif';
+            ratingText.style.color = this.lastRatingChange >= 0 ? '#7CFC00' : '#FF6347';
+            ratingText.style.marginTop = '6px';
+            ratingText.style.textShadow = '2px 2px 4px rgba(0,0,0,0.8)';
+            this.lastRatingChange = null;
+        }
+        
+        // Fastest first shot after a draw, e.g. "Fastest draw 0.284s (opponent 0.351s)"
+        let reactionText = null;
+        if (this.lastReactionTimes) {
+            const own = this.lastReactionTimes[this.localPlayer.id];
+            const opponent = this.lastReactionTimes[this.duelOpponentId];
+            const format = (time) => typeof time === 'number' ? `${(time / 1000).toFixed(3)}s` : 'no shot';
+            reactionText = document.createElement('div');
+            reactionText.textContent = `Fastest draw ${format(own)} (opponent ${format(opponent)})`;
+            reactionText.style.fontSize = '18px';
+            reactionText.style.fontFamily = 'Western, "Rye", serif';
+            reactionText.style.color = '#FFF8DC';
+            reactionText.style.marginTop = '6px';
+            reactionText.style.textShadow = '2px 2px 4px rgba(0,0,0,0.8)';
+            this.lastReactionTimes = null;
+        }
+        
         // Add decorative bullet holes to the sign if defeated
         if (!playerWon) {
             for (let i = 0; i < 3; i++) {
@@ -2579,6 +2757,12 @@ export class QuickDraw {
         
         woodenSign.appendChild(resultText);
         woodenSign.appendChild(subtitleText);
+        if (ratingText) {
+            woodenSign.appendChild(ratingText);
+        }
+        if (reactionText) {
+            woodenSign.appendChild(reactionText);
+        }
         woodenSign.appendChild(rope);
         resultOverlay.appendChild(woodenSign);
         document.body.appendChild(resultOverlay);
@@ -3314,28 +3498,14 @@ export class QuickDraw {
     }
 
     /**
-     * Apply penalty for shooting too early
+     * Tell the player their gun is still locked after a false start. The server rejects the
+     * shot on its own, so there is nothing to report.
      */
     applyEarlyShootPenalty() {
-        console.log('Applying penalty for shooting too early');
-        
-        // Notify server about penalty
-        this.networkManager.sendQuickDrawPenalty();
-        
-        // Disable aiming for 3 seconds as penalty
-        this.localPlayer.canAim = false;
-        this.penaltyEndTime = Date.now() + 3000;
-        
-        // Show penalty message
-        this.showMessage('Too Early! Penalty: 3s', 2000, '#ff0000');
-        
-        // Schedule re-enabling of aiming after penalty time
-        setTimeout(() => {
-            if (this.inDuel && this.duelState === 'draw') {
-                this.localPlayer.canAim = true;
-                console.log('Penalty ended, player can now aim');
-            }
-        }, 3000);
+        const remaining = Math.max(0, this.penaltyEndTime - Date.now());
+        if (remaining > 0) {
+            this.showMessage(`Gun locked: ${(remaining / 1000).toFixed(1)}s`, 1000, '#ff0000');
+        }
     }
 
     /**
@@ -3713,6 +3883,18 @@ export class QuickDraw {
     handleResult(message) {
         console.log(`[QuickDraw] Duel ended. Winner: ${message.winnerId}`);
         
+        // Final series score and rating change for the victory/defeat overlay
+        if (message.score) {
+            this.seriesScore = message.score;
+        }
+        if (typeof message.rating === 'number') {
+            this.rating = message.rating;
+            this.lastRatingChange = message.ratingChange;
+        } else {
+            this.lastRatingChange = null;
+        }
+        this.lastReactionTimes = message.reactionTimes || null;
+        
         // Show the victory/defeat screen and visual effects
         this.endDuel(message.winnerId);
         
@@ -3724,6 +3906,129 @@ export class QuickDraw {
         // The server will send a respawn message after the death animation completes
     }
     
+    /**
+     * Join the ranked Quick Draw queue, or leave it if already waiting.
+     * The server pairs players with close ratings, see findQuickDrawMatch in server.js.
+     */
+    toggleMatchmaking() {
+        if (this.inLobby) {
+            console.log('[QuickDraw] Leaving ranked queue');
+            this.networkManager.sendQuickDrawLeave();
+        } else {
+            console.log('[QuickDraw] Joining ranked queue');
+            this.networkManager.sendQuickDrawJoin(0);
+        }
+    }
+
+    /**
+     * Handle the end of a round in a best-of-N series.
+     * The deciding round is followed by quickDrawEnd, which shows the final result instead.
+     * @param {Object} message - { round, bestOf, winnerId, reactionTime, reactionTimes, falseStarts, score, seriesOver }
+     */
+    handleRoundEnd(message) {
+        this.seriesScore = message.score;
+        
+        if (message.seriesOver) return;
+        
+        this.duelState = 'roundOver';
+        this.updateStatusIndicator();
+        
+        // Holster until the next round's draw
+        if (this.localPlayer) {
+            this.localPlayer.canAim = false;
+            this.localPlayer.isAiming = false;
+        }
+        
+        const wonRound = message.winnerId === this.localPlayer.id;
+        const reaction = message.reactionTime !== null ? ` in ${(message.reactionTime / 1000).toFixed(3)}s` : '';
+        this.showMessage(
+            `ROUND ${message.round}: ${wonRound ? 'YOU WIN' : 'YOU LOSE'}${reaction} (${this.getSeriesScoreText()})`,
+            message.nextRoundIn || 3000,
+            wonRound ? '#FFD700' : '#FF3333'
+        );
+        
+        console.log(`[QuickDraw] Round ${message.round} over, winner ${message.winnerId}, score ${this.getSeriesScoreText()}`);
+    }
+
+    /**
+     * Handle the server resetting both duelists for the next round of a series.
+     * @param {Object} message - { round, bestOf, score, startPosition, startRotation }
+     */
+    handleRoundStart(message) {
+        if (!this.inDuel || !this.localPlayer) return;
+        
+        console.log(`[QuickDraw] Starting round ${message.round} of ${message.bestOf}`);
+        
+        this.seriesRound = message.round;
+        this.seriesBestOf = message.bestOf;
+        this.seriesScore = message.score;
+        
+        this.clearAllDuelTimers();
+        
+        // Drop last round's eagle path; update() sets up a new one around the new positions
+        this.disableAerialCamera();
+        this.inDeathOrKillAnimation = false;
+        this.duelState = 'none';
+        
+        // Stand the local model back up after last round's death animation
+        if (this.localPlayerModel && typeof this.localPlayerModel.resetAnimationState === 'function') {
+            this.localPlayerModel.resetAnimationState();
+        }
+        
+        // Teleport to the new street position
+        if (message.startPosition) {
+            this.localPlayer.group.position.set(
+                message.startPosition.x,
+                message.startPosition.y,
+                message.startPosition.z
+            );
+            this.localPlayer.velocity = new THREE.Vector3(0, 0, 0);
+        }
+        if (message.startRotation !== undefined) {
+            this.localPlayer.group.rotation.y = message.startRotation;
+        }
+        this.localPlayer.camera.rotation.x = 0;
+        
+        // Full health and ammo, the server sends a matching weaponState
+        this.localPlayer.health = 100;
+        this.localPlayer.weaponAmmo = createWeaponAmmo();
+        this.localPlayer.bullets = this.localPlayer.weaponAmmo[this.localPlayer.activeWeapon];
+        this.localPlayer.maxBullets = getWeapon(this.localPlayer.activeWeapon).capacity;
+        this.localPlayer.isReloading = false;
+        this.localPlayer.isAiming = false;
+        
+        // Locked in place until the draw, as at the start of the duel
+        this.localPlayer.canAim = false;
+        this.localPlayer.canMove = false;
+        this.localPlayer.forceLockMovement = true;
+        
+        this.updateHealthBar(100);
+        if (typeof updateHealthUI === 'function') {
+            updateHealthUI(this.localPlayer);
+        }
+        this.updateStatusIndicator();
+        
+        this.showMessage(`ROUND ${message.round}`, 1500, '#FFD700');
+        
+        // Mark as ready after showing message
+        this.createDuelTimeout(() => {
+            console.log('[QuickDraw] Sending ready signal to server');
+            this.networkManager.sendQuickDrawReady();
+        }, 2000);
+    }
+
+    /**
+     * Series score from the local player's point of view, e.g. "2-1".
+     * @returns {string}
+     */
+    getSeriesScoreText() {
+        if (!this.seriesScore) return '0-0';
+        
+        const own = this.seriesScore[this.localPlayer.id] || 0;
+        const opponent = this.seriesScore[this.duelOpponentId] || 0;
+        return `${own}-${opponent}`;
+    }
+
     /**
      * Reset all player state variables
      */
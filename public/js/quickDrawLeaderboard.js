@@ -0,0 +1,235 @@
+/**
+ * Quick Draw leaderboard panel
+ * Shows the server's boards (most wins, best streak, fastest gun, rating) from /api/leaderboard.
+ * Opened with L or the Leaderboard button next to the Quick Draw status indicator.
+ */
+
+import { isChatInputActive } from './chat.js';
+
+// Tab order, keyed by the server's board names
+const BOARDS = ['wins', 'streak', 'reaction', 'rating'];
+
+export class QuickDrawLeaderboard {
+    /**
+     * @param {QuickDraw} quickDraw - The Quick Draw game mode that owns this panel
+     */
+    constructor(quickDraw) {
+        this.quickDraw = quickDraw;
+
+        // Last response from /api/leaderboard and the tab being shown
+        this.boards = null;
+        this.activeBoard = 'wins';
+        this.loading = false;
+
+        this.createUI();
+
+        document.addEventListener('keydown', (event) => this.handleKeydown(event));
+    }
+
+    /**
+     * Create the panel and its tabs.
+     */
+    createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'quick-draw-leaderboard';
+        this.panel.style.position = 'absolute';
+        this.panel.style.top = '50%';
+        this.panel.style.left = '50%';
+        this.panel.style.transform = 'translate(-50%, -50%)';
+        this.panel.style.minWidth = '380px';
+        this.panel.style.backgroundColor = 'rgba(43, 27, 14, 0.92)';
+        this.panel.style.border = '3px solid #8B5A2B';
+        this.panel.style.borderRadius = '8px';
+        this.panel.style.padding = '15px 20px';
+        this.panel.style.color = '#F5DEB3';
+        this.panel.style.fontFamily = 'Western, Arial, sans-serif';
+        this.panel.style.zIndex = '1100';
+        this.panel.style.display = 'none';
+
+        const title = document.createElement('div');
+        title.textContent = 'Quick Draw Leaderboard';
+        title.style.fontSize = '24px';
+        title.style.color = '#FFD700';
+        title.style.textAlign = 'center';
+        title.style.marginBottom = '10px';
+        this.panel.appendChild(title);
+
+        this.tabs = document.createElement('div');
+        this.tabs.style.display = 'flex';
+        this.tabs.style.justifyContent = 'center';
+        this.tabs.style.gap = '6px';
+        this.tabs.style.marginBottom = '10px';
+        this.tabButtons = new Map();
+        for (const board of BOARDS) {
+            const tab = document.createElement('button');
+            tab.style.padding = '4px 10px';
+            tab.style.border = '1px solid #FFD700';
+            tab.style.borderRadius = '4px';
+            tab.style.cursor = 'pointer';
+            tab.style.fontFamily = 'inherit';
+            tab.addEventListener('click', () => this.showBoard(board));
+            this.tabButtons.set(board, tab);
+            this.tabs.appendChild(tab);
+        }
+        this.panel.appendChild(this.tabs);
+
+        this.list = document.createElement('div');
+        this.panel.appendChild(this.list);
+
+        const hint = document.createElement('div');
+        hint.textContent = 'Press L to close';
+        hint.style.fontSize = '12px';
+        hint.style.textAlign = 'center';
+        hint.style.marginTop = '10px';
+        hint.style.opacity = '0.7';
+        this.panel.appendChild(hint);
+
+        document.getElementById('game-container').appendChild(this.panel);
+    }
+
+    /**
+     * L toggles the panel outside of duels.
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    handleKeydown(event) {
+        if (event.code !== 'KeyL' || isChatInputActive()) return;
+        if (this.quickDraw.inDuel) return;
+
+        this.toggle();
+    }
+
+    /**
+     * Show or hide the panel. Opening it fetches fresh standings.
+     */
+    toggle() {
+        if (this.panel.style.display === 'none') {
+            this.panel.style.display = 'block';
+            this.render();
+            this.refresh();
+
+            // Free the cursor so the tabs can be clicked
+            if (document.pointerLockElement) {
+                document.exitPointerLock();
+            }
+        } else {
+            this.panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Close the panel, e.g. when a duel starts.
+     */
+    hide() {
+        this.panel.style.display = 'none';
+    }
+
+    /**
+     * Fetch every board from the server and redraw.
+     */
+    async refresh() {
+        if (this.loading) return;
+        this.loading = true;
+
+        try {
+            const response = await fetch('/api/leaderboard?limit=10');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.boards = data.boards;
+        } catch (error) {
+            console.error('[QuickDraw] Failed to load leaderboard:', error);
+            this.boards = null;
+        } finally {
+            this.loading = false;
+            this.render();
+        }
+    }
+
+    /**
+     * @param {string} board - One of BOARDS
+     */
+    showBoard(board) {
+        this.activeBoard = board;
+        this.render();
+    }
+
+    /**
+     * Draw the tabs and the active board's rows.
+     */
+    render() {
+        for (const [board, tab] of this.tabButtons) {
+            const active = board === this.activeBoard;
+            tab.textContent = this.boards && this.boards[board] ? this.boards[board].label : board;
+            tab.style.backgroundColor = active ? '#FFD700' : '#8B5A2B';
+            tab.style.color = active ? '#2B1B0E' : '#FFD700';
+        }
+
+        this.list.innerHTML = '';
+
+        if (!this.boards) {
+            this.addMessageRow(this.loading ? 'Loading...' : 'Leaderboard unavailable');
+            return;
+        }
+
+        const entries = this.boards[this.activeBoard] ? this.boards[this.activeBoard].entries : [];
+        if (entries.length === 0) {
+            this.addMessageRow('No duels on record yet');
+            return;
+        }
+
+        const ownName = window.playerIdentity && window.playerIdentity.username
+            ? window.playerIdentity.username.toLowerCase()
+            : null;
+
+        for (const entry of entries) {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.justifyContent = 'space-between';
+            row.style.padding = '4px 0';
+            row.style.borderBottom = '1px solid rgba(139, 90, 43, 0.6)';
+            if (ownName && entry.username.toLowerCase() === ownName) {
+                row.style.color = '#FFD700';
+            }
+
+            const name = document.createElement('span');
+            name.textContent = `${entry.rank}. ${entry.username}`;
+            row.appendChild(name);
+
+            const value = document.createElement('span');
+            value.textContent = this.formatValue(entry);
+            value.style.marginLeft = '20px';
+            row.appendChild(value);
+
+            this.list.appendChild(row);
+        }
+    }
+
+    /**
+     * @param {string} text - Placeholder shown instead of rows
+     */
+    addMessageRow(text) {
+        const row = document.createElement('div');
+        row.textContent = text;
+        row.style.textAlign = 'center';
+        row.style.padding = '10px 0';
+        this.list.appendChild(row);
+    }
+
+    /**
+     * @param {Object} entry - { value, duelWins, duelLosses } from the server
+     * @returns {string} The entry's value as shown on the active board
+     */
+    formatValue(entry) {
+        switch (this.activeBoard) {
+            case 'wins':
+                return `${entry.duelWins}W ${entry.duelLosses}L`;
+            case 'streak':
+                return `${entry.value} in a row`;
+            case 'reaction':
+                return `${(entry.value / 1000).toFixed(3)}s`;
+            default:
+                return String(entry.value);
+        }
+    }
+}
@@ -0,0 +1,579 @@
+/**
+ * Quick Draw spectator mode
+ * Lets players who aren't dueling watch a duel in progress, either from the eagle's
+ * circling POV (the same shot the duelists get before the draw) or from a free orbit camera.
+ * The server forwards the duel's countdown, draw, shots and result to spectators,
+ * tagged with spectating: true so they never touch the local player's own duel state.
+ */
+
+import { isChatInputActive } from './chat.js';
+
+export class QuickDrawSpectator {
+    /**
+     * @param {QuickDraw} quickDraw - The Quick Draw game mode that owns this spectator
+     */
+    constructor(quickDraw) {
+        this.quickDraw = quickDraw;
+        this.scene = quickDraw.scene;
+        this.localPlayer = quickDraw.localPlayer;
+        this.networkManager = quickDraw.networkManager;
+        this.soundManager = quickDraw.soundManager;
+
+        // Spectating state
+        this.active = false;
+        this.duelId = null;
+        this.duelists = { player1: null, player2: null };
+        this.score = null;
+        this.bestOf = 1;
+        this.cameraMode = 'eagle'; // 'eagle' or 'orbit'
+        this.camera = null;
+        this._endTimeout = null;
+
+        // Free orbit camera around the duel center
+        this.orbit = {
+            angle: 0,
+            pitch: 0.35,
+            distance: 30,
+            minDistance: 8,
+            maxDistance: 70,
+            autoRotateSpeed: 0.05
+        };
+        this.duelCenter = new THREE.Vector3();
+        this.duelistDistance = 40;
+
+        // Duels offered in the picker, refreshed by quickDrawDuelList
+        this.duels = [];
+
+        this.createUI();
+
+        document.addEventListener('keydown', (event) => this.handleKeydown(event));
+        document.addEventListener('mousemove', (event) => this.handleMouseMove(event));
+        document.addEventListener('wheel', (event) => this.handleWheel(event));
+    }
+
+    /**
+     * Create the duel picker and the spectating HUD.
+     */
+    createUI() {
+        // Duel picker
+        this.picker = document.createElement('div');
+        this.picker.id = 'quick-draw-spectate-picker';
+        this.picker.style.position = 'absolute';
+        this.picker.style.top = '50%';
+        this.picker.style.left = '50%';
+        this.picker.style.transform = 'translate(-50%, -50%)';
+        this.picker.style.minWidth = '320px';
+        this.picker.style.backgroundColor = 'rgba(43, 27, 14, 0.92)';
+        this.picker.style.border = '3px solid #8B5A2B';
+        this.picker.style.borderRadius = '8px';
+        this.picker.style.padding = '15px 20px';
+        this.picker.style.color = '#F5DEB3';
+        this.picker.style.fontFamily = 'Western, Arial, sans-serif';
+        this.picker.style.zIndex = '1100';
+        this.picker.style.display = 'none';
+
+        const pickerTitle = document.createElement('div');
+        pickerTitle.textContent = 'Duels in Progress';
+        pickerTitle.style.fontSize = '24px';
+        pickerTitle.style.color = '#FFD700';
+        pickerTitle.style.textAlign = 'center';
+        pickerTitle.style.marginBottom = '10px';
+        this.picker.appendChild(pickerTitle);
+
+        this.pickerList = document.createElement('div');
+        this.picker.appendChild(this.pickerList);
+
+        const pickerHint = document.createElement('div');
+        pickerHint.textContent = 'Press V to close';
+        pickerHint.style.fontSize = '12px';
+        pickerHint.style.textAlign = 'center';
+        pickerHint.style.marginTop = '10px';
+        pickerHint.style.opacity = '0.7';
+        this.picker.appendChild(pickerHint);
+
+        document.getElementById('game-container').appendChild(this.picker);
+
+        // Spectating HUD
+        this.hud = document.createElement('div');
+        this.hud.id = 'quick-draw-spectate-hud';
+        this.hud.style.position = 'absolute';
+        this.hud.style.top = '20px';
+        this.hud.style.left = '50%';
+        this.hud.style.transform = 'translateX(-50%)';
+        this.hud.style.backgroundColor = 'rgba(0,0,0,0.5)';
+        this.hud.style.borderRadius = '5px';
+        this.hud.style.padding = '8px 15px';
+        this.hud.style.color = 'white';
+        this.hud.style.fontFamily = 'Western, Arial, sans-serif';
+        this.hud.style.textAlign = 'center';
+        this.hud.style.zIndex = '1000';
+        this.hud.style.display = 'none';
+
+        this.hudTitle = document.createElement('div');
+        this.hudTitle.style.fontSize = '20px';
+        this.hud.appendChild(this.hudTitle);
+
+        this.hudStatus = document.createElement('div');
+        this.hudStatus.style.fontSize = '14px';
+        this.hudStatus.style.marginTop = '4px';
+        this.hud.appendChild(this.hudStatus);
+
+        const hudHint = document.createElement('div');
+        hudHint.textContent = 'C: switch camera  |  V: stop watching';
+        hudHint.style.fontSize = '12px';
+        hudHint.style.marginTop = '4px';
+        hudHint.style.opacity = '0.7';
+        this.hud.appendChild(hudHint);
+
+        document.getElementById('game-container').appendChild(this.hud);
+    }
+
+    /**
+     * Handle keyboard shortcuts: V opens the picker or stops watching, C switches camera.
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    handleKeydown(event) {
+        if (isChatInputActive()) return;
+        if (this.quickDraw.inDuel || this.quickDraw.inLobby) return;
+
+        switch (event.code) {
+            case 'KeyV':
+                if (this.active) {
+                    this.stop();
+                } else {
+                    this.togglePicker();
+                }
+                break;
+
+            case 'KeyC':
+                if (this.active) {
+                    this.setCameraMode(this.cameraMode === 'eagle' ? 'orbit' : 'eagle');
+                }
+                break;
+        }
+    }
+
+    /**
+     * Orbit the free camera with the (pointer-locked) mouse.
+     * @param {MouseEvent} event - The mouse event
+     */
+    handleMouseMove(event) {
+        if (!this.active || this.cameraMode !== 'orbit' || !document.pointerLockElement) return;
+
+        this.orbit.angle -= (event.movementX || 0) * 0.004;
+        this.orbit.pitch = Math.max(0.05, Math.min(1.4, this.orbit.pitch + (event.movementY || 0) * 0.003));
+    }
+
+    /**
+     * Zoom the free camera with the mouse wheel.
+     * @param {WheelEvent} event - The wheel event
+     */
+    handleWheel(event) {
+        if (!this.active || this.cameraMode !== 'orbit') return;
+
+        const zoom = event.deltaY > 0 ? 1.1 : 0.9;
+        this.orbit.distance = Math.max(this.orbit.minDistance, Math.min(this.orbit.maxDistance, this.orbit.distance * zoom));
+    }
+
+    /**
+     * Show or hide the duel picker. Opening it asks the server for a fresh list.
+     */
+    togglePicker() {
+        if (this.picker.style.display === 'none') {
+            this.networkManager.sendQuickDrawListDuels();
+            this.renderDuelList();
+            this.picker.style.display = 'block';
+
+            // Free the cursor so the Watch buttons can be clicked
+            if (document.pointerLockElement) {
+                document.exitPointerLock();
+            }
+        } else {
+            this.picker.style.display = 'none';
+        }
+    }
+
+    /**
+     * Fill the picker with the duels the server last reported.
+     */
+    renderDuelList() {
+        this.pickerList.innerHTML = '';
+
+        if (this.duels.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No duels right now';
+            empty.style.textAlign = 'center';
+            empty.style.padding = '10px 0';
+            this.pickerList.appendChild(empty);
+            return;
+        }
+
+        for (const duel of this.duels) {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.justifyContent = 'space-between';
+            row.style.padding = '6px 0';
+            row.style.borderBottom = '1px solid rgba(139, 90, 43, 0.6)';
+
+            const label = document.createElement('span');
+            // Usernames are player-chosen, so never build this with innerHTML
+            label.textContent = `${this.getDuelistName(duel.player1)} vs ${this.getDuelistName(duel.player2)}` +
+                (duel.spectatorCount > 0 ? ` (${duel.spectatorCount} watching)` : '');
+            row.appendChild(label);
+
+            const watchButton = document.createElement('button');
+            watchButton.textContent = 'Watch';
+            watchButton.style.marginLeft = '15px';
+            watchButton.style.padding = '4px 12px';
+            watchButton.style.backgroundColor = '#8B5A2B';
+            watchButton.style.color = '#FFD700';
+            watchButton.style.border = '1px solid #FFD700';
+            watchButton.style.borderRadius = '4px';
+            watchButton.style.cursor = 'pointer';
+            watchButton.style.fontFamily = 'inherit';
+            watchButton.addEventListener('click', () => {
+                this.networkManager.sendQuickDrawSpectate(duel.id);
+                this.picker.style.display = 'none';
+            });
+            row.appendChild(watchButton);
+
+            this.pickerList.appendChild(row);
+        }
+    }
+
+    /**
+     * Route a server message to spectator mode.
+     * @param {Object} message - The parsed server message
+     * @returns {boolean} True if the message was for the spectator and needs no further handling
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'quickDrawDuelList':
+                this.duels = message.duels || [];
+                if (this.picker.style.display !== 'none') {
+                    this.renderDuelList();
+                }
+                return true;
+
+            case 'quickDrawSpectateStart':
+                this.start(message);
+                return true;
+
+            case 'quickDrawSpectateDenied':
+                this.quickDraw.showMessage(message.reason, 2000, '#FF9900');
+                return true;
+
+            case 'quickDrawMatch':
+            case 'quickDrawMatchFound':
+                // Our own duel takes over; the server has already dropped us as a spectator
+                if (this.active) {
+                    this.stop(false);
+                }
+                return false;
+        }
+
+        if (!message.spectating) return false;
+
+        // Anything left over from a duel we stopped watching is ignored
+        if (!this.active || message.duelId !== this.duelId) return true;
+
+        switch (message.type) {
+            case 'quickDrawCountdown':
+                if (message.player1) this.duelists.player1 = message.player1;
+                if (message.player2) this.duelists.player2 = message.player2;
+                this.updateDuelCenter(true);
+                this.updateHud('Get ready...');
+                this.quickDraw.showMessage('READY...', 1500, '#FFD700');
+                break;
+
+            case 'quickDrawDraw':
+                this.updateHud('DRAW!');
+                this.quickDraw.showMessage('DRAW!', 1000, '#FF0000');
+                if (this.soundManager) {
+                    this.soundManager.playSound("eaglescream", 0, 1.0);
+                }
+                break;
+
+            case 'quickDrawMiss':
+                this.updateHud(`${this.getDuelistName(this.getDuelist(message.playerId))} missed!`);
+                break;
+
+            case 'quickDrawFalseStart':
+                this.updateHud(`${this.getDuelistName(this.getDuelist(message.playerId))} jumped the gun!`);
+                break;
+
+            case 'playerHealthUpdate': {
+                const target = this.getDuelist(message.playerId);
+                if (target) {
+                    target.health = message.health;
+                }
+                // No shooter means the server docked health for a false start
+                if (message.hitBy === null) {
+                    this.updateHud(`${this.getDuelistName(target)} loses ${message.damage} HP for a false start`);
+                } else {
+                    this.updateHud(`${this.getDuelistName(this.getDuelist(message.hitBy))} hit ${this.getDuelistName(target)} (${message.hitZone || 'body'})`);
+                }
+                break;
+            }
+
+            case 'quickDrawRoundEnd':
+                this.score = message.score;
+                this.bestOf = message.bestOf;
+                if (!message.seriesOver) {
+                    const reaction = message.reactionTime !== null ? ` (${(message.reactionTime / 1000).toFixed(3)}s)` : '';
+                    this.updateHud(`Round ${message.round} to ${this.getDuelistName(this.getDuelist(message.winnerId))}${reaction}`);
+                }
+                break;
+
+            case 'quickDrawRoundStart':
+                this.score = message.score;
+                this.bestOf = message.bestOf;
+                if (message.player1) this.duelists.player1 = message.player1;
+                if (message.player2) this.duelists.player2 = message.player2;
+                this.updateDuelCenter(true);
+                this.updateHud(`Round ${message.round}`);
+                break;
+
+            case 'quickDrawEnd': {
+                const winnerName = message.winnerId ? (message.winnerName || this.getDuelistName(this.getDuelist(message.winnerId))) : null;
+                this.updateHud(winnerName ? `${winnerName} wins!` : 'Duel called off');
+                this.quickDraw.showMessage(winnerName ? `${winnerName.toUpperCase()} WINS!` : 'NO WINNER', 2500, '#FFD700');
+
+                // Linger on the result, the server has already released us
+                this._endTimeout = setTimeout(() => this.stop(false), 3000);
+                break;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Enter spectator mode for the duel the server just confirmed.
+     * @param {Object} message - quickDrawSpectateStart from the server
+     */
+    start(message) {
+        if (this.active) {
+            this.stop(false);
+        }
+
+        this.active = true;
+        this.duelId = message.duelId;
+        this.duelists = { player1: message.player1, player2: message.player2 };
+        this.score = message.score || null;
+        this.bestOf = message.bestOf || 1;
+
+        if (!this.camera) {
+            this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+        }
+        this.scene.add(this.camera);
+
+        // Freeze the local player while the camera is away
+        if (this.localPlayer) {
+            this.localPlayer.canMove = false;
+            this.localPlayer.canAim = false;
+            this.localPlayer.forceLockMovement = true;
+        }
+
+        this.updateDuelCenter(true);
+        this.orbit.distance = Math.max(this.orbit.minDistance, Math.min(this.orbit.maxDistance, this.duelistDistance * 0.8));
+        this.setCameraMode(this.cameraMode);
+
+        this.hud.style.display = 'block';
+        this.updateHud(message.state === 'draw' ? 'DRAW!' : 'Waiting for the draw...');
+
+        console.log(`[QuickDraw] Spectating duel ${this.duelId}`);
+    }
+
+    /**
+     * Leave spectator mode and hand the view back to the local player.
+     * @param {boolean} notifyServer - Whether to tell the server (false when it already released us)
+     */
+    stop(notifyServer = true) {
+        if (!this.active) return;
+
+        if (notifyServer) {
+            this.networkManager.sendQuickDrawStopSpectating();
+        }
+
+        if (this._endTimeout) {
+            clearTimeout(this._endTimeout);
+            this._endTimeout = null;
+        }
+
+        this.active = false;
+        this.duelId = null;
+
+        if (window.flyingEagle) {
+            window.flyingEagle.deactivateAerialCamera();
+            window.flyingEagle.returnToDefaultPath();
+        }
+
+        if (this.camera && this.camera.parent) {
+            this.camera.parent.remove(this.camera);
+        }
+
+        // Restore the first person camera
+        if (this.localPlayer && this.localPlayer.camera && window.renderer) {
+            window.renderer.camera = this.localPlayer.camera;
+            if (window.renderer.instance) {
+                window.renderer.instance.camera = this.localPlayer.camera;
+            }
+        }
+
+        if (this.localPlayer) {
+            this.localPlayer.canMove = true;
+            this.localPlayer.canAim = true;
+            this.localPlayer.forceLockMovement = false;
+        }
+
+        this.hud.style.display = 'none';
+
+        console.log('[QuickDraw] Stopped spectating');
+    }
+
+    /**
+     * Switch between the eagle POV and the free orbit camera.
+     * @param {string} mode - 'eagle' or 'orbit'
+     */
+    setCameraMode(mode) {
+        // The eagle may not have loaded yet; the orbit camera always works
+        if (mode === 'eagle' && !(window.flyingEagle && window.flyingEagle.isLoaded)) {
+            mode = 'orbit';
+        }
+
+        this.cameraMode = mode;
+        if (!this.active) return;
+
+        if (mode === 'eagle') {
+            window.flyingEagle.camera = this.camera;
+            window.flyingEagle.setQuickdrawFlightPath(this.duelCenter, this.duelistDistance);
+            window.flyingEagle.activateAerialCamera();
+        } else {
+            if (window.flyingEagle) {
+                window.flyingEagle.deactivateAerialCamera();
+                window.flyingEagle.returnToDefaultPath();
+            }
+
+            // Detached from the eagle, the camera lives in world space again
+            if (this.camera.parent !== this.scene) {
+                if (this.camera.parent) this.camera.parent.remove(this.camera);
+                this.scene.add(this.camera);
+            }
+            this.positionOrbitCamera();
+        }
+
+        if (window.renderer) {
+            window.renderer.camera = this.camera;
+            if (window.renderer.instance) {
+                window.renderer.instance.camera = this.camera;
+            }
+        }
+    }
+
+    /**
+     * Per-frame update, called from QuickDraw.update.
+     * @param {number} deltaTime - Time elapsed since last frame
+     */
+    update(deltaTime) {
+        if (!this.active) return;
+
+        this.updateDuelCenter(false);
+
+        if (this.cameraMode === 'orbit') {
+            this.orbit.angle += this.orbit.autoRotateSpeed * deltaTime;
+            this.positionOrbitCamera();
+        }
+
+        // Keep our camera on screen even if something else switched the renderer back
+        if (window.renderer && window.renderer.camera !== this.camera) {
+            window.renderer.camera = this.camera;
+        }
+    }
+
+    /**
+     * Place the orbit camera on its sphere around the duel center.
+     */
+    positionOrbitCamera() {
+        const horizontal = Math.cos(this.orbit.pitch) * this.orbit.distance;
+
+        this.camera.position.set(
+            this.duelCenter.x + Math.cos(this.orbit.angle) * horizontal,
+            this.duelCenter.y + Math.sin(this.orbit.pitch) * this.orbit.distance,
+            this.duelCenter.z + Math.sin(this.orbit.angle) * horizontal
+        );
+        this.camera.lookAt(this.duelCenter);
+    }
+
+    /**
+     * Recompute the midpoint between the duelists, re-aiming the eagle when it moved noticeably.
+     * @param {boolean} force - Re-aim the eagle even if the center barely moved
+     */
+    updateDuelCenter(force) {
+        const pos1 = this.getDuelistPosition(this.duelists.player1);
+        const pos2 = this.getDuelistPosition(this.duelists.player2);
+        if (!pos1 && !pos2) return;
+
+        const center = pos1 && pos2 ? pos1.clone().add(pos2).multiplyScalar(0.5) : (pos1 || pos2).clone();
+        const moved = center.distanceTo(this.duelCenter);
+
+        this.duelCenter.copy(center);
+        this.duelistDistance = pos1 && pos2 ? pos1.distanceTo(pos2) : 10;
+
+        if (this.cameraMode === 'eagle' && window.flyingEagle && (force || moved > 1)) {
+            window.flyingEagle.setQuickdrawFlightPath(this.duelCenter, this.duelistDistance);
+        }
+    }
+
+    /**
+     * @param {Object|null} duelist - Duelist summary from the server
+     * @returns {THREE.Vector3|null} Latest known position, preferring live network updates
+     */
+    getDuelistPosition(duelist) {
+        if (!duelist) return null;
+
+        const liveData = this.networkManager.otherPlayers && this.networkManager.otherPlayers.get(duelist.id);
+        const position = liveData && liveData.position ? liveData.position : duelist.position;
+        if (!position) return null;
+
+        return new THREE.Vector3(position.x, position.y, position.z);
+    }
+
+    /**
+     * @param {number} playerId - A duelist's ID
+     * @returns {Object|null} That duelist's summary
+     */
+    getDuelist(playerId) {
+        const { player1, player2 } = this.duelists;
+        if (player1 && player1.id === Number(playerId)) return player1;
+        if (player2 && player2.id === Number(playerId)) return player2;
+        return null;
+    }
+
+    /**
+     * @param {Object|null} duelist - Duelist summary from the server
+     * @returns {string} Display name
+     */
+    getDuelistName(duelist) {
+        if (!duelist) return 'Someone';
+        return duelist.username || `Player ${duelist.id}`;
+    }
+
+    /**
+     * Refresh the HUD with the matchup, both health values and the latest event.
+     * @param {string} status - Latest event text
+     */
+    updateHud(status) {
+        const { player1, player2 } = this.duelists;
+        const health = (duelist) => (duelist && typeof duelist.health === 'number' ? ` (${duelist.health} HP)` : '');
+
+        this.hudTitle.textContent = `${this.getDuelistName(player1)}${health(player1)} vs ${this.getDuelistName(player2)}${health(player2)}`;
+
+        // Series standing for best-of-N duels
+        if (this.bestOf > 1 && this.score && player1 && player2) {
+            this.hudTitle.textContent += `  [${this.score[player1.id] || 0}-${this.score[player2.id] || 0}, best of ${this.bestOf}]`;
+        }
+        this.hudStatus.textContent = status;
+    }
+}
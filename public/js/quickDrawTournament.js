@@ -0,0 +1,412 @@
+/**
+ * Quick Draw tournament view
+ * Sign-up, the seeded bracket and live match status for the server's current tournament.
+ * The server broadcasts tournamentState whenever anything changes and schedules matches itself;
+ * a tournament match then arrives as an ordinary quickDrawMatch tagged with its bracket match.
+ * Opened with J.
+ */
+
+import { isChatInputActive } from './chat.js';
+
+// Column headings for each side of the bracket
+const SIDES = [
+    { side: 'winners', title: 'Winners Bracket' },
+    { side: 'losers', title: 'Losers Bracket' },
+    { side: 'final', title: 'Grand Final' }
+];
+
+export class QuickDrawTournament {
+    /**
+     * @param {QuickDraw} quickDraw - The Quick Draw game mode that owns this view
+     */
+    constructor(quickDraw) {
+        this.quickDraw = quickDraw;
+        this.networkManager = quickDraw.networkManager;
+
+        // Last tournamentState from the server, null if there has never been one
+        this.tournament = null;
+        this.signupDeadline = 0; // Local time sign-up closes, from the relative signupEndsIn
+        this._countdownInterval = null;
+
+        this.createUI();
+
+        document.addEventListener('keydown', (event) => this.handleKeydown(event));
+    }
+
+    /**
+     * Create the panel. Its contents are rebuilt by render().
+     */
+    createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'quick-draw-tournament';
+        this.panel.style.position = 'absolute';
+        this.panel.style.top = '50%';
+        this.panel.style.left = '50%';
+        this.panel.style.transform = 'translate(-50%, -50%)';
+        this.panel.style.minWidth = '420px';
+        this.panel.style.maxWidth = '90%';
+        this.panel.style.maxHeight = '80%';
+        this.panel.style.overflow = 'auto';
+        this.panel.style.backgroundColor = 'rgba(43, 27, 14, 0.92)';
+        this.panel.style.border = '3px solid #8B5A2B';
+        this.panel.style.borderRadius = '8px';
+        this.panel.style.padding = '15px 20px';
+        this.panel.style.color = '#F5DEB3';
+        this.panel.style.fontFamily = 'Western, Arial, sans-serif';
+        this.panel.style.zIndex = '1100';
+        this.panel.style.display = 'none';
+
+        const title = document.createElement('div');
+        title.textContent = 'Quick Draw Tournament';
+        title.style.fontSize = '24px';
+        title.style.color = '#FFD700';
+        title.style.textAlign = 'center';
+        title.style.marginBottom = '8px';
+        this.panel.appendChild(title);
+
+        this.statusLine = document.createElement('div');
+        this.statusLine.style.textAlign = 'center';
+        this.statusLine.style.marginBottom = '10px';
+        this.panel.appendChild(this.statusLine);
+
+        this.actions = document.createElement('div');
+        this.actions.style.display = 'flex';
+        this.actions.style.justifyContent = 'center';
+        this.actions.style.gap = '8px';
+        this.actions.style.marginBottom = '10px';
+        this.panel.appendChild(this.actions);
+
+        this.content = document.createElement('div');
+        this.panel.appendChild(this.content);
+
+        const hint = document.createElement('div');
+        hint.textContent = 'Press J to close';
+        hint.style.fontSize = '12px';
+        hint.style.textAlign = 'center';
+        hint.style.marginTop = '10px';
+        hint.style.opacity = '0.7';
+        this.panel.appendChild(hint);
+
+        document.getElementById('game-container').appendChild(this.panel);
+    }
+
+    /**
+     * J toggles the bracket view outside of duels.
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    handleKeydown(event) {
+        if (event.code !== 'KeyJ' || isChatInputActive()) return;
+        if (this.quickDraw.inDuel) return;
+
+        this.toggle();
+    }
+
+    /**
+     * Show or hide the panel. Opening it asks the server for the latest state.
+     */
+    toggle() {
+        if (this.panel.style.display === 'none') {
+            this.networkManager.sendTournamentGetState();
+            this.panel.style.display = 'block';
+            this.render();
+            this.startCountdown();
+
+            // Free the cursor so the buttons can be clicked
+            if (document.pointerLockElement) {
+                document.exitPointerLock();
+            }
+        } else {
+            this.hide();
+        }
+    }
+
+    /**
+     * Close the panel, e.g. when a match starts.
+     */
+    hide() {
+        this.panel.style.display = 'none';
+        this.stopCountdown();
+    }
+
+    /**
+     * Route a server message to the tournament view.
+     * @param {Object} message - The parsed server message
+     * @returns {boolean} True if the message was for the tournament and needs no further handling
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'tournamentState':
+                this.updateState(message.tournament);
+                return true;
+
+            case 'quickDrawMatch':
+            case 'quickDrawMatchFound':
+                // Our bracket match is starting; the duel itself is handled as usual
+                if (message.tournament) {
+                    console.log(`[QuickDraw] Tournament match ${message.tournament.matchId}: ${message.tournament.label}`);
+                    this.hide();
+                }
+                return false;
+        }
+
+        return false;
+    }
+
+    /**
+     * Take a new tournamentState and announce the big moments.
+     * @param {Object|null} tournament - From the server
+     */
+    updateState(tournament) {
+        const previous = this.tournament;
+        this.tournament = tournament;
+
+        if (tournament && tournament.state === 'signup') {
+            this.signupDeadline = Date.now() + tournament.signupEndsIn;
+        }
+
+        const changed = tournament && (!previous || previous.id !== tournament.id || previous.state !== tournament.state);
+        if (changed && !this.quickDraw.inDuel) {
+            if (tournament.state === 'signup') {
+                this.quickDraw.showMessage('Tournament sign-up open! Press J', 3000, '#FFD700');
+            } else if (tournament.state === 'running') {
+                this.quickDraw.showMessage('The tournament has begun!', 2500, '#FFD700');
+            } else if (tournament.state === 'finished') {
+                const champion = tournament.entrants.find(entrant => entrant.id === tournament.bracket.championId);
+                if (champion) {
+                    this.quickDraw.showMessage(`${champion.username.toUpperCase()} WINS THE TOURNAMENT!`, 4000, '#FFD700');
+                }
+            }
+        }
+
+        if (this.panel.style.display !== 'none') {
+            this.render();
+        }
+    }
+
+    /**
+     * Tick the sign-up countdown while the panel is open.
+     */
+    startCountdown() {
+        this.stopCountdown();
+        this._countdownInterval = setInterval(() => {
+            if (this.tournament && this.tournament.state === 'signup') {
+                this.renderStatus();
+            }
+        }, 1000);
+    }
+
+    /**
+     * Stop the sign-up countdown.
+     */
+    stopCountdown() {
+        if (this._countdownInterval) {
+            clearInterval(this._countdownInterval);
+            this._countdownInterval = null;
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether the local player is signed up or still in the bracket
+     */
+    isEntered() {
+        const tournament = this.tournament;
+        const ownId = this.quickDraw.localPlayer ? this.quickDraw.localPlayer.id : null;
+        if (!tournament || ownId === null) return false;
+
+        if (tournament.state === 'signup') {
+            return tournament.signups.some(signup => signup.id === ownId);
+        }
+        return tournament.entrants.some(entrant => entrant.id === ownId && !entrant.withdrawn);
+    }
+
+    /**
+     * @param {number|string|null} playerId - Player ID, 'bye', or null for a slot not yet decided
+     * @returns {string} Display name with seed, e.g. '(1) Wyatt'
+     */
+    getPlayerName(playerId) {
+        if (playerId === 'bye') return 'bye';
+        if (playerId === null || playerId === undefined || !this.tournament) return 'TBD';
+
+        const entrant = this.tournament.entrants.find(e => e.id === playerId);
+        if (entrant) return `(${entrant.seed}) ${entrant.username}`;
+
+        const signup = this.tournament.signups.find(s => s.id === playerId);
+        return signup ? signup.username : `Player ${playerId}`;
+    }
+
+    /**
+     * Rebuild the panel from the last state.
+     */
+    render() {
+        this.renderStatus();
+        this.renderActions();
+
+        this.content.innerHTML = '';
+        const tournament = this.tournament;
+        if (!tournament) return;
+
+        if (tournament.state === 'signup' || tournament.state === 'cancelled') {
+            this.renderSignups();
+        } else if (tournament.bracket) {
+            this.renderBracket();
+        }
+    }
+
+    /**
+     * One line describing where the tournament is at.
+     */
+    renderStatus() {
+        const tournament = this.tournament;
+        if (!tournament) {
+            this.statusLine.textContent = 'No tournament yet. Open one and invite the town!';
+            return;
+        }
+
+        const format = tournament.format === 'double' ? 'Double elimination' : 'Single elimination';
+        switch (tournament.state) {
+            case 'signup': {
+                const secondsLeft = Math.max(0, Math.ceil((this.signupDeadline - Date.now()) / 1000));
+                this.statusLine.textContent = `${format}, opened by ${tournament.createdBy}. Sign-up closes in ${secondsLeft}s`;
+                break;
+            }
+            case 'running':
+                this.statusLine.textContent = `${format}, ${tournament.entrants.length} entrants. Matches start as arenas free up`;
+                break;
+            case 'finished':
+                this.statusLine.textContent = `Champion: ${this.getPlayerName(tournament.bracket.championId)}`;
+                break;
+            case 'cancelled':
+                this.statusLine.textContent = 'Cancelled: not enough entrants';
+                break;
+        }
+    }
+
+    /**
+     * Open, sign up, leave or forfeit, depending on the state and whether we're entered.
+     */
+    renderActions() {
+        this.actions.innerHTML = '';
+        const tournament = this.tournament;
+
+        if (!tournament || tournament.state === 'finished' || tournament.state === 'cancelled') {
+            this.actions.appendChild(this.createButton('Open Single Elim', () => this.networkManager.sendTournamentCreate('single')));
+            this.actions.appendChild(this.createButton('Open Double Elim', () => this.networkManager.sendTournamentCreate('double')));
+        } else if (this.isEntered()) {
+            const label = tournament.state === 'signup' ? 'Leave' : 'Forfeit';
+            this.actions.appendChild(this.createButton(label, () => this.networkManager.sendTournamentLeave()));
+        } else if (tournament.state === 'signup') {
+            this.actions.appendChild(this.createButton('Sign Up', () => this.networkManager.sendTournamentJoin()));
+        }
+    }
+
+    /**
+     * @param {string} text - Button label
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement}
+     */
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.padding = '4px 12px';
+        button.style.backgroundColor = '#8B5A2B';
+        button.style.color = '#FFD700';
+        button.style.border = '1px solid #FFD700';
+        button.style.borderRadius = '4px';
+        button.style.cursor = 'pointer';
+        button.style.fontFamily = 'inherit';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * List everyone signed up so far.
+     */
+    renderSignups() {
+        const signups = this.tournament.signups;
+        const heading = document.createElement('div');
+        heading.textContent = `Signed up (${signups.length})`;
+        heading.style.color = '#FFD700';
+        heading.style.marginBottom = '4px';
+        this.content.appendChild(heading);
+
+        for (const signup of signups) {
+            const row = document.createElement('div');
+            row.textContent = `${signup.username} (${signup.rating})`;
+            row.style.padding = '2px 0';
+            this.content.appendChild(row);
+        }
+    }
+
+    /**
+     * One row of columns per bracket side, one column per round.
+     */
+    renderBracket() {
+        const matches = this.tournament.bracket.matches;
+
+        for (const { side, title } of SIDES) {
+            const sideMatches = matches.filter(match => match.side === side);
+            if (sideMatches.length === 0) continue;
+
+            if (this.tournament.format === 'double') {
+                const heading = document.createElement('div');
+                heading.textContent = title;
+                heading.style.color = '#FFD700';
+                heading.style.margin = '8px 0 4px';
+                this.content.appendChild(heading);
+            }
+
+            const columns = document.createElement('div');
+            columns.style.display = 'flex';
+            columns.style.gap = '10px';
+            columns.style.alignItems = 'center';
+
+            const rounds = [...new Set(sideMatches.map(match => match.round))].sort((a, b) => a - b);
+            for (const round of rounds) {
+                const column = document.createElement('div');
+                column.style.display = 'flex';
+                column.style.flexDirection = 'column';
+                column.style.justifyContent = 'space-around';
+                column.style.gap = '6px';
+
+                for (const match of sideMatches.filter(m => m.round === round)) {
+                    column.appendChild(this.createMatchCard(match));
+                }
+                columns.appendChild(column);
+            }
+            this.content.appendChild(columns);
+        }
+    }
+
+    /**
+     * @param {Object} match - A serialized bracket match
+     * @returns {HTMLElement}
+     */
+    createMatchCard(match) {
+        const card = document.createElement('div');
+        card.style.minWidth = '130px';
+        card.style.border = `1px solid ${match.state === 'live' ? '#FF3333' : '#8B5A2B'}`;
+        card.style.borderRadius = '4px';
+        card.style.padding = '3px 6px';
+        card.style.fontSize = '13px';
+        card.style.backgroundColor = 'rgba(0,0,0,0.25)';
+
+        const label = document.createElement('div');
+        label.textContent = match.state === 'live' ? `${match.label} - LIVE` : match.label;
+        label.style.fontSize = '11px';
+        label.style.opacity = '0.7';
+        card.appendChild(label);
+
+        for (const playerId of match.players) {
+            const line = document.createElement('div');
+            line.textContent = this.getPlayerName(playerId);
+            if (match.state === 'done' && playerId === match.winnerId) {
+                line.style.color = '#FFD700';
+            } else if (match.state === 'done' || playerId === 'bye' || playerId === null) {
+                line.style.opacity = '0.5';
+            }
+            card.appendChild(line);
+        }
+
+        return card;
+    }
+}
@@ -468,8 +468,9 @@ function createWesternTown() {
             window.physics.world.addBody(body);
             window.physics.bodies.push(body);
             
-            // Store the node and body together for debugging
-            colliders.push({ node, body });
+            // Store the node and body together for debugging, and the box for bullets
+            // (server/worldColliders.js reads the same boxes for the server's bullet sweep)
+            colliders.push({ node, body, box: bbox });
             
             // Hide collider mesh by default (will be toggled by debug mode)
             node.visible = false;
@@ -0,0 +1,134 @@
+// /public/js/snapshotBuffer.js
+// Interpolation for remote players. The server stamps each movement update with its clock; every
+// model keeps the recent snapshots and is drawn a little in the past, between the two snapshots
+// around that moment, so uneven packet arrival doesn't show up as rubber-banding.
+
+export const INTERPOLATION = {
+  DELAY: 100,              // ms remote players are drawn behind the server
+  MAX_EXTRAPOLATION: 250,  // ms to keep moving on the last velocity when updates stop coming
+  MAX_SNAPSHOTS: 30,       // Snapshots kept per player
+  TELEPORT_DISTANCE: 8,    // Jumps further than this between two snapshots snap instead of sliding
+  CLOCK_SMOOTHING: 0.05    // How fast the clock offset follows packets that arrive later than usual
+};
+
+/**
+ * @param {number} from - Angle in radians
+ * @param {number} to - Angle in radians
+ * @param {number} t - 0 gives from, 1 gives to
+ * @returns {number} The angle between them, turning the short way round
+ */
+function lerpAngle(from, to, t) {
+  let difference = (to - from) % (Math.PI * 2);
+  if (difference > Math.PI) difference -= Math.PI * 2;
+  if (difference < -Math.PI) difference += Math.PI * 2;
+  return from + difference * t;
+}
+
+/**
+ * Estimates the server's clock from the timestamps on incoming updates.
+ */
+export class ServerClock {
+  constructor() {
+    this.offset = null; // Server time minus performance.now(), in ms
+  }
+
+  /**
+   * @param {number} serverTime - Timestamp from an update that just arrived
+   */
+  observe(serverTime) {
+    const sample = serverTime - performance.now();
+
+    // The least delayed packet is the best estimate; later ones only pull the offset back slowly
+    if (this.offset === null || sample > this.offset) {
+      this.offset = sample;
+    } else {
+      this.offset += (sample - this.offset) * INTERPOLATION.CLOCK_SMOOTHING;
+    }
+  }
+
+  /**
+   * @returns {number|null} The estimated server time, null before the first update
+   */
+  now() {
+    return this.offset === null ? null : performance.now() + this.offset;
+  }
+
+  /**
+   * @returns {number|null} The server time remote players should be drawn at
+   */
+  renderTime() {
+    const now = this.now();
+    return now === null ? null : now - INTERPOLATION.DELAY;
+  }
+}
+
+/**
+ * Timestamped positions and rotations of one remote player.
+ */
+export class SnapshotBuffer {
+  constructor() {
+    this.snapshots = []; // { time, position: THREE.Vector3, rotation }, oldest first
+  }
+
+  /**
+   * @param {number} time - Server time of the update
+   * @param {THREE.Vector3} position - Where the model should be
+   * @param {number} rotation - Y rotation in radians
+   */
+  push(time, position, rotation) {
+    const last = this.snapshots[this.snapshots.length - 1];
+    if (last && time <= last.time) return; // Duplicate or out of order
+
+    // Respawns and teleports shouldn't slide across the map
+    if (last && last.position.distanceTo(position) > INTERPOLATION.TELEPORT_DISTANCE) {
+      this.snapshots = [];
+    }
+
+    this.snapshots.push({ time, position: position.clone(), rotation });
+    if (this.snapshots.length > INTERPOLATION.MAX_SNAPSHOTS) {
+      this.snapshots.shift();
+    }
+  }
+
+  clear() {
+    this.snapshots = [];
+  }
+
+  /**
+   * Where the player was at renderTime: between the two snapshots around it, or moving on from
+   * the last one for a short while if nothing newer has arrived.
+   * @param {number} renderTime - Server time to sample
+   * @param {THREE.Vector3} outPosition - Receives the position
+   * @returns {number|null} The Y rotation, or null if there are no snapshots
+   */
+  sample(renderTime, outPosition) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return null;
+
+    // Snapshots before the one ahead of renderTime will never be needed again
+    while (snapshots.length > 2 && snapshots[1].time <= renderTime) {
+      snapshots.shift();
+    }
+
+    const first = snapshots[0];
+    if (snapshots.length === 1 || renderTime <= first.time) {
+      outPosition.copy(first.position);
+      return first.rotation;
+    }
+
+    const [from, to] = snapshots;
+    if (renderTime <= to.time) {
+      const t = (renderTime - from.time) / (to.time - from.time);
+      outPosition.lerpVectors(from.position, to.position, t);
+      return lerpAngle(from.rotation, to.rotation, t);
+    }
+
+    // Packet loss: carry on from the last snapshot at its velocity, then hold. Only along the
+    // ground, a guessed fall would sink the model into it
+    const ahead = Math.min(renderTime - to.time, INTERPOLATION.MAX_EXTRAPOLATION);
+    const t = 1 + ahead / (to.time - from.time);
+    outPosition.lerpVectors(from.position, to.position, t);
+    outPosition.y = to.position.y;
+    return to.rotation;
+  }
+}
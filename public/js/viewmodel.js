@@ -1,3 +1,5 @@
+import { getWeapon } from './weapons.js';
+
 /**
  * A proper FPS viewmodel implementation with animation support
  * Handles animations for aim, fakeshoot, holster, idle, reload, and shoot actions
@@ -777,7 +779,7 @@ export class Viewmodel {
     
     // Play the gun holster sound
     if (window.localPlayer?.soundManager) {
-      const soundName = weaponPrefix === 'shotgun' ? "shotgunholstering" : "revolverholstering";
+      const soundName = getWeapon(window.localPlayer.activeWeapon).sounds.holster;
       window.localPlayer.soundManager.playSound(soundName, 0, 0.6);
     }
     
@@ -833,7 +835,7 @@ export class Viewmodel {
     
     // Play reload sound
     if (window.localPlayer?.soundManager) {
-      const soundName = weaponPrefix === 'shotgun' ? "shotgunreloading" : "reloading";
+      const soundName = getWeapon(window.localPlayer.activeWeapon).sounds.reload;
       window.localPlayer.soundManager.playSound(soundName, 0, 0.6);
     }
     
@@ -1111,7 +1113,7 @@ export class Viewmodel {
     if (!this.isLoaded) return;
     
     // Determine which weapon prefix to use
-    const weaponPrefix = window.localPlayer && window.localPlayer.activeWeapon === 'shotgun' ? 'shotgun' : 'revolver';
+    const weaponPrefix = this._getWeaponPrefix();
     
     // Reset animation flags
     this.forceVisible = false;
@@ -1149,8 +1151,12 @@ export class Viewmodel {
     console.log(`Canceled ${weaponPrefix} reload animation`);
   }
 
+  /**
+   * Animation names are the weapon's viewmodel prefix plus the action, e.g. 'shotgunreload'.
+   * @returns {string}
+   */
   _getWeaponPrefix() {
-    return window.localPlayer && window.localPlayer.activeWeapon === 'shotgun' ? 'shotgun' : 'revolver';
+    return getWeapon(window.localPlayer && window.localPlayer.activeWeapon).viewmodelPrefix;
   }
 
   _clearTimeouts() {
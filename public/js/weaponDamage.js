@@ -0,0 +1,31 @@
+// /public/js/weaponDamage.js
+// Hit damage from a weapon's stats. It's a UMD script rather than an ES module so server/weapons.js
+// can require() it on any Node version; public/js/weapons.js imports it for its side effect and
+// reads window.WeaponDamage.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.WeaponDamage = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  /**
+   * Damage for one projectile hitting a zone, reduced by the weapon's falloff past its start range.
+   * @param {Object} weapon - The weapon's entry in data/weapons.json
+   * @param {string} zone - 'head', 'body', 'limbs' or 'graze'
+   * @param {number} distance - How far the projectile travelled
+   * @returns {number}
+   */
+  function getWeaponHitDamage(weapon, zone, distance = 0) {
+    const base = weapon.damage[zone] !== undefined ? weapon.damage[zone] : weapon.damage.body;
+    const falloff = weapon.falloff;
+
+    if (!falloff || distance <= falloff.start) return base;
+
+    const t = Math.min(1, (distance - falloff.start) / Math.max(1, falloff.end - falloff.start));
+    const multiplier = 1 - t * (1 - falloff.minMultiplier);
+    return Math.max(1, Math.round(base * multiplier));
+  }
+
+  return { getWeaponHitDamage };
+});
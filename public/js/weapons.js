@@ -0,0 +1,61 @@
+// /public/js/weapons.js
+// Weapon registry, loaded from the same data/weapons.json the server uses (server/weapons.js)
+// so capacity, reload time, spread and damage can't drift between the two sides.
+import './weaponDamage.js';
+
+const { getWeaponHitDamage } = window.WeaponDamage;
+
+const response = await fetch(new URL('../data/weapons.json', import.meta.url));
+const registry = await response.json();
+
+export const WEAPONS = registry.weapons;
+export const DEFAULT_WEAPON = registry.defaultWeapon;
+
+/**
+ * @param {string} id - Weapon id
+ * @returns {boolean}
+ */
+export function isWeapon(id) {
+  return typeof id === 'string' && Object.prototype.hasOwnProperty.call(WEAPONS, id);
+}
+
+/**
+ * @param {string} id - Weapon id, e.g. 'revolver'
+ * @returns {Object} The weapon's stats, or the default weapon's for unknown ids
+ */
+export function getWeapon(id) {
+  return isWeapon(id) ? WEAPONS[id] : WEAPONS[DEFAULT_WEAPON];
+}
+
+/**
+ * Finds the weapon bound to a number key.
+ * @param {number} slot - 1-based slot number
+ * @returns {string|null} Weapon id
+ */
+export function getWeaponIdBySlot(slot) {
+  const entry = Object.entries(WEAPONS).find(([, weapon]) => weapon.slot === slot);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Builds a full set of magazines, one entry per weapon.
+ * @returns {Object} weapon id -> rounds
+ */
+export function createWeaponAmmo() {
+  const ammo = {};
+  for (const [id, weapon] of Object.entries(WEAPONS)) {
+    ammo[id] = weapon.capacity;
+  }
+  return ammo;
+}
+
+/**
+ * Damage for one projectile hitting a zone, see weaponDamage.js (the server uses it too).
+ * @param {string} id - Weapon id
+ * @param {string} zone - 'head', 'body', 'limbs' or 'graze'
+ * @param {number} distance - How far the projectile travelled
+ * @returns {number}
+ */
+export function getHitDamage(id, zone, distance = 0) {
+  return getWeaponHitDamage(getWeapon(id), zone, distance);
+}
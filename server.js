@@ -9,36 +9,37 @@ const WebSocket = require('ws');
 console.log("WebSocket loaded");
 const url = require('url');
 console.log("URL loaded");
-const app = express();
-console.log("Express app created");
-// Native fetch is available in Node.js v22, no need to require node-fetch
+const crypto = require('crypto');
 
-// Add Telegram Bot API support
-const TelegramBot = require('node-telegram-bot-api');
-console.log("Telegram Bot API loaded");
+// Weapon stats shared with the client (public/data/weapons.json)
+const { DEFAULT_WEAPON, isWeapon, getWeapon, createWeaponAmmo, getHitDamage } = require('./server/weapons');
 
-// Use environment variable for the bot token from Replit Secrets
-const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || 'YOUR_TELEGRAM_BOT_TOKEN';
-const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID || 1517919597; // Numeric ID for @erikszo
+// Elo ratings for Quick Draw matchmaking
+const { RATING, rateDuel } = require('./server/rating');
 
-// Initialize the Telegram bot
-const telegramBot = new TelegramBot(TELEGRAM_BOT_TOKEN, { polling: false });
-console.log("Telegram bot initialized");
+// Optional binary encoding for movement updates and world snapshots, JSON stays the default.
+// Clients that connect with ?protocol=binary get it (see server/binaryProtocol.js);
+// BINARY_PROTOCOL=off keeps everyone on JSON and doesn't load the codec at all
+const BINARY_PROTOCOL_ENABLED = process.env.BINARY_PROTOCOL !== 'off';
+const { toWireState, decodeClientMessage, encodeWorldSnapshot, SnapshotBaselines } = BINARY_PROTOCOL_ENABLED ? require('./server/binaryProtocol') : {};
 
-// Function to send Telegram notifications
-function sendTelegramNotification(message) {
-  try {
-    telegramBot.sendMessage(TELEGRAM_CHAT_ID, message)
-      .then(() => {
-        console.log(`Notification sent to ${TELEGRAM_CHAT_ID}: ${message}`);
-      })
-      .catch((error) => {
-        console.error(`Failed to send Telegram notification: ${error.message}`);
-      });
-  } catch (error) {
-    console.error(`Error in Telegram notification: ${error.message}`);
-  }
-}
+// Grid-based area of interest, so clients only hear about the players and NPCs near them
+const { InterestGrid } = require('./server/interest');
+
+// Single and double elimination brackets for Quick Draw tournaments
+const tournamentBracket = require('./server/tournament');
+
+// Walls and buildings that stop bullets, read from the same town model the client loads
+const { loadWorldColliders } = require('./server/worldColliders');
+
+const app = express();
+console.log("Express app created");
+// Native fetch is available in Node.js v22, no need to require node-fetch
+
+// Notifications for the server's operators (Telegram, webhooks, a log file), set up from environment
+// variables, see createNotifier. Nothing is sent until a sink is configured
+const { createNotifier } = require('./server/notifications');
+const notifier = createNotifier(process.env);
 
 // Standard HTTP port for the server
 const PORT = process.env.PORT || 80;
@@ -78,36 +79,659 @@ console.log("Server-controlled NPC system initialized");
 const playerIdentities = new Map(); // clientId -> { username, playerId, token, lastSeen }
 console.log("Player identity tracking initialized");
 
+// Persistent player profiles (identity, wallet, stats, skins) that survive restarts
+const { createPlayerStore } = require('./server/playerStore');
+const playerStore = createPlayerStore({
+  backend: process.env.PLAYER_STORE || 'file',
+  filePath: process.env.PLAYER_STORE_PATH || __dirname + '/data/players.json'
+});
+
+// Collider boxes bullets stop at, see findWallHit
+const worldColliders = loadWorldColliders(process.env.TOWN_MODEL_PATH || __dirname + '/public/models/town.glb');
+
+// Finished Quick Draw duels and the leaderboards ranked from player profiles
+const { LEADERBOARDS, getLeaderboard, DuelResultStore } = require('./server/leaderboard');
+const duelResults = new DuelResultStore({
+  filePath: process.env.PLAYER_STORE === 'memory' ? null : (process.env.DUEL_RESULTS_PATH || __dirname + '/data/duels.json')
+});
+
+// Structured game events (joins, shots, hits, kills, duels, chat) as JSON lines for balance analysis
+// and cheat investigations. EVENT_LOG_MAX_BYTES and EVENT_LOG_MAX_FILES control rotation
+const { EventLog } = require('./server/eventLog');
+const gameEvents = new EventLog({
+  filePath: process.env.PLAYER_STORE === 'memory' ? null : (process.env.EVENT_LOG_PATH || __dirname + '/data/events.jsonl'),
+  maxBytes: Number(process.env.EVENT_LOG_MAX_BYTES) || undefined,
+  maxFiles: Number(process.env.EVENT_LOG_MAX_FILES) || undefined
+});
+
+// Slash commands typed into chat, registered further down next to handleChatMessage
+const { parseCommand, ChatCommandRegistry } = require('./server/chatCommands');
+const chatCommands = new ChatCommandRegistry();
+const chatHistory = []; // Latest global chat lines, oldest first, see sendChatToChannel
+
+// Chat limits. Admin-only commands are open to the clientIds listed in CHAT_ADMIN_IDS (comma-separated)
+const CHAT = {
+  MAX_LENGTH: 60,            // Matches the chat input's maxLength
+  RATE_LIMIT: 2000,          // ms between messages that reach other players
+  HISTORY_SIZE: 50,          // Global lines kept and replayed to players as they join
+  PROXIMITY_RANGE: 30,       // Units a proximity message carries from the speaker
+  // 'global' reaches everyone, 'proximity' players nearby, 'duel' the two duelists and their spectators
+  CHANNELS: ['global', 'proximity', 'duel'],
+  ADMIN_IDS: new Set((process.env.CHAT_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean))
+};
+
+// Chat moderation: word filter (CHAT_FILTER_WORDS and/or CHAT_FILTER_PATH), spam strikes and player reports.
+// Mutes are stored on the player profiles so they survive reconnects and restarts
+const { MODERATION, loadFilterWords, createWordFilter, parseDuration, formatDuration, SpamTracker, ReportLog } = require('./server/chatModeration');
+const filterChatWords = createWordFilter(loadFilterWords({
+  words: process.env.CHAT_FILTER_WORDS,
+  filePath: process.env.CHAT_FILTER_PATH
+}));
+const chatSpam = new SpamTracker();
+const chatReports = new ReportLog({
+  filePath: process.env.PLAYER_STORE === 'memory' ? null : (process.env.CHAT_REPORTS_PATH || __dirname + '/data/chat-reports.jsonl')
+});
+
+// Bans by clientId or IP, set through the admin API and checked at the WebSocket handshake
+const { BAN_TYPES, BanList } = require('./server/banList');
+const banList = new BanList({
+  filePath: process.env.PLAYER_STORE === 'memory' ? null : (process.env.BAN_LIST_PATH || __dirname + '/data/bans.json')
+});
+
+// Who gets in at the handshake besides the ban list
+const CONNECTION = {
+  MAX_PLAYERS: Number(process.env.MAX_PLAYERS) || 50,           // Connected players, NPCs don't count
+  MAX_PER_IP: Number(process.env.MAX_CONNECTIONS_PER_IP) || 5,  // Players connected from one address
+  FULL_RETRY_DELAY: 15000                                        // ms a client waits before trying a full town again
+};
+
+// Identity rules shared by the HTTP routes and the WebSocket handshake
+const IDENTITY = {
+  MAX_USERNAME_LENGTH: 16,     // Matches the name prompt's maxLength
+  TOKEN_PATTERN: /^[0-9a-f]{64}$/,
+  CLIENT_ID_PATTERN: /^[0-9a-f-]{8,64}$/i
+};
+
+// Clean a requested username, returns '' if nothing usable is left. Names are stored and sent as
+// plain text (clients only ever set them as textContent), so they aren't HTML-escaped here
+function normalizeUsername(username) {
+  if (!username || typeof username !== 'string') return '';
+  return stripMarkup(username).substring(0, IDENTITY.MAX_USERNAME_LENGTH).trim();
+}
+
+// Whether a username belongs to a different client
+function isUsernameTaken(username, clientId) {
+  const owner = playerStore.findByUsername(username);
+  return !!owner && owner.clientId !== clientId;
+}
+
+// Issue a fresh token for a client, invalidating the previous one
+function rotateIdentityToken(clientId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  playerStore.update(clientId, { token });
+  
+  const identity = playerIdentities.get(clientId);
+  if (identity) {
+    identity.token = token;
+  }
+  return token;
+}
+
+app.use('/api/identity', express.json({ limit: '2kb' }));
+
+// Register a new identity, or confirm an existing one with the same token
+app.post('/api/identity/register', (req, res) => {
+  const { clientId, token } = req.body || {};
+  const username = normalizeUsername(req.body && req.body.username);
+  
+  if (!IDENTITY.CLIENT_ID_PATTERN.test(clientId || '') || !IDENTITY.TOKEN_PATTERN.test(token || '') || !username) {
+    return res.status(400).json({ error: 'invalidRequest' });
+  }
+  
+  const existing = playerStore.get(clientId);
+  if (existing && existing.token !== token) {
+    return res.status(401).json({ error: 'invalidToken' });
+  }
+  
+  if (isUsernameTaken(username, clientId)) {
+    return res.status(409).json({ error: 'usernameTaken' });
+  }
+  
+  const profile = playerStore.update(clientId, { token, username });
+  console.log(`Identity ${existing ? 'confirmed' : 'registered'} for clientId ${clientId} (${username})`);
+  res.json({ verified: true, clientId, username: profile.username });
+});
+
+// Check that a clientId/token pair is still valid
+app.post('/api/identity/verify', (req, res) => {
+  const { clientId, token } = req.body || {};
+  const profile = playerStore.get(clientId);
+  
+  if (!profile) {
+    return res.status(404).json({ verified: false, error: 'unknownIdentity' });
+  }
+  if (!token || profile.token !== token) {
+    return res.status(401).json({ verified: false, error: 'invalidToken' });
+  }
+  
+  res.json({ verified: true, clientId, username: profile.username, stats: profile.stats });
+});
+
+// Take back a saved identity: proves the old token and hands out a new one
+app.post('/api/identity/recover', (req, res) => {
+  const { clientId, token } = req.body || {};
+  const profile = playerStore.get(clientId);
+  
+  if (!profile) {
+    return res.status(404).json({ verified: false, error: 'unknownIdentity' });
+  }
+  if (!token || profile.token !== token) {
+    return res.status(401).json({ verified: false, error: 'invalidToken' });
+  }
+  
+  const newToken = rotateIdentityToken(clientId);
+  console.log(`Identity recovered for clientId ${clientId} (${profile.username}), token rotated`);
+  res.json({ verified: true, clientId, username: profile.username, token: newToken });
+});
+
+// Username availability for the name prompt
+app.get('/api/identity/username-available', (req, res) => {
+  const username = normalizeUsername(req.query.username);
+  if (!username) {
+    return res.status(400).json({ available: false, error: 'invalidUsername' });
+  }
+  res.json({ available: !isUsernameTaken(username, req.query.clientId), username });
+});
+
+// Leaderboard routes are public and read-only
+const LEADERBOARD = {
+  DEFAULT_LIMIT: 10,
+  MAX_LIMIT: 100
+};
+
+// Clamp a ?limit= query to something sensible
+function parseLeaderboardLimit(limit) {
+  const parsed = parseInt(limit, 10);
+  if (!Number.isFinite(parsed) || parsed < 1) return LEADERBOARD.DEFAULT_LIMIT;
+  return Math.min(parsed, LEADERBOARD.MAX_LIMIT);
+}
+
+// Every board at once, for the in-game panel
+app.get('/api/leaderboard', (req, res) => {
+  const limit = parseLeaderboardLimit(req.query.limit);
+  const boards = {};
+  for (const [board, definition] of Object.entries(LEADERBOARDS)) {
+    boards[board] = { label: definition.label, entries: getLeaderboard(playerStore.all(), board, limit) };
+  }
+  res.json({ boards });
+});
+
+// One board: wins, streak, reaction or rating
+app.get('/api/leaderboard/:board', (req, res) => {
+  const definition = LEADERBOARDS[req.params.board];
+  if (!definition) {
+    return res.status(404).json({ error: 'unknownLeaderboard', boards: Object.keys(LEADERBOARDS) });
+  }
+  const entries = getLeaderboard(playerStore.all(), req.params.board, parseLeaderboardLimit(req.query.limit));
+  res.json({ board: req.params.board, label: definition.label, entries });
+});
+
+// Recent Quick Draw results, newest first, optionally for one player
+app.get('/api/duels', (req, res) => {
+  const username = typeof req.query.username === 'string' ? req.query.username : null;
+  res.json({ results: duelResults.recent(parseLeaderboardLimit(req.query.limit), username) });
+});
+
+// A player's recent Quick Draw matches from their side: result, opponent, score, reaction and accuracy
+app.get('/api/players/:username/matches', (req, res) => {
+  res.json({
+    username: req.params.username,
+    matches: duelResults.history(req.params.username, parseLeaderboardLimit(req.query.limit))
+  });
+});
+
+// One finished match with its rounds, by the matchId from the match history
+app.get('/api/matches/:matchId', (req, res) => {
+  const match = duelResults.get(req.params.matchId);
+  if (!match) {
+    return res.status(404).json({ error: 'unknownMatch' });
+  }
+  res.json(match);
+});
+
+// Client IPs for bans and the admin console. Behind a reverse proxy set TRUST_PROXY=true to read X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+/**
+ * @param {http.IncomingMessage} req - An HTTP request or WebSocket upgrade request
+ * @returns {string|null} The client's IP address
+ */
+function getRequestIp(req) {
+  let ip = req.socket.remoteAddress || null;
+  if (TRUST_PROXY) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (typeof forwarded === 'string' && forwarded) {
+      ip = forwarded.split(',')[0].trim();
+    }
+  }
+  // IPv4 clients of an IPv6 socket show up as ::ffff:1.2.3.4, store them as bans would be typed
+  return ip && ip.startsWith('::ffff:') ? ip.substring(7) : ip;
+}
+
+// Admin API for operators of a live server. Every route needs "Authorization: Bearer <ADMIN_TOKEN>";
+// with no ADMIN_TOKEN set the API is switched off. dev.html has a console for it
+const ADMIN = {
+  TOKEN: process.env.ADMIN_TOKEN || null,
+  BY: 'admin console'         // Recorded as who did it, e.g. on mutes and bans
+};
+
+// Reject requests without the admin token
+function requireAdmin(req, res, next) {
+  if (!ADMIN.TOKEN) {
+    return res.status(404).json({ error: 'adminDisabled' });
+  }
+  
+  const header = req.get('authorization') || '';
+  const given = Buffer.from(header.startsWith('Bearer ') ? header.substring(7) : '');
+  const expected = Buffer.from(ADMIN.TOKEN);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    console.log(`Rejected admin request ${req.method} ${req.originalUrl} from ${getRequestIp(req)}`);
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+  next();
+}
+
+app.use('/api/admin', express.json({ limit: '10kb' }), requireAdmin);
+
+// Look up the player in :id, answering 404 if they're not online
+function getAdminTargetPlayer(req, res) {
+  const playerId = parseInt(req.params.id, 10);
+  const player = players.get(playerId);
+  if (!player) {
+    res.status(404).json({ error: 'unknownPlayer' });
+    return null;
+  }
+  return { playerId, player };
+}
+
+// Everyone online
+app.get('/api/admin/players', (req, res) => {
+  const now = Date.now();
+  res.json({
+    players: Array.from(players.entries()).map(([id, player]) => ({
+      id,
+      username: player.username,
+      clientId: player.clientId || null,
+      ip: player.ip || null,
+      wallet: player.walletAddress || null,
+      isDev: player.isDev,
+      position: player.position,
+      health: player.health,
+      rtt: player.rtt,
+      duelId: player.quickDrawDuelId,
+      inQueue: player.inQuickDrawQueue,
+      mutedFor: getChatMuteRemaining(player, now),
+      connectedFor: now - player.connectedAt
+    }))
+  });
+});
+
+app.post('/api/admin/players/:id/kick', (req, res) => {
+  const target = getAdminTargetPlayer(req, res);
+  if (!target) return;
+  
+  kickPlayer(target.playerId, (req.body && req.body.reason) || 'Kicked by an admin', ADMIN.BY);
+  res.json({ ok: true });
+});
+
+// Body: { duration: '10m', reason } with s, m, h or d units
+app.post('/api/admin/players/:id/mute', (req, res) => {
+  const target = getAdminTargetPlayer(req, res);
+  if (!target) return;
+  
+  const duration = parseDuration((req.body && req.body.duration) || '');
+  if (!duration) {
+    return res.status(400).json({ error: 'invalidDuration' });
+  }
+  
+  muteChatPlayer(target.playerId, duration, sanitizeText(req.body.reason, CHAT.MAX_LENGTH) || 'Muted by an admin', ADMIN.BY);
+  res.json({ ok: true, mutedFor: duration });
+});
+
+app.post('/api/admin/players/:id/unmute', (req, res) => {
+  const target = getAdminTargetPlayer(req, res);
+  if (!target) return;
+  
+  setChatMute(target.player, null);
+  sendChatSystemMessage(target.playerId, 'You can chat again');
+  res.json({ ok: true });
+});
+
+// Body: { x, y, z }
+app.post('/api/admin/players/:id/teleport', (req, res) => {
+  const target = getAdminTargetPlayer(req, res);
+  if (!target) return;
+  
+  const { x, y, z } = req.body || {};
+  if (![x, y, z].every(Number.isFinite)) {
+    return res.status(400).json({ error: 'invalidPosition' });
+  }
+  if (target.player.inQuickDrawDuel) {
+    return res.status(409).json({ error: 'inDuel' });
+  }
+  
+  teleportPlayer(target.playerId, { x, y, z });
+  res.json({ ok: true });
+});
+
+// Body: { health } from 0 to 100; 0 kills the player
+app.post('/api/admin/players/:id/health', (req, res) => {
+  const target = getAdminTargetPlayer(req, res);
+  if (!target) return;
+  
+  const health = req.body ? req.body.health : undefined;
+  if (!Number.isInteger(health) || health < 0 || health > 100) {
+    return res.status(400).json({ error: 'invalidHealth' });
+  }
+  if (target.player.inQuickDrawDuel) {
+    return res.status(409).json({ error: 'inDuel' });
+  }
+  
+  setPlayerHealth(target.playerId, health);
+  res.json({ ok: true });
+});
+
+// Recent game events for cheat investigations. Query: player (username or clientId), type (comma-separated),
+// since (ms timestamp) and limit. Older events are only in the event log files
+app.get('/api/admin/events', (req, res) => {
+  const player = typeof req.query.player === 'string' && req.query.player ? req.query.player : null;
+  const types = typeof req.query.type === 'string' && req.query.type ? req.query.type.split(',') : null;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  res.json({ events: gameEvents.query({ player, types, since: Number(req.query.since) || 0, limit }) });
+});
+
+app.get('/api/admin/bans', (req, res) => {
+  res.json({ bans: banList.list() });
+});
+
+// Body: { type: 'clientId' | 'ip', value, reason, duration }. Without a duration ('1d', '2h'...)
+// the ban is permanent. Anyone online who matches is kicked straight away
+app.post('/api/admin/bans', (req, res) => {
+  const { type, value, reason, duration } = req.body || {};
+  if (!BAN_TYPES.includes(type) || typeof value !== 'string' || !value) {
+    return res.status(400).json({ error: 'invalidBan', types: BAN_TYPES });
+  }
+  
+  let banDuration = null;
+  if (duration) {
+    banDuration = parseDuration(duration);
+    if (!banDuration) {
+      return res.status(400).json({ error: 'invalidDuration' });
+    }
+  }
+  
+  const ban = banList.add({
+    type,
+    value,
+    reason: sanitizeText(reason, CHAT.MAX_LENGTH) || 'Banned',
+    by: ADMIN.BY,
+    duration: banDuration
+  });
+  console.log(`Banned ${type} ${value} ${banDuration ? `for ${formatDuration(banDuration)}` : 'permanently'}: ${ban.reason}`);
+  notifier.notify('ban', `⛔ Banned ${type} ${value} ${banDuration ? `for ${formatDuration(banDuration)}` : 'permanently'}: ${ban.reason}`);
+  
+  let kicked = 0;
+  for (const [id, player] of Array.from(players.entries())) {
+    if (getBanIdentity(player)[type] === value) {
+      kickPlayer(id, `Banned: ${ban.reason}`, ADMIN.BY);
+      kicked++;
+    }
+  }
+  res.json({ ok: true, ban, kicked });
+});
+
+app.delete('/api/admin/bans/:type/:value', (req, res) => {
+  if (!banList.remove(req.params.type, req.params.value)) {
+    return res.status(404).json({ error: 'unknownBan' });
+  }
+  console.log(`Lifted ban on ${req.params.type} ${req.params.value}`);
+  notifier.notify('ban', `✅ Lifted ban on ${req.params.type} ${req.params.value}`);
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/duels', (req, res) => {
+  res.json({
+    duels: Array.from(quickDrawDuels.values()).map(duel => ({
+      id: duel.id,
+      player1: { id: duel.player1Id, username: players.has(duel.player1Id) ? players.get(duel.player1Id).username : null },
+      player2: { id: duel.player2Id, username: players.has(duel.player2Id) ? players.get(duel.player2Id).username : null },
+      state: duel.state,
+      score: duel.score,
+      round: duel.round,
+      tournamentId: duel.tournamentId || null,
+      spectators: duel.spectators.size
+    }))
+  });
+});
+
+// Body: { winnerId } to award the duel, or nothing to call it off
+app.post('/api/admin/duels/:id/end', (req, res) => {
+  const duel = quickDrawDuels.get(req.params.id);
+  if (!duel) {
+    return res.status(404).json({ error: 'unknownDuel' });
+  }
+  
+  const winnerId = req.body ? req.body.winnerId : null;
+  if (winnerId != null && winnerId !== duel.player1Id && winnerId !== duel.player2Id) {
+    return res.status(400).json({ error: 'invalidWinner' });
+  }
+  
+  console.log(`Duel ${duel.id} ended by ${ADMIN.BY}, winner ${winnerId != null ? winnerId : 'none'}`);
+  endQuickDrawDuel(duel.id, winnerId != null ? winnerId : null);
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/npcs', (req, res) => {
+  res.json({
+    npcs: Array.from(npcs.values()).map(npc => ({
+      id: npc.id,
+      username: npc.username,
+      position: npc.position,
+      health: npc.health
+    }))
+  });
+});
+
+// Body: { name, position: { x, y, z }, path: [{ x, y, z }, ...] }, all optional
+app.post('/api/admin/npcs', (req, res) => {
+  const { name, position, path } = req.body || {};
+  const isPoint = point => point && [point.x, point.y, point.z].every(Number.isFinite);
+  
+  if ((position !== undefined && !isPoint(position)) ||
+      (path !== undefined && (!Array.isArray(path) || path.length < 2 || !path.every(isPoint)))) {
+    return res.status(400).json({ error: 'invalidNpc' });
+  }
+  
+  const npcData = { name };
+  if (position) {
+    npcData.position = { x: position.x, y: position.y, z: position.z };
+  }
+  if (path) {
+    npcData.path = {
+      points: path.map(point => ({ x: point.x, y: point.y, z: point.z })),
+      currentTarget: 0,
+      pauseTime: 2000,
+      lastPauseTime: 0,
+      isPaused: false,
+      pauseTimer: 0
+    };
+  }
+  res.json({ ok: true, id: createNpc(npcData) });
+});
+
+app.delete('/api/admin/npcs/:id', (req, res) => {
+  if (!npcs.has(req.params.id)) {
+    return res.status(404).json({ error: 'unknownNpc' });
+  }
+  removeNpc(req.params.id);
+  res.json({ ok: true });
+});
+
+// Body: { message }
+app.post('/api/admin/announce', (req, res) => {
+  const message = sanitizeText(req.body && req.body.message, CHAT.MAX_LENGTH * 2);
+  if (!message) {
+    return res.status(400).json({ error: 'emptyMessage' });
+  }
+  
+  console.log(`Announcement from ${ADMIN.BY}: ${message}`);
+  announceToChat(message);
+  res.json({ ok: true });
+});
+
 // Production mode
 const isDevMode = false;
 console.log(`Server running in ${isDevMode ? 'DEVELOPMENT' : 'PRODUCTION'} mode`);
 
 // Position history tracking to reduce unnecessary corrections
-const playerPositionHistory = new Map(); // playerId -> array of recent positions
-const POSITION_HISTORY_SIZE = 10; // Number of positions to track per player
-const CORRECTION_COOLDOWN = 5000; // Minimum ms between position corrections
+const playerPositionHistory = new Map(); // playerId -> array of { time, position, rotation } snapshots
+const POSITION_HISTORY_SIZE = 60; // Number of positions to track per player (~2s at the client's 30Hz updates)
+const CORRECTION_COOLDOWN = 1000; // Minimum ms between position corrections
 console.log("Position history tracking initialized");
 
+// Anti-cheat: Movement model, mirrors the client Player (normalSpeed, sprintSpeed, jump, gravity)
+const MOVEMENT = {
+  WALK_SPEED: 3.5,             // units/second
+  SPRINT_SPEED: 7,             // units/second
+  // Shotgun knockback, mirrors applyRecoil in effects.js (see startRecoil)
+  RECOIL_PUSH: 50,             // units/second away from where the shot was aimed
+  RECOIL_LIFT: 15,             // units/second upward, plus RECOIL_PITCH_LIFT times how steeply it was aimed
+  RECOIL_PITCH_LIFT: 30,
+  RECOIL_DOWN_PITCH: -0.3,     // Aimed lower than this (direction.y) it's a rocket jump instead:
+  RECOIL_DOWN_PUSH: 30,        // units/second along the way the player faces
+  RECOIL_DOWN_LIFT: 50,        // units/second upward
+  RECOIL_BOOST_TIME: 0.3,      // s the client coasts on the knockback before its own input and gravity take over
+  SPEED_TOLERANCE: 1.3,        // Headroom for frame timing jitter
+  BASE_ALLOWANCE: 0.5,         // Free displacement per update to absorb network jitter
+  JUMP_VELOCITY: 5.72,         // 5.2 * sprintJumpBoost
+  GRAVITY: 25,
+  MAX_STEP_UP: 0.9,            // Auto-step height in Player.checkForStep
+  RISE_TOLERANCE: 0.5,         // Extra rise allowed on top of jump apex + step
+  MIN_ELAPSED: 0.016,          // s, floor so back-to-back packets aren't divided by ~0
+  MAX_ELAPSED: 1.0,            // s, cap so a stall doesn't license a huge jump
+  GROSS_VIOLATION_RATIO: 2,    // Displacement this many times the allowance is rejected outright
+  SUSPICION_DECAY: 0.5,        // Points forgiven per second
+  CORRECTION_THRESHOLD: 3,     // Suspicion at which even minor violations get corrected
+  KICK_THRESHOLD: 10,          // Suspicion at which the player is disconnected
+  TELEPORT_GRACE: 3000,        // ms the client has to reach the spot the server moved it to, see startMovementGrace
+  TELEPORT_RADIUS: 2,          // Horizontal distance from that spot that counts as having got there
+  TELEPORT_HEIGHT: 2,          // Vertical distance, the server spawns at 1.6 and the client settles at eye level
+  SPAWN_POINT: { x: 0, y: 2.72, z: 0 }, // Middle of the main street strip Player.spawnPlayerRandomly picks from
+  SPAWN_RADIUS: 21,            // Covers that strip (x within 5, z within 20)
+  CORRECTION_SETTLE: 1500,     // ms to wait for the client to reach a correction
+  MIN_CORRECTION_DISTANCE: 0.5 // Don't bother correcting smaller drifts
+};
+
+// Lag compensation: shots are tested against targets where the shooter saw them
+const LAG_COMPENSATION = {
+  MAX_REWIND: 400,           // ms, cap so high-ping clients can't shoot far into the past
+  INTERPOLATION_DELAY: 100,  // ms, how far behind the server remote players are drawn on clients
+  PROBE_INTERVAL: 2000,      // ms between latency probes
+  PROBE_TIMEOUT: 10000,      // ms a probe waits for its pong, later ones don't count
+  MAX_REACTION_CREDIT: 200,  // ms, most a Quick Draw reaction time is reduced for the player's round trip
+  RTT_SMOOTHING: 0.2         // Weight of the newest round-trip sample
+};
+
 // Track Quick Draw game mode queues and active duels
 // Support for 5 concurrent lobbies
 const MAX_ARENAS = 5;
 const quickDrawQueues = Array(MAX_ARENAS).fill(null).map(() => []);  // Array of queues for each arena
 const quickDrawDuels = new Map(); // Map of duelId -> { player1Id, player2Id, state, arenaIndex, ... }
+
+// Duels are played as a series: the first player to win a majority of BEST_OF rounds takes it
+const QUICK_DRAW_SERIES = {
+  BEST_OF: [1, 3, 5].includes(Number(process.env.QUICK_DRAW_BEST_OF)) ? Number(process.env.QUICK_DRAW_BEST_OF) : 3,
+  ROUND_BREAK: 3000          // ms between a round's deciding hit and the next round's reset
+};
+
+// Limb hits in a duel take 60% of a body shot rather than the weapon's limb damage
+const QUICK_DRAW_LIMB_DAMAGE = Math.round(getHitDamage(DEFAULT_WEAPON, 'body') * 0.6);
+
+// Drawing before the signal is a false start. The server decides the penalty so clients can't skip it:
+// 'lockout' keeps the gun locked for LOCKOUT_TIME after the draw, 'forfeit' hands the round to the
+// opponent and 'damage' costs DAMAGE health straight away
+const QUICK_DRAW_FALSE_START = {
+  PENALTY: ['lockout', 'forfeit', 'damage'].includes(process.env.QUICK_DRAW_FALSE_START) ? process.env.QUICK_DRAW_FALSE_START : 'lockout',
+  LOCKOUT_TIME: 1000,        // ms after the draw signal before a false starter may fire
+  DAMAGE: 25                 // Health lost per false start with the 'damage' penalty
+};
+
+// Queued players are paired with the closest rating inside a window that widens the longer they wait
+const MATCHMAKING = {
+  BASE_WINDOW: 100,          // Rating difference accepted straight away
+  WIDEN_PER_SECOND: 10,      // Window growth per second of waiting
+  MAX_WINDOW: 800,           // Reached after 70s, at which point almost anyone is a match
+  CHECK_INTERVAL: 1000       // ms between queue sweeps, so windows widen without new joins
+};
+
+// Quick Draw tournaments run one at a time. Any player can open sign-up; when it closes the entrants
+// are seeded by rating and matches are played in whichever arenas are free
+const TOURNAMENT = {
+  SIGNUP_TIME: Number(process.env.TOURNAMENT_SIGNUP_TIME) || 120000, // ms sign-up stays open
+  MIN_PLAYERS: 2,
+  MAX_PLAYERS: 32,
+  MATCH_BREAK: 6000,         // ms a player rests between matches, covers the death animation and respawn
+  CHECK_INTERVAL: 1000       // ms between scheduling sweeps
+};
+let quickDrawTournament = null; // The current or most recent tournament, see handleTournamentCreate
+let nextTournamentId = 1;
 console.log("Quick Draw game mode variables initialized");
 
 // Anti-cheat: Game physics constants
 const GAME_CONSTANTS = {
-  // Weapon constraints
-  BULLET_SPEED: 80,           // Bullet speed units/second
-  MAX_BULLET_DISTANCE: 100,   // Maximum distance a bullet can travel
-  WEAPON_COOLDOWN: 250,       // Minimum time between shots in ms
-  RELOAD_TIME: 4000,          // Time required to reload in ms
-  DAMAGE_PER_HIT: 20,         // Health points reduced per hit
+  // Weapon stats (cooldown, reload, damage, bullet speed/range) live in the weapon registry, see server/weapons.js
   // Town boundaries
   TOWN_WIDTH: 60,             // Width of the town
-  TOWN_LENGTH: 100,           // Length of the town
-  // Physics update rate
-  PHYSICS_UPDATE_INTERVAL: 16 // ms (approx 60fps)
+  TOWN_LENGTH: 100            // Length of the town
+};
+
+// Fixed-rate game loop: movement updates are queued as they arrive and applied once per tick,
+// then each client gets one batched snapshot of everything that changed (see gameTick)
+const TICK = {
+  RATE: Number(process.env.TICK_RATE) || 30, // Hz
+  MAX_QUEUED_INPUTS: 10                       // Per player per tick, the oldest are dropped past this
+};
+const pendingInputs = new Map();   // playerId -> [{ data, receivedAt }] waiting for the next tick
+const snapshotEntries = new Map(); // player or NPC id -> its latest state for the next snapshot
+let snapshotTick = 0;              // Number of the last snapshot sent, binary clients acknowledge it
+
+// Area of interest: each client is only sent the players and NPCs within RADIUS of it, plus its
+// duel opponent or the duel it's spectating. Entities entering or leaving that range are announced
+// with entityEnter/entityLeave (see updateInterest)
+const INTEREST = {
+  RADIUS: Number(process.env.INTEREST_RADIUS) || 150, // Horizontal distance, past the longest weapon range
+  LEAVE_MARGIN: 20                                     // Extra distance before an entity leaves again
+};
+const interest = new InterestGrid({ radius: INTEREST.RADIUS, leaveMargin: INTEREST.LEAVE_MARGIN });
+
+// Anti-cheat: Weapon switch timing. The client holsters for 400ms before drawing the new weapon.
+const WEAPON_SWITCH = {
+  DRAW_TIME: 300,             // Shots are refused this long after a switch (a little under the client's, for jitter)
+  MIN_INTERVAL: 300           // Minimum ms between switch requests
+};
+
+// Anti-cheat: Hitbox layout, mirrors ThirdPersonModel.updateCollisionBox/checkBulletHit in playerModel.js
+const HITBOX = {
+  EYE_HEIGHT: 2.72,           // Network positions are at eye level, the model's feet are this far below
+  WIDTH: 1.02,                // Overall collision box
+  HEIGHT: 3.06,
+  DEPTH: 1.02,
+  HEAD: { width: 0.45, height: 0.45, depth: 0.45, offset: 0.45 },
+  BODY: { width: 0.8, height: 0.95, depth: 0.55, offset: 0.25 },
+  EDGE_EPSILON: 0.01,         // Same precision margin the client applies to zone edges
+  HINT_TOLERANCE: 0.3,        // Extra padding allowed when confirming a client hit hint
+  HINT_LOOKAHEAD: 0.25,       // Seconds of flight a hint may be ahead of the server bullet
+  MAX_MUZZLE_DISTANCE: 3      // Max distance between a shooter's eye and the bullet origin
 };
 
 // Anti-cheat: Active bullets map
@@ -214,8 +838,13 @@ async function updatePlayerSkin(playerId, walletAddress) {
       bananaSkin: ownsSpecialSkin
     };
     
-    // Broadcast the skin update to all players
-    broadcastToAll({
+    // Remember the wallet and its skins for future sessions
+    if (player.clientId && !player.isDev) {
+      playerStore.update(player.clientId, { walletAddress, skins: player.skins });
+    }
+    
+    // Broadcast the skin update to everyone who can see the player
+    broadcastToObservers(playerId, {
       type: 'playerSkinUpdate',
       playerId: playerId,
       skins: {
@@ -237,20 +866,26 @@ async function updatePlayerSkin(playerId, walletAddress) {
   }
 }
 
-// Create helper function for sanitizing text to prevent XSS
-function sanitizeText(text) {
-  if (!text || typeof text !== 'string') return '';
-  
-  // Remove potentially dangerous content first
-  text = text
+// Remove tags, scripts and control characters from player-supplied text
+function stripMarkup(text) {
+  return text
     .replace(/<[^>]*>/g, '') // Remove HTML tags
     .replace(/javascript:/gi, '') // Remove javascript: protocol
     .replace(/on\w+=/gi, '') // Remove event handlers
+    .replace(/[\u0000-\u001f\u007f]/g, '') // Remove control characters
     .trim();
+}
+
+// Create helper function for sanitizing text to prevent XSS
+function sanitizeText(text, maxLength = 20) {
+  if (!text || typeof text !== 'string') return '';
+  
+  // Remove potentially dangerous content first
+  text = stripMarkup(text);
     
-  // Limit length for usernames
-  if (text.length > 20) {
-    text = text.substring(0, 20);
+  // Limit length
+  if (text.length > maxLength) {
+    text = text.substring(0, maxLength);
   }
   
   // Perform HTML escaping
@@ -267,13 +902,23 @@ wss.on('connection', (ws, req) => {
   // Parse parameters from query string
   const parameters = url.parse(req.url, true).query;
   const sessionId = parameters.sessionId;
-  const clientId = parameters.clientId;
-  let username = parameters.username;
+  let clientId = parameters.clientId;
+  const requestedUsername = normalizeUsername(parameters.username);
+  let username = requestedUsername || 'Anonymous';
   const token = parameters.token;
   const walletAddress = parameters.walletAddress; // New: Get wallet address if provided
   
-  // Sanitize username to prevent XSS
-  username = sanitizeText(username || 'Anonymous');
+  // Turn away banned clients and addresses before anything else
+  const ip = getRequestIp(req);
+  const binary = BINARY_PROTOCOL_ENABLED && parameters.protocol === 'binary';
+  const ban = banList.find({ clientId, ip });
+  if (ban) {
+    console.log(`Rejecting banned connection (${ban.type} ${ban.value}): ${ban.reason}`);
+    const lifts = ban.expiresAt ? ` (lifts in ${formatDuration(ban.expiresAt - Date.now())})` : '';
+    return rejectConnection(ws, 'banned', `You are banned from this server: ${ban.reason}${lifts}`, {
+      expiresAt: ban.expiresAt
+    });
+  }
 
   // Check if this is a development mode connection
   const isDev = isDevMode && (parameters.dev === 'true' || parameters.newplayer === 'true');
@@ -286,12 +931,23 @@ wss.on('connection', (ws, req) => {
   // Skip this check for development mode connections
   if (sessionId && sessions.has(sessionId) && !isDev) {
     console.log(`Rejecting duplicate connection with sessionId: ${sessionId}`);
-    ws.send(JSON.stringify({
-      type: 'error',
-      message: 'Duplicate connection detected',
-      fatal: true
-    }));
-    return ws.close(1008, 'Duplicate connection');
+    return rejectConnection(ws, 'duplicateSession', 'The game is already open in another tab or window.');
+  }
+  
+  // One address can't fill the town on its own
+  const connectionsFromIp = Array.from(players.values()).filter(player => player.ip === ip).length;
+  if (ip && connectionsFromIp >= CONNECTION.MAX_PER_IP) {
+    console.log(`Rejecting connection from ${ip}: ${connectionsFromIp} players already connected from it`);
+    return rejectConnection(ws, 'tooManyConnections',
+      `Too many players are connected from your network (${CONNECTION.MAX_PER_IP} at most). Close another game tab and try again.`);
+  }
+  
+  if (players.size >= CONNECTION.MAX_PLAYERS) {
+    console.log(`Rejecting connection from ${ip}: server full (${players.size}/${CONNECTION.MAX_PLAYERS})`);
+    return rejectConnection(ws, 'serverFull',
+      `The town is full (${players.size}/${CONNECTION.MAX_PLAYERS} players). Hold your horses, we'll keep trying to get you in.`, {
+        retryAfter: CONNECTION.FULL_RETRY_DELAY
+      });
   }
 
   if (sessionId) {
@@ -301,7 +957,22 @@ wss.on('connection', (ws, req) => {
   // Verify player identity if clientId and token provided
   // Skip verification for development mode connections
   if (clientId && token && !isDev) {
-    const storedIdentity = playerIdentities.get(clientId);
+    let storedIdentity = playerIdentities.get(clientId);
+    
+    // Not seen since the last restart - fall back to the persisted profile
+    if (!storedIdentity) {
+      const profile = playerStore.get(clientId);
+      if (profile) {
+        storedIdentity = {
+          username: profile.username,
+          playerId: nextPlayerId++,
+          token: profile.token,
+          lastSeen: profile.lastSeen
+        };
+        playerIdentities.set(clientId, storedIdentity);
+        console.log(`Restored identity for clientId ${clientId} from player store`);
+      }
+    }
     
     // If we have this player's identity stored already
     if (storedIdentity) {
@@ -316,27 +987,44 @@ wss.on('connection', (ws, req) => {
         return ws.close(1008, 'Authentication failure');
       }
       
-      // Update the stored player identity
+      // Update the stored player identity, but never onto a name someone else owns
       storedIdentity.lastSeen = Date.now();
-      storedIdentity.username = sanitizeText(username || storedIdentity.username);
+      if (requestedUsername && !isUsernameTaken(requestedUsername, clientId)) {
+        storedIdentity.username = requestedUsername;
+      }
+      playerStore.update(clientId, { username: storedIdentity.username });
       
       // Use the existing player ID for this client
       const playerId = storedIdentity.playerId;
-      console.log(`Recognized returning player ${playerId} (clientId: ${clientId}, username: ${sanitizeText(username || storedIdentity.username)})`);
+      console.log(`Recognized returning player ${playerId} (clientId: ${clientId}, username: ${storedIdentity.username})`);
       
-      // Send Telegram notification for returning player
+      // Notify operators about returning player
       if (!isDev) {
-        sendTelegramNotification(`🔄 Player reconnected: ${sanitizeText(username || storedIdentity.username)} (ID: ${playerId})`);
+        notifier.notify('join', `🔄 Player reconnected: ${storedIdentity.username} (ID: ${playerId})`);
       }
       
       // Initialize player with recognized identity
-      initializePlayer(ws, playerId, sessionId, clientId, sanitizeText(username || storedIdentity.username), token, isDev);
+      initializePlayer(ws, playerId, sessionId, clientId, storedIdentity.username, token, isDev, ip, binary);
       return;
     }
   }
 
+  // A clientId that already has an identity belongs to whoever holds its token. Without it the
+  // connection plays as a fresh anonymous player instead of taking over the profile
+  if (clientId && !isDev && (playerIdentities.has(clientId) || playerStore.get(clientId))) {
+    console.log(`No valid token for registered clientId ${clientId}, connecting as an anonymous player`);
+    clientId = null;
+  }
+  
   // If we reach here, it's a new player or unrecognized returning player
   const playerId = nextPlayerId++;
+  
+  // Unregistered clients can't take a name that belongs to someone else
+  if (!isDev && isUsernameTaken(username, clientId)) {
+    const base = username.substring(0, IDENTITY.MAX_USERNAME_LENGTH - String(playerId).length - 1);
+    console.log(`Username ${username} is registered to another client, using ${base}-${playerId}`);
+    username = `${base}-${playerId}`;
+  }
   console.log(`Player ${playerId} connected (sessionId: ${sessionId || 'none'}, username: ${username}, isDev: ${isDev})`);
 
   // Store player identity information if provided (unless in dev mode with newplayer=true)
@@ -347,18 +1035,52 @@ wss.on('connection', (ws, req) => {
       token: token || '',
       lastSeen: Date.now()
     });
+    // Only unclaimed clientIds get here, so this registers the token rather than replacing one
+    playerStore.update(clientId, { username: username, ...(token ? { token } : {}) });
     console.log(`Associated player ${playerId} with clientId ${clientId} and username ${username}`);
     
-    // Send Telegram notification for new player
-    sendTelegramNotification(`🎮 New player joined: ${username} (ID: ${playerId})`);
+    // Notify operators about new player
+    notifier.notify('join', `🎮 New player joined: ${username} (ID: ${playerId})`);
   }
 
   // Initialize the new player
-  initializePlayer(ws, playerId, sessionId, clientId, username, token, isDev);
+  initializePlayer(ws, playerId, sessionId, clientId, username, token, isDev, ip, binary);
 });
 
+/**
+ * Turn a connection away at the handshake. The client shows the message instead of reconnecting,
+ * unless it's told to retry after a while.
+ * @param {WebSocket} ws - The new connection
+ * @param {string} reason - 'banned', 'duplicateSession', 'tooManyConnections' or 'serverFull'
+ * @param {string} message - Shown to the player
+ * @param {Object} details - Extra fields, e.g. { retryAfter } in ms or a ban's { expiresAt }
+ */
+function rejectConnection(ws, reason, message, details = {}) {
+  ws.send(JSON.stringify({
+    type: 'connectionRejected',
+    reason,
+    message,
+    ...details
+  }));
+  ws.close(reason === 'serverFull' ? 1013 : 1008, reason);
+}
+
+/**
+ * @param {Object} player - A connected player
+ * @returns {Object} { clientId, ip } for matching against the ban list
+ */
+function getBanIdentity(player) {
+  return {
+    clientId: player.clientId,
+    ip: player.ip
+  };
+}
+
 // Extract player initialization to a separate function
-function initializePlayer(ws, playerId, sessionId, clientId, username, token, isDev = false) {
+function initializePlayer(ws, playerId, sessionId, clientId, username, token, isDev = false, ip = null, binary = false) {
+  // Load the persisted profile (stats, wallet, unlocked skins) for known clients
+  const profile = !isDev ? playerStore.get(clientId) : null;
+  
   // Create initial player data with health and QuickDraw info
   players.set(playerId, {
     ws,
@@ -366,6 +1088,11 @@ function initializePlayer(ws, playerId, sessionId, clientId, username, token, is
     clientId,
     username,
     isDev, // Store dev mode flag for reference
+    ip, // For IP bans, see the admin API
+    connectedAt: Date.now(),
+    // Wire format for updates and snapshots; binary clients get snapshots as deltas against what they've acknowledged
+    protocol: binary ? 'binary' : 'json',
+    snapshotBaselines: binary ? new SnapshotBaselines() : null,
     position: { x: 0, y: 1.6, z: 0 },
     rotation: { y: 0 },
     isAiming: false,
@@ -377,13 +1104,45 @@ function initializePlayer(ws, playerId, sessionId, clientId, username, token, is
     inQuickDrawQueue: false,
     inQuickDrawDuel: false,
     quickDrawDuelId: null,
+    spectatingDuelId: null, // Duel this player is watching, see handleQuickDrawSpectate
     // Additional player state
-    bullets: 6,
-    maxBullets: 6,
+    // Anti-cheat: The server owns which weapon is drawn and each weapon's ammo; bullets/maxBullets mirror the active one
+    activeWeapon: DEFAULT_WEAPON,
+    weaponAmmo: createWeaponAmmo(),
+    weaponReadyAt: 0,
+    bullets: getWeapon(DEFAULT_WEAPON).capacity,
+    maxBullets: getWeapon(DEFAULT_WEAPON).capacity,
     lastUpdateTime: Date.now(),
-    // Initialize skin data for new players
+    // Anti-cheat: Movement validation state, see validateMovement
+    movement: {
+      lastTime: Date.now(),
+      riseStartY: null,
+      riseHorizontal: 0,
+      suspicion: 0,
+      lastSuspicionUpdate: Date.now(),
+      grace: null, // Where the server is moving the player, see startMovementGrace
+      correctionUntil: 0,
+      recoil: null, // Shotgun knockback still in the air, see startRecoil
+      // Client-side prediction: the last update whose position was accepted, sent back with
+      // corrections so the client knows which of its inputs to replay
+      lastAcceptedSequence: 0,
+      lastAcceptedTime: Date.now()
+    },
+    // Lag compensation: smoothed round-trip time from ping/pong, null until the first sample
+    rtt: null,
+    latencyProbes: new Map(), // probeId -> when that ping went out, see sendLatencyProbe
+    walletAddress: profile ? profile.walletAddress : null,
+    stats: profile ? { ...profile.stats } : { kills: 0, deaths: 0, duelWins: 0, duelLosses: 0, duelStreak: 0, bestDuelStreak: 0, fastestReaction: null },
+    // Quick Draw Elo rating, see updateQuickDrawRatings
+    rating: profile && typeof profile.rating === 'number' ? profile.rating : RATING.DEFAULT,
+    ratedDuels: profile && profile.ratedDuels ? profile.ratedDuels : 0,
+    // Chat moderation: { until, reason } while muted, and the last few lines kept as evidence for reports
+    chatMute: profile && profile.chatMute ? profile.chatMute : null,
+    recentChat: [],
+    // Initialize skin data for new players, keeping any skins unlocked in earlier sessions
     skins: {
-      bananaSkin: false // Default to no special skin
+      bananaSkin: false, // Default to no special skin
+      ...(profile ? profile.skins : {})
     }
   });
 
@@ -394,7 +1153,9 @@ function initializePlayer(ws, playerId, sessionId, clientId, username, token, is
     lastReload: 0,
     lastPositionUpdate: 0,
     lastPositionCorrection: 0,
+    lastWeaponSwitch: 0,
     reloadStartTime: 0,
+    reloadTimer: null, // Pending reload completion, cleared when the reload is cancelled
     isReloading: false
   });
 
@@ -402,46 +1163,40 @@ function initializePlayer(ws, playerId, sessionId, clientId, username, token, is
   playerNonces.set(playerId, new Set());
   playerSequences.set(playerId, 0);
 
+  // Lag compensation: Start an empty position history
+  playerPositionHistory.set(playerId, []);
+  
+  // Anti-cheat: The client picks its own spawn point on the main street
+  startMovementGrace(playerId, MOVEMENT.SPAWN_POINT, MOVEMENT.SPAWN_RADIUS);
+  
+  gameEvents.log('join', { player: describeForEventLog(playerId), ip });
+
   // Send init data to this client (their ID + existing players)
   // FIXED: Ensure we don't include the player's own ID in the list of players sent
   ws.send(JSON.stringify({
     type: 'init',
     id: playerId,
-    players: Array.from(players.entries())
-      .filter(([pid]) => pid !== playerId) // Make sure to exclude the player's own ID
-      .map(([pid, p]) => ({
-        id: pid,
-        position: p.position,
-        rotation: p.rotation,
-        isAiming: p.isAiming,
-        isShooting: p.isShooting,
-        isReloading: p.isReloading,
-        health: p.health,
-        username: p.username,
-        quickDrawLobbyIndex: p.quickDrawLobbyIndex,
-        skins: p.skins || { bananaSkin: false } // Include skin information for existing players
-      }))
+    protocol: players.get(playerId).protocol,
+    // Nearby players and NPCs follow as entityEnter messages from the next tick on
+    players: [],
+    // Recent global chat so the chat box isn't empty on arrival
+    chatHistory: chatHistory
   }));
 
   // Send initial train state
   sendInitialTrainState(ws);
 
-  // Notify others that a new player joined
-  broadcastToOthers(playerId, {
-    type: 'playerJoined',
-    id: playerId,
-    position: players.get(playerId).position,
-    rotation: players.get(playerId).rotation,
-    health: players.get(playerId).health,
-    username: players.get(playerId).username,
-    quickDrawLobbyIndex: players.get(playerId).quickDrawLobbyIndex,
-    skins: players.get(playerId).skins // Include skins in the join message
-  });
+  // Tell the chat which slash commands this player may use
+  ws.send(JSON.stringify({
+    type: 'chatCommands',
+    commands: chatCommands.list(isChatAdmin(players.get(playerId)))
+  }));
 
   // Handle incoming messages
-  ws.on('message', (message) => {
+  ws.on('message', (message, isBinary) => {
     try {
-      const data = JSON.parse(message);
+      const data = isBinary ? (BINARY_PROTOCOL_ENABLED ? decodeClientMessage(message) : null) : JSON.parse(message);
+      if (!data) return; // Malformed or unexpected binary message
 
       // Update lastActivity
       const player = players.get(playerId);
@@ -489,7 +1244,7 @@ function initializePlayer(ws, playerId, sessionId, clientId, username, token, is
 
       switch (data.type) {
         case 'update':
-          handlePlayerUpdate(playerId, data);
+          queuePlayerInput(playerId, data);
           break;
 
         case 'shoot':
@@ -504,10 +1259,18 @@ function initializePlayer(ws, playerId, sessionId, clientId, username, token, is
           handlePlayerReload(playerId, data);
           break;
 
+        case 'switchWeapon':
+          handleSwitchWeapon(playerId, data);
+          break;
+
         case 'ping':
           // respond
           ws.send(JSON.stringify({ type: 'pong' }));
           break;
+
+        case 'pong':
+          handleLatencyProbeReply(playerId, data);
+          break;
           
         case 'quickDrawJoin':
           handleQuickDrawJoin(playerId, data.arenaIndex);
@@ -522,18 +1285,20 @@ function initializePlayer(ws, playerId, sessionId, clientId, username, token, is
           break;
           
         case 'quickDrawShoot':
-          // Pass the hit zone and damage if provided
-          handleQuickDrawShoot(
-            playerId, 
-            data.opponentId, 
-            data.arenaIndex, 
-            data.hitZone || 'body', 
-            data.damage || 40,
-            data.hitDetected || false
-          );
+          // Anti-cheat: Duel hits are settled by the server bullet sweep, only misses are taken as reported
+          if (data.hitDetected && data.hitZone !== 'miss') {
+            console.log(`Quick Draw hit report from ${playerId} (${data.hitZone}) - waiting on server bullet`);
+          } else {
+            handleQuickDrawShoot(playerId, data.opponentId, data.arenaIndex, 'miss', 0, false);
+          }
           break;
           
         // Add new handlers for direct challenge system
+        case 'quickDrawPenalty':
+          // The client caught its player drawing early; the server still decides what that costs
+          handleQuickDrawFalseStart(playerId, 'draw');
+          break;
+          
         case 'quickDrawChallenge':
           handleQuickDrawChallenge(playerId, data.targetPlayerId);
           break;
@@ -546,9 +1311,39 @@ function initializePlayer(ws, playerId, sessionId, clientId, username, token, is
           handleQuickDrawDeclineChallenge(playerId, data.challengerId);
           break;
 
-        // Handle chat messages
+        // Spectating other players' duels
+        case 'quickDrawListDuels':
+          sendQuickDrawDuelList(playerId);
+          break;
+
+        case 'quickDrawSpectate':
+          handleQuickDrawSpectate(playerId, data.duelId, data.playerId);
+          break;
+
+        case 'quickDrawStopSpectating':
+          stopSpectatingQuickDraw(playerId);
+          break;
+
+        // Quick Draw tournaments
+        case 'tournamentCreate':
+          handleTournamentCreate(playerId, data.format);
+          break;
+
+        case 'tournamentJoin':
+          handleTournamentJoin(playerId);
+          break;
+
+        case 'tournamentLeave':
+          withdrawFromQuickDrawTournament(playerId);
+          break;
+
+        case 'tournamentGetState':
+          sendTournamentState(playerId);
+          break;
+
+        // Handle chat messages
         case 'chat':
-          handleChatMessage(playerId, data.message);
+          handleChatMessage(playerId, data.message, data.channel);
           break;
 
         // Handle bot player updates
@@ -594,6 +1389,7 @@ function initializePlayer(ws, playerId, sessionId, clientId, username, token, is
       }
     } catch (err) {
       console.error(`Error handling message from player ${playerId}:`, err);
+      notifier.notify('error', `⚠️ Error handling a message from player ${playerId}: ${err.message}`);
     }
   });
 
@@ -612,15 +1408,42 @@ function initializePlayer(ws, playerId, sessionId, clientId, username, token, is
   updatePlayerCount();
 }
 
-// Handle player updates - removed speed/position validation
-function handlePlayerUpdate(playerId, data) {
+/**
+ * Hold a movement update until the next tick.
+ * @param {number} playerId - The sender
+ * @param {Object} data - The update message
+ */
+function queuePlayerInput(playerId, data) {
+  // Binary clients say which snapshot they have, the next one can be a delta against it
+  const player = players.get(playerId);
+  if (player && player.snapshotBaselines && data.ackTick !== undefined) {
+    player.snapshotBaselines.acknowledge(data.ackTick, snapshotTick);
+  }
+  
+  let queue = pendingInputs.get(playerId);
+  if (!queue) {
+    queue = [];
+    pendingInputs.set(playerId, queue);
+  }
+  
+  queue.push({ data, receivedAt: Date.now() });
+  if (queue.length > TICK.MAX_QUEUED_INPUTS) {
+    queue.shift();
+  }
+}
+
+/**
+ * Apply a queued movement update, validating the movement before accepting the new position.
+ * @param {number} playerId - The sender
+ * @param {Object} data - The update message
+ * @param {number} now - When it arrived, so movement checks see the real spacing between updates
+ */
+function handlePlayerUpdate(playerId, data, now = Date.now()) {
   const player = players.get(playerId);
   const timeouts = playerTimeouts.get(playerId);
   
   if (!player || !timeouts) return;
   
-  const now = Date.now();
-  
   // Anti-cheat: Basic rate limit for position updates only
   if (now - timeouts.lastPositionUpdate < 16) { // Max 60 updates per second
     return; // Silently ignore too frequent updates
@@ -629,11 +1452,24 @@ function handlePlayerUpdate(playerId, data) {
   
   // Update player data - town boundary check removed to allow players to explore freely
   if (data.position) {
-    player.position = data.position;
+    const accepted = validateMovement(playerId, data, now);
+    if (accepted === null) return; // Player was kicked
+    if (accepted) {
+      player.position = {
+        x: data.position.x,
+        y: data.position.y,
+        z: data.position.z
+      };
+      player.movement.lastAcceptedSequence = data.sequenceNumber || player.movement.lastAcceptedSequence;
+      player.movement.lastAcceptedTime = now;
+    }
   }
   
   // Update other player properties
   player.rotation = data.rotation || player.rotation;
+  
+  // Lag compensation: Remember where the player was at this moment
+  recordPositionSnapshot(playerId, now);
   player.isAiming = data.isAiming !== undefined ? data.isAiming : player.isAiming;
   player.isReloading = data.isReloading !== undefined ? data.isReloading : player.isReloading;
   
@@ -646,9 +1482,8 @@ function handlePlayerUpdate(playerId, data) {
     player.isSprinting = data.isSprinting;
   }
   
-  // Broadcast valid update to others
-  broadcastToOthers(playerId, {
-    type: 'playerUpdate',
+  // Sent to everyone else with the next snapshot
+  snapshotEntries.set(playerId, {
     id: playerId,
     position: player.position,
     rotation: player.rotation,
@@ -657,8 +1492,327 @@ function handlePlayerUpdate(playerId, data) {
     isReloading: player.isReloading,
     health: player.health,
     username: player.username,
-    quickDrawLobbyIndex: player.quickDrawLobbyIndex
+    quickDrawLobbyIndex: player.quickDrawLobbyIndex,
+    activeWeapon: player.activeWeapon
+  });
+}
+
+/**
+ * Anti-cheat: The server is moving the player (spawn, respawn, teleport or duel position). Until the
+ * client reports a position near the target, nothing else is accepted, so the jump can't be used to
+ * go anywhere else; the normal movement checks take over from there.
+ * @param {number} playerId - The player being moved
+ * @param {Object} target - { x, y, z } the client was told to go to
+ * @param {number} radius - How close to it counts as having got there
+ */
+function startMovementGrace(playerId, target, radius = MOVEMENT.TELEPORT_RADIUS) {
+  const player = players.get(playerId);
+  if (!player || !player.movement) return;
+  
+  player.position = { x: target.x, y: target.y, z: target.z };
+  player.movement.grace = {
+    x: target.x,
+    y: target.y,
+    z: target.z,
+    radius,
+    until: Date.now() + MOVEMENT.TELEPORT_GRACE
+  };
+  player.movement.correctionUntil = 0;
+  player.movement.riseStartY = null;
+  player.movement.riseHorizontal = 0;
+}
+
+/**
+ * Checks a client position update against the movement model.
+ * Small violations raise the player's suspicion score and are let through until the score
+ * passes CORRECTION_THRESHOLD; gross ones (teleports) are always rejected and corrected.
+ * @param {number} playerId - The player sending the update
+ * @param {Object} data - The update message
+ * @param {number} now - Server time the update arrived
+ * @returns {boolean|null} true to accept the position, false to reject it, null if the player was kicked
+ */
+function validateMovement(playerId, data, now) {
+  const player = players.get(playerId);
+  const movement = player.movement;
+  const next = data.position;
+  const last = player.position;
+  
+  if (!next || !Number.isFinite(next.x) || !Number.isFinite(next.y) || !Number.isFinite(next.z)) {
+    console.log(`Movement rejected: invalid position from player ${playerId}`);
+    return false;
+  }
+  
+  const elapsed = Math.min(
+    MOVEMENT.MAX_ELAPSED,
+    Math.max(MOVEMENT.MIN_ELAPSED, (now - movement.lastTime) / 1000)
+  );
+  movement.lastTime = now;
+  
+  // Forgive suspicion over time
+  const sinceDecay = (now - movement.lastSuspicionUpdate) / 1000;
+  movement.suspicion = Math.max(0, movement.suspicion - sinceDecay * MOVEMENT.SUSPICION_DECAY);
+  movement.lastSuspicionUpdate = now;
+  
+  const dx = next.x - last.x;
+  const dz = next.z - last.z;
+  const horizontal = Math.sqrt(dx * dx + dz * dz);
+  const rise = next.y - last.y;
+  
+  // Server-initiated teleport: only the spot the server chose will do until the client gets there
+  const grace = movement.grace;
+  if (grace) {
+    const offX = next.x - grace.x;
+    const offZ = next.z - grace.z;
+    const offTarget = Math.sqrt(offX * offX + offZ * offZ);
+    if (offTarget <= grace.radius && Math.abs(next.y - grace.y) <= MOVEMENT.TELEPORT_HEIGHT) {
+      movement.grace = null;
+      movement.riseStartY = next.y;
+      movement.riseHorizontal = 0;
+      return true;
+    }
+    if (now < grace.until) {
+      return false; // Sent before the client moved, or somewhere it wasn't sent
+    }
+    // Never got there: check it against the target like any other move
+    movement.grace = null;
+  }
+  
+  // Shotgun knockback only explains movement along its own push, and only until the player lands
+  if (movement.recoil && now >= movement.recoil.until) {
+    movement.recoil = null;
+  }
+  const recoil = movement.recoil;
+  const sprinting = data.isSprinting || player.isSprinting;
+  const maxSpeed = sprinting ? MOVEMENT.SPRINT_SPEED : MOVEMENT.WALK_SPEED;
+  
+  // Waiting for the client to apply a correction: drop updates until it gets there. The client
+  // replays its inputs since the last accepted update on top of it, so allow for that much movement
+  if (now < movement.correctionUntil) {
+    const replayed = maxSpeed * MOVEMENT.SPEED_TOLERANCE * (now - movement.lastAcceptedTime) / 1000;
+    // Knockback gets replayed too, along its push and up to its arc
+    const horizontalLeft = recoil ? applyRecoilAllowance({ ...recoil }, dx, dz) : horizontal;
+    const verticalLeft = rise > 0 ? Math.max(0, rise - (recoil ? recoil.rise : 0)) : -rise;
+    if (Math.sqrt(horizontalLeft * horizontalLeft + verticalLeft * verticalLeft) > MOVEMENT.MIN_CORRECTION_DISTANCE + replayed) {
+      return false;
+    }
+    movement.correctionUntil = 0;
+    movement.riseStartY = next.y;
+    movement.riseHorizontal = 0;
+    return true;
+  }
+  
+  // Horizontal speed, on top of whatever the knockback explains
+  const allowedHorizontal = maxSpeed * elapsed * MOVEMENT.SPEED_TOLERANCE + MOVEMENT.BASE_ALLOWANCE;
+  const unexplainedHorizontal = recoil ? applyRecoilAllowance(recoil, dx, dz) : horizontal;
+  
+  // Jump height: total rise since the player last stopped going up, plus whatever stairs
+  // the horizontal distance covered could explain
+  if (rise > 0.01) {
+    if (movement.riseStartY === null) movement.riseStartY = last.y;
+    movement.riseHorizontal += horizontal;
+  } else {
+    movement.riseStartY = null;
+    movement.riseHorizontal = 0;
+  }
+  const jumpApex = Math.max(
+    (MOVEMENT.JUMP_VELOCITY * MOVEMENT.JUMP_VELOCITY) / (2 * MOVEMENT.GRAVITY),
+    recoil ? recoil.rise : 0
+  );
+  const totalRise = movement.riseStartY === null ? 0 : next.y - movement.riseStartY;
+  const allowedRise = jumpApex + MOVEMENT.MAX_STEP_UP + MOVEMENT.RISE_TOLERANCE + movement.riseHorizontal;
+  
+  const horizontalRatio = unexplainedHorizontal / allowedHorizontal;
+  const riseRatio = totalRise / allowedRise;
+  const ratio = Math.max(horizontalRatio, riseRatio);
+  
+  if (ratio <= 1) {
+    return true;
+  }
+  
+  // Violation: the further over the limit, the more suspicious
+  movement.suspicion += Math.min(ratio, 5);
+  console.log(`Movement violation by player ${playerId}: moved ${horizontal.toFixed(2)}/${allowedHorizontal.toFixed(2)} horizontally, rose ${totalRise.toFixed(2)}/${allowedRise.toFixed(2)} in ${elapsed.toFixed(3)}s (suspicion ${movement.suspicion.toFixed(1)})`);
+  
+  if (movement.suspicion >= MOVEMENT.KICK_THRESHOLD) {
+    console.log(`Kicking player ${playerId} for repeated movement violations`);
+    notifier.notify('kick', `👢 ${player.username} was kicked by anti-cheat for repeated movement violations`);
+    sendErrorToPlayer(playerId, "Disconnected for repeated movement violations", true);
+    player.ws.close(1008, 'Movement violations');
+    cleanupPlayer(playerId);
+    return null;
+  }
+  
+  if (ratio >= MOVEMENT.GROSS_VIOLATION_RATIO || movement.suspicion >= MOVEMENT.CORRECTION_THRESHOLD) {
+    movement.riseStartY = null;
+    movement.riseHorizontal = 0;
+    if (sendPositionCorrection(playerId, last)) {
+      movement.correctionUntil = now + MOVEMENT.CORRECTION_SETTLE;
+    }
+    return false;
+  }
+  
+  // Minor first offences get the benefit of the doubt
+  return true;
+}
+
+/**
+ * Anti-cheat: Record the knockback a shotgun blast gives the shooter, as applyRecoil works it out
+ * on the client, so movement validation can excuse that push and nothing else.
+ * @param {Object} player - The shooter
+ * @param {Object} direction - Normalized aim direction of the shot
+ * @param {number} now - Server time of the shot
+ */
+function startRecoil(player, direction, now) {
+  if (!Number.isFinite(direction.x) || !Number.isFinite(direction.y) || !Number.isFinite(direction.z)) return;
+  
+  const rotationY = player.rotation && Number.isFinite(player.rotation.y) ? player.rotation.y : 0;
+  let pushX, pushZ, lift;
+  if (direction.y < MOVEMENT.RECOIL_DOWN_PITCH) {
+    pushX = Math.sin(rotationY) * MOVEMENT.RECOIL_DOWN_PUSH * direction.z;
+    pushZ = Math.cos(rotationY) * MOVEMENT.RECOIL_DOWN_PUSH * direction.z;
+    lift = MOVEMENT.RECOIL_DOWN_LIFT;
+  } else {
+    pushX = -direction.x * MOVEMENT.RECOIL_PUSH;
+    pushZ = -direction.z * MOVEMENT.RECOIL_PUSH;
+    lift = MOVEMENT.RECOIL_LIFT + Math.abs(direction.y) * MOVEMENT.RECOIL_PITCH_LIFT;
+  }
+  
+  // The push lasts the boost; the lift rises without gravity for the boost, then arcs back down
+  const push = Math.sqrt(pushX * pushX + pushZ * pushZ);
+  const rise = lift * MOVEMENT.RECOIL_BOOST_TIME + (lift * lift) / (2 * MOVEMENT.GRAVITY);
+  const airtime = MOVEMENT.RECOIL_BOOST_TIME + lift / MOVEMENT.GRAVITY + Math.sqrt(2 * rise / MOVEMENT.GRAVITY);
+  
+  player.movement.recoil = {
+    x: push > 0 ? pushX / push : 0, // Unit direction of the push
+    z: push > 0 ? pushZ / push : 0,
+    remaining: push * MOVEMENT.RECOIL_BOOST_TIME * MOVEMENT.SPEED_TOLERANCE, // Distance it can still explain
+    rise,
+    until: now + airtime * 1000 * MOVEMENT.SPEED_TOLERANCE
+  };
+}
+
+/**
+ * Anti-cheat: Take the part of a horizontal move that the knockback explains off it, using up
+ * that much of the push.
+ * @param {Object} recoil - movement.recoil
+ * @param {number} dx - Horizontal move
+ * @param {number} dz
+ * @returns {number} Distance still to be explained by walking or sprinting
+ */
+function applyRecoilAllowance(recoil, dx, dz) {
+  const along = dx * recoil.x + dz * recoil.z;
+  const excused = Math.max(0, Math.min(along, recoil.remaining));
+  recoil.remaining -= excused;
+  
+  const restX = dx - recoil.x * excused;
+  const restZ = dz - recoil.z * excused;
+  return Math.sqrt(restX * restX + restZ * restZ);
+}
+
+// Lag compensation: Record a timestamped snapshot of a player's position
+function recordPositionSnapshot(playerId, time) {
+  const player = players.get(playerId);
+  if (!player || !player.position) return;
+  
+  let history = playerPositionHistory.get(playerId);
+  if (!history) {
+    history = [];
+    playerPositionHistory.set(playerId, history);
+  }
+  
+  // Keep the history in time order: an update applied at the tick is stamped with when it
+  // arrived, which can be before a snapshot a respawn wrote in between
+  let index = history.length;
+  while (index > 0 && history[index - 1].time > time) {
+    index--;
+  }
+  history.splice(index, 0, {
+    time: time,
+    position: { x: player.position.x, y: player.position.y, z: player.position.z },
+    rotation: { ...player.rotation }
   });
+  
+  if (history.length > POSITION_HISTORY_SIZE) {
+    history.splice(0, history.length - POSITION_HISTORY_SIZE);
+  }
+}
+
+/**
+ * Returns where a player was at the given server time, interpolating between snapshots.
+ * Falls back to the oldest snapshot for times beyond the history and the live position for
+ * times after the newest one.
+ * @param {number} playerId - The player to rewind
+ * @param {number} time - Server timestamp (ms)
+ * @returns {Object} Eye-level position
+ */
+function getRewoundPosition(playerId, time) {
+  const player = players.get(playerId);
+  const history = playerPositionHistory.get(playerId);
+  
+  if (!history || history.length === 0 || time >= history[history.length - 1].time) {
+    return player ? player.position : null;
+  }
+  if (time <= history[0].time) {
+    return history[0].position;
+  }
+  
+  for (let i = history.length - 1; i > 0; i--) {
+    const older = history[i - 1];
+    const newer = history[i];
+    if (time >= older.time) {
+      const span = newer.time - older.time;
+      const alpha = span > 0 ? (time - older.time) / span : 1;
+      return {
+        x: older.position.x + (newer.position.x - older.position.x) * alpha,
+        y: older.position.y + (newer.position.y - older.position.y) * alpha,
+        z: older.position.z + (newer.position.z - older.position.z) * alpha
+      };
+    }
+  }
+  
+  return history[0].position;
+}
+
+// Lag compensation: How far back (ms) a shot from this player should rewind its targets
+function getRewindOffset(playerId) {
+  const player = players.get(playerId);
+  if (!player) return 0;
+  
+  const oneWay = player.rtt !== null ? player.rtt / 2 : 0;
+  return Math.min(LAG_COMPENSATION.MAX_REWIND, oneWay + LAG_COMPENSATION.INTERPOLATION_DELAY);
+}
+
+// Lag compensation: Send a ping the client has to echo. The round trip is timed from our own
+// record of when it went out, so a client can't claim whatever RTT it likes
+function sendLatencyProbe(player, now) {
+  // Probes that never came back
+  for (const [probeId, sentAt] of player.latencyProbes) {
+    if (now - sentAt > LAG_COMPENSATION.PROBE_TIMEOUT) {
+      player.latencyProbes.delete(probeId);
+    }
+  }
+  
+  const probeId = crypto.randomBytes(8).toString('hex');
+  player.latencyProbes.set(probeId, now);
+  player.ws.send(JSON.stringify({ type: 'ping', serverTime: now, probeId }));
+}
+
+// Lag compensation: Fold a ping/pong round trip into the player's smoothed RTT
+function handleLatencyProbeReply(playerId, data) {
+  const player = players.get(playerId);
+  if (!player || typeof data.probeId !== 'string') return;
+  
+  // Only pongs for a probe we sent and haven't had an answer to yet count
+  const sentAt = player.latencyProbes.get(data.probeId);
+  if (sentAt === undefined) return;
+  player.latencyProbes.delete(data.probeId);
+  
+  const sample = Date.now() - sentAt;
+  if (sample > LAG_COMPENSATION.PROBE_TIMEOUT) return;
+  
+  player.rtt = player.rtt === null
+    ? sample
+    : player.rtt + (sample - player.rtt) * LAG_COMPENSATION.RTT_SMOOTHING;
 }
 
 // Anti-cheat: Handle player shooting with validation and server-side trajectory
@@ -668,6 +1822,10 @@ function handlePlayerShoot(playerId, data) {
   
   if (!player || !timeouts) return;
   
+  // Movement that arrived before the shot counts, even if its tick hasn't run yet
+  applyPendingInputs();
+  if (!players.has(playerId)) return; // Kicked for how it moved
+  
   const now = Date.now();
   
   // Anti-cheat: Check if player has bullets
@@ -680,18 +1838,32 @@ function handlePlayerShoot(playerId, data) {
     return sendErrorToPlayer(playerId, "Cannot shoot while reloading", false);
   }
   
+  const weapon = getWeapon(player.activeWeapon);
+  
   // Anti-cheat: Enforce weapon cooldown
-  if (now - timeouts.lastShot < GAME_CONSTANTS.WEAPON_COOLDOWN) {
+  if (now - timeouts.lastShot < weapon.cooldown) {
     console.log(`Rate limit exceeded: Player ${playerId} attempted to shoot too quickly`);
     return sendErrorToPlayer(playerId, "Shooting too fast", false);
   }
   
+  // Anti-cheat: The weapon has to be fully drawn after a switch
+  if (now < player.weaponReadyAt) {
+    return sendErrorToPlayer(playerId, "Weapon not drawn yet", false);
+  }
+  
   // Quick Draw gun lock validation
   if (player.inQuickDrawDuel && player.quickDrawDuelId) {
     const duel = quickDrawDuels.get(player.quickDrawDuelId);
+    if (duel && duel.state === 'countdown') {
+      handleQuickDrawFalseStart(playerId, 'shot');
+      return sendErrorToPlayer(playerId, "Cannot shoot before draw signal", false);
+    }
     if (duel && duel.state !== 'draw') {
       return sendErrorToPlayer(playerId, "Cannot shoot before draw signal", false);
     }
+    if (duel && now < getQuickDrawLockoutEnd(duel, playerId)) {
+      return sendErrorToPlayer(playerId, "Gun locked after false start", false);
+    }
   }
   
   // Validate bullet data
@@ -703,6 +1875,10 @@ function handlePlayerShoot(playerId, data) {
   const direction = data.bulletData.direction;
   const dirMagnitude = Math.sqrt(direction.x*direction.x + direction.y*direction.y + direction.z*direction.z);
   
+  if (!Number.isFinite(dirMagnitude) || dirMagnitude === 0) {
+    return sendErrorToPlayer(playerId, "Invalid bullet data", false);
+  }
+  
   if (Math.abs(dirMagnitude - 1) > 0.01) {
     console.log(`Invalid bullet direction: not normalized for player ${playerId} (magnitude: ${dirMagnitude.toFixed(2)})`);
     
@@ -711,21 +1887,52 @@ function handlePlayerShoot(playerId, data) {
     direction.y /= dirMagnitude;
     direction.z /= dirMagnitude;
   }
+
+  // Anti-cheat: Bullets must leave the barrel, not appear next to the target
+  let origin = {
+    x: data.bulletData.position.x,
+    y: data.bulletData.position.y,
+    z: data.bulletData.position.z
+  };
+  const muzzleDistance = distanceBetween(origin, player.position);
+  if (!Number.isFinite(muzzleDistance) || muzzleDistance > HITBOX.MAX_MUZZLE_DISTANCE) {
+    console.log(`Bullet origin too far from player ${playerId} (${Number.isFinite(muzzleDistance) ? muzzleDistance.toFixed(2) : 'invalid'} units) - using eye position`);
+    origin = { ...player.position };
+  }
+
+  // Handle shotgun pellets - generate multiple projectiles with spread
+  const isShotgun = weapon.pellets > 1;
+  const bulletCount = weapon.pellets; // 10 pellets for shotgun, 1 for revolver
+  
+  // If multiple bullets come from revolver in a single shot, it's likely cheating
+  if (!isShotgun && data.bulletData.pelletCount && data.bulletData.pelletCount > 1) {
+    console.log(`Potential cheating detected: Player ${playerId} tried to fire multiple revolver bullets at once`);
+    return sendErrorToPlayer(playerId, "Invalid bullet count for weapon type", true);
+  }
   
   // All validations passed, decrement bullet count
   player.bullets--;
+  player.weaponAmmo[player.activeWeapon] = player.bullets;
   
   // Update lastShot timestamp
   timeouts.lastShot = now;
   
-  // Handle shotgun pellets - generate multiple projectiles with spread
-  const isShotgun = player.activeWeapon === 'shotgun';
-  const bulletCount = isShotgun ? 10 : 1; // 10 pellets for shotgun, 1 for revolver
+  const duel = player.inQuickDrawDuel ? quickDrawDuels.get(player.quickDrawDuelId) : null;
+  if (duel) {
+    recordQuickDrawReaction(duel, playerId, now);
+    duel.accuracy[playerId].shots++;
+  }
+  gameEvents.log('shot', {
+    player: describeForEventLog(playerId),
+    weapon: player.activeWeapon,
+    origin,
+    direction,
+    duelId: duel ? duel.id : null
+  });
   
-  // If multiple bullets come from revolver in a single shot, it's likely cheating
-  if (!isShotgun && data.bulletData.pelletCount && data.bulletData.pelletCount > 1) {
-    console.log(`Potential cheating detected: Player ${playerId} tried to fire multiple revolver bullets at once`);
-    return sendErrorToPlayer(playerId, "Invalid bullet count for weapon type", true);
+  // Anti-cheat: Shotgun knockback legitimately launches the shooter
+  if (isShotgun && player.movement) {
+    startRecoil(player, direction, now);
   }
   
   // Create server-side bullets (one bullet for revolver, multiple pellets for shotgun)
@@ -737,7 +1944,7 @@ function handlePlayerShoot(playerId, data) {
     
     if (isShotgun && i > 0) {
       // Apply realistic shotgun spread
-      const spread = 0.08; // Match client-side spread value
+      const spread = weapon.spread; // Match client-side spread value
       pelletDirection = {
         x: direction.x + (Math.random() - 0.5) * spread,
         y: direction.y + (Math.random() - 0.5) * spread,
@@ -759,13 +1966,17 @@ function handlePlayerShoot(playerId, data) {
     const bullet = {
       id: bulletId,
       sourcePlayerId: playerId,
-      position: data.bulletData.position,
+      origin: { ...origin },
+      position: { ...origin }, // Each pellet needs its own copy, updateBullets moves it in place
       direction: pelletDirection,
       distanceTraveled: 0,
-      maxDistance: GAME_CONSTANTS.MAX_BULLET_DISTANCE,
-      speed: GAME_CONSTANTS.BULLET_SPEED,
+      maxDistance: weapon.range,
+      speed: weapon.projectileSpeed,
       timeCreated: now,
+      lastUpdateTime: now,
+      rewindOffset: getRewindOffset(playerId), // Lag compensation: test targets as the shooter saw them
       active: true,
+      weaponId: player.activeWeapon,
       isShotgunPellet: isShotgun,
       pelletIndex: i
     };
@@ -773,16 +1984,17 @@ function handlePlayerShoot(playerId, data) {
     // Add to active bullets
     activeBullets.set(bulletId, bullet);
     
-    // For the first bullet/pellet or if it's a revolver shot, notify all clients
+    // For the first bullet/pellet or if it's a revolver shot, notify nearby clients
     // For shotgun pellets after the first, only notify about first pellet to save bandwidth
     if (i === 0 || !isShotgun) {
-      broadcastToAll({
+      broadcastToObservers(playerId, {
         type: 'playerShoot',
         id: playerId,
         bulletId: bulletId,
         bulletData: {
-          position: data.bulletData.position,
+          position: origin,
           direction: pelletDirection,
+          weaponId: player.activeWeapon,
           isShotgunPellet: isShotgun
         }
       });
@@ -819,156 +2031,197 @@ function handlePlayerReload(playerId, data) {
     return sendErrorToPlayer(playerId, "Ammo already full", false);
   }
   
-  // Start reload process
+  // Start reload process (switching is refused until it finishes, so the active weapon can't change under it)
+  const weaponName = player.activeWeapon;
+  const weapon = getWeapon(weaponName);
   player.isReloading = true;
   timeouts.isReloading = true;
   timeouts.reloadStartTime = now;
   
-  // Notify all players about reload start
-  broadcastToAll({
+  // Notify nearby players about reload start
+  broadcastToObservers(playerId, {
     type: 'playerUpdate',
     id: playerId,
     isReloading: true
   });
   
   // Schedule reload completion
-  setTimeout(() => {
+  timeouts.reloadTimer = setTimeout(() => {
+    timeouts.reloadTimer = null;
     if (!players.has(playerId)) return;
     
-    const timeouts = playerTimeouts.get(playerId);
-    if (!timeouts) return;
-    
     // Check if player is still reloading (could have been cancelled)
     if (timeouts.isReloading) {
       const player = players.get(playerId);
       
       // Complete reload
-      player.bullets = player.maxBullets;
+      player.weaponAmmo[weaponName] = weapon.capacity;
+      if (player.activeWeapon === weaponName) {
+        player.bullets = weapon.capacity;
+      }
       player.isReloading = false;
       timeouts.isReloading = false;
       
-      // Notify all players about reload completion
-      broadcastToAll({
+      // Notify nearby players about reload completion
+      broadcastToObservers(playerId, {
         type: 'playerUpdate',
         id: playerId,
         isReloading: false,
-        bullets: player.maxBullets
+        bullets: player.bullets
       });
     }
-  }, GAME_CONSTANTS.RELOAD_TIME);
+  }, weapon.reloadTime);
+}
+
+/**
+ * Tells a player which weapon the server has them holding and how much ammo each weapon has.
+ * Sent after a refused switch so the client can put the right gun back in their hands.
+ * @param {number} playerId
+ */
+function sendWeaponState(playerId) {
+  const player = players.get(playerId);
+  if (!player || player.ws.readyState !== WebSocket.OPEN) return;
+  
+  player.ws.send(JSON.stringify({
+    type: 'weaponState',
+    activeWeapon: player.activeWeapon,
+    weaponAmmo: player.weaponAmmo,
+    bullets: player.bullets,
+    maxBullets: player.maxBullets
+  }));
+}
+
+// Anti-cheat: Handle a weapon switch request. The ammo of the holstered weapon stays in its own
+// pool, and the new weapon can't fire until it has been drawn.
+function handleSwitchWeapon(playerId, data) {
+  const player = players.get(playerId);
+  const timeouts = playerTimeouts.get(playerId);
+  
+  if (!player || !timeouts) return;
+  
+  const now = Date.now();
+  const weaponName = data.weapon;
+  
+  if (!isWeapon(weaponName)) {
+    return sendErrorToPlayer(playerId, "Unknown weapon", false);
+  }
+  
+  // Already holding it
+  if (weaponName === player.activeWeapon) return;
+  
+  if (timeouts.isReloading) {
+    sendWeaponState(playerId);
+    return sendErrorToPlayer(playerId, "Cannot switch weapons while reloading", false);
+  }
+  
+  if (now - timeouts.lastWeaponSwitch < WEAPON_SWITCH.MIN_INTERVAL) {
+    console.log(`Rate limit exceeded: Player ${playerId} attempted to switch weapons too quickly`);
+    sendWeaponState(playerId);
+    return sendErrorToPlayer(playerId, "Switching weapons too fast", false);
+  }
+  
+  // Holster the current weapon with whatever it has left and draw the new one
+  player.weaponAmmo[player.activeWeapon] = player.bullets;
+  player.activeWeapon = weaponName;
+  player.bullets = player.weaponAmmo[weaponName];
+  player.maxBullets = getWeapon(weaponName).capacity;
+  player.weaponReadyAt = now + WEAPON_SWITCH.DRAW_TIME;
+  timeouts.lastWeaponSwitch = now;
+  
+  // Let everyone who can see the player know which gun they are holding
+  broadcastToObservers(playerId, {
+    type: 'playerUpdate',
+    id: playerId,
+    activeWeapon: player.activeWeapon
+  }, playerId);
 }
 
-// Anti-cheat: Handle player hit validation
+// Anti-cheat: Handle a client hit report. Hits are resolved by the server bullet sweep in
+// updateBullets; a report only lets the server settle a hit slightly early when the client
+// saw the target a little off from where the server has it (latency).
 function handlePlayerHit(playerId, targetId, hitData, bulletId) {
-  console.log(`Player ${playerId} claims hit on player/npc ${targetId}`);
+  // Rewind from where the target is now, not from a tick ago
+  applyPendingInputs();
   
-  // Basic validation
   const isPlayerTarget = players.has(targetId);
   const isNpcTarget = npcs.has(targetId);
   
   if (!players.has(playerId) || (!isPlayerTarget && !isNpcTarget)) {
-    console.log(`Hit claim invalid - player ${playerId} or target ${targetId} not found`);
+    console.log(`Hit report ignored - player ${playerId} or target ${targetId} not found`);
     return;
   }
   
-  const player = players.get(playerId);
-  
-  // Get target (player or NPC)
-  let target;
-  let isNpc = false;
-  
-  if (isPlayerTarget) {
-    target = players.get(targetId);
-  } else if (isNpcTarget) {
-    target = npcs.get(targetId);
-    isNpc = true;
+  // Reports without a server bullet (local-only prediction bullets) carry no weight
+  if (bulletId === null || bulletId === undefined) {
+    return;
   }
   
-  // Check if bullet ID is valid, if provided
-  if (bulletId && !activeBullets.has(bulletId)) {
-    console.log(`Invalid bullet ID: ${bulletId}`);
-    return sendErrorToPlayer(playerId, "Invalid bullet ID", false);
+  const bullet = activeBullets.get(bulletId);
+  
+  // Bullet already resolved or expired - the sweep has the final word
+  if (!bullet || !bullet.active) {
+    return;
   }
   
-  // Track hit timestamps to prevent double-counting hits
-  // Initialize hit tracking structure if not already present
-  if (!player.recentHits) {
-    player.recentHits = new Map();
+  if (bullet.sourcePlayerId !== playerId) {
+    console.log(`Hit report rejected: player ${playerId} reported bullet ${bulletId} owned by ${bullet.sourcePlayerId}`);
+    return;
   }
   
-  // Check for duplicate/too frequent hits on the same target
-  const now = Date.now();
-  const lastHitTime = player.recentHits.get(targetId) || 0;
+  if (targetId === playerId) return;
   
-  // If this is a shotgun hit, use a shorter debounce time to allow multiple pellets to hit
-  const isShotgunHit = player.activeWeapon === 'shotgun' || 
-                      (bulletId && activeBullets.has(bulletId) && activeBullets.get(bulletId).isShotgunPellet);
+  const target = isPlayerTarget ? players.get(targetId) : npcs.get(targetId);
+  if (!target || target.health <= 0) return;
   
-  // Use a shorter debounce time for shotgun pellets (50ms) vs regular bullets (300ms)
-  const hitDebounceTime = isShotgunHit ? 50 : 300;
+  // Re-test the bullet path (plus a short look-ahead) against a slightly padded hitbox
+  const lookAhead = bullet.speed * HITBOX.HINT_LOOKAHEAD;
+  const end = {
+    x: bullet.position.x + bullet.direction.x * lookAhead,
+    y: bullet.position.y + bullet.direction.y * lookAhead,
+    z: bullet.position.z + bullet.direction.z * lookAhead
+  };
+  const targetPosition = isPlayerTarget
+    ? getRewoundPosition(targetId, Date.now() - (bullet.rewindOffset || 0))
+    : target.position;
+  const hit = testBulletAgainstTarget(bullet.origin, end, targetPosition, HITBOX.HINT_TOLERANCE);
   
-  if (now - lastHitTime < hitDebounceTime) {
-    console.log(`Hit debounced: Player ${playerId} hit ${targetId} too quickly after last hit (${now - lastHitTime}ms)`);
-    return; // Silently ignore too-frequent hits
+  if (!hit) {
+    console.log(`Hit report rejected: bullet ${bulletId} from ${playerId} does not pass near ${targetId} (claimed ${hitData && hitData.hitZone})`);
+    return;
   }
   
-  // Update last hit time for this target
-  player.recentHits.set(targetId, now);
-  
-  // ADDED: Check if this is a quickdraw duel hit
-  // If the players are in a quickdraw duel, handle it using the quickdraw logic
-  if (!isNpc && player.inQuickDrawDuel && target.inQuickDrawDuel && player.quickDrawDuelId === target.quickDrawDuelId) {
-    const duel = quickDrawDuels.get(player.quickDrawDuelId);
-    if (duel && duel.state === 'draw') {
-      console.log(`Handling hit as part of QuickDraw duel ${player.quickDrawDuelId}`);
-      // Calculate damage based on hit zone
-      let finalDamage = 40; // Default body shot
-      
-      if (hitData.hitZone === 'head') {
-        finalDamage = 100; // One-shot kill for headshots
-      } else if (hitData.hitZone === 'limbs') {
-        finalDamage = Math.round(40 * 0.6); // Reduced damage for limb shots
-      } else if (hitData.hitZone === 'body') {
-        finalDamage = 40; // Standard body shot damage
-      }
-      
-      // Use the quickdraw handler with the appropriate damage and hit zone
-      handleQuickDrawShoot(playerId, targetId, undefined, hitData.hitZone, finalDamage, true);
-      return;
-    }
+  const wallT = findWallHit(bullet.origin, end);
+  if (wallT !== null && wallT < hit.t) {
+    console.log(`Hit report rejected: bullet ${bulletId} from ${playerId} hits a wall before ${targetId}`);
+    return;
   }
   
-  // Rest of original hit handling for non-quickdraw hits
-  // Get bullet data if available
-  let bullet = null;
-  if (bulletId && activeBullets.has(bulletId)) {
-    bullet = activeBullets.get(bulletId);
+  if (hitData && hitData.hitZone && hitData.hitZone !== hit.zone) {
+    console.log(`Hit report zone mismatch for bullet ${bulletId}: client said ${hitData.hitZone}, server found ${hit.zone}`);
   }
   
-  // Calculate damage based on hit zone and weapon type
-  let damage = GAME_CONSTANTS.DAMAGE_PER_HIT;
-  
-  // Check if this is a shotgun pellet hit
-  const isShotgunPellet = player.activeWeapon === 'shotgun' || 
-                         (bullet && bullet.isShotgunPellet);
-  
-  if (isShotgunPellet) {
-    // Shotgun pellet damage
-    if (hitData.hitZone === 'head') {
-      damage = 10; // Per pellet headshot damage
-    } else {
-      damage = 5;  // Per pellet body/limb damage
-    }
-  } else {
-    // Regular bullet damage
-    if (hitData.hitZone === 'head') {
-      damage = 100; // One-shot kill for headshots
-    } else if (hitData.hitZone === 'body') {
-      damage = 40; // Standard body shot
-    } else if (hitData.hitZone === 'limbs') {
-      damage = 20; // Reduced damage for limbs
-    }
-  }
+  resolveBulletHit(bullet, {
+    targetId: targetId,
+    isNpc: isNpcTarget,
+    zone: hit.zone,
+    graze: hit.graze,
+    point: hit.point
+  });
+}
+
+/**
+ * Applies server-determined damage from a player's shot and notifies everyone involved.
+ * @param {string} playerId - The shooter
+ * @param {string} targetId - The player or NPC that was hit
+ * @param {boolean} isNpc - Whether the target is an NPC
+ * @param {string} hitZone - 'head', 'body' or 'limbs'
+ * @param {number} damage - Damage to apply
+ * @param {Object} hitPosition - World position of the impact
+ */
+function applyHitDamage(playerId, targetId, isNpc, hitZone, damage, hitPosition) {
+  const player = players.get(playerId);
+  const target = isNpc ? npcs.get(targetId) : players.get(targetId);
+  if (!target) return;
   
   // Apply damage to target
   target.health = Math.max(0, target.health - damage);
@@ -978,41 +2231,47 @@ function handlePlayerHit(playerId, targetId, hitData, bulletId) {
     handleNpcAttacked(targetId, playerId);
   }
   
+  const hitData = {
+    position: hitPosition,
+    hitZone: hitZone,
+    damage: damage
+  };
+  
   // Notify both target and shooter
   if (!isNpc && target.ws && target.ws.readyState === WebSocket.OPEN) {
     target.ws.send(JSON.stringify({
       type: 'hit',
       sourceId: playerId,
       hitData: hitData,
-      hitZone: hitData.hitZone,
+      hitZone: hitZone,
       health: target.health
     }));
   }
   
-  if (player.ws && player.ws.readyState === WebSocket.OPEN) {
+  if (player && player.ws && player.ws.readyState === WebSocket.OPEN) {
     player.ws.send(JSON.stringify({
       type: 'playerHit',
       targetId: targetId,
       sourceId: playerId,
-      hitPosition: hitData.position,
+      hitPosition: hitPosition,
       health: target.health,
-      hitZone: hitData.hitZone,
+      hitZone: hitZone,
       damage: damage,
       isNpc: isNpc
     }));
   }
   
-  // Broadcast hit to other players for visual effects
-  broadcastToOthers([playerId, isNpc ? null : targetId], {
+  // Broadcast hit to nearby players for visual effects
+  broadcastToObservers(targetId, {
     type: 'playerHit',
     targetId: targetId,
     sourceId: playerId,
-    hitPosition: hitData.position,
+    hitPosition: hitPosition,
     health: target.health,
-    hitZone: hitData.hitZone,
+    hitZone: hitZone,
     damage: damage,
     isNpc: isNpc
-  });
+  }, [playerId, isNpc ? null : targetId]);
   
   // Check if target has been defeated
   if (target.health <= 0) {
@@ -1024,40 +2283,309 @@ function handlePlayerHit(playerId, targetId, hitData, bulletId) {
   }
 }
 
-// Anti-cheat: Bullet-player collision detection
-function isPlayerHitByBullet(player, bullet) {
-  // Calculate player hitbox (simple cylinder)
-  const playerRadius = 0.6;  // Increased horizontal radius to match client's bodyWidth
-  const playerHeight = 2.0;  // vertical height
-  
-  // Calculate distance from bullet to player (horizontal only)
-  const dx = bullet.position.x - player.position.x;
-  const dz = bullet.position.z - player.position.z;
-  const horizontalDist = Math.sqrt(dx * dx + dz * dz);
+// Anti-cheat: Straight-line distance between two positions
+function distanceBetween(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Builds the world-space hit zones for a character standing at the given (eye level) position.
+ * Mirrors ThirdPersonModel.updateCollisionBox and checkBulletHit on the client.
+ * @param {Object} position - Eye-level position as sent in playerUpdate
+ * @returns {Object} { bounds, zones } where zones are ordered head, body, limbs
+ */
+function getHitboxZones(position) {
+  const feetY = position.y - HITBOX.EYE_HEIGHT;
+  const x = position.x;
+  const z = position.z;
+  const w = HITBOX.WIDTH;
+  const h = HITBOX.HEIGHT;
+  const d = HITBOX.DEPTH;
+  const head = HITBOX.HEAD;
+  const body = HITBOX.BODY;
+  
+  const box = (minX, maxX, minY, maxY, minZ, maxZ) => ({ minX, maxX, minY, maxY, minZ, maxZ });
+  
+  const headTop = feetY + h;
+  const headBottom = headTop - head.height;
+  const bodyTop = headBottom - body.offset;
+  const bodyBottom = bodyTop - body.height;
+  const bodyHeight = bodyTop - bodyBottom;
+  
+  const legHalf = w * 0.2;
+  const armWidth = w * 0.175;
+  const armBottom = bodyBottom + bodyHeight * 0.15;
+  const armTop = bodyBottom + bodyHeight * 0.85;
   
-  // Check if bullet is within player's horizontal radius
-  if (horizontalDist > playerRadius) {
-    return false;
+  return {
+    bounds: box(x - w / 2, x + w / 2, feetY, feetY + h, z - d / 2, z + d / 2),
+    zones: [
+      { zone: 'head', box: box(x - head.width / 2, x + head.width / 2, headBottom, headTop, z - head.depth / 2, z + head.depth / 2) },
+      { zone: 'body', box: box(x - body.width / 2, x + body.width / 2, bodyBottom, bodyTop, z - body.depth / 2, z + body.depth / 2) },
+      { zone: 'limbs', box: box(x - w / 4 - legHalf, x - w / 4 + legHalf, feetY, bodyBottom, z - d / 4, z + d / 4) },
+      { zone: 'limbs', box: box(x + w / 4 - legHalf, x + w / 4 + legHalf, feetY, bodyBottom, z - d / 4, z + d / 4) },
+      { zone: 'limbs', box: box(x - w / 2 - armWidth, x - w / 2, armBottom, armTop, z - d / 3, z + d / 3) },
+      { zone: 'limbs', box: box(x + w / 2, x + w / 2 + armWidth, armBottom, armTop, z - d / 3, z + d / 3) }
+    ]
+  };
+}
+
+/**
+ * Slab test of the segment start->end against an axis-aligned box.
+ * @param {Object} start - Segment start
+ * @param {Object} end - Segment end
+ * @param {Object} box - { minX, maxX, minY, maxY, minZ, maxZ }
+ * @param {number} padding - Grows the box on every side
+ * @returns {number|null} Fraction along the segment where it enters the box, or null on a miss
+ */
+function segmentIntersectsBox(start, end, box, padding = 0) {
+  let tMin = 0;
+  let tMax = 1;
+  
+  for (const axis of ['x', 'y', 'z']) {
+    const upper = axis.toUpperCase();
+    const min = box['min' + upper] - padding;
+    const max = box['max' + upper] + padding;
+    const delta = end[axis] - start[axis];
+    
+    if (Math.abs(delta) < 1e-9) {
+      if (start[axis] < min || start[axis] > max) return null;
+      continue;
+    }
+    
+    let t1 = (min - start[axis]) / delta;
+    let t2 = (max - start[axis]) / delta;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return null;
   }
   
-  // Check if bullet is within player's vertical bounds
-  const bulletY = bullet.position.y;
-  const playerBottom = player.position.y - 1.6; // Adjust based on your coordinate system
-  const playerTop = playerBottom + playerHeight;
+  return tMin;
+}
+
+/**
+ * Tests a bullet segment against one character's hitbox.
+ * @param {Object} start - Segment start
+ * @param {Object} end - Segment end
+ * @param {Object} position - The character's eye-level position
+ * @param {number} padding - Extra tolerance around the overall bounds
+ * @returns {Object|null} { t, zone, graze, point } or null on a miss
+ */
+function testBulletAgainstTarget(start, end, position, padding = 0) {
+  const { bounds, zones } = getHitboxZones(position);
+  
+  const boundsT = segmentIntersectsBox(start, end, bounds, HITBOX.EDGE_EPSILON + padding);
+  if (boundsT === null) return null;
+  
+  // Once the bullet is inside the bounds, follow the ray all the way through them so a step
+  // that stops short of the head is not scored as a graze on the outer box
+  const length = distanceBetween(start, end);
+  const through = length + HITBOX.WIDTH + HITBOX.HEIGHT + HITBOX.DEPTH;
+  const scale = length > 0 ? through / length : 1;
+  const rayEnd = {
+    x: start.x + (end.x - start.x) * scale,
+    y: start.y + (end.y - start.y) * scale,
+    z: start.z + (end.z - start.z) * scale
+  };
   
-  // Add some tolerance to vertical bounds
-  const tolerance = 0.2;
-  if (bulletY < playerBottom - tolerance || bulletY > playerTop + tolerance) {
-    return false;
+  // Nearest zone along the ray wins; head is listed first so it wins ties
+  let best = null;
+  for (const entry of zones) {
+    const t = segmentIntersectsBox(start, rayEnd, entry.box, HITBOX.EDGE_EPSILON);
+    if (t !== null && (!best || t < best.t)) {
+      best = { t, zone: entry.zone };
+    }
   }
   
-  // Bullet is inside player's hitbox
-  return true;
+  // Inside the overall box but between zones counts as a body graze, like the client
+  const point = best ? {
+    x: start.x + (rayEnd.x - start.x) * best.t,
+    y: start.y + (rayEnd.y - start.y) * best.t,
+    z: start.z + (rayEnd.z - start.z) * best.t
+  } : {
+    x: start.x + (end.x - start.x) * boundsT,
+    y: start.y + (end.y - start.y) * boundsT,
+    z: start.z + (end.z - start.z) * boundsT
+  };
+  return {
+    t: boundsT,
+    zone: best ? best.zone : 'body',
+    graze: !best,
+    point: point
+  };
 }
 
-// Anti-cheat: Handle player death
-function handlePlayerDeath(playerId, killedById) {
-  const player = players.get(playerId);
+/**
+ * Finds the nearest player or NPC a bullet passes through this step.
+ * @param {Object} bullet - The server bullet
+ * @param {Object} start - Position at the start of the step
+ * @param {Object} end - Position at the end of the step
+ * @param {number} now - Server time of this step
+ * @returns {Object|null} { targetId, isNpc, zone, graze, point } or null
+ */
+function findBulletTarget(bullet, start, end, now) {
+  let nearest = null;
+  
+  // Players are rewound to the shooter's view time, NPCs are simulated here and need no rewind
+  const viewTime = now - (bullet.rewindOffset || 0);
+  
+  const consider = (targetId, target, isNpc) => {
+    if (targetId === bullet.sourcePlayerId || !target.position || target.health <= 0) return;
+    const position = isNpc ? target.position : getRewoundPosition(targetId, viewTime);
+    const hit = testBulletAgainstTarget(start, end, position);
+    if (hit && (!nearest || hit.t < nearest.t)) {
+      nearest = { ...hit, targetId, isNpc };
+    }
+  };
+  
+  for (const [id, player] of players.entries()) {
+    consider(id, player, false);
+  }
+  for (const [id, npc] of npcs.entries()) {
+    consider(id, npc, true);
+  }
+  
+  return nearest;
+}
+
+/**
+ * Finds the first wall or building a segment runs into.
+ * @param {Object} start - Segment start
+ * @param {Object} end - Segment end
+ * @returns {number|null} Fraction along the segment where it hits one, or null if the way is clear
+ */
+function findWallHit(start, end) {
+  let nearest = null;
+  for (const box of worldColliders) {
+    const t = segmentIntersectsBox(start, end, box);
+    if (t !== null && (nearest === null || t < nearest)) {
+      nearest = t;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Settles a bullet hit: deactivates the bullet, tells clients where it landed and applies damage.
+ * @param {Object} bullet - The server bullet
+ * @param {Object} hit - Result of findBulletTarget
+ */
+function resolveBulletHit(bullet, hit) {
+  bullet.active = false;
+  
+  const damage = getHitDamage(bullet.weaponId, hit.graze ? 'graze' : hit.zone, bullet.distanceTraveled);
+  
+  broadcastToObservers(bullet.sourcePlayerId, {
+    type: 'bulletImpact',
+    bulletId: bullet.id,
+    hitType: hit.isNpc ? 'npc' : 'player',
+    targetId: hit.targetId,
+    position: hit.point,
+    hitZone: hit.zone
+  });
+  
+  const shooter = players.get(bullet.sourcePlayerId);
+  if (!shooter) return;
+  
+  gameEvents.log('hit', {
+    player: describeForEventLog(bullet.sourcePlayerId),
+    target: describeForEventLog(hit.targetId),
+    weapon: bullet.weaponId,
+    zone: hit.zone,
+    graze: hit.graze,
+    damage,
+    distance: Math.round(bullet.distanceTraveled * 100) / 100,
+    duelId: shooter.inQuickDrawDuel ? shooter.quickDrawDuelId : null
+  });
+  
+  // Quick Draw duel hits go through the duel logic
+  if (!hit.isNpc) {
+    const target = players.get(hit.targetId);
+    if (shooter.inQuickDrawDuel && target && target.inQuickDrawDuel &&
+        shooter.quickDrawDuelId === target.quickDrawDuelId) {
+      const duel = quickDrawDuels.get(shooter.quickDrawDuelId);
+      if (duel && duel.state === 'draw') {
+        console.log(`Handling hit as part of QuickDraw duel ${shooter.quickDrawDuelId}`);
+        duel.accuracy[bullet.sourcePlayerId].hits++;
+        if (hit.zone === 'head' && !hit.graze) {
+          duel.accuracy[bullet.sourcePlayerId].headshots++;
+        }
+        const duelDamage = hit.zone === 'limbs' && !hit.graze ? QUICK_DRAW_LIMB_DAMAGE : damage;
+        handleQuickDrawShoot(bullet.sourcePlayerId, hit.targetId, undefined, hit.zone, duelDamage, true);
+      }
+      return;
+    }
+  }
+  
+  console.log(`Bullet ${bullet.id} from ${bullet.sourcePlayerId} hit ${hit.targetId} (${hit.zone}${hit.graze ? ', graze' : ''}) for ${damage}`);
+  applyHitDamage(bullet.sourcePlayerId, hit.targetId, hit.isNpc, hit.zone, damage, hit.point);
+}
+
+/**
+ * Names a player or NPC in the event log.
+ * @param {number|string} id - A player or NPC ID
+ * @returns {Object|null} { id, username, clientId }, or { id, username, npc: true } for NPCs
+ */
+function describeForEventLog(id) {
+  const player = players.get(id);
+  if (player) {
+    return { id, username: player.username, clientId: player.isDev ? null : player.clientId || null };
+  }
+  
+  const npc = npcs.get(id);
+  if (npc) {
+    return { id, username: npc.username, npc: true };
+  }
+  return id === null || id === undefined ? null : { id };
+}
+
+/**
+ * @param {Object} duel - A duel record
+ * @returns {Object} Event log fields naming the duel and both duelists
+ */
+function describeDuelForEventLog(duel) {
+  return {
+    duelId: duel.id,
+    matchId: getQuickDrawMatchId(duel),
+    players: [describeForEventLog(duel.player1Id), describeForEventLog(duel.player2Id)],
+    tournamentId: duel.tournamentId || null
+  };
+}
+
+/**
+ * @param {Object} duel - A duel record
+ * @returns {string} Unique for this duel; duel IDs repeat when the same two players meet again
+ */
+function getQuickDrawMatchId(duel) {
+  return `${duel.id}-${duel.startTime}`;
+}
+
+/**
+ * Adds to a connected player's stats and their persisted profile.
+ * @param {number} playerId - The player
+ * @param {Object} deltas - stat name -> amount to add, e.g. { kills: 1 }
+ */
+function recordPlayerStats(playerId, deltas) {
+  const player = players.get(playerId);
+  if (!player) return;
+  
+  for (const [key, amount] of Object.entries(deltas)) {
+    player.stats[key] = (player.stats[key] || 0) + amount;
+  }
+  
+  if (player.clientId && !player.isDev) {
+    playerStore.recordStats(player.clientId, deltas);
+  }
+}
+
+// Anti-cheat: Handle player death
+function handlePlayerDeath(playerId, killedById) {
+  const player = players.get(playerId);
   if (!player) return;
   
   console.log(`Player ${playerId} was killed by player ${killedById}`);
@@ -1069,8 +2597,15 @@ function handlePlayerDeath(playerId, killedById) {
     return;
   }
   
-  // Send death notification to all clients
-  broadcastToAll({
+  gameEvents.log('kill', { player: describeForEventLog(killedById), target: describeForEventLog(playerId) });
+  
+  recordPlayerStats(playerId, { deaths: 1 });
+  if (players.has(killedById)) {
+    recordPlayerStats(killedById, { kills: 1 });
+  }
+  
+  // Send death notification to everyone who can see the player
+  broadcastToObservers(playerId, {
     type: 'playerDeath',
     id: playerId,
     killedById: killedById
@@ -1102,35 +2637,44 @@ function handlePlayerDeath(playerId, killedById) {
   }, 2000); // 2 second delay for death animation
 }
 
-// Anti-cheat: Respawn a player
-function respawnPlayer(playerId) {
+/**
+ * Refill every weapon, not just the one in hand, and cancel any reload in progress.
+ * @param {number} playerId - The player's ID
+ */
+function refillPlayerWeapons(playerId) {
   const player = players.get(playerId);
   if (!player) return;
   
-  // Reset player state
-  player.health = 100;
-  
   // Reset weapon state based on active weapon
-  if (!player.activeWeapon) {
-    player.activeWeapon = 'revolver'; // Default if not set
+  if (!isWeapon(player.activeWeapon)) {
+    player.activeWeapon = DEFAULT_WEAPON; // Default if not set
   }
   
-  // Define weapon capacities
-  const weaponCapacity = {
-    revolver: 6,
-    shotgun: 2
-  };
-  
-  // Set max bullets based on active weapon
-  player.maxBullets = weaponCapacity[player.activeWeapon] || 6;
-  
-  // Reset ammo to maximum
-  player.bullets = player.maxBullets;
+  player.weaponAmmo = createWeaponAmmo();
+  player.maxBullets = getWeapon(player.activeWeapon).capacity;
+  player.bullets = player.weaponAmmo[player.activeWeapon];
+  player.weaponReadyAt = 0;
   
-  // Reset states
+  // Reset states (a reload still pending from before death must not complete)
   player.isReloading = false;
+  const timeouts = playerTimeouts.get(playerId);
+  if (timeouts) {
+    clearTimeout(timeouts.reloadTimer);
+    timeouts.reloadTimer = null;
+    timeouts.isReloading = false;
+  }
   player.isAiming = false;
   player.isShooting = false;
+}
+
+// Anti-cheat: Respawn a player
+function respawnPlayer(playerId) {
+  const player = players.get(playerId);
+  if (!player) return;
+  
+  // Reset player state
+  player.health = 100;
+  refillPlayerWeapons(playerId);
   
   // Generate random spawn position within town
   const spawnX = (Math.random() - 0.5) * GAME_CONSTANTS.TOWN_WIDTH * 0.8;
@@ -1140,6 +2684,15 @@ function respawnPlayer(playerId) {
   // Set spawn position
   player.position = { x: spawnX, y: spawnY, z: spawnZ };
   
+  // Lag compensation: Don't let shots rewind into the pre-respawn position, and don't let
+  // updates from before it move the player back there
+  playerPositionHistory.set(playerId, []);
+  pendingInputs.delete(playerId);
+  recordPositionSnapshot(playerId, Date.now());
+  
+  // Anti-cheat: The client is about to jump to the spawn point
+  startMovementGrace(playerId, player.position);
+  
   // Reset QuickDraw-related state if not in a duel
   if (!player.inQuickDrawDuel) {
     player.quickDrawLobbyIndex = -1;
@@ -1157,8 +2710,8 @@ function respawnPlayer(playerId) {
     }));
   }
   
-  // Broadcast the respawn to all players
-  broadcastToAll({
+  // Broadcast the respawn to nearby players
+  broadcastToObservers(playerId, {
     type: 'playerUpdate',
     id: playerId,
     position: player.position,
@@ -1167,7 +2720,8 @@ function respawnPlayer(playerId) {
     isAiming: false,
     isDying: false,             // Explicitly reset death animation state
     resetAnimationState: true,  // Special flag to trigger animation reset on clients
-    activeWeapon: player.activeWeapon
+    activeWeapon: player.activeWeapon,
+    serverTime: Date.now()      // Clients interpolate positions by this timestamp
   });
 }
 
@@ -1197,10 +2751,10 @@ function isPositionInArena(position, arenaIndex) {
   return horizontalDist < arenaRadius;
 }
 
-// Anti-cheat: Send position correction to player
+// Anti-cheat: Send position correction to player, returns true if one was sent
 function sendPositionCorrection(playerId, correctPosition) {
   const player = players.get(playerId);
-  if (!player || player.ws.readyState !== WebSocket.OPEN) return;
+  if (!player || player.ws.readyState !== WebSocket.OPEN) return false;
   
   const now = Date.now();
   const timeouts = playerTimeouts.get(playerId);
@@ -1208,31 +2762,22 @@ function sendPositionCorrection(playerId, correctPosition) {
   // Skip if we've recently sent a correction
   if (timeouts && timeouts.lastPositionCorrection && 
       now - timeouts.lastPositionCorrection < CORRECTION_COOLDOWN) {
-    return;
+    return false;
   }
   
-  // Calculate distance between current position and correction
-  const currentPos = player.position;
-  const distance = Math.sqrt(
-    Math.pow(currentPos.x - correctPosition.x, 2) +
-    Math.pow(currentPos.y - correctPosition.y, 2) +
-    Math.pow(currentPos.z - correctPosition.z, 2)
-  );
+  console.log(`Sending position correction to player ${playerId}: (${correctPosition.x.toFixed(2)}, ${correctPosition.y.toFixed(2)}, ${correctPosition.z.toFixed(2)})`);
   
-  // Only send significant corrections (>5 units) to avoid unnecessary resets
-  if (distance > 5) {
-    console.log(`Sending position correction to player ${playerId}, distance: ${distance.toFixed(2)}`);
-    
-    // Update last correction time
-    if (timeouts) {
-      timeouts.lastPositionCorrection = now;
-    }
-    
-    player.ws.send(JSON.stringify({
-      type: 'positionCorrection',
-      position: correctPosition
-    }));
+  // Update last correction time
+  if (timeouts) {
+    timeouts.lastPositionCorrection = now;
   }
+  
+  player.ws.send(JSON.stringify({
+    type: 'positionCorrection',
+    position: correctPosition,
+    sequenceNumber: player.movement ? player.movement.lastAcceptedSequence : 0 // Client replays its inputs after this one
+  }));
+  return true;
 }
 
 // Anti-cheat: Send error message to player
@@ -1247,6 +2792,66 @@ function sendErrorToPlayer(playerId, message, fatal = false) {
   }));
 }
 
+/**
+ * Disconnect a player, telling them why. The fatal error stops their client reconnecting.
+ * @param {number} playerId - The player to remove
+ * @param {string} reason - Shown to the player
+ * @param {string} by - Who kicked them, for the log
+ */
+function kickPlayer(playerId, reason, by) {
+  const player = players.get(playerId);
+  if (!player) return;
+  
+  console.log(`Player ${playerId} (${player.username}) kicked by ${by}: ${reason}`);
+  notifier.notify('kick', `👢 ${player.username} was kicked by ${by}: ${reason}`);
+  sendErrorToPlayer(playerId, `You were kicked: ${reason}`, true);
+  player.ws.close(1008, 'Kicked');
+}
+
+/**
+ * Move a player somewhere else in town, e.g. from the admin console.
+ * @param {number} playerId - The player to move
+ * @param {Object} position - { x, y, z }
+ */
+function teleportPlayer(playerId, position) {
+  const player = players.get(playerId);
+  if (!player) return;
+  
+  player.position = { ...position };
+  // Anti-cheat: The jump would otherwise look like a speed hack
+  startMovementGrace(playerId, position);
+  
+  if (player.ws.readyState === WebSocket.OPEN) {
+    player.ws.send(JSON.stringify({
+      type: 'teleport',
+      position: player.position
+    }));
+  }
+}
+
+/**
+ * Set a player's health outright. Zero counts as a death with no killer.
+ * @param {number} playerId - The player
+ * @param {number} health - 0 to 100
+ */
+function setPlayerHealth(playerId, health) {
+  const player = players.get(playerId);
+  if (!player) return;
+  
+  player.health = health;
+  if (health <= 0) {
+    handlePlayerDeath(playerId, null);
+    return;
+  }
+  
+  if (player.ws.readyState === WebSocket.OPEN) {
+    player.ws.send(JSON.stringify({
+      type: 'setHealth',
+      health: health
+    }));
+  }
+}
+
 // Cleanup a disconnected or stale player
 function cleanupPlayer(playerId) {
   const player = players.get(playerId);
@@ -1281,6 +2886,10 @@ function cleanupPlayer(playerId) {
     }
   }
   
+  if (player.spectatingDuelId) {
+    stopSpectatingQuickDraw(playerId);
+  }
+  
   if (player.inQuickDrawDuel && player.quickDrawDuelId) {
     // End any active duel
     const duel = quickDrawDuels.get(player.quickDrawDuelId);
@@ -1291,21 +2900,44 @@ function cleanupPlayer(playerId) {
     }
   }
   
+  // Leaving the server forfeits the rest of a tournament
+  withdrawFromQuickDrawTournament(playerId);
+  
+  // Persist the profile now that the session is over
+  if (player.clientId && !player.isDev) {
+    playerStore.update(player.clientId, {
+      username: player.username,
+      walletAddress: player.walletAddress || null,
+      stats: player.stats,
+      skins: player.skins,
+      rating: player.rating,
+      ratedDuels: player.ratedDuels
+    });
+  }
+  
   players.delete(playerId);
   
   // Anti-cheat: Clean up associated data
+  const timeouts = playerTimeouts.get(playerId);
+  if (timeouts) {
+    clearTimeout(timeouts.reloadTimer);
+  }
   playerTimeouts.delete(playerId);
   playerNonces.delete(playerId);
   playerSequences.delete(playerId);
   playerPositionHistory.delete(playerId);
+  pendingInputs.delete(playerId);
+  snapshotEntries.delete(playerId); // A late snapshot would bring the player back on clients
+  forgetSnapshotEntity(playerId);
   
-  // Send Telegram notification for player disconnect
+  // Notify operators about player disconnect
   if (player.username && !player.isDev) {
-    sendTelegramNotification(`👋 Player left: ${player.username} (ID: ${playerId})`);
+    notifier.notify('leave', `👋 Player left: ${player.username} (ID: ${playerId})`);
   }
+  gameEvents.log('leave', { player: describeForEventLog(playerId), connectedFor: Date.now() - player.connectedAt });
 
-  // Notify all that the player left
-  broadcastToAll({
+  // Notify everyone who could see the player that they left
+  sendToPlayers(interest.remove(playerId), {
     type: 'playerLeft',
     id: playerId
   });
@@ -1342,6 +2974,25 @@ function broadcastToAll(data) {
   });
 }
 
+// Send to the given players
+function sendToPlayers(playerIds, data) {
+  const message = JSON.stringify(data);
+  for (const pid of playerIds) {
+    const pl = players.get(pid);
+    if (pl && pl.ws.readyState === WebSocket.OPEN) {
+      pl.ws.send(message);
+    }
+  }
+}
+
+// Broadcast to a player or NPC's observers, the players it's in the area of interest of (see
+// updateInterest), and to the player itself, except a given playerId or array of them
+function broadcastToObservers(entityId, data, excludeId = null) {
+  const recipients = [entityId, ...interest.observersOf(entityId)].filter(pid =>
+    Array.isArray(excludeId) ? !excludeId.includes(pid) : pid !== excludeId);
+  sendToPlayers(recipients, data);
+}
+
 /**
  * Handle a player joining a specific Quick Draw queue.
  * @param {number} playerId - The player's ID
@@ -1367,17 +3018,19 @@ function handleQuickDrawJoin(playerId, arenaIndex) {
   // Update player state
   playerData.inQuickDrawQueue = true;
   playerData.quickDrawLobbyIndex = arenaIndex;
+  playerData.quickDrawQueuedAt = Date.now(); // Widens the matchmaking window, see getMatchWindow
   
   // Notify the player and everyone else
   if (playerData.ws.readyState === WebSocket.OPEN) {
     playerData.ws.send(JSON.stringify({
       type: 'joinedQuickDrawQueue',
-      arenaIndex: arenaIndex
+      arenaIndex: arenaIndex,
+      rating: playerData.rating
     }));
   }
   
-  // Broadcast to all players
-  broadcastToAll({
+  // Broadcast to nearby players
+  broadcastToObservers(playerId, {
     type: 'playerUpdate',
     id: playerId,
     quickDrawLobbyIndex: arenaIndex
@@ -1413,6 +3066,59 @@ function handleQuickDrawLeave(playerId) {
   // Reset player state
   playerData.inQuickDrawQueue = false;
   playerData.quickDrawLobbyIndex = -1;
+  
+  if (playerData.ws.readyState === WebSocket.OPEN) {
+    playerData.ws.send(JSON.stringify({ type: 'leftQuickDrawQueue' }));
+  }
+}
+
+/**
+ * How far apart two ratings may be for a player who has waited this long.
+ * @param {number} waitMs - Time spent in the queue
+ * @returns {number} Largest acceptable rating difference
+ */
+function getMatchWindow(waitMs) {
+  return Math.min(
+    MATCHMAKING.MAX_WINDOW,
+    MATCHMAKING.BASE_WINDOW + MATCHMAKING.WIDEN_PER_SECOND * (waitMs / 1000)
+  );
+}
+
+/**
+ * Pick the next pairing from a queue. The longest-waiting player who has anyone acceptable
+ * gets the opponent with the closest rating; a pair is acceptable when the difference fits
+ * inside both players' windows.
+ * @param {Array<number>} queue - Player IDs, longest waiting first
+ * @param {number} now - Current time in ms
+ * @returns {Array<number>|null} [playerId, opponentId], or null if nobody can be paired yet
+ */
+function findQuickDrawMatch(queue, now) {
+  for (let i = 0; i < queue.length; i++) {
+    const player = players.get(queue[i]);
+    const playerWindow = getMatchWindow(now - (player.quickDrawQueuedAt || now));
+    
+    let bestOpponentId = null;
+    let bestDifference = Infinity;
+    
+    for (let j = 0; j < queue.length; j++) {
+      if (i === j) continue;
+      
+      const opponent = players.get(queue[j]);
+      const opponentWindow = getMatchWindow(now - (opponent.quickDrawQueuedAt || now));
+      const difference = Math.abs(player.rating - opponent.rating);
+      
+      if (difference <= Math.min(playerWindow, opponentWindow) && difference < bestDifference) {
+        bestOpponentId = queue[j];
+        bestDifference = difference;
+      }
+    }
+    
+    if (bestOpponentId !== null) {
+      return [queue[i], bestOpponentId];
+    }
+  }
+  
+  return null;
 }
 
 /**
@@ -1426,24 +3132,31 @@ function checkQuickDrawQueue(arenaIndex) {
   
   const queue = quickDrawQueues[arenaIndex];
   
+  // Drop anyone who disconnected while waiting
+  for (let i = queue.length - 1; i >= 0; i--) {
+    if (!players.has(queue[i])) {
+      queue.splice(i, 1);
+    }
+  }
+  
   if (queue.length < 2) {
     return; // Not enough players in this queue
   }
   
-  // Get the two players who have been waiting the longest
-  const player1Id = queue.shift();
-  const player2Id = queue.shift();
+  const pair = findQuickDrawMatch(queue, Date.now());
+  if (!pair) {
+    return; // Nobody close enough in rating yet, windows widen on the next sweep
+  }
+  
+  const [player1Id, player2Id] = pair;
+  queue.splice(queue.indexOf(player1Id), 1);
+  queue.splice(queue.indexOf(player2Id), 1);
   
-  // Make sure both players are still connected
   const player1 = players.get(player1Id);
   const player2 = players.get(player2Id);
   
-  if (!player1 || !player2) {
-    // Put the valid player back in the queue
-    if (player1) queue.push(player1Id);
-    if (player2) queue.push(player2Id);
-    return;
-  }
+  // Matched duels use the same street positions as direct challenges
+  const spawnPositions = generateQuickDrawStreetPositions();
   
   // Create a new duel
   const duelId = `duel_${arenaIndex}_${player1Id}_${player2Id}`;
@@ -1453,8 +3166,15 @@ function checkQuickDrawQueue(arenaIndex) {
     player1Id,
     player2Id,
     state: 'starting',
-    startTime: Date.now()
+    startTime: Date.now(),
+    spectators: new Set(),
+    ...createQuickDrawSeries(player1Id, player2Id)
   });
+  gameEvents.log('duelStart', describeDuelForEventLog(quickDrawDuels.get(duelId)));
+  
+  // Duelists can't keep watching someone else's duel
+  stopSpectatingQuickDraw(player1Id);
+  stopSpectatingQuickDraw(player2Id);
   
   // Mark players as in a duel
   player1.inQuickDrawQueue = false;
@@ -1469,22 +3189,42 @@ function checkQuickDrawQueue(arenaIndex) {
   player1.health = 100;
   player2.health = 100;
   
+  // Store original positions to return players after the duel
+  player1.preQuickDrawPosition = { ...player1.position };
+  player2.preQuickDrawPosition = { ...player2.position };
+  
+  // Anti-cheat: Clients teleport themselves into the arena
+  startMovementGrace(player1Id, spawnPositions.position1);
+  startMovementGrace(player2Id, spawnPositions.position2);
+  
   // Notify players of the match
   player1.ws.send(JSON.stringify({
     type: 'quickDrawMatch',
     opponentId: player2Id,
     position: 'left', // Player 1 spawns on the left
-    arenaIndex: arenaIndex
+    arenaIndex: arenaIndex,
+    startPosition: spawnPositions.position1,
+    startRotation: spawnPositions.rotation1,
+    movementLocked: true,
+    bestOf: QUICK_DRAW_SERIES.BEST_OF,
+    opponentRating: player2.rating
   }));
   
   player2.ws.send(JSON.stringify({
     type: 'quickDrawMatch',
     opponentId: player1Id,
     position: 'right', // Player 2 spawns on the right
-    arenaIndex: arenaIndex
+    arenaIndex: arenaIndex,
+    startPosition: spawnPositions.position2,
+    startRotation: spawnPositions.rotation2,
+    movementLocked: true,
+    bestOf: QUICK_DRAW_SERIES.BEST_OF,
+    opponentRating: player1.rating
   }));
   
-  console.log(`Started Quick Draw duel ${duelId} between players ${player1Id} and ${player2Id} in arena ${arenaIndex + 1}`);
+  console.log(`Started Quick Draw duel ${duelId} between players ${player1Id} (${player1.rating}) and ${player2Id} (${player2.rating}) in arena ${arenaIndex + 1}`);
+  
+  broadcastQuickDrawDuelList();
 }
 
 /**
@@ -1546,12 +3286,19 @@ function startQuickDrawDuel(duelId) {
     return;
   }
   
-  // Send Telegram notification for Quick Draw duel
-  sendTelegramNotification(`🤠 Quick Draw duel started between ${player1.username} and ${player2.username} in arena ${duel.arenaIndex + 1}`);
+  // Notify operators about Quick Draw duel (once per series, not every round)
+  if (duel.round === 1) {
+    notifier.notify('duel', `🤠 Quick Draw duel started between ${player1.username} and ${player2.username} in arena ${duel.arenaIndex + 1}`);
+  }
   
   // Send countdown signal immediately
   player1.ws.send(JSON.stringify({ type: 'quickDrawCountdown' }));
   player2.ws.send(JSON.stringify({ type: 'quickDrawCountdown' }));
+  sendToDuelSpectators(duel, {
+    type: 'quickDrawCountdown',
+    player1: getDuelistSummary(duel.player1Id),
+    player2: getDuelistSummary(duel.player2Id)
+  });
   
   // Set a random time for the draw signal (1-5 seconds)
   const drawTime = 1000 + Math.floor(Math.random() * 4000);
@@ -1587,6 +3334,7 @@ function sendDrawSignal(duelId) {
   // Send draw signal to both players without visual text
   player1.ws.send(JSON.stringify({ type: 'quickDrawDraw' }));
   player2.ws.send(JSON.stringify({ type: 'quickDrawDraw' }));
+  sendToDuelSpectators(duel, { type: 'quickDrawDraw' });
   
   console.log(`Draw signal sent for duel ${duelId}`);
 }
@@ -1599,7 +3347,7 @@ function sendDrawSignal(duelId) {
  * @param {string} hitZone - The hit zone ('head', 'body', 'limbs')
  * @param {number} damage - The damage amount
  */
-function handleQuickDrawShoot(playerId, targetId, arenaIndex, hitZone = 'body', damage = 40, hitDetected = false) {
+function handleQuickDrawShoot(playerId, targetId, arenaIndex, hitZone = 'body', damage = getHitDamage(DEFAULT_WEAPON, 'body'), hitDetected = false) {
     playerId = Number(playerId);
     targetId = Number(targetId);
     
@@ -1691,24 +3439,16 @@ function handleQuickDrawShoot(playerId, targetId, arenaIndex, hitZone = 'body',
             targetPlayer.ws.send(JSON.stringify(missData));
         }
         
+        sendToDuelSpectators(duel, missData);
+        
         return;
     }
     
     // Update the last hit time for this target
     duel.lastHitTime.set(targetId, now);
     
-    // Calculate reaction time
-    const reactionTime = now - duel.drawTime;
-    
-    // Calculate damage based on hit zone
-    let finalDamage = damage;
-    if (hitZone === 'head') {
-        finalDamage = 100; // One-shot kill for headshots
-    } else if (hitZone === 'limbs') {
-        finalDamage = Math.round(damage * 0.6); // Reduced damage for limb shots
-    } else if (hitZone === 'body') {
-        finalDamage = 40; // Standard body shot damage
-    }
+    // Damage comes from the shooter's weapon entry in the registry (see resolveBulletHit)
+    const finalDamage = damage;
     
     // Apply damage to target
     const targetPlayer = players.get(targetId);
@@ -1754,70 +3494,518 @@ function handleQuickDrawShoot(playerId, targetId, arenaIndex, hitZone = 'body',
         }));
     }
     
+    sendToDuelSpectators(duel, {
+        type: 'playerHealthUpdate',
+        playerId: targetId,
+        health: newHealth,
+        damage: finalDamage,
+        hitBy: playerId,
+        hitZone: hitZone
+    });
+    
     // Only end the duel if target's health is 0 or less
     if (newHealth <= 0) {
         console.log(`Player ${targetId} defeated in duel - health reduced to 0`);
         
-        // Send death flag to all other players to trigger death animation
-        broadcastToOthers(targetId, {
+        // Send death flag to everyone else watching to trigger death animation
+        broadcastToObservers(targetId, {
             type: 'playerUpdate',
             id: targetId,
             position: targetPlayer.position,
             rotation: targetPlayer.rotation,
             health: 0,
-            isDying: true // Trigger death animation on client
-        });
+            isDying: true, // Trigger death animation on client
+            serverTime: Date.now()
+        }, targetId);
         
-        // End the duel with shooter as winner
-        endQuickDrawDuel(duelId, playerId);
+        // The shooter takes the round; endQuickDrawRound ends the duel once the series is decided
+        endQuickDrawRound(duelId, playerId);
     } else {
         console.log(`Player ${targetId} was hit but still has ${newHealth} health - duel continues`);
     }
 }
 
 /**
- * End a Quick Draw duel and notify players of the result.
- * @param {string} duelId - The duel ID
- * @param {number} winnerId - The winner's player ID (if any)
+ * Round-tracking fields for a new duel record.
+ * @param {number} player1Id - First duelist
+ * @param {number} player2Id - Second duelist
+ * @returns {Object} { bestOf, round, score, rounds, reactionTimes, falseStarts, accuracy }
  */
-function endQuickDrawDuel(duelId, winnerId) {
+function createQuickDrawSeries(player1Id, player2Id) {
+  return {
+    bestOf: QUICK_DRAW_SERIES.BEST_OF,
+    round: 1,
+    score: { [player1Id]: 0, [player2Id]: 0 },
+    rounds: [], // { round, winnerId, reactionTime, reactionTimes, falseStarts } per finished round
+    reactionTimes: {}, // playerId -> ms from the draw signal to their first shot this round
+    falseStarts: new Map(), // playerId -> 'shot' | 'draw' for duelists who jumped the gun this round
+    // playerId -> shots fired and hits landed over the whole series, kept in the match history
+    accuracy: {
+      [player1Id]: { shots: 0, hits: 0, headshots: 0 },
+      [player2Id]: { shots: 0, hits: 0, headshots: 0 }
+    }
+  };
+}
+
+/**
+ * Series standing included with quickDrawEnd.
+ * @param {Object} duel - The duel record
+ * @returns {Object} { bestOf, score, rounds, reactionTimes } where reactionTimes holds each
+ *   duelist's fastest first shot of the series (null if they never fired after a draw)
+ */
+function getQuickDrawSeriesResult(duel) {
+  const reactionTimes = {};
+  for (const duelistId of [duel.player1Id, duel.player2Id]) {
+    const times = duel.rounds
+      .map(round => round.reactionTimes[duelistId])
+      .filter(time => typeof time === 'number');
+    reactionTimes[duelistId] = times.length > 0 ? Math.min(...times) : null;
+  }
+  
+  return {
+    bestOf: duel.bestOf,
+    score: duel.score,
+    rounds: duel.rounds,
+    reactionTimes: reactionTimes
+  };
+}
+
+/**
+ * Note a duelist's first shot after the draw signal as their reaction time for the round.
+ * @param {Object} duel - The duel record
+ * @param {number} playerId - The shooter
+ * @param {number} now - Server time the shot arrived
+ */
+function recordQuickDrawReaction(duel, playerId, now) {
+  if (!duel.drawTime || duel.reactionTimes[playerId] !== undefined) {
+    return; // Only the first shot of the round counts
+  }
+  
+  // Lag compensation: The draw signal and the shot each spent half a round trip on the wire. The
+  // RTT is measured by the server (see sendLatencyProbe), but a client can still slow its pongs
+  // down, so the credit is capped
+  const player = players.get(playerId);
+  const latency = player && player.rtt !== null ? Math.min(player.rtt, LAG_COMPENSATION.MAX_REACTION_CREDIT) : 0;
+  duel.reactionTimes[playerId] = Math.max(0, Math.round(now - duel.drawTime - latency));
+}
+
+/**
+ * When a duelist who false-started may fire again.
+ * @param {Object} duel - The duel record
+ * @param {number} playerId - The duelist
+ * @returns {number} Server timestamp, 0 if they are not locked out
+ */
+function getQuickDrawLockoutEnd(duel, playerId) {
+  if (QUICK_DRAW_FALSE_START.PENALTY !== 'lockout' || !duel.falseStarts.has(playerId) || !duel.drawTime) {
+    return 0;
+  }
+  return duel.drawTime + QUICK_DRAW_FALSE_START.LOCKOUT_TIME;
+}
+
+/**
+ * Penalise a duelist for drawing or shooting before the draw signal. Each duelist is only
+ * penalised once per round.
+ * @param {number} playerId - The offending duelist
+ * @param {string} cause - 'shot' if the server rejected an early shot, 'draw' if the client reported an early draw
+ */
+function handleQuickDrawFalseStart(playerId, cause) {
+  const player = players.get(playerId);
+  if (!player || !player.inQuickDrawDuel) return;
+  
+  const duelId = player.quickDrawDuelId;
   const duel = quickDrawDuels.get(duelId);
   
-  if (!duel) {
-    return; // Invalid duel
+  // Once the signal has gone there is nothing to jump
+  if (!duel || duel.state !== 'countdown' || duel.falseStarts.has(playerId)) {
+    return;
   }
   
-  // Get player objects for notification
-  const player1 = players.get(duel.player1Id);
-  const player2 = players.get(duel.player2Id);
+  duel.falseStarts.set(playerId, cause);
   
-  // Determine the winner username for notification
-  let winnerUsername = 'Unknown';
-  let loserUsername = 'Unknown';
+  const penalty = QUICK_DRAW_FALSE_START.PENALTY;
+  const opponentId = playerId === duel.player1Id ? duel.player2Id : duel.player1Id;
   
-  if (winnerId) {
-    // If we have a winner, determine usernames
-    if (winnerId === duel.player1Id && player1) {
-      winnerUsername = player1.username;
-      loserUsername = player2 ? player2.username : 'Disconnected player';
-    } else if (winnerId === duel.player2Id && player2) {
-      winnerUsername = player2.username;
-      loserUsername = player1 ? player1.username : 'Disconnected player';
+  console.log(`Quick Draw false start by player ${playerId} in duel ${duelId} (${cause}, penalty: ${penalty})`);
+  
+  const falseStart = {
+    type: 'quickDrawFalseStart',
+    playerId: playerId,
+    cause: cause,
+    penalty: penalty,
+    lockoutTime: penalty === 'lockout' ? QUICK_DRAW_FALSE_START.LOCKOUT_TIME : 0,
+    damage: penalty === 'damage' ? QUICK_DRAW_FALSE_START.DAMAGE : 0
+  };
+  
+  for (const duelistId of [duel.player1Id, duel.player2Id]) {
+    const duelist = players.get(duelistId);
+    if (duelist && duelist.ws.readyState === WebSocket.OPEN) {
+      duelist.ws.send(JSON.stringify(falseStart));
+    }
+  }
+  sendToDuelSpectators(duel, falseStart);
+  
+  if (penalty === 'forfeit') {
+    endQuickDrawRound(duelId, opponentId);
+    return;
+  }
+  
+  if (penalty === 'damage') {
+    player.health = Math.max(0, (player.health || 100) - QUICK_DRAW_FALSE_START.DAMAGE);
+    
+    const healthUpdate = {
+      type: 'playerHealthUpdate',
+      playerId: playerId,
+      health: player.health,
+      damage: QUICK_DRAW_FALSE_START.DAMAGE,
+      hitBy: null
+    };
+    for (const duelistId of [duel.player1Id, duel.player2Id]) {
+      const duelist = players.get(duelistId);
+      if (duelist && duelist.ws.readyState === WebSocket.OPEN) {
+        duelist.ws.send(JSON.stringify(healthUpdate));
+      }
+    }
+    sendToDuelSpectators(duel, healthUpdate);
+    
+    if (player.health <= 0) {
+      endQuickDrawRound(duelId, opponentId);
+    }
+  }
+}
+
+/**
+ * Score a finished round. Ends the duel once someone has won a majority of the series,
+ * otherwise schedules the next round.
+ * @param {string} duelId - The duel ID
+ * @param {number} winnerId - The round winner's player ID
+ */
+function endQuickDrawRound(duelId, winnerId) {
+  const duel = quickDrawDuels.get(duelId);
+  
+  if (!duel) {
+    return; // Invalid duel
+  }
+  
+  const loserId = winnerId === duel.player1Id ? duel.player2Id : duel.player1Id;
+  
+  // The winner's reaction is their first shot after the draw, which is null if the round was forfeited
+  const reactionTime = duel.reactionTimes[winnerId] !== undefined ? duel.reactionTimes[winnerId] : null;
+  const reactionTimes = {
+    [duel.player1Id]: duel.reactionTimes[duel.player1Id] !== undefined ? duel.reactionTimes[duel.player1Id] : null,
+    [duel.player2Id]: duel.reactionTimes[duel.player2Id] !== undefined ? duel.reactionTimes[duel.player2Id] : null
+  };
+  const falseStarts = Array.from(duel.falseStarts.keys());
+  
+  duel.score[winnerId]++;
+  duel.rounds.push({ round: duel.round, winnerId, reactionTime, reactionTimes, falseStarts });
+  
+  if (duel.drawTimeout) {
+    clearTimeout(duel.drawTimeout);
+    duel.drawTimeout = null;
+  }
+  
+  const seriesOver = duel.score[winnerId] >= Math.ceil(duel.bestOf / 2);
+  
+  console.log(`Quick Draw duel ${duelId} round ${duel.round} won by ${winnerId} (${duel.score[duel.player1Id]}-${duel.score[duel.player2Id]})`);
+  
+  const roundResult = {
+    type: 'quickDrawRoundEnd',
+    round: duel.round,
+    bestOf: duel.bestOf,
+    winnerId: winnerId,
+    loserId: loserId,
+    reactionTime: reactionTime,
+    reactionTimes: reactionTimes,
+    falseStarts: falseStarts,
+    score: duel.score,
+    seriesOver: seriesOver,
+    nextRoundIn: seriesOver ? null : QUICK_DRAW_SERIES.ROUND_BREAK
+  };
+  
+  for (const duelistId of [duel.player1Id, duel.player2Id]) {
+    const duelist = players.get(duelistId);
+    if (duelist && duelist.ws.readyState === WebSocket.OPEN) {
+      duelist.ws.send(JSON.stringify(roundResult));
+    }
+  }
+  sendToDuelSpectators(duel, roundResult);
+  
+  if (seriesOver) {
+    endQuickDrawDuel(duelId, winnerId);
+    return;
+  }
+  
+  // Hold the duel between rounds so late shots are rejected until the next countdown
+  duel.state = 'roundOver';
+  duel.roundTimeout = setTimeout(() => startNextQuickDrawRound(duelId), QUICK_DRAW_SERIES.ROUND_BREAK);
+}
+
+/**
+ * Reset both duelists to fresh street positions and full health for the next round.
+ * The round's countdown starts once both clients report ready again.
+ * @param {string} duelId - The duel ID
+ */
+function startNextQuickDrawRound(duelId) {
+  const duel = quickDrawDuels.get(duelId);
+  
+  if (!duel || duel.state !== 'roundOver') {
+    return; // Duel ended during the break
+  }
+  
+  const player1 = players.get(duel.player1Id);
+  const player2 = players.get(duel.player2Id);
+  
+  if (!player1 || !player2) {
+    return; // cleanupPlayer already forfeited the duel
+  }
+  
+  duel.round++;
+  duel.state = 'starting';
+  duel.roundTimeout = null;
+  duel.player1Ready = false;
+  duel.player2Ready = false;
+  duel.drawTime = null;
+  duel.reactionTimes = {};
+  duel.falseStarts.clear();
+  if (duel.lastHitTime) {
+    duel.lastHitTime.clear();
+  }
+  
+  const spawnPositions = generateQuickDrawStreetPositions();
+  resetDuelistForRound(duel.player1Id, spawnPositions.position1, spawnPositions.rotation1);
+  resetDuelistForRound(duel.player2Id, spawnPositions.position2, spawnPositions.rotation2);
+  
+  const roundStart = {
+    type: 'quickDrawRoundStart',
+    round: duel.round,
+    bestOf: duel.bestOf,
+    score: duel.score
+  };
+  
+  player1.ws.send(JSON.stringify({
+    ...roundStart,
+    startPosition: spawnPositions.position1,
+    startRotation: spawnPositions.rotation1
+  }));
+  
+  player2.ws.send(JSON.stringify({
+    ...roundStart,
+    startPosition: spawnPositions.position2,
+    startRotation: spawnPositions.rotation2
+  }));
+  
+  sendToDuelSpectators(duel, {
+    ...roundStart,
+    player1: getDuelistSummary(duel.player1Id),
+    player2: getDuelistSummary(duel.player2Id)
+  });
+  
+  console.log(`Quick Draw duel ${duelId} starting round ${duel.round} of ${duel.bestOf}`);
+}
+
+/**
+ * Put a duelist back on their feet at a new street position with full health and ammo.
+ * @param {number} playerId - The duelist's ID
+ * @param {Object} position - Eye-level spawn position
+ * @param {number} rotation - Facing angle in radians
+ */
+function resetDuelistForRound(playerId, position, rotation) {
+  const player = players.get(playerId);
+  if (!player) return;
+  
+  player.health = 100;
+  refillPlayerWeapons(playerId);
+  player.position = { ...position };
+  player.rotation = { y: rotation };
+  
+  // Lag compensation: Don't let shots rewind into the previous round's position, and don't let
+  // updates from before the reset move the player back there
+  playerPositionHistory.set(playerId, []);
+  pendingInputs.delete(playerId);
+  recordPositionSnapshot(playerId, Date.now());
+  
+  // Anti-cheat: The client teleports itself to the new street position
+  startMovementGrace(playerId, position);
+  
+  sendWeaponState(playerId);
+  
+  // Stand the model back up for everyone watching after the previous round's death animation
+  broadcastToObservers(playerId, {
+    type: 'playerUpdate',
+    id: playerId,
+    position: player.position,
+    rotation: player.rotation,
+    health: player.health,
+    isReloading: false,
+    isAiming: false,
+    isDying: false,
+    resetAnimationState: true,
+    activeWeapon: player.activeWeapon,
+    serverTime: Date.now()
+  });
+}
+
+/**
+ * Apply the Elo result of a decided duel to both players and persist it.
+ * @param {number} winnerId - The winner's player ID
+ * @param {number} loserId - The loser's player ID
+ * @returns {Object|null} playerId -> { rating, ratingChange }, or null if either player is gone
+ */
+function updateQuickDrawRatings(winnerId, loserId) {
+  const winner = players.get(winnerId);
+  const loser = players.get(loserId);
+  if (!winner || !loser) return null;
+  
+  const result = rateDuel(winner, loser);
+  const changes = {};
+  
+  for (const [playerId, player, outcome] of [[winnerId, winner, result.winner], [loserId, loser, result.loser]]) {
+    player.rating = outcome.rating;
+    player.ratedDuels++;
+    changes[playerId] = { rating: outcome.rating, ratingChange: outcome.change };
+    
+    if (player.clientId && !player.isDev) {
+      playerStore.update(player.clientId, { rating: player.rating, ratedDuels: player.ratedDuels });
+    }
+  }
+  
+  console.log(`Quick Draw ratings: ${winner.username} ${winner.rating} (${result.winner.change >= 0 ? '+' : ''}${result.winner.change}), ${loser.username} ${loser.rating} (${result.loser.change})`);
+  return changes;
+}
+
+/**
+ * Update both duelists' streaks and fastest reaction, and store the result for the leaderboards.
+ * @param {Object} duel - The finished duel record
+ * @param {number} winnerId - The winner's player ID
+ * @param {number} loserId - The loser's player ID
+ * @param {Object|null} ratingChanges - From updateQuickDrawRatings
+ */
+function recordQuickDrawResult(duel, winnerId, loserId, ratingChanges) {
+  const reactionTimes = getQuickDrawSeriesResult(duel).reactionTimes;
+  const sides = {};
+  
+  for (const playerId of [winnerId, loserId]) {
+    const player = players.get(playerId);
+    if (!player) continue;
+    
+    const stats = player.stats;
+    stats.duelStreak = playerId === winnerId ? (stats.duelStreak || 0) + 1 : 0;
+    stats.bestDuelStreak = Math.max(stats.bestDuelStreak || 0, stats.duelStreak);
+    
+    const reactionTime = reactionTimes[playerId];
+    if (typeof reactionTime === 'number' && (typeof stats.fastestReaction !== 'number' || reactionTime < stats.fastestReaction)) {
+      stats.fastestReaction = reactionTime;
+    }
+    
+    if (player.clientId && !player.isDev) {
+      playerStore.update(player.clientId, {
+        stats: {
+          duelStreak: stats.duelStreak,
+          bestDuelStreak: stats.bestDuelStreak,
+          fastestReaction: stats.fastestReaction
+        }
+      });
+    }
+    
+    sides[playerId] = {
+      clientId: player.isDev ? null : player.clientId,
+      username: player.username,
+      roundsWon: duel.score[playerId],
+      reactionTime: reactionTime,
+      rating: ratingChanges ? ratingChanges[playerId].rating : player.rating,
+      ratingChange: ratingChanges ? ratingChanges[playerId].ratingChange : 0,
+      ...duel.accuracy[playerId]
+    };
+  }
+  
+  // A dev session on either side keeps the duel off the record, same as their stats
+  const winner = players.get(winnerId);
+  const loser = players.get(loserId);
+  if (!sides[winnerId] || !sides[loserId] || winner.isDev || loser.isDev) return;
+  
+  duelResults.record({
+    matchId: getQuickDrawMatchId(duel),
+    duelId: duel.id,
+    startedAt: duel.startTime,
+    endedAt: Date.now(),
+    isDirect: !!duel.isDirect,
+    tournamentId: duel.tournamentId || null,
+    bestOf: duel.bestOf,
+    rounds: duel.rounds.length,
+    roundResults: duel.rounds.map(round => ({
+      round: round.round,
+      winner: sides[round.winnerId].username,
+      reactionTime: round.reactionTime,
+      falseStarts: round.falseStarts.map(id => sides[id].username)
+    })),
+    winner: sides[winnerId],
+    loser: sides[loserId]
+  });
+}
+
+/**
+ * End a Quick Draw duel and notify players of the result.
+ * @param {string} duelId - The duel ID
+ * @param {number} winnerId - The winner's player ID (if any)
+ */
+function endQuickDrawDuel(duelId, winnerId) {
+  const duel = quickDrawDuels.get(duelId);
+  
+  if (!duel) {
+    return; // Invalid duel
+  }
+  
+  gameEvents.log('duelEnd', {
+    ...describeDuelForEventLog(duel),
+    winner: describeForEventLog(winnerId),
+    score: duel.score,
+    rounds: duel.rounds.length
+  });
+  
+  // Get player objects for notification
+  const player1 = players.get(duel.player1Id);
+  const player2 = players.get(duel.player2Id);
+  
+  // Determine the winner username for notification
+  let winnerUsername = 'Unknown';
+  let loserUsername = 'Unknown';
+  
+  if (winnerId) {
+    // If we have a winner, determine usernames
+    if (winnerId === duel.player1Id && player1) {
+      winnerUsername = player1.username;
+      loserUsername = player2 ? player2.username : 'Disconnected player';
+    } else if (winnerId === duel.player2Id && player2) {
+      winnerUsername = player2.username;
+      loserUsername = player1 ? player1.username : 'Disconnected player';
     }
     
-    // Send Telegram notification about duel result
-    sendTelegramNotification(`🏆 Quick Draw duel ended: ${winnerUsername} defeated ${loserUsername} in arena ${duel.arenaIndex + 1}`);
+    // Notify operators about duel result
+    notifier.notify('duel', `🏆 Quick Draw duel ended: ${winnerUsername} defeated ${loserUsername} in arena ${duel.arenaIndex + 1}`);
   } else {
     // No winner (both disconnected or other reason)
-    sendTelegramNotification(`🚫 Quick Draw duel ended with no winner in arena ${duel.arenaIndex + 1}`);
+    notifier.notify('duel', `🚫 Quick Draw duel ended with no winner in arena ${duel.arenaIndex + 1}`);
   }
   
   console.log(`Ending Quick Draw duel ${duelId} with winner: ${winnerId || 'none'}`);
   
+  // Update both players' duel records and ratings
+  let ratingChanges = null;
+  if (winnerId) {
+    const loserId = winnerId === duel.player1Id ? duel.player2Id : duel.player1Id;
+    recordPlayerStats(winnerId, { duelWins: 1 });
+    recordPlayerStats(loserId, { duelLosses: 1 });
+    ratingChanges = updateQuickDrawRatings(winnerId, loserId);
+    recordQuickDrawResult(duel, winnerId, loserId, ratingChanges);
+  }
+  
   // Clear any pending timeouts
   if (duel.drawTimeout) {
     clearTimeout(duel.drawTimeout);
   }
+  if (duel.roundTimeout) {
+    clearTimeout(duel.roundTimeout);
+  }
   
   // First notify players of the duel result
   if (player1 && player1.ws.readyState === WebSocket.OPEN) {
@@ -1828,7 +4016,9 @@ function endQuickDrawDuel(duelId, winnerId) {
     // Send standard QuickDraw end notification
     player1.ws.send(JSON.stringify({
       type: 'quickDrawEnd',
-      winnerId: winnerId
+      winnerId: winnerId,
+      ...getQuickDrawSeriesResult(duel),
+      ...(ratingChanges ? ratingChanges[duel.player1Id] : {})
     }));
     
     // If this player lost, also send death notification
@@ -1842,8 +4032,8 @@ function endQuickDrawDuel(duelId, winnerId) {
         killerId: winnerId
       }));
       
-      // Broadcast death animation to all clients
-      broadcastToAll({
+      // Broadcast death animation to everyone watching
+      broadcastToObservers(duel.player1Id, {
         type: 'playerDeath',
         id: duel.player1Id,
         killedById: winnerId
@@ -1867,7 +4057,9 @@ function endQuickDrawDuel(duelId, winnerId) {
     // Send standard QuickDraw end notification
     player2.ws.send(JSON.stringify({
       type: 'quickDrawEnd',
-      winnerId: winnerId
+      winnerId: winnerId,
+      ...getQuickDrawSeriesResult(duel),
+      ...(ratingChanges ? ratingChanges[duel.player2Id] : {})
     }));
     
     // If this player lost, also send death notification
@@ -1881,8 +4073,8 @@ function endQuickDrawDuel(duelId, winnerId) {
         killerId: winnerId
       }));
       
-      // Broadcast death animation to all clients
-      broadcastToAll({
+      // Broadcast death animation to everyone watching
+      broadcastToObservers(duel.player2Id, {
         type: 'playerDeath',
         id: duel.player2Id,
         killedById: winnerId
@@ -1898,6 +4090,21 @@ function endQuickDrawDuel(duelId, winnerId) {
     }
   }
   
+  // Spectators see the result, then the duel drops out of the spectate list
+  duel.state = 'ended';
+  sendToDuelSpectators(duel, {
+    type: 'quickDrawEnd',
+    winnerId: winnerId,
+    winnerName: winnerId ? winnerUsername : null,
+    ...getQuickDrawSeriesResult(duel)
+  });
+  releaseDuelSpectators(duel);
+  broadcastQuickDrawDuelList();
+  
+  if (duel.tournamentMatchId) {
+    handleTournamentDuelEnd(duel, winnerId);
+  }
+  
   // Wait for animation to complete before sending respawn
   setTimeout(() => {
     // Respawn both players in their new positions
@@ -1911,14 +4118,183 @@ function endQuickDrawDuel(duelId, winnerId) {
     
     // Finally, remove the duel from the active duels map
     quickDrawDuels.delete(duelId);
+  }, 2000); // 2 second delay for death animation, same as regular kills
+}
+
+/**
+ * Public view of one duelist, sent to spectators and the spectate picker.
+ * @param {number} playerId - The duelist's ID
+ * @returns {Object|null} { id, username, position, health }, or null if they disconnected
+ */
+function getDuelistSummary(playerId) {
+  const player = players.get(playerId);
+  if (!player) return null;
+  
+  return {
+    id: playerId,
+    username: player.username,
+    position: player.position,
+    health: player.health,
+    rating: player.rating
+  };
+}
+
+/**
+ * Summaries of every running duel, for the spectate picker.
+ * Duels that have already been decided are left out even while their respawn delay runs.
+ * @returns {Array<Object>}
+ */
+function getQuickDrawDuelSummaries() {
+  const summaries = [];
+  
+  for (const duel of quickDrawDuels.values()) {
+    if (duel.state === 'ended') continue;
     
-    // Update arena status
-    const arenaIndex = duel.arenaIndex;
-    if (arenaIndex !== undefined) {
-      arenaInUse[arenaIndex] = false;
+    summaries.push({
+      id: duel.id,
+      state: duel.state,
+      isDirect: !!duel.isDirect,
+      arenaIndex: duel.arenaIndex,
+      player1: getDuelistSummary(duel.player1Id),
+      player2: getDuelistSummary(duel.player2Id),
+      round: duel.round,
+      bestOf: duel.bestOf,
+      score: duel.score,
+      spectatorCount: duel.spectators.size
+    });
+  }
+  
+  return summaries;
+}
+
+/**
+ * Send the list of running duels to one player.
+ * @param {number} playerId - The player's ID
+ */
+function sendQuickDrawDuelList(playerId) {
+  const player = players.get(playerId);
+  if (!player || player.ws.readyState !== WebSocket.OPEN) return;
+  
+  player.ws.send(JSON.stringify({
+    type: 'quickDrawDuelList',
+    duels: getQuickDrawDuelSummaries()
+  }));
+}
+
+/**
+ * Let everyone know the set of running duels changed, so open spectate pickers stay current.
+ */
+function broadcastQuickDrawDuelList() {
+  broadcastToAll({
+    type: 'quickDrawDuelList',
+    duels: getQuickDrawDuelSummaries()
+  });
+}
+
+/**
+ * Forward a duel event to everyone watching the duel.
+ * Messages are tagged with spectating/duelId so clients don't mistake them for their own duel.
+ * @param {Object} duel - The duel record
+ * @param {Object} data - The message to forward
+ */
+function sendToDuelSpectators(duel, data) {
+  if (!duel.spectators || duel.spectators.size === 0) return;
+  
+  const message = JSON.stringify({ ...data, spectating: true, duelId: duel.id });
+  
+  for (const spectatorId of duel.spectators) {
+    const spectator = players.get(spectatorId);
+    if (spectator && spectator.ws.readyState === WebSocket.OPEN) {
+      spectator.ws.send(message);
     }
-    
-  }, 2000); // 2 second delay for death animation, same as regular kills
+  }
+}
+
+/**
+ * Handle a player asking to watch a duel.
+ * @param {number} playerId - The player's ID
+ * @param {string} duelId - The duel to watch (optional if targetPlayerId is given)
+ * @param {number} targetPlayerId - Watch whichever duel this player is in (optional)
+ */
+function handleQuickDrawSpectate(playerId, duelId, targetPlayerId) {
+  const player = players.get(playerId);
+  if (!player) return;
+  
+  const deny = (reason) => {
+    player.ws.send(JSON.stringify({ type: 'quickDrawSpectateDenied', reason }));
+  };
+  
+  if (player.inQuickDrawDuel || player.inQuickDrawQueue) {
+    deny('You cannot spectate while in a duel');
+    return;
+  }
+  
+  // Resolve the duel either directly or through one of its duelists
+  if (!duelId && targetPlayerId !== undefined) {
+    const target = players.get(Number(targetPlayerId));
+    duelId = target && target.inQuickDrawDuel ? target.quickDrawDuelId : null;
+  }
+  
+  const duel = duelId ? quickDrawDuels.get(duelId) : null;
+  if (!duel || duel.state === 'ended') {
+    deny('That duel is no longer running');
+    return;
+  }
+  
+  if (player.spectatingDuelId === duel.id) return;
+  
+  if (player.spectatingDuelId) {
+    stopSpectatingQuickDraw(playerId);
+  }
+  
+  duel.spectators.add(playerId);
+  player.spectatingDuelId = duel.id;
+  
+  console.log(`Player ${playerId} is spectating duel ${duel.id}`);
+  
+  player.ws.send(JSON.stringify({
+    type: 'quickDrawSpectateStart',
+    duelId: duel.id,
+    state: duel.state,
+    isDirect: !!duel.isDirect,
+    arenaIndex: duel.arenaIndex,
+    player1: getDuelistSummary(duel.player1Id),
+    player2: getDuelistSummary(duel.player2Id),
+    bestOf: duel.bestOf,
+    score: duel.score
+  }));
+}
+
+/**
+ * Stop a player spectating whatever duel they are watching.
+ * @param {number} playerId - The player's ID
+ */
+function stopSpectatingQuickDraw(playerId) {
+  const player = players.get(playerId);
+  if (!player || !player.spectatingDuelId) return;
+  
+  const duel = quickDrawDuels.get(player.spectatingDuelId);
+  if (duel) {
+    duel.spectators.delete(playerId);
+  }
+  
+  player.spectatingDuelId = null;
+  console.log(`Player ${playerId} stopped spectating`);
+}
+
+/**
+ * Detach every spectator from a finished duel. Their clients leave spectator mode on quickDrawEnd.
+ * @param {Object} duel - The duel record
+ */
+function releaseDuelSpectators(duel) {
+  for (const spectatorId of duel.spectators) {
+    const spectator = players.get(spectatorId);
+    if (spectator && spectator.spectatingDuelId === duel.id) {
+      spectator.spectatingDuelId = null;
+    }
+  }
+  
+  duel.spectators.clear();
 }
 
 /**
@@ -1955,9 +4331,10 @@ function handleQuickDrawChallenge(playerId, targetPlayerId) {
 /**
  * Generate random positions on the main street for a Quick Draw duel.
  * This ensures players spawn in the open street and not inside buildings.
+ * @param {number} fixedLane - Optional lane (0-4) to use instead of a random one
  * @returns {Object} An object containing two positions and their facing rotations
  */
-function generateQuickDrawStreetPositions() {
+function generateQuickDrawStreetPositions(fixedLane) {
   // Define the town boundaries
   const townWidth = GAME_CONSTANTS.TOWN_WIDTH;
   const townLength = GAME_CONSTANTS.TOWN_LENGTH;
@@ -1973,8 +4350,8 @@ function generateQuickDrawStreetPositions() {
   const totalLineWidth = (numLanes - 1) * laneSpacing; // Total width of the line formation
   const startX = -totalLineWidth / 2; // Center the formation in the town
   
-  // Choose a random lane (0-4)
-  const laneIndex = Math.floor(Math.random() * numLanes);
+  // Choose a random lane (0-4) unless the caller needs a specific one
+  const laneIndex = Number.isInteger(fixedLane) ? fixedLane % numLanes : Math.floor(Math.random() * numLanes);
   const laneX = startX + (laneIndex * laneSpacing);
   
   console.log(`[DEBUG] Chosen quickdraw lane ${laneIndex + 1} of ${numLanes} at X=${laneX.toFixed(2)}`);
@@ -2057,8 +4434,15 @@ function handleQuickDrawAcceptChallenge(playerId, challengerId) {
     player2Id: playerId,
     state: 'starting',
     startTime: Date.now(),
-    isDirect: true
+    isDirect: true,
+    spectators: new Set(),
+    ...createQuickDrawSeries(challengerId, playerId)
   });
+  gameEvents.log('duelStart', describeDuelForEventLog(quickDrawDuels.get(duelId)));
+  
+  // Duelists can't keep watching someone else's duel
+  stopSpectatingQuickDraw(challengerId);
+  stopSpectatingQuickDraw(playerId);
   
   // Mark players as in a duel
   challenger.inQuickDrawQueue = false;
@@ -2077,6 +4461,10 @@ function handleQuickDrawAcceptChallenge(playerId, challengerId) {
   challenger.preQuickDrawPosition = { ...challenger.position };
   player.preQuickDrawPosition = { ...player.position };
   
+  // Anti-cheat: Clients teleport themselves to the street positions
+  startMovementGrace(challengerId, spawnPositions.position1);
+  startMovementGrace(playerId, spawnPositions.position2);
+  
   // Notify players of the match
   challenger.ws.send(JSON.stringify({
     type: 'quickDrawMatch',
@@ -2084,7 +4472,8 @@ function handleQuickDrawAcceptChallenge(playerId, challengerId) {
     isDirect: true,
     startPosition: spawnPositions.position1,
     startRotation: spawnPositions.rotation1,
-    movementLocked: true
+    movementLocked: true,
+    bestOf: QUICK_DRAW_SERIES.BEST_OF
   }));
   
   player.ws.send(JSON.stringify({
@@ -2093,7 +4482,8 @@ function handleQuickDrawAcceptChallenge(playerId, challengerId) {
     isDirect: true,
     startPosition: spawnPositions.position2,
     startRotation: spawnPositions.rotation2,
-    movementLocked: true
+    movementLocked: true,
+    bestOf: QUICK_DRAW_SERIES.BEST_OF
   }));
   
   // Extra debugging to verify positions are correct in match notification
@@ -2107,6 +4497,8 @@ function handleQuickDrawAcceptChallenge(playerId, challengerId) {
   `);
   
   console.log(`Started direct Quick Draw duel ${duelId} between players ${challengerId} and ${playerId}`);
+  
+  broadcastQuickDrawDuelList();
 }
 
 /**
@@ -2131,6 +4523,352 @@ function handleQuickDrawDeclineChallenge(playerId, challengerId) {
   }));
 }
 
+/**
+ * Open sign-up for a new tournament. The player who opens it is signed up straight away.
+ * @param {number} playerId - The player opening sign-up
+ * @param {string} format - 'single' or 'double' elimination
+ */
+function handleTournamentCreate(playerId, format) {
+  const player = players.get(playerId);
+  if (!player) return;
+  
+  if (quickDrawTournament && (quickDrawTournament.state === 'signup' || quickDrawTournament.state === 'running')) {
+    return sendErrorToPlayer(playerId, "A tournament is already running", false);
+  }
+  
+  if (!tournamentBracket.FORMATS.includes(format)) {
+    format = 'single';
+  }
+  
+  quickDrawTournament = {
+    id: nextTournamentId++,
+    format: format,
+    state: 'signup', // 'signup' -> 'running' -> 'finished', or 'cancelled' if too few sign up
+    createdBy: player.username,
+    signups: [],
+    signupEndsAt: Date.now() + TOURNAMENT.SIGNUP_TIME,
+    signupTimeout: setTimeout(startQuickDrawTournament, TOURNAMENT.SIGNUP_TIME),
+    entrants: new Map(), // playerId -> { username, rating, seed }, filled when sign-up closes
+    bracket: null,
+    restUntil: new Map() // playerId -> time their next match may start
+  };
+  
+  console.log(`Player ${playerId} opened sign-up for ${format} elimination tournament ${quickDrawTournament.id}`);
+  notifier.notify('tournament', `🏆 ${player.username} opened sign-up for a ${format} elimination Quick Draw tournament`);
+  
+  handleTournamentJoin(playerId);
+}
+
+/**
+ * Sign a player up for the tournament that is taking entries.
+ * @param {number} playerId - The player signing up
+ */
+function handleTournamentJoin(playerId) {
+  const tournament = quickDrawTournament;
+  if (!players.has(playerId)) return;
+  
+  if (!tournament || tournament.state !== 'signup') {
+    return sendErrorToPlayer(playerId, "No tournament is taking sign-ups", false);
+  }
+  if (tournament.signups.includes(playerId)) return;
+  if (tournament.signups.length >= TOURNAMENT.MAX_PLAYERS) {
+    return sendErrorToPlayer(playerId, "The tournament is full", false);
+  }
+  
+  tournament.signups.push(playerId);
+  console.log(`Player ${playerId} signed up for tournament ${tournament.id} (${tournament.signups.length} entrants)`);
+  broadcastTournamentState();
+}
+
+/**
+ * Take a player out of the tournament: off the sign-up list, or out of the bracket once it has
+ * started. A match they are already playing is still decided by the duel.
+ * @param {number} playerId - The player leaving
+ */
+function withdrawFromQuickDrawTournament(playerId) {
+  const tournament = quickDrawTournament;
+  if (!tournament) return;
+  
+  if (tournament.state === 'signup') {
+    const index = tournament.signups.indexOf(playerId);
+    if (index !== -1) {
+      tournament.signups.splice(index, 1);
+      broadcastTournamentState();
+    }
+    return;
+  }
+  
+  if (tournament.state === 'running' && tournament.entrants.has(playerId) && !tournament.bracket.withdrawn.has(playerId)) {
+    console.log(`Player ${playerId} withdrew from tournament ${tournament.id}`);
+    tournamentBracket.withdrawEntrant(tournament.bracket, playerId);
+    if (!finishQuickDrawTournamentIfDecided(tournament)) {
+      broadcastTournamentState();
+    }
+  }
+}
+
+/**
+ * Close sign-up, seed the entrants by rating and build the bracket.
+ */
+function startQuickDrawTournament() {
+  const tournament = quickDrawTournament;
+  if (!tournament || tournament.state !== 'signup') return;
+  
+  tournament.signupTimeout = null;
+  tournament.signups = tournament.signups.filter(id => players.has(id));
+  
+  if (tournament.signups.length < TOURNAMENT.MIN_PLAYERS) {
+    console.log(`Tournament ${tournament.id} cancelled: only ${tournament.signups.length} entrants`);
+    tournament.state = 'cancelled';
+    broadcastTournamentState();
+    return;
+  }
+  
+  // Highest rating is the top seed; the sort is stable, so ties go to whoever signed up first
+  const seeded = tournament.signups.slice().sort((a, b) => players.get(b).rating - players.get(a).rating);
+  seeded.forEach((id, index) => {
+    const player = players.get(id);
+    tournament.entrants.set(id, { username: player.username, rating: player.rating, seed: index + 1 });
+  });
+  
+  tournament.bracket = tournamentBracket.createBracket(seeded, tournament.format);
+  tournament.state = 'running';
+  
+  console.log(`Tournament ${tournament.id} started with ${seeded.length} entrants (${tournament.format} elimination)`);
+  
+  broadcastTournamentState();
+  scheduleQuickDrawTournamentMatches();
+}
+
+/**
+ * Start every ready match whose players are free, as long as there are free arenas.
+ */
+function scheduleQuickDrawTournamentMatches() {
+  const tournament = quickDrawTournament;
+  if (!tournament || tournament.state !== 'running') return;
+  
+  const now = Date.now();
+  
+  for (const match of tournamentBracket.getReadyMatches(tournament.bracket)) {
+    const [player1Id, player2Id] = match.players;
+    if (!isTournamentPlayerFree(tournament, player1Id, now) || !isTournamentPlayerFree(tournament, player2Id, now)) {
+      continue;
+    }
+    
+    const arenaIndex = findFreeQuickDrawArena();
+    if (arenaIndex === -1) {
+      break; // Every arena is busy, try again on the next sweep
+    }
+    
+    startTournamentDuel(tournament, match, arenaIndex);
+  }
+}
+
+/**
+ * @param {Object} tournament - The running tournament
+ * @param {number} playerId - An entrant
+ * @param {number} now - Current time in ms
+ * @returns {boolean} Whether they can be put into a match right now
+ */
+function isTournamentPlayerFree(tournament, playerId, now) {
+  const player = players.get(playerId);
+  return !!player && !player.inQuickDrawDuel && now >= (tournament.restUntil.get(playerId) || 0);
+}
+
+/**
+ * @returns {number} An arena index no duel is using, or -1 if all are taken
+ */
+function findFreeQuickDrawArena() {
+  const busy = new Set();
+  for (const duel of quickDrawDuels.values()) {
+    busy.add(duel.arenaIndex);
+  }
+  
+  for (let arenaIndex = 0; arenaIndex < MAX_ARENAS; arenaIndex++) {
+    if (!busy.has(arenaIndex)) {
+      return arenaIndex;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Put a tournament match's players into a duel in the given arena.
+ * @param {Object} tournament - The running tournament
+ * @param {Object} match - A ready bracket match
+ * @param {number} arenaIndex - A free arena
+ */
+function startTournamentDuel(tournament, match, arenaIndex) {
+  const [player1Id, player2Id] = match.players;
+  const player1 = players.get(player1Id);
+  const player2 = players.get(player2Id);
+  
+  // A tournament match takes priority over the ranked queue
+  if (player1.inQuickDrawQueue) handleQuickDrawLeave(player1Id);
+  if (player2.inQuickDrawQueue) handleQuickDrawLeave(player2Id);
+  
+  // Each arena keeps to its own lane so concurrent matches don't share a street line
+  const spawnPositions = generateQuickDrawStreetPositions(arenaIndex);
+  
+  const duelId = `duel_t${tournament.id}_${match.id}`;
+  quickDrawDuels.set(duelId, {
+    id: duelId,
+    arenaIndex: arenaIndex,
+    player1Id,
+    player2Id,
+    state: 'starting',
+    startTime: Date.now(),
+    spectators: new Set(),
+    tournamentId: tournament.id,
+    tournamentMatchId: match.id,
+    ...createQuickDrawSeries(player1Id, player2Id)
+  });
+  gameEvents.log('duelStart', describeDuelForEventLog(quickDrawDuels.get(duelId)));
+  tournamentBracket.startMatch(tournament.bracket, match.id);
+  
+  // Duelists can't keep watching someone else's duel
+  stopSpectatingQuickDraw(player1Id);
+  stopSpectatingQuickDraw(player2Id);
+  
+  for (const player of [player1, player2]) {
+    player.inQuickDrawDuel = true;
+    player.quickDrawDuelId = duelId;
+    player.health = 100;
+    player.preQuickDrawPosition = { ...player.position };
+  }
+  
+  // Anti-cheat: Clients teleport themselves into the arena
+  startMovementGrace(player1Id, spawnPositions.position1);
+  startMovementGrace(player2Id, spawnPositions.position2);
+  
+  const tournamentInfo = {
+    id: tournament.id,
+    matchId: match.id,
+    label: tournamentBracket.getMatchLabel(tournament.bracket, match)
+  };
+  
+  player1.ws.send(JSON.stringify({
+    type: 'quickDrawMatch',
+    opponentId: player2Id,
+    position: 'left',
+    arenaIndex: arenaIndex,
+    startPosition: spawnPositions.position1,
+    startRotation: spawnPositions.rotation1,
+    movementLocked: true,
+    bestOf: QUICK_DRAW_SERIES.BEST_OF,
+    opponentRating: player2.rating,
+    tournament: tournamentInfo
+  }));
+  
+  player2.ws.send(JSON.stringify({
+    type: 'quickDrawMatch',
+    opponentId: player1Id,
+    position: 'right',
+    arenaIndex: arenaIndex,
+    startPosition: spawnPositions.position2,
+    startRotation: spawnPositions.rotation2,
+    movementLocked: true,
+    bestOf: QUICK_DRAW_SERIES.BEST_OF,
+    opponentRating: player1.rating,
+    tournament: tournamentInfo
+  }));
+  
+  console.log(`Tournament ${tournament.id} ${tournamentInfo.label} (${match.id}): ${player1Id} vs ${player2Id} in arena ${arenaIndex + 1}`);
+  
+  broadcastQuickDrawDuelList();
+  broadcastTournamentState();
+}
+
+/**
+ * Advance the bracket after a tournament duel. Called from endQuickDrawDuel.
+ * @param {Object} duel - The finished duel
+ * @param {number} winnerId - The winner, if any
+ */
+function handleTournamentDuelEnd(duel, winnerId) {
+  const tournament = quickDrawTournament;
+  if (!tournament || tournament.id !== duel.tournamentId || tournament.state !== 'running') return;
+  
+  // A duel called off without a winner goes to whoever is still connected
+  if (!winnerId) {
+    winnerId = players.has(duel.player1Id) || !players.has(duel.player2Id) ? duel.player1Id : duel.player2Id;
+  }
+  
+  tournamentBracket.recordResult(tournament.bracket, duel.tournamentMatchId, winnerId);
+  
+  const restUntil = Date.now() + TOURNAMENT.MATCH_BREAK;
+  tournament.restUntil.set(duel.player1Id, restUntil);
+  tournament.restUntil.set(duel.player2Id, restUntil);
+  
+  if (!finishQuickDrawTournamentIfDecided(tournament)) {
+    broadcastTournamentState();
+  }
+}
+
+/**
+ * Wrap up the tournament once the bracket has a champion.
+ * @param {Object} tournament - The running tournament
+ * @returns {boolean} True if the tournament just finished
+ */
+function finishQuickDrawTournamentIfDecided(tournament) {
+  if (tournament.bracket.championId === null) return false;
+  
+  tournament.state = 'finished';
+  const champion = tournament.entrants.get(tournament.bracket.championId);
+  
+  console.log(`Tournament ${tournament.id} won by ${champion.username}`);
+  notifier.notify('tournament', `🏆 ${champion.username} won the Quick Draw tournament (${tournament.entrants.size} entrants)`);
+  
+  broadcastTournamentState();
+  return true;
+}
+
+/**
+ * Client view of the current tournament, with usernames for every entrant.
+ * @returns {Object|null}
+ */
+function getTournamentState() {
+  const tournament = quickDrawTournament;
+  if (!tournament) return null;
+  
+  const signups = tournament.signups
+    .filter(id => players.has(id))
+    .map(id => ({ id, username: players.get(id).username, rating: players.get(id).rating }));
+  
+  const entrants = Array.from(tournament.entrants, ([id, entrant]) => ({
+    id,
+    ...entrant,
+    withdrawn: tournament.bracket.withdrawn.has(id)
+  }));
+  
+  return {
+    id: tournament.id,
+    format: tournament.format,
+    state: tournament.state,
+    createdBy: tournament.createdBy,
+    // Relative, so the countdown doesn't depend on the client's clock
+    signupEndsIn: tournament.state === 'signup' ? Math.max(0, tournament.signupEndsAt - Date.now()) : 0,
+    signups,
+    entrants,
+    bracket: tournament.bracket ? tournamentBracket.serializeBracket(tournament.bracket) : null
+  };
+}
+
+/**
+ * Send the tournament to one player, e.g. when they open the bracket view.
+ * @param {number} playerId - The player's ID
+ */
+function sendTournamentState(playerId) {
+  const player = players.get(playerId);
+  if (!player || player.ws.readyState !== WebSocket.OPEN) return;
+  
+  player.ws.send(JSON.stringify({ type: 'tournamentState', tournament: getTournamentState() }));
+}
+
+// Every client's bracket view follows the tournament
+function broadcastTournamentState() {
+  broadcastToAll({ type: 'tournamentState', tournament: getTournamentState() });
+}
+
 // Anti-cheat: Server-side bullet physics update
 function updateBullets() {
   const now = Date.now();
@@ -2140,10 +4878,15 @@ function updateBullets() {
     if (!bullet.active) continue;
     
     // Calculate time since last update
-    const deltaTime = (now - bullet.timeCreated) / 1000;
+    const deltaTime = (now - (bullet.lastUpdateTime || bullet.timeCreated)) / 1000;
+    bullet.lastUpdateTime = now;
     
-    // Calculate new position
-    const distanceThisFrame = bullet.speed * deltaTime;
+    // Calculate new position, never past the bullet's range
+    const distanceThisFrame = Math.min(
+      bullet.speed * deltaTime,
+      bullet.maxDistance - bullet.distanceTraveled
+    );
+    const start = { ...bullet.position };
     bullet.position.x += bullet.direction.x * distanceThisFrame;
     bullet.position.y += bullet.direction.y * distanceThisFrame;
     bullet.position.z += bullet.direction.z * distanceThisFrame;
@@ -2151,43 +4894,239 @@ function updateBullets() {
     // Update total distance traveled
     bullet.distanceTraveled += distanceThisFrame;
     
+    // Anti-cheat: Sweep the path covered this step against every hitbox, up to the first wall
+    // NPC bullets keep their scripted hit roll in npcShootAtPlayer
+    if (!bullet.isNpcBullet) {
+      const wallT = findWallHit(start, bullet.position);
+      const hit = findBulletTarget(bullet, start, bullet.position, now);
+      if (hit && (wallT === null || hit.t <= wallT)) {
+        resolveBulletHit(bullet, hit);
+        continue;
+      }
+      if (wallT !== null) {
+        bullet.active = false;
+        broadcastToObservers(bullet.sourcePlayerId, {
+          type: 'bulletImpact',
+          bulletId: bullet.id,
+          hitType: 'wall',
+          position: {
+            x: start.x + (bullet.position.x - start.x) * wallT,
+            y: start.y + (bullet.position.y - start.y) * wallT,
+            z: start.z + (bullet.position.z - start.z) * wallT
+          }
+        });
+        continue;
+      }
+    }
+    
     // Check if bullet has traveled too far
     if (bullet.distanceTraveled >= bullet.maxDistance) {
       bullet.active = false;
       continue;
     }
   }
-  
-  // Clean up inactive bullets
-  for (const [bulletId, bullet] of activeBullets.entries()) {
-    if (!bullet.active) {
-      activeBullets.delete(bulletId);
+  
+  // Clean up inactive bullets
+  for (const [bulletId, bullet] of activeBullets.entries()) {
+    if (!bullet.active) {
+      activeBullets.delete(bulletId);
+    }
+  }
+}
+
+// Heartbeat to remove stale connections
+const HEARTBEAT_INTERVAL = 30000; // 30s
+const CONNECTION_TIMEOUT = 60000; // 60s
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, player] of players.entries()) {
+    if (now - player.lastActivity > CONNECTION_TIMEOUT) {
+      console.log(`Removing stale connection for player ${id}`);
+      if (player.ws.readyState === WebSocket.OPEN) {
+        player.ws.close(1000, 'Connection timeout');
+      }
+      cleanupPlayer(id);
+    } else if (player.ws.readyState === WebSocket.OPEN) {
+      // keep alive
+      sendLatencyProbe(player, now);
+    }
+  }
+  
+  // Forget spam strikes and bans that have run out
+  chatSpam.prune(now);
+  banList.prune(now);
+}, HEARTBEAT_INTERVAL);
+
+/**
+ * One step of the game loop: apply the movement updates that arrived since the last tick, move
+ * NPCs and bullets, then send every client a single snapshot instead of a message per update.
+ */
+function gameTick() {
+  const now = Date.now();
+  
+  applyPendingInputs();
+  updateNpcs();
+  updateBullets();
+  updateInterest();
+  sendWorldSnapshot(now);
+}
+
+/**
+ * Apply every queued movement update, stamped with when it arrived. Runs each tick, and before a
+ * shot is handled so it's checked against where the shooter and targets are now, not up to a
+ * tick ago.
+ */
+function applyPendingInputs() {
+  for (const [playerId, queue] of pendingInputs) {
+    pendingInputs.delete(playerId);
+    for (const input of queue) {
+      handlePlayerUpdate(playerId, input.data, input.receivedAt);
+    }
+  }
+}
+
+/**
+ * Move every player and NPC to where it is now in the interest grid, then tell each client which
+ * entities came into or went out of its range. Entering ones are sent in full, so a client never
+ * gets a snapshot entry for an entity it doesn't know about.
+ */
+function updateInterest() {
+  for (const [pid, pl] of players.entries()) {
+    interest.setEntity(pid, pl.position);
+  }
+  for (const [npcId, npc] of npcs.entries()) {
+    interest.setEntity(npcId, npc.position);
+  }
+  
+  for (const [pid, pl] of players.entries()) {
+    const { entered, left } = interest.refresh(pid, getAlwaysVisible(pl));
+    if (pl.ws.readyState !== WebSocket.OPEN) continue;
+    
+    for (const id of left) {
+      // If it comes back the binary client gets a full state again, see SnapshotDecoder.forget
+      if (pl.snapshotBaselines) {
+        pl.snapshotBaselines.forget(id);
+      }
+      pl.ws.send(JSON.stringify({ type: 'entityLeave', id }));
+    }
+    for (const id of entered) {
+      pl.ws.send(JSON.stringify({ type: 'entityEnter', ...describeEntity(id) }));
+    }
+  }
+}
+
+/**
+ * @param {Object} player - The observing player
+ * @returns {Array<number>} Players it has to see however far away they are: its duel opponent, or
+ * both duelists of the duel it's spectating
+ */
+function getAlwaysVisible(player) {
+  const duelId = player.inQuickDrawDuel ? player.quickDrawDuelId : player.spectatingDuelId;
+  const duel = duelId ? quickDrawDuels.get(duelId) : null;
+  return duel ? [duel.player1Id, duel.player2Id] : [];
+}
+
+/**
+ * @param {number|string} id - A player or NPC
+ * @returns {Object} Everything a client needs to add it to the scene, as entityEnter sends it
+ */
+function describeEntity(id) {
+  const npc = npcs.get(id);
+  if (npc) {
+    return {
+      id,
+      username: npc.username,
+      position: npc.position,
+      rotation: npc.rotation,
+      health: npc.health,
+      isDying: npc.health <= 0, // Down until it respawns, so it isn't seen standing
+      isWalking: npc.isWalking,
+      isAiming: npc.isAiming,
+      isShooting: npc.isShooting,
+      isNpc: true  // Mark as NPC for clients
+    };
+  }
+  
+  const player = players.get(id);
+  return {
+    id,
+    position: player.position,
+    rotation: player.rotation,
+    isAiming: player.isAiming,
+    isShooting: player.isShooting,
+    isReloading: player.isReloading,
+    health: player.health,
+    isDying: player.health <= 0, // Dead until respawnPlayer or the next duel round
+    username: player.username,
+    quickDrawLobbyIndex: player.quickDrawLobbyIndex,
+    activeWeapon: player.activeWeapon,
+    skins: player.skins || { bananaSkin: false }
+  };
+}
+
+/**
+ * Send each client the queued states of the players and NPCs in its area of interest.
+ * @param {number} now - The tick's server time, clients interpolate by it
+ */
+function sendWorldSnapshot(now) {
+  if (snapshotEntries.size === 0) return;
+  
+  // Serialize each entry once, not once per client
+  const entries = Array.from(snapshotEntries, ([id, entry]) => ({ id, entry, json: JSON.stringify(entry), state: null }));
+  snapshotEntries.clear();
+  snapshotTick++;
+  
+  for (const [pid, pl] of players.entries()) {
+    if (pl.ws.readyState !== WebSocket.OPEN) continue;
+    
+    const others = entries.filter(entry => interest.canSee(pid, entry.id)); // Never includes its own
+    if (others.length === 0) continue;
+    
+    if (pl.snapshotBaselines) {
+      for (const entry of others) {
+        entry.state = entry.state || toWireState(entry.entry);
+      }
+      pl.ws.send(encodeWorldSnapshot({ tick: snapshotTick, serverTime: now, entries: others }, pl.snapshotBaselines));
+    } else {
+      pl.ws.send(`{"type":"worldSnapshot","serverTime":${now},"updates":[${others.map(entry => entry.json).join(',')}]}`);
+    }
+  }
+}
+
+/**
+ * Binary clients forget an entity when told it left, so its next snapshot must be a full one.
+ * @param {number|string} id - The player or NPC that left
+ */
+function forgetSnapshotEntity(id) {
+  for (const player of players.values()) {
+    if (player.snapshotBaselines) {
+      player.snapshotBaselines.forget(id);
     }
   }
 }
 
-// Heartbeat to remove stale connections
-const HEARTBEAT_INTERVAL = 30000; // 30s
-const CONNECTION_TIMEOUT = 60000; // 60s
+setInterval(gameTick, 1000 / TICK.RATE);
+
+// Re-run matchmaking so waiting players' rating windows widen even when nobody new joins
+setInterval(() => {
+  for (let arenaIndex = 0; arenaIndex < MAX_ARENAS; arenaIndex++) {
+    checkQuickDrawQueue(arenaIndex);
+  }
+}, MATCHMAKING.CHECK_INTERVAL);
 
+// Start tournament matches as players finish their previous ones and arenas free up
+setInterval(scheduleQuickDrawTournamentMatches, TOURNAMENT.CHECK_INTERVAL);
+
+// Lag compensation: Probe every client's round-trip time
 setInterval(() => {
   const now = Date.now();
-  for (const [id, player] of players.entries()) {
-    if (now - player.lastActivity > CONNECTION_TIMEOUT) {
-      console.log(`Removing stale connection for player ${id}`);
-      if (player.ws.readyState === WebSocket.OPEN) {
-        player.ws.close(1000, 'Connection timeout');
-      }
-      cleanupPlayer(id);
-    } else if (player.ws.readyState === WebSocket.OPEN) {
-      // keep alive
-      player.ws.send(JSON.stringify({ type: 'ping' }));
+  for (const player of players.values()) {
+    if (player.ws && player.ws.readyState === WebSocket.OPEN) {
+      sendLatencyProbe(player, now);
     }
   }
-}, HEARTBEAT_INTERVAL);
-
-// Anti-cheat: Run physics update loop
-setInterval(updateBullets, GAME_CONSTANTS.PHYSICS_UPDATE_INTERVAL);
+}, LAG_COMPENSATION.PROBE_INTERVAL);
 
 // Start server
 server.listen(PORT, () => {
@@ -2195,6 +5134,8 @@ server.listen(PORT, () => {
 });
 
 // Graceful shutdown
+const SHUTDOWN_NOTIFY_TIMEOUT = 5000; // ms to wait for notification sinks before exiting anyway
+
 process.on('SIGINT', () => {
   console.log('Server shutting down...');
   
@@ -2203,66 +5144,613 @@ process.on('SIGINT', () => {
     endQuickDrawDuel(duelId, null);
   }
   
+  // Write out any profile changes still waiting on the save timer
+  for (const playerId of Array.from(players.keys())) {
+    const player = players.get(playerId);
+    if (player.clientId && !player.isDev) {
+      playerStore.update(player.clientId, {
+        stats: player.stats,
+        skins: player.skins,
+        rating: player.rating,
+        ratedDuels: player.ratedDuels
+      });
+    }
+  }
+  playerStore.flush();
+  duelResults.flush();
+  banList.flush();
+  gameEvents.flush();
+  
+  // The last batch (bans, kicks, errors) is what the flush is for, so wait for it, but not forever
+  const notified = Promise.race([
+    notifier.flush(),
+    new Promise(resolve => setTimeout(resolve, SHUTDOWN_NOTIFY_TIMEOUT))
+  ]);
+  
   for (const [id, player] of players.entries()) {
     if (player.ws.readyState === WebSocket.OPEN) {
       player.ws.close(1000, 'Server shutting down');
     }
   }
   server.close(() => {
-    console.log('Server shutdown complete.');
-    process.exit(0);
+    notified.then(() => {
+      console.log('Server shutdown complete.');
+      process.exit(0);
+    });
   });
 });
 
 /**
- * Handle chat messages from players and broadcast them
+ * Handle chat messages from players. Slash commands go to the command registry, anything else
+ * is sent to the chosen channel.
  * @param {number} playerId - The ID of the player sending the message 
  * @param {string} message - The chat message
+ * @param {string} channel - One of CHAT.CHANNELS, global if missing
  */
-function handleChatMessage(playerId, message) {
+function handleChatMessage(playerId, message, channel) {
   // Get player info
   const player = players.get(playerId);
   if (!player) return;
   
-  // Rate limiting - max one message per 2 seconds
+  // Validate the message
+  if (!message || typeof message !== 'string') return;
+  if (!CHAT.CHANNELS.includes(channel)) {
+    channel = 'global';
+  }
+  
+  const parsed = parseCommand(message);
+  const command = parsed ? chatCommands.get(parsed.name) : null;
+  const rateLimited = !command || command.rateLimited;
   const now = Date.now();
+  
+  // Muted players keep commands that only concern themselves, plus /report
+  const muteLeft = getChatMuteRemaining(player, now);
+  if (muteLeft > 0 && !(command && command.allowWhileMuted)) {
+    sendChatSystemMessage(playerId, `You are muted for ${formatDuration(muteLeft)}${player.chatMute.reason ? ` (${player.chatMute.reason})` : ''}`);
+    return;
+  }
+  
+  // Rate limiting - max one message per 2 seconds, except for commands that only answer the sender
   const timeouts = playerTimeouts.get(playerId);
-  if (timeouts) {
+  if (timeouts && rateLimited) {
     if (!timeouts.lastChat) {
       timeouts.lastChat = 0;
     }
-    
-    // Rate limiting
-    if (now - timeouts.lastChat < 2000) {
+  
+    // Rate limiting. Flooding past it earns spam strikes
+    if (now - timeouts.lastChat < CHAT.RATE_LIMIT) {
       console.log(`Chat rate limited for player ${playerId}`);
+      if (!isChatAdmin(player)) {
+        applyAutoChatMute(playerId, chatSpam.strike(getChatModerationKey(playerId), now));
+      }
       return;
     }
-    
+  
     timeouts.lastChat = now;
   }
   
-  // Validate and sanitize message
-  if (!message || typeof message !== 'string') return;
+  // Saying the same thing over and over is spam too
+  if (rateLimited && !isChatAdmin(player)) {
+    if (applyAutoChatMute(playerId, chatSpam.recordMessage(getChatModerationKey(playerId), message, now))) {
+      return;
+    }
+  }
   
-  // Limit message length (chat messages can be longer than usernames)
-  if (message.length > 60) {
-    message = message.substring(0, 60);
+  if (parsed) {
+    console.log(`Chat command from ${player.username} (${playerId}): /${parsed.name}`);
+    chatCommands.execute({
+      playerId,
+      player,
+      channel,
+      isAdmin: isChatAdmin(player),
+      reply: (text) => sendChatSystemMessage(playerId, text)
+    }, {
+      name: parsed.name,
+      args: sanitizeText(parsed.args, CHAT.MAX_LENGTH)
+    });
+    return;
   }
   
-  // Sanitize the message
-  message = sanitizeText(message);
+  // Sanitize the message (chat messages can be longer than usernames)
+  message = sanitizeText(message, CHAT.MAX_LENGTH);
+  if (!message) return;
   
-  console.log(`Chat message from ${player.username} (${playerId}): ${message}`);
+  console.log(`Chat message from ${player.username} (${playerId}) on ${channel}: ${message}`);
+  rememberChatLine(player, message);
   
-  // Broadcast the message to all players
-  broadcastToAll({
-    type: 'chatMessage',
+  // Send the message to everyone on the channel
+  sendChatToChannel(playerId, channel, {
+    kind: 'chat',
     senderId: playerId,
     username: player.username,
-    message: message
+    message: filterChatWords(message).text
+  });
+}
+
+/**
+ * Deliver a chat line to a channel. Global lines are also kept for the history sent on init.
+ * Tells the sender if the channel isn't open to them, e.g. the duel channel outside a duel.
+ * @param {number} playerId - The speaker
+ * @param {string} channel - One of CHAT.CHANNELS
+ * @param {Object} line - { kind, senderId, username, message }
+ * @returns {boolean} True if the line was sent
+ */
+function sendChatToChannel(playerId, channel, line) {
+  const data = { type: 'chatMessage', ...line, channel, time: Date.now() };
+  const recipients = getChatChannelRecipients(playerId, channel);
+  
+  if (!recipients) {
+    sendChatSystemMessage(playerId, "You're not in or watching a duel, switch to another channel");
+    return false;
+  }
+  
+  gameEvents.log('chat', { player: describeForEventLog(playerId), channel, kind: line.kind, message: line.message });
+  
+  if (channel === 'global') {
+    chatHistory.push(data);
+    if (chatHistory.length > CHAT.HISTORY_SIZE) {
+      chatHistory.shift();
+    }
+    broadcastToAll(data);
+    return true;
+  }
+  
+  const message = JSON.stringify(data);
+  for (const recipientId of recipients) {
+    const recipient = players.get(recipientId);
+    if (recipient && recipient.ws.readyState === WebSocket.OPEN) {
+      recipient.ws.send(message);
+    }
+  }
+  return true;
+}
+
+/**
+ * Send a server announcement to everyone's chat.
+ * @param {string} text - Sanitized announcement
+ */
+function announceToChat(text) {
+  sendChatToChannel(null, 'global', {
+    kind: 'announcement',
+    message: text
   });
 }
 
+/**
+ * @param {number} playerId - The speaker
+ * @param {string} channel - One of CHAT.CHANNELS
+ * @returns {Array<number>|null} Player IDs who hear the speaker (everyone for global), null if the channel isn't open to them
+ */
+function getChatChannelRecipients(playerId, channel) {
+  const player = players.get(playerId);
+  
+  if (channel === 'proximity') {
+    const recipients = [];
+    for (const [id, other] of players.entries()) {
+      const dx = other.position.x - player.position.x;
+      const dz = other.position.z - player.position.z;
+      if (id === playerId || Math.sqrt(dx * dx + dz * dz) <= CHAT.PROXIMITY_RANGE) {
+        recipients.push(id);
+      }
+    }
+    return recipients;
+  }
+  
+  if (channel === 'duel') {
+    // Duelists talk in their own duel; spectators in the one they're watching
+    const duel = quickDrawDuels.get(player.quickDrawDuelId || player.spectatingDuelId);
+    if (!duel) return null;
+    return [duel.player1Id, duel.player2Id, ...duel.spectators];
+  }
+  
+  return Array.from(players.keys());
+}
+
+/**
+ * @param {number} playerId - A connected player
+ * @returns {string} Key for their spam strikes and reports; the clientId so reconnecting doesn't reset them
+ */
+function getChatModerationKey(playerId) {
+  const player = players.get(playerId);
+  return player && player.clientId && !player.isDev ? player.clientId : `player_${playerId}`;
+}
+
+/**
+ * @param {Object} player - A connected player
+ * @param {number} now - Current time in ms
+ * @returns {number} ms left on their mute, 0 if they may talk
+ */
+function getChatMuteRemaining(player, now) {
+  if (!player.chatMute) return 0;
+  
+  const left = player.chatMute.until - now;
+  if (left <= 0) {
+    // Expired, tidy it away
+    setChatMute(player, null);
+    return 0;
+  }
+  return left;
+}
+
+/**
+ * Set or clear a player's mute and keep their profile in step.
+ * @param {Object} player - A connected player
+ * @param {Object|null} mute - { until, reason, by } or null to unmute
+ */
+function setChatMute(player, mute) {
+  player.chatMute = mute;
+  if (player.clientId && !player.isDev) {
+    playerStore.update(player.clientId, { chatMute: mute });
+  }
+}
+
+/**
+ * Mute a player for a while and tell them why.
+ * @param {number} playerId - The player to mute
+ * @param {number} duration - ms
+ * @param {string} reason - Shown to the player
+ * @param {string|null} by - Admin's username, null for automatic mutes
+ */
+function muteChatPlayer(playerId, duration, reason, by) {
+  const player = players.get(playerId);
+  if (!player) return;
+  
+  setChatMute(player, { until: Date.now() + duration, reason, by });
+  console.log(`Player ${playerId} (${player.username}) muted for ${formatDuration(duration)} by ${by || 'spam filter'}: ${reason}`);
+  sendChatSystemMessage(playerId, `You have been muted for ${formatDuration(duration)}: ${reason}`);
+}
+
+/**
+ * Carry out an automatic spam mute, if one was earned.
+ * @param {number} playerId - The spammer
+ * @param {number|null} duration - From the spam tracker, null if no mute was earned
+ * @returns {boolean} True if the player was muted
+ */
+function applyAutoChatMute(playerId, duration) {
+  if (!duration) return false;
+  muteChatPlayer(playerId, duration, 'Spamming', null);
+  return true;
+}
+
+/**
+ * Keep a player's latest lines so a report shows what they actually said.
+ * @param {Object} player - The speaker
+ * @param {string} text - Sanitized, unfiltered text
+ */
+function rememberChatLine(player, text) {
+  player.recentChat.push(text);
+  if (player.recentChat.length > MODERATION.EVIDENCE_MESSAGES) {
+    player.recentChat.shift();
+  }
+}
+
+/**
+ * @param {Object} player - A connected player
+ * @returns {boolean} True if they may use admin-only chat commands
+ */
+function isChatAdmin(player) {
+  return Boolean(player && player.clientId && !player.isDev && CHAT.ADMIN_IDS.has(player.clientId));
+}
+
+/**
+ * Send a chat line that only one player sees, e.g. a command's reply.
+ * @param {number} playerId - The recipient
+ * @param {string} text - The message
+ */
+function sendChatSystemMessage(playerId, text) {
+  const player = players.get(playerId);
+  if (!player || player.ws.readyState !== WebSocket.OPEN) return;
+  
+  player.ws.send(JSON.stringify({
+    type: 'chatMessage',
+    kind: 'system',
+    message: text
+  }));
+}
+
+/**
+ * Find the online player a command's arguments start with. Names may contain spaces, so the
+ * longest matching name wins: "/w Big Joe hi" whispers "Big Joe" even if "Big" is online too.
+ * @param {string} args - Sanitized argument text, e.g. 'Big Joe hi there'
+ * @returns {Object|null} { id, player, rest } where rest is the text after the name
+ */
+function findPlayerInChatArgs(args) {
+  const lowered = args.toLowerCase();
+  let found = null;
+  
+  for (const [id, player] of players.entries()) {
+    if (!player.username) continue;
+    const name = player.username.toLowerCase();
+    const matches = lowered === name || lowered.startsWith(name + ' ');
+    if (matches && (!found || name.length > found.player.username.length)) {
+      found = { id, player, rest: args.substring(name.length).trim() };
+    }
+  }
+  
+  return found;
+}
+
+chatCommands.register({
+  name: 'help',
+  aliases: ['?', 'commands'],
+  usage: '/help [command]',
+  description: 'List commands or show how to use one',
+  rateLimited: false,
+  allowWhileMuted: true,
+  run(context, args) {
+    if (args) {
+      const command = chatCommands.get(args.replace(/^\//, '').toLowerCase());
+      if (!command || (command.adminOnly && !context.isAdmin)) {
+        context.reply(`No command called ${args}`);
+        return;
+      }
+      context.reply(`${command.usage} - ${command.description}`);
+      return;
+    }
+  
+    for (const command of chatCommands.list(context.isAdmin)) {
+      context.reply(`${command.usage} - ${command.description}`);
+    }
+  }
+});
+
+chatCommands.register({
+  name: 'w',
+  aliases: ['whisper', 'msg', 'tell'],
+  usage: '/w <player> <message>',
+  description: 'Send a private message',
+  run(context, args) {
+    if (!args) return false;
+  
+    const target = findPlayerInChatArgs(args);
+    if (!target) {
+      context.reply('Nobody by that name is online');
+      return;
+    }
+    if (!target.rest) return false;
+    if (target.id === context.playerId) {
+      context.reply('Talking to yourself again?');
+      return;
+    }
+  
+    // Both ends get the same line; the client shows "To" or "From" depending on who it is
+    rememberChatLine(context.player, target.rest);
+    const whisper = JSON.stringify({
+      type: 'chatMessage',
+      kind: 'whisper',
+      senderId: context.playerId,
+      username: context.player.username,
+      targetId: target.id,
+      targetUsername: target.player.username,
+      message: filterChatWords(target.rest).text
+    });
+    for (const recipient of [context.player, target.player]) {
+      if (recipient.ws.readyState === WebSocket.OPEN) {
+        recipient.ws.send(whisper);
+      }
+    }
+    gameEvents.log('chat', {
+      player: describeForEventLog(context.playerId),
+      target: describeForEventLog(target.id),
+      kind: 'whisper',
+      message: target.rest
+    });
+  }
+});
+
+chatCommands.register({
+  name: 'me',
+  aliases: ['emote'],
+  usage: '/me <action>',
+  description: 'Describe what your character is doing',
+  run(context, args) {
+    if (!args) return false;
+  
+    rememberChatLine(context.player, `/me ${args}`);
+    sendChatToChannel(context.playerId, context.channel, {
+      kind: 'emote',
+      senderId: context.playerId,
+      username: context.player.username,
+      message: filterChatWords(args).text
+    });
+  }
+});
+
+chatCommands.register({
+  name: 'duel',
+  aliases: ['challenge'],
+  usage: '/duel <player>',
+  description: 'Challenge a player to Quick Draw from anywhere in town',
+  run(context, args) {
+    if (!args) return false;
+  
+    const target = findPlayerInChatArgs(args);
+    if (!target) {
+      context.reply('Nobody by that name is online');
+      return;
+    }
+    if (target.id === context.playerId) {
+      context.reply("You can't duel yourself");
+      return;
+    }
+    if (context.player.inQuickDrawQueue || context.player.inQuickDrawDuel) {
+      context.reply('Leave the Quick Draw queue or finish your duel first');
+      return;
+    }
+    if (target.player.inQuickDrawQueue || target.player.inQuickDrawDuel) {
+      context.reply(`${target.player.username} is busy with another duel`);
+      return;
+    }
+  
+    handleQuickDrawChallenge(context.playerId, target.id);
+    context.reply(`Challenge sent to ${target.player.username}`);
+  }
+});
+
+chatCommands.register({
+  name: 'who',
+  aliases: ['online', 'players'],
+  usage: '/who',
+  description: 'List who is online',
+  rateLimited: false,
+  allowWhileMuted: true,
+  run(context) {
+    const names = Array.from(players.values())
+      .filter(player => player.username)
+      .map(player => player.inQuickDrawDuel ? `${player.username} (dueling)` : player.username)
+      .sort((a, b) => a.localeCompare(b));
+  
+    context.reply(`${names.length} online: ${names.join(', ')}`);
+  }
+});
+
+chatCommands.register({
+  name: 'announce',
+  usage: '/announce <message>',
+  description: 'Send a server announcement to everyone',
+  adminOnly: true,
+  run(context, args) {
+    if (!args) return false;
+  
+    console.log(`Announcement from ${context.player.username} (${context.playerId}): ${args}`);
+    announceToChat(args);
+  }
+});
+
+chatCommands.register({
+  name: 'kick',
+  usage: '/kick <player> [reason]',
+  description: 'Disconnect a player',
+  adminOnly: true,
+  run(context, args) {
+    if (!args) return false;
+  
+    const target = findPlayerInChatArgs(args);
+    if (!target) {
+      context.reply('Nobody by that name is online');
+      return;
+    }
+  
+    kickPlayer(target.id, target.rest || 'Kicked by an admin', context.player.username);
+    context.reply(`Kicked ${target.player.username}`);
+  }
+});
+
+chatCommands.register({
+  name: 'report',
+  usage: '/report <player> <reason>',
+  description: 'Report a player to the admins',
+  allowWhileMuted: true,
+  run(context, args) {
+    if (!args) return false;
+  
+    const target = findPlayerInChatArgs(args);
+    if (!target) {
+      context.reply('Nobody by that name is online');
+      return;
+    }
+    if (!target.rest) return false;
+    if (target.id === context.playerId) {
+      context.reply("You can't report yourself");
+      return;
+    }
+  
+    const now = Date.now();
+    const reporterKey = getChatModerationKey(context.playerId);
+    const cooldown = chatReports.cooldownLeft(reporterKey, now);
+    if (cooldown > 0) {
+      context.reply(`You can report again in ${formatDuration(cooldown)}`);
+      return;
+    }
+  
+    chatReports.add(reporterKey, {
+      time: now,
+      reporter: { username: context.player.username, clientId: context.player.clientId || null },
+      target: { username: target.player.username, clientId: target.player.clientId || null },
+      reason: target.rest,
+      evidence: target.player.recentChat.slice()
+    });
+  
+    console.log(`Player ${context.playerId} (${context.player.username}) reported ${target.id} (${target.player.username}): ${target.rest}`);
+    for (const [adminId, admin] of players.entries()) {
+      if (isChatAdmin(admin)) {
+        sendChatSystemMessage(adminId, `Report: ${context.player.username} reported ${target.player.username} - ${target.rest}`);
+      }
+    }
+    notifier.notify('report', `🚩 ${context.player.username} reported ${target.player.username}: ${target.rest}`);
+  
+    context.reply(`Thanks, your report on ${target.player.username} was sent to the admins`);
+  }
+});
+
+chatCommands.register({
+  name: 'mute',
+  usage: '/mute <player> <duration> [reason]',
+  description: 'Stop a player chatting, e.g. /mute Joe 10m spam (s, m, h or d)',
+  adminOnly: true,
+  run(context, args) {
+    if (!args) return false;
+  
+    const target = findPlayerInChatArgs(args);
+    if (!target) {
+      context.reply('Nobody by that name is online');
+      return;
+    }
+  
+    const [durationText, ...reasonWords] = target.rest.split(' ');
+    const duration = parseDuration(durationText);
+    if (!duration) return false;
+  
+    muteChatPlayer(target.id, duration, reasonWords.join(' ') || 'Muted by an admin', context.player.username);
+    context.reply(`Muted ${target.player.username} for ${formatDuration(duration)}`);
+  }
+});
+
+chatCommands.register({
+  name: 'unmute',
+  usage: '/unmute <player>',
+  description: 'Let a muted player chat again',
+  adminOnly: true,
+  run(context, args) {
+    if (!args) return false;
+  
+    const target = findPlayerInChatArgs(args);
+    if (!target) {
+      context.reply('Nobody by that name is online');
+      return;
+    }
+    if (!target.player.chatMute) {
+      context.reply(`${target.player.username} isn't muted`);
+      return;
+    }
+  
+    setChatMute(target.player, null);
+    console.log(`Player ${target.id} (${target.player.username}) unmuted by ${context.player.username}`);
+    sendChatSystemMessage(target.id, 'You can chat again');
+    context.reply(`Unmuted ${target.player.username}`);
+  }
+});
+
+chatCommands.register({
+  name: 'reports',
+  usage: '/reports',
+  description: 'Show the latest player reports',
+  adminOnly: true,
+  rateLimited: false,
+  run(context) {
+    const reports = chatReports.recent(5);
+    if (reports.length === 0) {
+      context.reply('No reports since the server started');
+      return;
+    }
+  
+    for (const report of reports) {
+      const time = new Date(report.time).toISOString().substring(11, 16);
+      context.reply(`[${time}] ${report.reporter.username} reported ${report.target.username}: ${report.reason}`);
+    }
+  }
+});
+
 // Handle bot player updates
 function handleBotUpdate(data) {
   // This function is deprecated as NPCs are now server-controlled
@@ -2321,23 +5809,9 @@ function createNpc(npcData = {}) {
   console.log(`Creating NPC ${id} at position (${npc.position.x}, ${npc.position.y}, ${npc.position.z})`);
   console.log(`Original spawn position set to (${npc.originalSpawnPosition.x}, ${npc.originalSpawnPosition.y}, ${npc.originalSpawnPosition.z})`);
   
-  // Store NPC in the collection
+  // Store NPC in the collection, nearby clients are told about it on the next tick
   npcs.set(id, npc);
   
-  // Broadcast to all clients that a new NPC has joined
-  broadcastToAll({
-    type: 'playerJoined',
-    id: id,
-    username: npc.username,
-    position: npc.position,
-    rotation: npc.rotation,
-    health: npc.health,
-    isWalking: npc.isWalking,
-    isAiming: npc.isAiming,
-    isShooting: npc.isShooting,
-    isNpc: true  // Mark as NPC for clients
-  });
-  
   console.log(`Created server-controlled NPC: ${id} (${npc.username})`);
   return id;
 }
@@ -2369,9 +5843,11 @@ function removeNpc(npcId) {
   
   // Remove the NPC from our collection
   npcs.delete(npcId);
+  snapshotEntries.delete(npcId);
+  forgetSnapshotEntity(npcId);
   
-  // Broadcast to all clients that the NPC has left
-  broadcastToAll({
+  // Tell the clients that could see the NPC that it has left
+  sendToPlayers(interest.remove(npcId), {
     type: 'playerLeft',
     id: npcId
   });
@@ -2380,7 +5856,7 @@ function removeNpc(npcId) {
 }
 
 /**
- * Broadcast an NPC's current state to all clients
+ * Queue an NPC's current state for the next snapshot to all clients
  * @param {string} npcId - The ID of the NPC to broadcast
  */
 function broadcastNpcState(npcId) {
@@ -2393,8 +5869,7 @@ function broadcastNpcState(npcId) {
   npc.lastBroadcastTime = currentTime;
   
   // Create the update data packet
-  const updateData = {
-    type: 'playerUpdate',
+  snapshotEntries.set(npc.id, {
     id: npc.id,
     username: npc.username,
     position: npc.position,
@@ -2404,10 +5879,7 @@ function broadcastNpcState(npcId) {
     isAiming: npc.isAiming,
     isShooting: npc.isShooting,
     isNpc: true  // Mark as NPC
-  };
-  
-  // Broadcast to all clients
-  broadcastToAll(updateData);
+  });
 }
 
 /**
@@ -2536,10 +6008,10 @@ function spawnTownNpc(name = "Town Resident") {
   });
 }
 
-// Setup NPC update interval
-const NPC_UPDATE_INTERVAL = 16; // ms (approximately 60 fps)
-setInterval(() => {
-  // Update all NPCs
+/**
+ * Move every NPC along its path, toward its target or back to spawn. Run by gameTick.
+ */
+function updateNpcs() {
   npcs.forEach((npc, npcId) => {
     // If NPC is following a target, update movement to follow the player
     if (npc.isFollowingTarget && npc.targetPlayer && players.has(npc.targetPlayer)) {
@@ -2556,7 +6028,7 @@ setInterval(() => {
     
     broadcastNpcState(npcId);
   });
-}, NPC_UPDATE_INTERVAL);
+}
 
 /**
  * Convert degrees to radians
@@ -2828,33 +6300,38 @@ function npcShootAtPlayer(npcId, targetPlayerId) {
     z: npc.position.z
   };
   
-  // Create a server-side bullet
+  // Create a server-side bullet (NPCs carry the default sidearm)
+  const npcWeapon = getWeapon(DEFAULT_WEAPON);
   const bulletId = nextBulletId++;
   const now = Date.now();
   
   const bullet = {
     id: bulletId,
     sourcePlayerId: npcId,  // Use NPC ID as source
-    position: bulletPosition,
+    position: { ...bulletPosition },
     direction: normalizedDir,
     distanceTraveled: 0,
-    maxDistance: GAME_CONSTANTS.MAX_BULLET_DISTANCE,
-    speed: GAME_CONSTANTS.BULLET_SPEED,
+    maxDistance: npcWeapon.range,
+    speed: npcWeapon.projectileSpeed,
     timeCreated: now,
-    active: true
+    lastUpdateTime: now,
+    weaponId: DEFAULT_WEAPON,
+    active: true,
+    isNpcBullet: true
   };
   
   // Add to active bullets
   activeBullets.set(bulletId, bullet);
   
-  // Broadcast gunshot to all clients for visual and audio effects
-  broadcastToAll({
+  // Broadcast gunshot to nearby clients for visual and audio effects
+  broadcastToObservers(npcId, {
     type: 'playerShoot', // Match the player shoot event type exactly
     id: npcId,
     bulletId: bulletId,
     bulletData: {
       position: bulletPosition,
-      direction: normalizedDir
+      direction: normalizedDir,
+      weaponId: DEFAULT_WEAPON
     },
     isNpc: true
   });
@@ -2882,8 +6359,9 @@ function npcShootAtPlayer(npcId, targetPlayerId) {
       }
     };
     
-    // Apply damage to player (40 damage for body shot)
-    targetPlayer.health = Math.max(0, targetPlayer.health - 40);
+    // Apply damage to player (a body shot from the NPC's weapon)
+    const damage = getHitDamage(DEFAULT_WEAPON, 'body');
+    targetPlayer.health = Math.max(0, targetPlayer.health - damage);
     
     // Notify player of hit
     if (targetPlayer.ws && targetPlayer.ws.readyState === WebSocket.OPEN) {
@@ -2893,24 +6371,24 @@ function npcShootAtPlayer(npcId, targetPlayerId) {
         hitData: {
           position: hitData.position,
           hitZone: 'body',
-          damage: 40 // Explicitly include damage value
+          damage: damage // Explicitly include damage value
         },
         hitZone: 'body',
         health: targetPlayer.health,
         isNpc: true,
-        damage: 40 // Include damage at top level for backwards compatibility
+        damage: damage // Include damage at top level for backwards compatibility
       }));
     }
     
-    // Broadcast hit to all players for visual effects
-    broadcastToAll({
+    // Broadcast hit to nearby players for visual effects
+    broadcastToObservers(targetPlayerId, {
       type: 'playerHit',
       targetId: targetPlayerId,
       sourceId: npcId,
       hitPosition: hitData.position,
       health: targetPlayer.health,
       hitZone: 'body',
-      damage: 40,
+      damage: damage,
       isNpc: true
     });
     
@@ -2969,6 +6447,7 @@ function handleNpcDeath(npcId, killedById) {
   if (!npc) return;
   
   console.log(`NPC ${npcId} (${npc.username}) was killed by player ${killedById}`);
+  gameEvents.log('kill', { player: describeForEventLog(killedById), target: describeForEventLog(npcId) });
   
   // Clean up any shooting interval
   if (npc.shootIntervalId) {
@@ -3026,8 +6505,8 @@ function handleNpcDeath(npcId, killedById) {
   
   console.log(`NPC will respawn at position: (${spawnPosition.x}, ${spawnPosition.y}, ${spawnPosition.z}) with rotation y=${originalRotation.y}`);
   
-  // Send death notification to all clients
-  broadcastToAll({
+  // Send death notification to nearby clients
+  broadcastToObservers(npcId, {
     type: 'playerDeath',
     id: npcId,
     killedById: killedById,
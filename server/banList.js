@@ -0,0 +1,170 @@
+// server/banList.js
+// Bans by clientId or IP address, checked as players connect. A ban can be permanent or
+// run out; all of them are kept in a JSON file so a restart doesn't let anyone back in.
+const fs = require('fs');
+const path = require('path');
+
+// What a ban can match: the browser's stored clientId or the connection's IP. Wallet addresses
+// aren't one, the client reports its own with no proof that it owns it
+const BAN_TYPES = ['clientId', 'ip'];
+
+/**
+ * @param {string} type - One of BAN_TYPES
+ * @param {string} value - The banned clientId or IP
+ * @returns {string} The ban's key
+ */
+function banKey(type, value) {
+  return `${type}:${value}`;
+}
+
+class BanList {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.filePath - Where to keep bans, null to keep them in memory only
+   * @param {number} options.saveDelay - ms to batch changes before writing
+   */
+  constructor({ filePath = null, saveDelay = 1000 } = {}) {
+    this.filePath = filePath;
+    this.saveDelay = saveDelay;
+    this.bans = new Map(); // key -> { type, value, reason, by, createdAt, expiresAt }
+    this.saveTimer = null;
+
+    for (const ban of this.load()) {
+      this.bans.set(banKey(ban.type, ban.value), ban);
+    }
+    console.log(`Ban list loaded ${this.bans.size} bans`);
+  }
+
+  /**
+   * @returns {Array<Object>} Stored bans
+   */
+  load() {
+    if (!this.filePath) return [];
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(data.bans) ? data.bans.filter(ban => BAN_TYPES.includes(ban.type)) : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read ban list ${this.filePath}: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Ban a clientId or IP, replacing any earlier ban on it.
+   * @param {Object} ban
+   * @param {string} ban.type - One of BAN_TYPES
+   * @param {string} ban.value - What to ban
+   * @param {string} ban.reason - Shown to the player when they're turned away
+   * @param {string} ban.by - Who banned them
+   * @param {number|null} ban.duration - ms until the ban lifts, null for a permanent ban
+   * @param {number} now - Current time in ms
+   * @returns {Object} The stored ban
+   */
+  add({ type, value, reason, by, duration = null }, now = Date.now()) {
+    const ban = {
+      type,
+      value,
+      reason,
+      by,
+      createdAt: now,
+      expiresAt: duration ? now + duration : null
+    };
+    this.bans.set(banKey(type, value), ban);
+    this.scheduleSave();
+    return ban;
+  }
+
+  /**
+   * @param {string} type - One of BAN_TYPES
+   * @param {string} value - The banned clientId or IP
+   * @returns {boolean} True if there was a ban to lift
+   */
+  remove(type, value) {
+    const removed = this.bans.delete(banKey(type, value));
+    if (removed) {
+      this.scheduleSave();
+    }
+    return removed;
+  }
+
+  /**
+   * Find the ban that keeps someone out, if any.
+   * @param {Object} identity - { clientId, ip }, either of which may be missing
+   * @param {number} now - Current time in ms
+   * @returns {Object|null} The first ban still in force
+   */
+  find(identity, now = Date.now()) {
+    for (const type of BAN_TYPES) {
+      if (!identity[type]) continue;
+
+      const ban = this.bans.get(banKey(type, identity[type]));
+      if (ban && (!ban.expiresAt || ban.expiresAt > now)) {
+        return ban;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {number} now - Current time in ms
+   * @returns {Array<Object>} Bans still in force, newest first
+   */
+  list(now = Date.now()) {
+    return Array.from(this.bans.values())
+      .filter(ban => !ban.expiresAt || ban.expiresAt > now)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Drop bans that have run out.
+   * @param {number} now - Current time in ms
+   */
+  prune(now) {
+    let pruned = false;
+    for (const [key, ban] of this.bans) {
+      if (ban.expiresAt && ban.expiresAt <= now) {
+        this.bans.delete(key);
+        pruned = true;
+      }
+    }
+    if (pruned) {
+      this.scheduleSave();
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer || !this.filePath) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, this.saveDelay);
+  }
+
+  /**
+   * Writes all bans now. Called on shutdown so a fresh ban isn't lost.
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.filePath) return;
+
+    try {
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, bans: Array.from(this.bans.values()) }, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error(`Failed to save ban list: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  BAN_TYPES,
+  BanList
+};
@@ -0,0 +1,234 @@
+// server/binaryProtocol.js
+// Compact binary encoding for the two busiest messages, offered to clients that ask for it on
+// connect (?protocol=binary); everything else, and every client that doesn't ask, stays on JSON.
+// Message type ids, quantization and field order live in public/data/protocol.json; quantization,
+// the field mask and the update layout are implemented once in public/js/protocolCodec.js, which
+// the browser side (public/js/binaryProtocol.js) uses too. All numbers are little-endian.
+//
+//   update (client -> server), 26 bytes:
+//     u8 type, u32 sequenceNumber, u32 ackTick, i32 x, i32 y, i32 z, u16 rotation, u8 flags,
+//     u8 health, i8 quickDrawLobbyIndex
+//
+//   worldSnapshot (server -> client):
+//     u8 type, u32 tick, u32 baseTick, f64 serverTime, u16 count, then per entity:
+//     id (u8 0 + u32 number, or u8 1 + u8 length + UTF-8 string), u8 field mask, then the fields
+//     the mask names, in snapshotFields order: position (i32 x3, or i16 x3 when positionDelta is
+//     set), u16 rotation, u8 flags, u8 health, u8 length + UTF-8 username, i8 quickDrawLobbyIndex,
+//     u8 activeWeapon (index into the weapon registry)
+//
+// Snapshots are deltas: a field only goes out when it differs from what the client had for that
+// entity as of baseTick, the last snapshot the client acknowledged in an update.
+const protocol = require('../public/data/protocol.json');
+const { createCodec } = require('../public/js/protocolCodec.js');
+const { WEAPONS } = require('./weapons');
+
+const MESSAGE_TYPES = protocol.messageTypes;
+const WEAPON_IDS = Object.keys(WEAPONS);
+const NO_WEAPON = 255;
+
+const { FIELD, quantizePosition, quantizeRotation, packFlags, decodeUpdate } = createCodec(protocol);
+
+/**
+ * Reduce a snapshot entry (the object server.js would send as JSON) to the quantized values that
+ * go on the wire, so deltas compare exactly what the client will see.
+ * @param {Object} entry - { id, position, rotation, health, username, ... }
+ * @returns {Object} The entity's wire state
+ */
+function toWireState(entry) {
+  const position = entry.position || { x: 0, y: 0, z: 0 };
+  const weaponIndex = WEAPON_IDS.indexOf(entry.activeWeapon);
+  return {
+    x: quantizePosition(position.x),
+    y: quantizePosition(position.y),
+    z: quantizePosition(position.z),
+    rotation: quantizeRotation(entry.rotation),
+    flags: packFlags(entry),
+    health: Math.max(0, Math.min(255, Math.round(entry.health || 0))),
+    username: String(entry.username || '').substring(0, 60), // At most 240 bytes of UTF-8
+    quickDrawLobbyIndex: Number.isInteger(entry.quickDrawLobbyIndex) ? Math.max(-128, Math.min(127, entry.quickDrawLobbyIndex)) : -1,
+    activeWeapon: weaponIndex === -1 ? NO_WEAPON : weaponIndex
+  };
+}
+
+/**
+ * @param {Buffer} buffer - A binary message from a client
+ * @returns {Object|null} The same object the client would have sent as JSON, null if malformed
+ */
+function decodeClientMessage(buffer) {
+  const message = decodeUpdate(new DataView(buffer.buffer, buffer.byteOffset, buffer.length));
+  if (!message) return null;
+
+  // Only the server says who is walking or an NPC
+  delete message.isWalking;
+  delete message.isNpc;
+  return message;
+}
+
+/**
+ * What one binary client has been sent, so the next snapshot can be a delta against what it has.
+ */
+class SnapshotBaselines {
+  constructor() {
+    this.ackTick = 0;
+    this.entities = new Map(); // entity id -> [{ tick, state }], oldest first
+  }
+
+  /**
+   * @param {number} tick - Latest snapshot the client says it has decoded
+   * @param {number} currentTick - Latest snapshot sent, acks past it are ignored
+   */
+  acknowledge(tick, currentTick) {
+    if (Number.isInteger(tick) && tick > this.ackTick && tick <= currentTick) {
+      this.ackTick = tick;
+    }
+  }
+
+  /**
+   * @param {string|number} id - Entity id
+   * @returns {Object|null} The entity's wire state as of the acknowledged tick
+   */
+  get(id) {
+    const history = this.entities.get(id);
+    if (!history) return null;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].tick <= this.ackTick) return history[i].state;
+    }
+    return null;
+  }
+
+  /**
+   * @param {string|number} id - Entity id
+   * @param {number} tick - Snapshot the state went out in
+   * @param {Object} state - Wire state
+   */
+  record(id, tick, state) {
+    let history = this.entities.get(id);
+    if (!history) {
+      history = [];
+      this.entities.set(id, history);
+    }
+
+    history.push({ tick, state });
+    // The client keeps the same number, so anything still here is something it can decode against
+    if (history.length > protocol.snapshotHistory) {
+      history.shift();
+    }
+  }
+
+  /**
+   * Forget an entity the client was told has left; it'll get a full state if it comes back.
+   * @param {string|number} id - Entity id
+   */
+  forget(id) {
+    this.entities.delete(id);
+  }
+}
+
+/**
+ * Small append-only writer over a Buffer big enough for the message.
+ */
+class Writer {
+  constructor(size) {
+    this.buffer = Buffer.allocUnsafe(size);
+    this.offset = 0;
+  }
+
+  u8(value) { this.offset = this.buffer.writeUInt8(value, this.offset); }
+  i8(value) { this.offset = this.buffer.writeInt8(value, this.offset); }
+  u16(value) { this.offset = this.buffer.writeUInt16LE(value, this.offset); }
+  i16(value) { this.offset = this.buffer.writeInt16LE(value, this.offset); }
+  u32(value) { this.offset = this.buffer.writeUInt32LE(value, this.offset); }
+  i32(value) { this.offset = this.buffer.writeInt32LE(value, this.offset); }
+  f64(value) { this.offset = this.buffer.writeDoubleLE(value, this.offset); }
+
+  string(value) {
+    const bytes = Buffer.from(value, 'utf8').subarray(0, 255);
+    this.u8(bytes.length);
+    this.offset += bytes.copy(this.buffer, this.offset);
+  }
+
+  finish() {
+    return this.buffer.subarray(0, this.offset);
+  }
+}
+
+/**
+ * @param {number} delta - Difference between two quantized positions
+ * @returns {boolean} Whether it fits in an i16
+ */
+function fitsInt16(delta) {
+  return delta >= -32768 && delta <= 32767;
+}
+
+/**
+ * Encode one snapshot for one client, as a delta against what it has acknowledged, and
+ * remember what it was sent.
+ * @param {Object} snapshot
+ * @param {number} snapshot.tick - This snapshot's number
+ * @param {number} snapshot.serverTime - The tick's server time
+ * @param {Array<Object>} snapshot.entries - { id, state } with state from toWireState
+ * @param {SnapshotBaselines} baselines - The client's
+ * @returns {Buffer}
+ */
+function encodeWorldSnapshot({ tick, serverTime, entries }, baselines) {
+  // Worst case per entity: 2 + 255 id, 1 mask, 12 position, 2 rotation, 3 bytes of small fields, 1 + 255 username
+  const writer = new Writer(19 + entries.length * 531);
+  writer.u8(MESSAGE_TYPES.worldSnapshot);
+  writer.u32(tick);
+  writer.u32(baselines.ackTick);
+  writer.f64(serverTime);
+  writer.u16(entries.length);
+
+  for (const { id, state } of entries) {
+    const base = baselines.get(id);
+
+    if (typeof id === 'number') {
+      writer.u8(0);
+      writer.u32(id);
+    } else {
+      writer.u8(1);
+      writer.string(String(id));
+    }
+
+    let mask = 0;
+    const deltaPosition = base && fitsInt16(state.x - base.x) && fitsInt16(state.y - base.y) && fitsInt16(state.z - base.z);
+    if (!base || state.x !== base.x || state.y !== base.y || state.z !== base.z) {
+      mask |= FIELD.position | (deltaPosition ? FIELD.positionDelta : 0);
+    }
+    for (const name of ['rotation', 'flags', 'health', 'username', 'quickDrawLobbyIndex', 'activeWeapon']) {
+      if (!base || state[name] !== base[name]) mask |= FIELD[name];
+    }
+    writer.u8(mask);
+
+    if (mask & FIELD.position) {
+      if (mask & FIELD.positionDelta) {
+        writer.i16(state.x - base.x);
+        writer.i16(state.y - base.y);
+        writer.i16(state.z - base.z);
+      } else {
+        writer.i32(state.x);
+        writer.i32(state.y);
+        writer.i32(state.z);
+      }
+    }
+    if (mask & FIELD.rotation) writer.u16(state.rotation);
+    if (mask & FIELD.flags) writer.u8(state.flags);
+    if (mask & FIELD.health) writer.u8(state.health);
+    if (mask & FIELD.username) writer.string(state.username);
+    if (mask & FIELD.quickDrawLobbyIndex) writer.i8(state.quickDrawLobbyIndex);
+    if (mask & FIELD.activeWeapon) writer.u8(state.activeWeapon);
+
+    baselines.record(id, tick, state);
+  }
+
+  return writer.finish();
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  toWireState,
+  decodeClientMessage,
+  encodeWorldSnapshot,
+  SnapshotBaselines
+};
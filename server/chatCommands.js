@@ -0,0 +1,96 @@
+// server/chatCommands.js
+// Slash commands typed into chat, e.g. "/w Sheriff meet me at the saloon". server.js registers the
+// commands because they need the game state; this module parses input, checks permissions and dispatches.
+
+/**
+ * Split a chat line into a command name and its argument text.
+ * @param {string} message - Raw chat input
+ * @returns {Object|null} { name, args } with the name lowercased, or null if it isn't a command
+ */
+function parseCommand(message) {
+  if (typeof message !== 'string') return null;
+
+  const match = /^\/(\S+)\s*(.*)$/s.exec(message.trim());
+  if (!match) return null;
+
+  return { name: match[1].toLowerCase(), args: match[2].trim() };
+}
+
+class ChatCommandRegistry {
+  constructor() {
+    this.commands = new Map(); // name -> command
+    this.aliases = new Map();  // alias -> name
+  }
+
+  /**
+   * Add a command.
+   * @param {Object} command
+   * @param {string} command.name - Typed after the slash, lowercase
+   * @param {Array<string>} [command.aliases] - Other names for the same command
+   * @param {string} command.usage - e.g. '/w <player> <message>', shown by /help and on bad input
+   * @param {string} command.description - One line for /help
+   * @param {boolean} [command.adminOnly] - Hidden from and refused to non-admins
+   * @param {boolean} [command.rateLimited] - False for commands that only answer the caller
+   * @param {boolean} [command.allowWhileMuted] - Muted players may still use it
+   * @param {Function} command.run - (context, args) => false to show the usage line, anything else on success
+   */
+  register(command) {
+    const entry = {
+      aliases: [],
+      adminOnly: false,
+      rateLimited: true,
+      allowWhileMuted: false,
+      ...command
+    };
+
+    this.commands.set(entry.name, entry);
+    for (const alias of entry.aliases) {
+      this.aliases.set(alias, entry.name);
+    }
+  }
+
+  /**
+   * @param {string} name - A command name or alias, lowercase
+   * @returns {Object|null} The command
+   */
+  get(name) {
+    return this.commands.get(name) || this.commands.get(this.aliases.get(name)) || null;
+  }
+
+  /**
+   * Commands a player may use, for /help and the client's autocomplete.
+   * @param {boolean} isAdmin - Include admin-only commands
+   * @returns {Array<Object>} { name, aliases, usage, description, adminOnly, rateLimited }
+   */
+  list(isAdmin) {
+    return Array.from(this.commands.values())
+      .filter(command => isAdmin || !command.adminOnly)
+      .map(({ name, aliases, usage, description, adminOnly, rateLimited }) => ({
+        name, aliases, usage, description, adminOnly, rateLimited
+      }));
+  }
+
+  /**
+   * Run a parsed command. Unknown and forbidden commands are answered through context.reply.
+   * @param {Object} context - { playerId, player, channel, isAdmin, reply(text) }
+   * @param {Object} parsed - From parseCommand
+   */
+  execute(context, parsed) {
+    const command = this.get(parsed.name);
+
+    // Admin commands stay invisible to everyone else
+    if (!command || (command.adminOnly && !context.isAdmin)) {
+      context.reply(`Unknown command /${parsed.name}. Type /help for a list.`);
+      return;
+    }
+
+    if (command.run(context, parsed.args) === false) {
+      context.reply(`Usage: ${command.usage}`);
+    }
+  }
+}
+
+module.exports = {
+  parseCommand,
+  ChatCommandRegistry
+};
@@ -0,0 +1,250 @@
+// server/chatModeration.js
+// Chat moderation rules: the word filter, mute durations, spam strikes and the player report log.
+// server.js decides who gets moderated and stores mutes on the player profiles.
+const fs = require('fs');
+const path = require('path');
+
+const MODERATION = {
+  REPEAT_WINDOW: 30000,      // ms in which sending the same line again counts as a repeat
+  REPEAT_LIMIT: 3,           // The third identical line in a row earns a strike
+  STRIKES_TO_MUTE: 3,        // Strikes (flooding or repeats) before an automatic mute
+  STRIKE_DECAY: 60000,       // ms before a strike is forgotten
+  // Automatic mutes get longer with each offence, the last step repeats
+  AUTO_MUTE_STEPS: [30000, 120000, 600000, 3600000],
+  OFFENCE_RESET: 3600000,    // ms without strikes before a player's offences are forgiven
+  MAX_MUTE: 30 * 24 * 3600000,
+  REPORT_COOLDOWN: 60000,    // ms between reports from the same player
+  EVIDENCE_MESSAGES: 5       // Recent lines of the reported player kept with a report
+};
+
+// Used when CHAT_FILTER_WORDS / CHAT_FILTER_PATH don't say otherwise
+const DEFAULT_FILTER_WORDS = ['fuck', 'shit', 'cunt', 'bitch', 'asshole', 'nigger', 'faggot', 'retard'];
+
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 24 * 3600000 };
+
+/**
+ * Load the filter list. A filter file is a JSON array or one word per line.
+ * @param {Object} options
+ * @param {string} options.words - Comma-separated words, e.g. from CHAT_FILTER_WORDS
+ * @param {string} options.filePath - Optional filter file, e.g. from CHAT_FILTER_PATH
+ * @returns {Array<string>} Lowercased words, DEFAULT_FILTER_WORDS if nothing was configured
+ */
+function loadFilterWords({ words = '', filePath = null } = {}) {
+  let list = words.split(',');
+
+  if (filePath) {
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      list = list.concat(content.trim().startsWith('[') ? JSON.parse(content) : content.split(/\r?\n/));
+    } catch (error) {
+      console.error(`Failed to read chat filter ${filePath}: ${error.message}`);
+    }
+  }
+
+  list = list.map(word => String(word).trim().toLowerCase()).filter(Boolean);
+  return list.length > 0 ? Array.from(new Set(list)) : DEFAULT_FILTER_WORDS.slice();
+}
+
+/**
+ * Build a filter that stars out listed words, including longer forms ("shitty") and spellings
+ * padded with repeated letters ("shiiit").
+ * @param {Array<string>} words - Lowercased words
+ * @returns {Function} text => { text, filtered }
+ */
+function createWordFilter(words) {
+  if (words.length === 0) {
+    return text => ({ text, filtered: false });
+  }
+
+  const patterns = words.map(word => Array.from(word)
+    .map(char => char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '+')
+    .join(''));
+  const regex = new RegExp(`\\b(?:${patterns.join('|')})[a-z]*`, 'gi');
+
+  return text => {
+    let filtered = false;
+    const result = text.replace(regex, match => {
+      filtered = true;
+      return '*'.repeat(match.length);
+    });
+    return { text: result, filtered };
+  };
+}
+
+/**
+ * Parse a mute length typed by an admin.
+ * @param {string} text - e.g. '30s', '10m', '2h', '1d' or plain minutes ('15')
+ * @returns {number|null} ms, capped at MODERATION.MAX_MUTE, or null if it isn't a duration
+ */
+function parseDuration(text) {
+  const match = /^(\d+)([smhd]?)$/i.exec(String(text).trim());
+  if (!match) return null;
+
+  const amount = Number(match[1]) * DURATION_UNITS[(match[2] || 'm').toLowerCase()];
+  return amount > 0 ? Math.min(amount, MODERATION.MAX_MUTE) : null;
+}
+
+/**
+ * @param {number} ms - A duration
+ * @returns {string} e.g. '45s', '10m', '2h', '3d'
+ */
+function formatDuration(ms) {
+  if (ms < DURATION_UNITS.m) return `${Math.ceil(ms / DURATION_UNITS.s)}s`;
+  if (ms < DURATION_UNITS.h) return `${Math.ceil(ms / DURATION_UNITS.m)}m`;
+  if (ms < DURATION_UNITS.d) return `${Math.ceil(ms / DURATION_UNITS.h)}h`;
+  return `${Math.ceil(ms / DURATION_UNITS.d)}d`;
+}
+
+/**
+ * Counts spam strikes per player and hands out escalating mutes. Keyed by clientId so
+ * reconnecting doesn't wipe the slate.
+ */
+class SpamTracker {
+  constructor() {
+    this.records = new Map(); // key -> { strikes: [times], offences, lastOffence, lastText, repeats, lastMessageTime }
+  }
+
+  /**
+   * @param {string} key - The player's clientId (or another stable key)
+   * @returns {Object} The player's record, created on first use
+   */
+  get(key) {
+    let record = this.records.get(key);
+    if (!record) {
+      record = { strikes: [], offences: 0, lastOffence: 0, lastText: null, repeats: 0, lastMessageTime: 0 };
+      this.records.set(key, record);
+    }
+    return record;
+  }
+
+  /**
+   * Note a message that got through the rate limit. Saying the same thing over and over is a strike.
+   * @param {string} key - The sender
+   * @param {string} text - What they said
+   * @param {number} now - Current time in ms
+   * @returns {number|null} Mute length in ms if this earned an automatic mute
+   */
+  recordMessage(key, text, now) {
+    const record = this.get(key);
+    const normalized = text.toLowerCase().replace(/\s+/g, ' ');
+
+    if (normalized === record.lastText && now - record.lastMessageTime < MODERATION.REPEAT_WINDOW) {
+      record.repeats++;
+    } else {
+      record.lastText = normalized;
+      record.repeats = 1;
+    }
+    record.lastMessageTime = now;
+
+    if (record.repeats >= MODERATION.REPEAT_LIMIT) {
+      record.repeats = 0;
+      return this.strike(key, now);
+    }
+    return null;
+  }
+
+  /**
+   * Add a strike, e.g. for a message that hit the rate limit.
+   * @param {string} key - The offender
+   * @param {number} now - Current time in ms
+   * @returns {number|null} Mute length in ms if this earned an automatic mute
+   */
+  strike(key, now) {
+    const record = this.get(key);
+    record.strikes = record.strikes.filter(time => now - time < MODERATION.STRIKE_DECAY);
+    record.strikes.push(now);
+
+    if (record.strikes.length < MODERATION.STRIKES_TO_MUTE) return null;
+
+    if (now - record.lastOffence > MODERATION.OFFENCE_RESET) {
+      record.offences = 0;
+    }
+    record.strikes = [];
+    record.offences++;
+    record.lastOffence = now;
+
+    const steps = MODERATION.AUTO_MUTE_STEPS;
+    return steps[Math.min(record.offences, steps.length) - 1];
+  }
+
+  /**
+   * Drop players with nothing left to remember.
+   * @param {number} now - Current time in ms
+   */
+  prune(now) {
+    for (const [key, record] of this.records) {
+      const strikesExpired = record.strikes.every(time => now - time >= MODERATION.STRIKE_DECAY);
+      const offencesForgiven = now - record.lastOffence > MODERATION.OFFENCE_RESET;
+      const repeatsExpired = now - record.lastMessageTime >= MODERATION.REPEAT_WINDOW;
+      if (strikesExpired && offencesForgiven && repeatsExpired) {
+        this.records.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Player reports, newest kept in memory for /reports and every one appended to a JSON-lines file.
+ */
+class ReportLog {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.filePath - JSON-lines file to append to, null to keep reports in memory only
+   * @param {number} options.maxRecent - Reports kept in memory
+   */
+  constructor({ filePath = null, maxRecent = 50 } = {}) {
+    this.filePath = filePath;
+    this.maxRecent = maxRecent;
+    this.reports = [];
+    this.lastReportTime = new Map(); // reporter key -> time of their last report
+  }
+
+  /**
+   * @param {string} reporterKey - The reporting player's clientId (or another stable key)
+   * @param {number} now - Current time in ms
+   * @returns {number} ms until they may report again, 0 if they may now
+   */
+  cooldownLeft(reporterKey, now) {
+    const last = this.lastReportTime.get(reporterKey) || 0;
+    return Math.max(0, last + MODERATION.REPORT_COOLDOWN - now);
+  }
+
+  /**
+   * @param {string} reporterKey - The reporting player's clientId (or another stable key)
+   * @param {Object} report - { time, reporter, target, reason, evidence }
+   */
+  add(reporterKey, report) {
+    this.lastReportTime.set(reporterKey, report.time);
+    this.reports.push(report);
+    if (this.reports.length > this.maxRecent) {
+      this.reports.shift();
+    }
+
+    if (!this.filePath) return;
+    fs.mkdir(path.dirname(this.filePath), { recursive: true }, () => {
+      fs.appendFile(this.filePath, JSON.stringify(report) + '\n', (error) => {
+        if (error) {
+          console.error(`Failed to save chat report: ${error.message}`);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {number} limit - Maximum reports to return
+   * @returns {Array<Object>} Newest first
+   */
+  recent(limit) {
+    return this.reports.slice(-limit).reverse();
+  }
+}
+
+module.exports = {
+  MODERATION,
+  loadFilterWords,
+  createWordFilter,
+  parseDuration,
+  formatDuration,
+  SpamTracker,
+  ReportLog
+};
@@ -0,0 +1,148 @@
+// server/eventLog.js
+// Structured game events (joins, shots, hits, kills, duels, chat) written as JSON lines for balance
+// analysis and cheat investigations. The file rotates once it reaches a size limit, and the latest
+// events are also kept in memory so the admin API can search them without reading the files.
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param {Object} event - A logged event
+ * @returns {Array<Object>} Every player the event names ({ id, username, clientId })
+ */
+function getEventPlayers(event) {
+  return [event.player, event.target, ...(event.players || [])].filter(Boolean);
+}
+
+class EventLog {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.filePath - JSON-lines file, null to keep events in memory only
+   * @param {number} options.maxBytes - Rotate the file once it grows past this
+   * @param {number} options.maxFiles - Rotated files to keep: events.jsonl.1 is the newest, older ones are deleted
+   * @param {number} options.recentSize - Events kept in memory for query()
+   * @param {number} options.flushDelay - ms to batch writes
+   */
+  constructor({ filePath = null, maxBytes = 10 * 1024 * 1024, maxFiles = 5, recentSize = 5000, flushDelay = 1000 } = {}) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = Math.max(1, maxFiles);
+    this.recentSize = recentSize;
+    this.flushDelay = flushDelay;
+    this.recent = [];
+    this.pending = []; // Serialized events waiting for the next write
+    this.flushTimer = null;
+    this.size = this.getFileSize();
+  }
+
+  /**
+   * @returns {number} Bytes already in the current file
+   */
+  getFileSize() {
+    if (!this.filePath) return 0;
+
+    try {
+      return fs.statSync(this.filePath).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Record an event.
+   * @param {string} type - e.g. 'join', 'shot', 'hit', 'kill', 'duelStart', 'duelEnd', 'chat'
+   * @param {Object} fields - Anything else worth keeping; players go in player, target or players
+   * @returns {Object} The event as stored
+   */
+  log(type, fields = {}) {
+    const event = { time: Date.now(), type, ...fields };
+
+    this.recent.push(event);
+    if (this.recent.length > this.recentSize) {
+      this.recent.shift();
+    }
+
+    if (this.filePath) {
+      this.pending.push(JSON.stringify(event));
+      this.scheduleFlush();
+    }
+    return event;
+  }
+
+  /**
+   * Search the events still in memory.
+   * @param {Object} filter
+   * @param {string} filter.player - A username (case-insensitive) or clientId the event has to name
+   * @param {Array<string>} filter.types - Only these event types
+   * @param {number} filter.since - Only events from this time (ms) on
+   * @param {number} filter.limit - Maximum events to return
+   * @returns {Array<Object>} Newest first
+   */
+  query({ player = null, types = null, since = 0, limit = 100 } = {}) {
+    const wanted = player ? player.toLowerCase() : null;
+    const matches = [];
+
+    for (let i = this.recent.length - 1; i >= 0 && matches.length < limit; i--) {
+      const event = this.recent[i];
+      if (event.time < since) break;
+      if (types && !types.includes(event.type)) continue;
+      if (wanted && !getEventPlayers(event).some(named =>
+        named.clientId === player || (named.username && named.username.toLowerCase() === wanted))) {
+        continue;
+      }
+      matches.push(event);
+    }
+
+    return matches;
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelay);
+  }
+
+  /**
+   * Write pending events now. Called on shutdown so the last second of play isn't lost.
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (!this.filePath || this.pending.length === 0) return;
+
+    const data = this.pending.join('\n') + '\n';
+    this.pending = [];
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, data);
+      this.size += Buffer.byteLength(data);
+      if (this.size >= this.maxBytes) {
+        this.rotate();
+      }
+    } catch (error) {
+      console.error(`Failed to write event log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Shift events.jsonl to events.jsonl.1, .1 to .2 and so on, dropping the oldest.
+   */
+  rotate() {
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = `${this.filePath}.${i}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.filePath}.${i + 1}`);
+      }
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+    this.size = 0;
+    console.log(`Rotated event log ${this.filePath}`);
+  }
+}
+
+module.exports = {
+  EventLog
+};
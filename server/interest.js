@@ -0,0 +1,179 @@
+// server/interest.js
+// Area-of-interest management: players and NPCs are bucketed into a grid of square cells on the
+// ground plane, and each player only hears about the entities within a radius of it. Every tick
+// server.js refreshes each player's view and tells the client which entities entered or left it.
+// An entity has to get a little further away to leave than it had to come to enter, so one
+// standing right at the edge doesn't pop in and out.
+
+class InterestGrid {
+  /**
+   * @param {Object} options
+   * @param {number} options.radius - Entities this close (horizontally) enter a player's view
+   * @param {number} options.leaveMargin - How much further than radius they have to go to leave it
+   */
+  constructor({ radius, leaveMargin = 0 }) {
+    this.radius = radius;
+    this.leaveRadius = radius + leaveMargin;
+    this.cellSize = this.leaveRadius; // So everything in range is in the 3x3 cells around an observer
+    this.cells = new Map();     // "cx,cz" -> Set of entity ids
+    this.entities = new Map();  // entity id -> { x, z, cell }
+    this.visible = new Map();   // observer id -> Set of entity ids its client knows about
+    this.observers = new Map(); // entity id -> Set of observer ids that can see it
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} z
+   * @returns {string} Key of the cell the point is in
+   */
+  cellKey(x, z) {
+    return `${Math.floor(x / this.cellSize)},${Math.floor(z / this.cellSize)}`;
+  }
+
+  /**
+   * Add an entity or move it to where it is now.
+   * @param {number|string} id - Player or NPC id
+   * @param {Object} position - { x, y, z }
+   */
+  setEntity(id, position) {
+    if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.z)) return;
+
+    const cell = this.cellKey(position.x, position.z);
+    let entity = this.entities.get(id);
+    if (!entity) {
+      entity = { x: position.x, z: position.z, cell: null };
+      this.entities.set(id, entity);
+    }
+    entity.x = position.x;
+    entity.z = position.z;
+
+    if (entity.cell === cell) return;
+    if (entity.cell !== null) {
+      this.removeFromCell(id, entity.cell);
+    }
+    if (!this.cells.has(cell)) {
+      this.cells.set(cell, new Set());
+    }
+    this.cells.get(cell).add(id);
+    entity.cell = cell;
+  }
+
+  /**
+   * @param {number|string} id - Entity id
+   * @param {string} cell - Cell key
+   */
+  removeFromCell(id, cell) {
+    const members = this.cells.get(cell);
+    if (!members) return;
+
+    members.delete(id);
+    if (members.size === 0) {
+      this.cells.delete(cell);
+    }
+  }
+
+  /**
+   * Drop an entity that left the game, both as something to see and as an observer.
+   * @param {number|string} id - Player or NPC id
+   * @returns {Array<number|string>} Observers that could see it, their clients still have it
+   */
+  remove(id) {
+    const entity = this.entities.get(id);
+    if (entity) {
+      this.removeFromCell(id, entity.cell);
+      this.entities.delete(id);
+    }
+
+    for (const entityId of this.visible.get(id) || []) {
+      const observers = this.observers.get(entityId);
+      if (observers) observers.delete(id);
+    }
+    this.visible.delete(id);
+
+    const observers = Array.from(this.observers.get(id) || []);
+    for (const observerId of observers) {
+      this.visible.get(observerId).delete(id);
+    }
+    this.observers.delete(id);
+    return observers;
+  }
+
+  /**
+   * Work out what an observer should see now and how that changed since the last refresh.
+   * @param {number|string} observerId - A player, already placed with setEntity
+   * @param {Array<number|string>} alwaysVisible - Entities it sees wherever they are (e.g. a duel opponent)
+   * @returns {Object} { entered, left }, arrays of entity ids
+   */
+  refresh(observerId, alwaysVisible = []) {
+    const observer = this.entities.get(observerId);
+    if (!this.visible.has(observerId)) {
+      this.visible.set(observerId, new Set());
+    }
+    const visible = this.visible.get(observerId);
+    const next = new Set(alwaysVisible.filter(id => id !== observerId && this.entities.has(id)));
+
+    if (observer) {
+      const cx = Math.floor(observer.x / this.cellSize);
+      const cz = Math.floor(observer.z / this.cellSize);
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          for (const id of this.cells.get(`${cx + dx},${cz + dz}`) || []) {
+            if (id === observerId) continue;
+
+            const entity = this.entities.get(id);
+            const distance = Math.hypot(entity.x - observer.x, entity.z - observer.z);
+            if (distance <= this.radius || (distance <= this.leaveRadius && visible.has(id))) {
+              next.add(id);
+            }
+          }
+        }
+      }
+    }
+
+    const entered = [];
+    const left = [];
+    for (const id of next) {
+      if (!visible.has(id)) entered.push(id);
+    }
+    for (const id of visible) {
+      if (!next.has(id)) left.push(id);
+    }
+
+    for (const id of entered) {
+      visible.add(id);
+      if (!this.observers.has(id)) {
+        this.observers.set(id, new Set());
+      }
+      this.observers.get(id).add(observerId);
+    }
+    for (const id of left) {
+      visible.delete(id);
+      const observers = this.observers.get(id);
+      if (observers) observers.delete(observerId);
+    }
+
+    return { entered, left };
+  }
+
+  /**
+   * @param {number|string} observerId - A player
+   * @param {number|string} entityId - A player or NPC
+   * @returns {boolean} Whether the observer's client has been told about the entity
+   */
+  canSee(observerId, entityId) {
+    const visible = this.visible.get(observerId);
+    return visible ? visible.has(entityId) : false;
+  }
+
+  /**
+   * @param {number|string} entityId - A player or NPC
+   * @returns {Set<number|string>} Players that can see it
+   */
+  observersOf(entityId) {
+    return this.observers.get(entityId) || new Set();
+  }
+}
+
+module.exports = {
+  InterestGrid
+};
@@ -0,0 +1,228 @@
+// server/leaderboard.js
+// Quick Draw duel results and the leaderboards built from them. Every decided duel is kept
+// in a results file; the boards rank the persisted player profiles so offline players still count.
+const fs = require('fs');
+const path = require('path');
+
+// Boards served by /api/leaderboard. value() reads a profile, null leaves the player off the board
+const LEADERBOARDS = {
+  wins: {
+    label: 'Most Wins',
+    ascending: false,
+    value: profile => profile.stats && profile.stats.duelWins > 0 ? profile.stats.duelWins : null
+  },
+  streak: {
+    label: 'Best Win Streak',
+    ascending: false,
+    value: profile => profile.stats && profile.stats.bestDuelStreak > 0 ? profile.stats.bestDuelStreak : null
+  },
+  reaction: {
+    label: 'Fastest Gun',
+    ascending: true, // ms from the draw signal, lower is better
+    value: profile => profile.stats && typeof profile.stats.fastestReaction === 'number' ? profile.stats.fastestReaction : null
+  },
+  rating: {
+    label: 'Rating',
+    ascending: false,
+    value: profile => profile.ratedDuels > 0 && typeof profile.rating === 'number' ? profile.rating : null
+  }
+};
+
+/**
+ * Rank profiles on one board. Ties keep whoever reached the value first at the top.
+ * @param {Iterable<Object>} profiles - Player profiles from the player store
+ * @param {string} board - A key of LEADERBOARDS
+ * @param {number} limit - Maximum entries to return
+ * @returns {Array<Object>|null} [{ rank, username, value, duelWins, duelLosses, currentStreak, rating }], null for unknown boards
+ */
+function getLeaderboard(profiles, board, limit) {
+  const definition = LEADERBOARDS[board];
+  if (!definition) return null;
+
+  const ranked = [];
+  for (const profile of profiles) {
+    const value = definition.value(profile);
+    if (value !== null) {
+      ranked.push({ profile, value });
+    }
+  }
+
+  ranked.sort((a, b) => {
+    if (a.value !== b.value) {
+      return definition.ascending ? a.value - b.value : b.value - a.value;
+    }
+    return (a.profile.createdAt || 0) - (b.profile.createdAt || 0);
+  });
+
+  // Only public fields leave the server, clientIds double as login identifiers
+  return ranked.slice(0, limit).map(({ profile, value }, index) => ({
+    rank: index + 1,
+    username: profile.username,
+    value,
+    duelWins: profile.stats.duelWins || 0,
+    duelLosses: profile.stats.duelLosses || 0,
+    currentStreak: profile.stats.duelStreak || 0,
+    rating: typeof profile.rating === 'number' ? profile.rating : null
+  }));
+}
+
+/**
+ * Keeps the most recent duel results in a JSON file, written the same way as the player store
+ * (temp file, then rename) so a crash never truncates it.
+ */
+class DuelResultStore {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.filePath - Where to keep results, null to keep them in memory only
+   * @param {number} options.maxResults - Oldest results are dropped past this many
+   * @param {number} options.saveDelay - ms to batch new results before writing
+   */
+  constructor({ filePath = null, maxResults = 1000, saveDelay = 2000 } = {}) {
+    this.filePath = filePath;
+    this.maxResults = maxResults;
+    this.saveDelay = saveDelay;
+    this.results = this.load();
+    this.saveTimer = null;
+    console.log(`Duel result store loaded ${this.results.length} results`);
+  }
+
+  /**
+   * @returns {Array<Object>} Stored results, oldest first
+   */
+  load() {
+    if (!this.filePath) return [];
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(data.results) ? data.results : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read duel results ${this.filePath}: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Store a finished duel and schedule a write.
+   * @param {Object} result - See recordQuickDrawResult in server.js
+   */
+  record(result) {
+    this.results.push(result);
+    if (this.results.length > this.maxResults) {
+      this.results.splice(0, this.results.length - this.maxResults);
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Most recent results first, optionally only those a username took part in.
+   * @param {number} limit - Maximum results to return
+   * @param {string} username - Optional, case-insensitive
+   * @returns {Array<Object>} Results without clientIds
+   */
+  recent(limit, username = null) {
+    const wanted = username ? username.toLowerCase() : null;
+    const matches = [];
+
+    for (let i = this.results.length - 1; i >= 0 && matches.length < limit; i--) {
+      const result = this.results[i];
+      if (wanted && result.winner.username.toLowerCase() !== wanted && result.loser.username.toLowerCase() !== wanted) {
+        continue;
+      }
+      matches.push(toPublicResult(result));
+    }
+
+    return matches;
+  }
+
+  /**
+   * A player's recent duels as they saw them: result, opponent, score and how they shot.
+   * @param {string} username - Case-insensitive
+   * @param {number} limit - Maximum matches to return
+   * @returns {Array<Object>} Newest first
+   */
+  history(username, limit) {
+    const wanted = username.toLowerCase();
+
+    return this.recent(limit, username).map(result => {
+      const won = result.winner.username.toLowerCase() === wanted;
+      const self = won ? result.winner : result.loser;
+      const opponent = won ? result.loser : result.winner;
+      return {
+        matchId: result.matchId,
+        duelId: result.duelId,
+        endedAt: result.endedAt,
+        result: won ? 'win' : 'loss',
+        isDirect: result.isDirect,
+        tournamentId: result.tournamentId || null,
+        bestOf: result.bestOf,
+        score: `${self.roundsWon}-${opponent.roundsWon}`,
+        opponent: { username: opponent.username, rating: opponent.rating },
+        reactionTime: self.reactionTime,
+        shots: self.shots || 0,
+        hits: self.hits || 0,
+        headshots: self.headshots || 0,
+        rating: self.rating,
+        ratingChange: self.ratingChange
+      };
+    });
+  }
+
+  /**
+   * @param {string} matchId - A finished duel's matchId (duel IDs repeat when the same two players meet again)
+   * @returns {Object|null} The duel's result without clientIds
+   */
+  get(matchId) {
+    for (let i = this.results.length - 1; i >= 0; i--) {
+      if (this.results[i].matchId === matchId) {
+        return toPublicResult(this.results[i]);
+      }
+    }
+    return null;
+  }
+
+  scheduleSave() {
+    if (this.saveTimer || !this.filePath) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, this.saveDelay);
+  }
+
+  /**
+   * Writes all results now. Called on shutdown so pending results aren't lost.
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.filePath) return;
+
+    try {
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, results: this.results }));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error(`Failed to save duel results: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * @param {Object} result - A stored result
+ * @returns {Object} The result with each side's clientId removed
+ */
+function toPublicResult(result) {
+  const { clientId: winnerClientId, ...winner } = result.winner;
+  const { clientId: loserClientId, ...loser } = result.loser;
+  return { ...result, winner, loser };
+}
+
+module.exports = {
+  LEADERBOARDS,
+  getLeaderboard,
+  DuelResultStore
+};
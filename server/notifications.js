@@ -0,0 +1,297 @@
+// server/notifications.js
+// Notifications for whoever runs the server ("Player joined", "Duel ended", "Banned ..."), sent to
+// pluggable sinks: Telegram, a generic JSON webhook, a Discord-style webhook and a local log file.
+// Each sink picks the events it wants and gets them in batches, at most one send per interval, so a
+// busy server doesn't spam. Every URL can point at a local HTTP stand-in for testing.
+const fs = require('fs');
+const path = require('path');
+
+// Events server.js sends, sinks subscribe to any of them
+const NOTIFICATION_EVENTS = ['join', 'leave', 'duel', 'tournament', 'report', 'ban', 'kick', 'error'];
+
+const NOTIFY = {
+  BATCH_DELAY: 2000,        // ms to collect events before sending them together
+  MIN_INTERVAL: 10000,      // ms between two sends to the same sink
+  MAX_BATCH: 20,            // Events per send, anything past this is only counted ("...and 5 more")
+  DISCORD_MAX_LENGTH: 2000  // Discord rejects longer messages
+};
+
+/**
+ * @param {Array<Object>} events - { event, message, time }
+ * @returns {string} One message per line
+ */
+function formatLines(events) {
+  return events.map(entry => entry.message).join('\n');
+}
+
+/**
+ * POST a JSON body, failing on any non-2xx answer.
+ * @param {string} url - Where to send it
+ * @param {Object} body - Sent as JSON
+ */
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Messages a Telegram chat through a bot.
+ */
+class TelegramSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - Bot token from @BotFather
+   * @param {string} options.chatId - Chat to post in
+   * @param {string} options.apiUrl - Optional Bot API base URL, e.g. a local stand-in
+   */
+  constructor({ token, chatId, apiUrl = null }) {
+    // Only loaded when Telegram is configured
+    const TelegramBot = require('node-telegram-bot-api');
+    this.name = 'telegram';
+    this.chatId = chatId;
+    this.bot = new TelegramBot(token, { polling: false, baseApiUrl: apiUrl || undefined });
+  }
+
+  send(events) {
+    return this.bot.sendMessage(this.chatId, formatLines(events));
+  }
+}
+
+/**
+ * POSTs { events: [{ event, message, time }] } to any URL.
+ */
+class WebhookSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Where to POST
+   */
+  constructor({ url }) {
+    this.name = 'webhook';
+    this.url = url;
+  }
+
+  send(events) {
+    return postJson(this.url, { events });
+  }
+}
+
+/**
+ * POSTs { content } the way Discord (and Slack-compatible) webhooks expect.
+ */
+class DiscordSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - The channel's webhook URL
+   */
+  constructor({ url }) {
+    this.name = 'discord';
+    this.url = url;
+  }
+
+  send(events) {
+    const content = formatLines(events);
+    return postJson(this.url, {
+      content: content.length > NOTIFY.DISCORD_MAX_LENGTH ? content.substring(0, NOTIFY.DISCORD_MAX_LENGTH - 1) + '…' : content
+    });
+  }
+}
+
+/**
+ * Appends each event as a JSON line to a local file.
+ */
+class LogFileSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - File to append to
+   */
+  constructor({ filePath }) {
+    this.name = 'log';
+    this.filePath = filePath;
+  }
+
+  async send(events) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, events.map(entry => JSON.stringify(entry) + '\n').join(''));
+  }
+}
+
+class Notifier {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - False drops every notification
+   * @param {Object} options.limits - Overrides for NOTIFY
+   */
+  constructor({ enabled = true, limits = {} } = {}) {
+    this.enabled = enabled;
+    this.limits = { ...NOTIFY, ...limits };
+    this.outlets = []; // { sink, events, queue, skipped, timer, lastSent }
+  }
+
+  /**
+   * @param {Object} sink - Anything with a name and send(events) returning a Promise
+   * @param {Array<string>|null} events - Events the sink wants, null for all of them
+   */
+  addSink(sink, events = null) {
+    this.outlets.push({
+      sink,
+      events: events ? new Set(events) : null,
+      queue: [],
+      skipped: 0,
+      timer: null,
+      lastSent: 0
+    });
+  }
+
+  /**
+   * Queue a notification for every sink that wants this event.
+   * @param {string} event - One of NOTIFICATION_EVENTS
+   * @param {string} message - Human-readable text
+   */
+  notify(event, message) {
+    if (!this.enabled) return;
+
+    const entry = { event, message, time: Date.now() };
+    for (const outlet of this.outlets) {
+      if (outlet.events && !outlet.events.has(event)) continue;
+
+      if (outlet.queue.length < this.limits.MAX_BATCH) {
+        outlet.queue.push(entry);
+      } else {
+        outlet.skipped++;
+      }
+      this.schedule(outlet);
+    }
+  }
+
+  /**
+   * Send the outlet's batch once the batch delay and its send interval have both passed.
+   * @param {Object} outlet - From addSink
+   */
+  schedule(outlet) {
+    if (outlet.timer) return;
+
+    const wait = Math.max(this.limits.BATCH_DELAY, outlet.lastSent + this.limits.MIN_INTERVAL - Date.now());
+    outlet.timer = setTimeout(() => {
+      outlet.timer = null;
+      this.send(outlet);
+    }, wait);
+  }
+
+  /**
+   * @param {Object} outlet - From addSink
+   * @returns {Promise} Settles once the sink has answered
+   */
+  async send(outlet) {
+    if (outlet.queue.length === 0) return;
+
+    const events = outlet.queue;
+    if (outlet.skipped > 0) {
+      events.push({ event: 'skipped', message: `...and ${outlet.skipped} more`, time: Date.now() });
+    }
+    outlet.queue = [];
+    outlet.skipped = 0;
+    outlet.lastSent = Date.now();
+
+    try {
+      await outlet.sink.send(events);
+    } catch (error) {
+      console.error(`Failed to send ${outlet.sink.name} notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send everything queued now, ignoring the batch delay and send interval. Called on shutdown.
+   * @returns {Promise} Settles once every sink has answered
+   */
+  flush() {
+    return Promise.all(this.outlets.map(outlet => {
+      if (outlet.timer) {
+        clearTimeout(outlet.timer);
+        outlet.timer = null;
+      }
+      return this.send(outlet);
+    }));
+  }
+}
+
+/**
+ * @param {string} text - Comma-separated events, e.g. 'join,duel,ban,error'
+ * @returns {Array<string>|null} Known events, null if none were given
+ */
+function parseEvents(text) {
+  if (!text) return null;
+
+  const events = text.split(',').map(event => event.trim().toLowerCase()).filter(Boolean);
+  for (const event of events) {
+    if (!NOTIFICATION_EVENTS.includes(event)) {
+      console.error(`Unknown notification event "${event}", expected one of ${NOTIFICATION_EVENTS.join(', ')}`);
+    }
+  }
+  return events.filter(event => NOTIFICATION_EVENTS.includes(event));
+}
+
+/**
+ * Builds the notifier from environment variables. A sink is only added when its settings are
+ * present, and NOTIFICATIONS=off turns everything off.
+ *   TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID, optional TELEGRAM_API_URL and TELEGRAM_EVENTS
+ *   NOTIFY_WEBHOOK_URL, optional NOTIFY_WEBHOOK_EVENTS
+ *   DISCORD_WEBHOOK_URL, optional DISCORD_EVENTS
+ *   NOTIFY_LOG_PATH, optional NOTIFY_LOG_EVENTS
+ *   NOTIFY_EVENTS - Events for sinks without their own list, all of them if unset
+ *   NOTIFY_BATCH_DELAY, NOTIFY_MIN_INTERVAL - ms, see NOTIFY
+ * @param {Object} env - Usually process.env
+ * @returns {Notifier}
+ */
+function createNotifier(env) {
+  const limits = {};
+  for (const [key, name] of [['BATCH_DELAY', 'NOTIFY_BATCH_DELAY'], ['MIN_INTERVAL', 'NOTIFY_MIN_INTERVAL']]) {
+    if (env[name] && Number(env[name]) >= 0) {
+      limits[key] = Number(env[name]);
+    }
+  }
+
+  const notifier = new Notifier({ enabled: env.NOTIFICATIONS !== 'off', limits });
+  if (!notifier.enabled) {
+    console.log('Notifications disabled');
+    return notifier;
+  }
+
+  const defaultEvents = parseEvents(env.NOTIFY_EVENTS);
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    notifier.addSink(new TelegramSink({
+      token: env.TELEGRAM_BOT_TOKEN,
+      chatId: env.TELEGRAM_CHAT_ID,
+      apiUrl: env.TELEGRAM_API_URL
+    }), parseEvents(env.TELEGRAM_EVENTS) || defaultEvents);
+  }
+  if (env.NOTIFY_WEBHOOK_URL) {
+    notifier.addSink(new WebhookSink({ url: env.NOTIFY_WEBHOOK_URL }), parseEvents(env.NOTIFY_WEBHOOK_EVENTS) || defaultEvents);
+  }
+  if (env.DISCORD_WEBHOOK_URL) {
+    notifier.addSink(new DiscordSink({ url: env.DISCORD_WEBHOOK_URL }), parseEvents(env.DISCORD_EVENTS) || defaultEvents);
+  }
+  if (env.NOTIFY_LOG_PATH) {
+    notifier.addSink(new LogFileSink({ filePath: env.NOTIFY_LOG_PATH }), parseEvents(env.NOTIFY_LOG_EVENTS) || defaultEvents);
+  }
+
+  const names = notifier.outlets.map(outlet => outlet.sink.name);
+  console.log(`Notifications: ${names.length > 0 ? names.join(', ') : 'no sinks configured'}`);
+  return notifier;
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFY,
+  TelegramSink,
+  WebhookSink,
+  DiscordSink,
+  LogFileSink,
+  Notifier,
+  createNotifier
+};
@@ -0,0 +1,217 @@
+// server/playerStore.js
+// Persistent player profiles (identity, wallet, stats, skins) keyed by clientId.
+// Profiles are held in memory and written through a pluggable backend so a restart
+// or deploy doesn't forget returning players.
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Default stats for a profile that has never played.
+ * @returns {Object}
+ */
+function emptyStats() {
+  return {
+    kills: 0,
+    deaths: 0,
+    duelWins: 0,
+    duelLosses: 0,
+    duelStreak: 0,          // Quick Draw wins in a row, reset by a loss
+    bestDuelStreak: 0,
+    fastestReaction: null   // Fastest first shot after a draw signal, in ms
+  };
+}
+
+/**
+ * Stores all profiles in a single JSON file. Writes go to a temp file first and are renamed
+ * into place, so a crash mid-write never leaves a truncated store behind.
+ */
+class FileBackend {
+  /**
+   * @param {string} filePath - Where to keep the profiles
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * @returns {Object} clientId -> profile, empty if the file doesn't exist yet
+   */
+  load() {
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      const data = JSON.parse(raw);
+      return data.profiles || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read player store ${this.filePath}: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * @param {Object} profiles - clientId -> profile
+   */
+  save(profiles) {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, profiles }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+/**
+ * Keeps nothing across restarts. Useful for local testing.
+ */
+class MemoryBackend {
+  load() {
+    return {};
+  }
+
+  save() {}
+}
+
+class PlayerStore {
+  /**
+   * @param {Object} backend - Anything with load() and save(profiles)
+   * @param {Object} options
+   * @param {number} options.saveDelay - ms to batch changes before writing
+   */
+  constructor(backend, { saveDelay = 2000 } = {}) {
+    this.backend = backend;
+    this.saveDelay = saveDelay;
+    this.profiles = new Map(Object.entries(backend.load()));
+    this.saveTimer = null;
+    console.log(`Player store loaded ${this.profiles.size} profiles`);
+  }
+
+  /**
+   * @param {string} clientId
+   * @returns {Object|null} The stored profile, or null for unknown clients
+   */
+  get(clientId) {
+    if (!clientId) return null;
+    return this.profiles.get(clientId) || null;
+  }
+
+  /**
+   * @returns {Iterable<Object>} Every stored profile
+   */
+  all() {
+    return this.profiles.values();
+  }
+
+  /**
+   * Finds the profile currently holding a username (case-insensitive).
+   * @param {string} username
+   * @returns {Object|null}
+   */
+  findByUsername(username) {
+    if (!username) return null;
+    const wanted = username.toLowerCase();
+    for (const profile of this.profiles.values()) {
+      if (profile.username && profile.username.toLowerCase() === wanted) {
+        return profile;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Creates or updates a profile and schedules a write.
+   * @param {string} clientId
+   * @param {Object} fields - Top-level fields to overwrite; stats and skins are merged
+   * @returns {Object|null} The updated profile
+   */
+  update(clientId, fields = {}) {
+    if (!clientId) return null;
+
+    const now = Date.now();
+    const existing = this.profiles.get(clientId) || {
+      clientId,
+      token: '',
+      username: 'Anonymous',
+      walletAddress: null,
+      stats: emptyStats(),
+      skins: {},
+      createdAt: now
+    };
+
+    const { stats, skins, ...rest } = fields;
+    const profile = {
+      ...existing,
+      ...rest,
+      stats: { ...emptyStats(), ...existing.stats, ...stats },
+      skins: { ...existing.skins, ...skins },
+      lastSeen: now
+    };
+
+    this.profiles.set(clientId, profile);
+    this.scheduleSave();
+    return profile;
+  }
+
+  /**
+   * Adds to a profile's counters, e.g. recordStats(id, { kills: 1 }).
+   * @param {string} clientId
+   * @param {Object} deltas - stat name -> amount to add
+   */
+  recordStats(clientId, deltas) {
+    const profile = this.get(clientId);
+    if (!profile) return;
+
+    const stats = { ...emptyStats(), ...profile.stats };
+    for (const [key, amount] of Object.entries(deltas)) {
+      stats[key] = (stats[key] || 0) + amount;
+    }
+    this.update(clientId, { stats });
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, this.saveDelay);
+  }
+
+  /**
+   * Writes all profiles now. Called on shutdown so pending changes aren't lost.
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    try {
+      this.backend.save(Object.fromEntries(this.profiles));
+    } catch (error) {
+      console.error(`Failed to save player store: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Builds the store from environment-style options.
+ * @param {Object} options
+ * @param {string} options.backend - 'file' (default) or 'memory'
+ * @param {string} options.filePath - JSON file for the file backend
+ * @returns {PlayerStore}
+ */
+function createPlayerStore({ backend = 'file', filePath } = {}) {
+  switch (backend) {
+    case 'memory':
+      return new PlayerStore(new MemoryBackend());
+    case 'file':
+      return new PlayerStore(new FileBackend(filePath));
+    default:
+      throw new Error(`Unknown player store backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  createPlayerStore,
+  PlayerStore,
+  FileBackend,
+  MemoryBackend
+};
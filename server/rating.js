@@ -0,0 +1,55 @@
+// server/rating.js
+// Elo ratings for Quick Draw duels. New players move faster (higher K) until they have
+// enough rated duels for their rating to mean something.
+
+const RATING = {
+  DEFAULT: 1200,          // Starting rating for players who have never finished a rated duel
+  FLOOR: 100,             // Ratings never drop below this
+  K_PROVISIONAL: 40,      // K-factor while a player is still provisional
+  K_ESTABLISHED: 20,      // K-factor afterwards
+  PROVISIONAL_DUELS: 10   // Rated duels before a player counts as established
+};
+
+/**
+ * Probability that a player beats an opponent, according to Elo.
+ * @param {number} rating - The player's rating
+ * @param {number} opponentRating - The opponent's rating
+ * @returns {number} Between 0 and 1
+ */
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * @param {number} ratedDuels - How many rated duels the player has finished
+ * @returns {number} The K-factor to use for their next result
+ */
+function kFactor(ratedDuels) {
+  return ratedDuels < RATING.PROVISIONAL_DUELS ? RATING.K_PROVISIONAL : RATING.K_ESTABLISHED;
+}
+
+/**
+ * New ratings after a decided duel.
+ * @param {Object} winner - { rating, ratedDuels }
+ * @param {Object} loser - { rating, ratedDuels }
+ * @returns {Object} { winner: { rating, change }, loser: { rating, change } }
+ */
+function rateDuel(winner, loser) {
+  const winnerExpected = expectedScore(winner.rating, loser.rating);
+  const winnerChange = Math.round(kFactor(winner.ratedDuels) * (1 - winnerExpected));
+  const loserChange = -Math.round(kFactor(loser.ratedDuels) * (1 - winnerExpected));
+
+  const winnerRating = winner.rating + winnerChange;
+  const loserRating = Math.max(RATING.FLOOR, loser.rating + loserChange);
+
+  return {
+    winner: { rating: winnerRating, change: winnerChange },
+    loser: { rating: loserRating, change: loserRating - loser.rating }
+  };
+}
+
+module.exports = {
+  RATING,
+  expectedScore,
+  rateDuel
+};
@@ -0,0 +1,325 @@
+// server/tournament.js
+// Seeded single and double elimination brackets for Quick Draw tournaments. This is only the
+// bookkeeping: server.js decides when matches are played and reports the winners back.
+
+// Fills a slot that will never get a player, e.g. the opponent of a top seed in a short field
+const BYE = 'bye';
+
+const FORMATS = ['single', 'double'];
+
+/**
+ * Bracket positions for seeds 1..size, so the top seeds can only meet in the late rounds.
+ * For 8 players: [1, 8, 4, 5, 2, 7, 3, 6].
+ * @param {number} size - A power of two
+ * @returns {Array<number>}
+ */
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+/**
+ * Build a bracket and play out any byes.
+ * @param {Array<number>} entrantIds - Player IDs, best seed first
+ * @param {string} format - 'single' or 'double'
+ * @returns {Object} The bracket, see createMatch for the match records
+ */
+function createBracket(entrantIds, format = 'single') {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown tournament format: ${format}`);
+  }
+
+  const size = Math.max(2, Math.pow(2, Math.ceil(Math.log2(entrantIds.length))));
+  const rounds = Math.log2(size);
+  const bracket = {
+    format,
+    size,
+    rounds,
+    entrants: entrantIds.slice(),
+    matches: new Map(),
+    withdrawn: new Set(),
+    championId: null
+  };
+
+  // Winners bracket (the whole bracket for single elimination)
+  for (let round = 1; round <= rounds; round++) {
+    for (let i = 0; i < size / Math.pow(2, round); i++) {
+      const match = createMatch(bracket, `W${round}-${i + 1}`, 'winners', round);
+      if (round < rounds) {
+        match.next = { matchId: `W${round + 1}-${Math.floor(i / 2) + 1}`, slot: i % 2 };
+      }
+    }
+  }
+
+  if (format === 'double') {
+    linkLosersBracket(bracket);
+  }
+
+  // Seed the first round; anyone without an opponent moves straight on
+  const order = seedOrder(size);
+  for (let i = 0; i < size / 2; i++) {
+    const match = bracket.matches.get(`W1-${i + 1}`);
+    match.players = [order[2 * i], order[2 * i + 1]].map(seed => seed <= entrantIds.length ? entrantIds[seed - 1] : BYE);
+  }
+  for (let i = 0; i < size / 2; i++) {
+    resolveMatch(bracket, bracket.matches.get(`W1-${i + 1}`));
+  }
+
+  return bracket;
+}
+
+/**
+ * Add the losers bracket and grand final. Losers drop in from every winners round; the losers
+ * bracket alternates between rounds that take new drop-ins and rounds among its own survivors.
+ * @param {Object} bracket - A bracket whose winners bracket is already built
+ */
+function linkLosersBracket(bracket) {
+  const { size, rounds } = bracket;
+  const losersRounds = 2 * (rounds - 1);
+
+  for (let round = 1; round <= losersRounds; round++) {
+    const count = size / Math.pow(2, Math.ceil(round / 2) + 1);
+    for (let i = 0; i < count; i++) {
+      const match = createMatch(bracket, `L${round}-${i + 1}`, 'losers', round);
+      if (round === losersRounds) {
+        match.next = { matchId: 'GF', slot: 1 };
+      } else if (round % 2 === 1) {
+        match.next = { matchId: `L${round + 1}-${i + 1}`, slot: 0 };
+      } else {
+        match.next = { matchId: `L${round + 1}-${Math.floor(i / 2) + 1}`, slot: i % 2 };
+      }
+    }
+  }
+
+  createMatch(bracket, 'GF', 'final', 1);
+  bracket.matches.get(`W${rounds}-1`).next = { matchId: 'GF', slot: 0 };
+
+  for (let round = 1; round <= rounds; round++) {
+    const count = size / Math.pow(2, round);
+    for (let i = 0; i < count; i++) {
+      const match = bracket.matches.get(`W${round}-${i + 1}`);
+      if (rounds === 1) {
+        match.loserNext = { matchId: 'GF', slot: 1 };
+      } else if (round === 1) {
+        match.loserNext = { matchId: `L1-${Math.floor(i / 2) + 1}`, slot: i % 2 };
+      } else {
+        // Drop-ins land in reverse order every other round so early rematches are rare
+        const index = round % 2 === 0 ? count - 1 - i : i;
+        match.loserNext = { matchId: `L${2 * (round - 1)}-${index + 1}`, slot: 1 };
+      }
+    }
+  }
+}
+
+/**
+ * @param {Object} bracket - The bracket to add to
+ * @param {string} id - e.g. 'W1-1', 'L2-1', 'GF'
+ * @param {string} side - 'winners', 'losers' or 'final'
+ * @param {number} round - Round within that side, from 1
+ * @returns {Object} { id, side, round, players, state, winnerId, loserId, walkover, next, loserNext }
+ */
+function createMatch(bracket, id, side, round) {
+  const match = {
+    id,
+    side,
+    round,
+    players: [null, null], // null until decided, BYE if nobody will come
+    state: 'pending',      // 'pending' -> 'ready' -> 'live' -> 'done'
+    winnerId: null,
+    loserId: null,
+    walkover: false,       // Decided without being played (bye or withdrawal)
+    next: null,            // { matchId, slot } the winner moves to
+    loserNext: null        // { matchId, slot } the loser drops to in double elimination
+  };
+  bracket.matches.set(id, match);
+  return match;
+}
+
+/**
+ * Put a player (or BYE) into a later match's slot.
+ * @param {Object} bracket - The bracket
+ * @param {Object} target - { matchId, slot }
+ * @param {number|string} playerId - Player ID or BYE
+ */
+function placeInMatch(bracket, target, playerId) {
+  const match = bracket.matches.get(target.matchId);
+  match.players[target.slot] = playerId;
+  resolveMatch(bracket, match);
+}
+
+/**
+ * Once both slots are known, either open the match for play or settle it as a walkover.
+ * @param {Object} bracket - The bracket
+ * @param {Object} match - A pending or ready match
+ */
+function resolveMatch(bracket, match) {
+  if (match.state !== 'pending' && match.state !== 'ready') return;
+
+  const [first, second] = match.players;
+  if (first === null || second === null) return;
+
+  const firstOut = first === BYE || bracket.withdrawn.has(first);
+  const secondOut = second === BYE || bracket.withdrawn.has(second);
+
+  if (firstOut && !secondOut) {
+    finishMatch(bracket, match, second, first, true);
+  } else if (secondOut && !firstOut) {
+    finishMatch(bracket, match, first, second, true);
+  } else if (firstOut && secondOut) {
+    // Nobody left to play; a withdrawn player still counts over a bye so the bracket can finish
+    finishMatch(bracket, match, first === BYE ? second : first, first === BYE ? first : second, true);
+  } else {
+    match.state = 'ready';
+  }
+}
+
+/**
+ * Settle a match and move both players on.
+ * @param {Object} bracket - The bracket
+ * @param {Object} match - The match
+ * @param {number|string} winnerId - Player ID or BYE
+ * @param {number|string} loserId - Player ID or BYE
+ * @param {boolean} walkover - True if nobody played it
+ */
+function finishMatch(bracket, match, winnerId, loserId, walkover) {
+  match.state = 'done';
+  match.winnerId = winnerId;
+  match.loserId = loserId;
+  match.walkover = walkover;
+
+  if (match.id === 'GF' && winnerId === match.players[1] && loserId !== BYE && !walkover) {
+    // The losers bracket champion has only beaten the winners bracket champion once: play again
+    const reset = createMatch(bracket, 'GF2', 'final', 2);
+    reset.players = [match.players[0], match.players[1]];
+    resolveMatch(bracket, reset);
+    return;
+  }
+
+  if (match.next) {
+    placeInMatch(bracket, match.next, winnerId);
+  } else if (match.side !== 'losers') {
+    bracket.championId = winnerId === BYE ? null : winnerId;
+  }
+
+  if (match.loserNext) {
+    placeInMatch(bracket, match.loserNext, loserId);
+  }
+}
+
+/**
+ * @param {Object} bracket - The bracket
+ * @returns {Array<Object>} Matches waiting to be played, earliest rounds first
+ */
+function getReadyMatches(bracket) {
+  return Array.from(bracket.matches.values())
+    .filter(match => match.state === 'ready')
+    .sort((a, b) => a.round - b.round);
+}
+
+/**
+ * Mark a ready match as being played.
+ * @param {Object} bracket - The bracket
+ * @param {string} matchId - The match
+ */
+function startMatch(bracket, matchId) {
+  const match = bracket.matches.get(matchId);
+  if (match && match.state === 'ready') {
+    match.state = 'live';
+  }
+}
+
+/**
+ * Record the winner of a played match.
+ * @param {Object} bracket - The bracket
+ * @param {string} matchId - The match
+ * @param {number} winnerId - One of the match's players
+ * @returns {boolean} False if the match can't take this result
+ */
+function recordResult(bracket, matchId, winnerId) {
+  const match = bracket.matches.get(matchId);
+  if (!match || (match.state !== 'live' && match.state !== 'ready') || !match.players.includes(winnerId)) {
+    return false;
+  }
+
+  const loserId = match.players[0] === winnerId ? match.players[1] : match.players[0];
+  finishMatch(bracket, match, winnerId, loserId, false);
+  return true;
+}
+
+/**
+ * Drop a player from the rest of the tournament. Their ready matches become walkovers and any
+ * later match they reach is forfeited too. A match already being played is left to finish.
+ * @param {Object} bracket - The bracket
+ * @param {number} playerId - The player leaving
+ */
+function withdrawEntrant(bracket, playerId) {
+  bracket.withdrawn.add(playerId);
+
+  for (const match of bracket.matches.values()) {
+    if (match.state === 'ready' && match.players.includes(playerId)) {
+      resolveMatch(bracket, match);
+    }
+  }
+}
+
+/**
+ * Human-readable name for a match, e.g. 'Semifinal' or 'Losers Round 2'.
+ * @param {Object} bracket - The bracket
+ * @param {Object} match - The match
+ * @returns {string}
+ */
+function getMatchLabel(bracket, match) {
+  if (match.side === 'final') {
+    return match.id === 'GF2' ? 'Grand Final Reset' : 'Grand Final';
+  }
+  if (match.side === 'losers') {
+    return match.round === 2 * (bracket.rounds - 1) ? 'Losers Final' : `Losers Round ${match.round}`;
+  }
+
+  const fromEnd = bracket.rounds - match.round;
+  const prefix = bracket.format === 'double' ? 'Winners ' : '';
+  if (fromEnd === 0) return `${prefix}Final`;
+  if (fromEnd === 1) return `${prefix}Semifinal`;
+  if (fromEnd === 2) return `${prefix}Quarterfinal`;
+  return `${prefix}Round ${match.round}`;
+}
+
+/**
+ * Plain-object view of a bracket for sending to clients.
+ * @param {Object} bracket - The bracket
+ * @returns {Object} { format, size, rounds, championId, matches }
+ */
+function serializeBracket(bracket) {
+  return {
+    format: bracket.format,
+    size: bracket.size,
+    rounds: bracket.rounds,
+    championId: bracket.championId,
+    matches: Array.from(bracket.matches.values()).map(match => ({
+      id: match.id,
+      side: match.side,
+      round: match.round,
+      label: getMatchLabel(bracket, match),
+      players: match.players,
+      state: match.state,
+      winnerId: match.winnerId,
+      walkover: match.walkover
+    }))
+  };
+}
+
+module.exports = {
+  BYE,
+  FORMATS,
+  createBracket,
+  getReadyMatches,
+  startMatch,
+  recordResult,
+  withdrawEntrant,
+  getMatchLabel,
+  serializeBracket
+};
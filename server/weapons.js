@@ -0,0 +1,84 @@
+// server/weapons.js
+// Weapon registry. The stats live in public/data/weapons.json so the browser loads exactly the
+// same numbers through public/js/weapons.js; adding a weapon means adding an entry there.
+const registry = require('../public/data/weapons.json');
+// Shared with the browser
+const { getWeaponHitDamage } = require('../public/js/weaponDamage.js');
+
+const WEAPONS = registry.weapons;
+const DEFAULT_WEAPON = registry.defaultWeapon;
+
+const REQUIRED_NUMBERS = ['capacity', 'reloadTime', 'cooldown', 'pellets', 'spread', 'projectileSpeed', 'range'];
+const DAMAGE_ZONES = ['head', 'body', 'limbs', 'graze'];
+
+/**
+ * Fails fast on a malformed registry instead of letting a typo turn into NaN damage mid-game.
+ */
+function validateRegistry() {
+  if (!WEAPONS[DEFAULT_WEAPON]) {
+    throw new Error(`Weapon registry: default weapon "${DEFAULT_WEAPON}" is not defined`);
+  }
+
+  for (const [id, weapon] of Object.entries(WEAPONS)) {
+    for (const field of REQUIRED_NUMBERS) {
+      if (typeof weapon[field] !== 'number' || weapon[field] < 0) {
+        throw new Error(`Weapon registry: ${id}.${field} must be a non-negative number`);
+      }
+    }
+    for (const zone of DAMAGE_ZONES) {
+      if (!weapon.damage || typeof weapon.damage[zone] !== 'number') {
+        throw new Error(`Weapon registry: ${id}.damage.${zone} must be a number`);
+      }
+    }
+  }
+}
+
+validateRegistry();
+
+/**
+ * @param {string} id - Weapon id, e.g. 'revolver'
+ * @returns {boolean}
+ */
+function isWeapon(id) {
+  return typeof id === 'string' && Object.prototype.hasOwnProperty.call(WEAPONS, id);
+}
+
+/**
+ * @param {string} id - Weapon id
+ * @returns {Object} The weapon's stats, or the default weapon's for unknown ids
+ */
+function getWeapon(id) {
+  return isWeapon(id) ? WEAPONS[id] : WEAPONS[DEFAULT_WEAPON];
+}
+
+/**
+ * Builds a full set of magazines, one entry per weapon.
+ * @returns {Object} weapon id -> rounds
+ */
+function createWeaponAmmo() {
+  const ammo = {};
+  for (const [id, weapon] of Object.entries(WEAPONS)) {
+    ammo[id] = weapon.capacity;
+  }
+  return ammo;
+}
+
+/**
+ * Damage for one projectile hitting a zone, see public/js/weaponDamage.js.
+ * @param {string} id - Weapon id
+ * @param {string} zone - 'head', 'body', 'limbs' or 'graze'
+ * @param {number} distance - How far the projectile travelled
+ * @returns {number}
+ */
+function getHitDamage(id, zone, distance = 0) {
+  return getWeaponHitDamage(getWeapon(id), zone, distance);
+}
+
+module.exports = {
+  WEAPONS,
+  DEFAULT_WEAPON,
+  isWeapon,
+  getWeapon,
+  createWeaponAmmo,
+  getHitDamage
+};
@@ -0,0 +1,132 @@
+// server/worldColliders.js
+// Walls and buildings for the server's bullet sweep. The town model (public/models/town.glb) marks
+// its solid parts with meshes named "collider..."; scene.js turns each one into an axis-aligned
+// physics box on the client, and this reads the same meshes out of the .glb into the same boxes.
+const fs = require('fs');
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const JSON_CHUNK = 0x4e4f534a; // "JSON"
+
+/**
+ * @param {Object} node - A glTF node
+ * @returns {Array<number>} Its local transform, column-major like THREE.Matrix4
+ */
+function getLocalMatrix(node) {
+  if (node.matrix) return node.matrix.slice();
+
+  const [tx, ty, tz] = node.translation || [0, 0, 0];
+  const [qx, qy, qz, qw] = node.rotation || [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale || [1, 1, 1];
+  return [
+    (1 - 2 * (qy * qy + qz * qz)) * sx, 2 * (qx * qy + qz * qw) * sx, 2 * (qx * qz - qy * qw) * sx, 0,
+    2 * (qx * qy - qz * qw) * sy, (1 - 2 * (qx * qx + qz * qz)) * sy, 2 * (qy * qz + qx * qw) * sy, 0,
+    2 * (qx * qz + qy * qw) * sz, 2 * (qy * qz - qx * qw) * sz, (1 - 2 * (qx * qx + qy * qy)) * sz, 0,
+    tx, ty, tz, 1
+  ];
+}
+
+/**
+ * @param {Array<number>} a - Column-major 4x4
+ * @param {Array<number>} b - Column-major 4x4
+ * @returns {Array<number>} a * b
+ */
+function multiplyMatrices(a, b) {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) {
+        sum += a[k * 4 + row] * b[col * 4 + k];
+      }
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+/**
+ * World-space bounds of a mesh: the corners of each primitive's POSITION bounds, transformed.
+ * Same as THREE.Box3.setFromObject for the unrotated boxes colliders are modelled as.
+ * @param {Object} gltf - The parsed glTF JSON
+ * @param {Object} mesh - A glTF mesh
+ * @param {Array<number>} matrix - The node's world transform
+ * @returns {Object|null} { minX, maxX, minY, maxY, minZ, maxZ }, null without position bounds
+ */
+function getMeshBox(gltf, mesh, matrix) {
+  let box = null;
+  for (const primitive of mesh.primitives || []) {
+    const accessor = gltf.accessors[primitive.attributes.POSITION];
+    if (!accessor || !accessor.min || !accessor.max) continue;
+
+    for (let corner = 0; corner < 8; corner++) {
+      const x = corner & 1 ? accessor.max[0] : accessor.min[0];
+      const y = corner & 2 ? accessor.max[1] : accessor.min[1];
+      const z = corner & 4 ? accessor.max[2] : accessor.min[2];
+      const wx = matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12];
+      const wy = matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13];
+      const wz = matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14];
+      if (!box) {
+        box = { minX: wx, maxX: wx, minY: wy, maxY: wy, minZ: wz, maxZ: wz };
+      }
+      box.minX = Math.min(box.minX, wx);
+      box.maxX = Math.max(box.maxX, wx);
+      box.minY = Math.min(box.minY, wy);
+      box.maxY = Math.max(box.maxY, wy);
+      box.minZ = Math.min(box.minZ, wz);
+      box.maxZ = Math.max(box.maxZ, wz);
+    }
+  }
+  return box;
+}
+
+/**
+ * Read the collider boxes out of a binary glTF.
+ * @param {string} filePath - The town model
+ * @returns {Array<Object>} { minX, maxX, minY, maxY, minZ, maxZ } per collider, empty if the model
+ * can't be read (bullets then only stop at players, NPCs and their range)
+ */
+function loadWorldColliders(filePath) {
+  let gltf;
+  try {
+    const data = fs.readFileSync(filePath);
+    if (data.readUInt32LE(0) !== GLB_MAGIC || data.readUInt32LE(16) !== JSON_CHUNK) {
+      throw new Error('not a binary glTF file');
+    }
+    gltf = JSON.parse(data.toString('utf8', 20, 20 + data.readUInt32LE(12)));
+  } catch (error) {
+    console.error(`Failed to read world colliders from ${filePath}: ${error.message}`);
+    return [];
+  }
+
+  const colliders = [];
+  const visit = (nodeIndex, parentMatrix) => {
+    const node = gltf.nodes[nodeIndex];
+    const matrix = multiplyMatrices(parentMatrix, getLocalMatrix(node));
+
+    if (node.mesh !== undefined) {
+      const mesh = gltf.meshes[node.mesh];
+      const name = (node.name || mesh.name || '').toLowerCase();
+      if (name.startsWith('collider') || (mesh.name || '').toLowerCase().startsWith('collider')) {
+        const box = getMeshBox(gltf, mesh, matrix);
+        if (box) colliders.push(box);
+      }
+    }
+
+    for (const child of node.children || []) {
+      visit(child, matrix);
+    }
+  };
+
+  const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+  const scene = gltf.scenes ? gltf.scenes[gltf.scene || 0] : null;
+  for (const nodeIndex of scene ? scene.nodes : []) {
+    visit(nodeIndex, identity);
+  }
+
+  console.log(`Loaded ${colliders.length} world colliders from ${filePath}`);
+  return colliders;
+}
+
+module.exports = {
+  loadWorldColliders
+};